@@ -1,36 +1,103 @@
 import express from 'express';
 import redisClient from './config/redis.js' ;
 import studentRoutes from './routes/students.js';
+import authRoutes from './routes/auth.js';
 import canteenRoutes from './routes/canteens.js';
 import reservationRoutes from './routes/reservations.js';
+import mealTypeRoutes from './routes/mealTypes.js';
+import { ensureDefaultMealTypes } from './services/mealTypeService.js';
+import { ensureAdminStudent } from './services/studentService.js';
+import { startReservationSweeper } from './services/reservactionService.js';
 
 const app = express();
 app.use(express.json());
 
 await redisClient.flushAll();
 console.log('Flushed all Redis data on startup.');
+await ensureDefaultMealTypes();
+// Only an admin can create further admins, so the first one comes from the environment
+if (process.env.ADMIN_EMAIL && process.env.ADMIN_PASSWORD) {
+  const admin = await ensureAdminStudent({
+    name: process.env.ADMIN_NAME || 'Administrator',
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD
+  });
+  console.log(`Admin student ${admin.id} ready for ${admin.email}.`);
+}
 
 app.use('/students', studentRoutes);
+app.use('/auth', authRoutes);
 app.use('/canteens', canteenRoutes);
 app.use('/reservations', reservationRoutes);
+app.use('/meal-types', mealTypeRoutes);
+
+// Marks finished reservations as Completed or NoShow
+startReservationSweeper(err => console.log('Reservation sweeper error', err));
 
 const PORT = 3000;
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
-  console.log('\nAvailable routes (* = requires studentId header):');
+  console.log('\nAvailable routes (* = requires Authorization: Bearer <accessToken>):');
   console.log('\n  STUDENTS:');
-  console.log('    POST   /students                  - Create a new student');
+  console.log('    POST   /students                  - Register a student (password; a role needs students:assignRoles)');
+  console.log('    GET    /students              *  - List students (students:manage; search, role, sort, limit, cursor)');
+  console.log('    POST   /students/import       *  - Import students from CSV or JSON lines (students:manage; dryRun)');
+  console.log('    GET    /students/export       *  - Download students as CSV (students:manage)');
   console.log('    GET    /students/:id              - Get student by ID');
+  console.log('    PUT    /students/:id           *  - Change name or email (own account, or students:manage)');
+  console.log('    DELETE /students/:id           *  - Delete an account and its reservation data (own account, or students:manage)');
+  console.log('    PUT    /students/:id/role      *  - Change role and managed canteens (students:assignRoles)');
+  console.log('\n  AUTH:');
+  console.log('    POST   /auth/login                - Log in with email and password');
+  console.log('    POST   /auth/refresh              - Trade a refresh token for new tokens');
+  console.log('    POST   /auth/logout            *  - End the current session');
+  console.log('    GET    /auth/sessions          *  - List own sessions');
+  console.log('    DELETE /auth/sessions          *  - End all own sessions');
+  console.log('    DELETE /auth/sessions/:sessionId * - End one own session');
   console.log('\n  CANTEENS:');
-  console.log('    POST   /canteens               *  - Create canteen (admin only)');
-  console.log('    GET    /canteens                  - Get all canteens');
-  console.log('    GET    /canteens/status           - Get all canteens slot availability');
+  console.log('    POST   /canteens               *  - Create canteen (canteens:create)');
+  console.log('    GET    /canteens                  - List canteens (query: location, meal, openAt, minCapacity, sort, limit, cursor)');
+  console.log('    GET    /canteens/status           - Get all canteens slot availability (query: includeMenu)');
   console.log('    GET    /canteens/:id              - Get canteen by ID');
-  console.log('    GET    /canteens/:id/status       - Get canteen slot availability');
-  console.log('    PUT    /canteens/:id           *  - Update canteen (admin only)');
-  console.log('    DELETE /canteens/:id           *  - Delete canteen (admin only)');
+  console.log('    GET    /canteens/:id/status       - Get canteen slot availability (query: includeMenu)');
+  console.log('    GET    /canteens/:id/occupancy    - Get canteen occupancy (query: startDate, endDate, format, view)');
+  console.log('    GET    /canteens/:id/reservations * - List canteen reservations (reservations:read; query: date, meal, status, page)');
+  console.log('    POST   /canteens/:id/reservations/:reservationId/cancel * - Cancel reservation with reason (reservations:cancel)');
+  console.log('    GET    /canteens/:id/menus/:date  - Get the menus of one date');
+  console.log('    PUT    /canteens/:id/menus/:date/:meal * - Publish or replace a menu (menus:manage)');
+  console.log('    DELETE /canteens/:id/menus/:date/:meal * - Withdraw a menu without reserved dishes (menus:manage)');
+  console.log('    GET    /canteens/:id/exceptions   - Get dated opening-hours exceptions');
+  console.log('    PUT    /canteens/:id/exceptions/:date * - Set opening hours for one date (canteens:update)');
+  console.log('    DELETE /canteens/:id/exceptions/:date * - Remove a dated exception (canteens:update)');
+  console.log('    GET    /canteens/:id/capacity-overrides - Get dated capacity overrides');
+  console.log('    PUT    /canteens/:id/capacity-overrides/:date * - Set seats for one date or its slots (canteens:update)');
+  console.log('    DELETE /canteens/:id/capacity-overrides/:date * - Remove a capacity override (canteens:update)');
+  console.log('    GET    /canteens/:id/closures     - Get temporary closures');
+  console.log('    POST   /canteens/:id/closures   * - Close a canteen for a date/time range (canteens:update)');
+  console.log('    DELETE /canteens/:id/closures/:closureId * - Remove a closure and reopen its slots (canteens:update)');
+  console.log('    GET    /canteens/:id/policy       - Get canteen booking policy');
+  console.log('    PUT    /canteens/:id/policy    *  - Replace canteen booking policy (canteens:update)');
+  console.log('    PUT    /canteens/:id           *  - Update canteen (canteens:update; query: onConflict=reject|keep|cancel, dryRun)');
+  console.log('    DELETE /canteens/:id           *  - Delete canteen and cancel its reservations (canteens:delete; query: refuseIfBooked, reason)');
+  console.log('\n  MEAL TYPES:');
+  console.log('    GET    /meal-types                - Get meal type catalogue');
+  console.log('    POST   /meal-types             *  - Create meal type (mealTypes:manage; key, name, sortOrder)');
+  console.log('    PUT    /meal-types/:key        *  - Rename or reorder meal type (mealTypes:manage)');
+  console.log('    DELETE /meal-types/:key        *  - Delete meal type no canteen uses (mealTypes:manage)');
   console.log('\n  RESERVATIONS:');
-  console.log('    POST   /reservations              - Create reservation');
+  console.log('    POST   /reservations           *  - Create reservation (optional memberIds for groups, dishes)');
   console.log('    GET    /reservations           *  - Get student reservations (query: startDate, endDate)');
+  console.log('    GET    /reservations/available *  - Find the soonest bookable slots (query: window, duration, meal, canteenIds, limit)');
+  console.log('    PATCH  /reservations/:id       *  - Modify reservation (canteenId, date, time, duration)');
   console.log('    DELETE /reservations/:id       *  - Cancel reservation');
+  console.log('    POST   /reservations/:id/check-in *  - Check in reservation (reservations:checkIn)');
+  console.log('    POST   /reservations/:id/members *  - Add group members (organizer only)');
+  console.log('    DELETE /reservations/:id/members/:memberId * - Remove group member');
+  console.log('    GET    /reservations/series    *  - Get student reservation series');
+  console.log('    POST   /reservations/series    *  - Create recurring reservation series');
+  console.log('    GET    /reservations/series/:id *  - Get series with occurrence results');
+  console.log('    DELETE /reservations/series/:id *  - Cancel series (query: scope=occurrence|future|all, date)');
+  console.log('    GET    /reservations/waitlist  *  - Get student waitlist positions');
+  console.log('    POST   /reservations/waitlist  *  - Join waitlist for a fully booked slot');
+  console.log('    DELETE /reservations/waitlist  *  - Leave waitlist (query: canteenId, date, time, duration)');
 });
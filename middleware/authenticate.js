@@ -0,0 +1,48 @@
+import { authenticateToken } from '../services/authService.js';
+
+function isAuthError(message) {
+    return message.includes('Invalid token')
+        || message.includes('Token expired')
+        || message.includes('Session revoked');
+}
+
+function getBearerToken(req) {
+    const [scheme, token] = (req.headers['authorization'] || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+async function setStudent(req, res, next, token) {
+    try {
+        const { student, sessionId } = await authenticateToken(token);
+        req.student = student;
+        req.sessionId = sessionId;
+    } catch (err) {
+        if (isAuthError(err.message)) {
+            return res.status(401).json({ error: err.message });
+        }
+        return res.status(500).json({ error: err.message });
+    }
+    next();
+}
+
+/**
+ * Require a valid access token and set the authenticated student as req.student
+ */
+export async function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Missing bearer token' });
+    }
+    return setStudent(req, res, next, token);
+}
+
+/**
+ * Set req.student when an access token is sent, continue anonymously otherwise
+ */
+export async function optionalAuthenticate(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+    return setStudent(req, res, next, token);
+}
@@ -0,0 +1,17 @@
+import { assertPermission } from '../services/permissionService.js';
+
+/**
+ * Require the authenticated student to hold a permission. Canteen-scoped permissions
+ * are checked against the canteen in the canteenParam route parameter; pass null
+ * when the route has no canteen id and the service checks the scope instead.
+ */
+export function requirePermission(permission, { canteenParam = 'id' } = {}) {
+    return (req, res, next) => {
+        try {
+            assertPermission(req.student, permission, canteenParam ? req.params[canteenParam] : null);
+        } catch (err) {
+            return res.status(403).json({ error: err.message });
+        }
+        next();
+    };
+}
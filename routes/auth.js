@@ -0,0 +1,86 @@
+import express from 'express';
+import { login, refreshSession, getSessions, revokeSession, revokeAllSessions } from '../services/authService.js';
+import { authenticate } from '../middleware/authenticate.js';
+
+const router = express.Router();
+
+function isValidationError(message) {
+    return message.includes('are required');
+}
+
+function isAuthError(message) {
+    return message.includes('Invalid email or password')
+        || message.includes('Invalid token')
+        || message.includes('Token expired')
+        || message.includes('Session revoked')
+        || message.includes('session revoked');
+}
+
+router.post('/login', async (req, res) => {
+    try {
+        const session = await login(req.body?.email, req.body?.password);
+        res.json(session);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isAuthError(err.message)) {
+            return res.status(401).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/refresh', async (req, res) => {
+    try {
+        if (!req.body?.refreshToken) {
+            return res.status(400).json({ error: 'refreshToken is required' });
+        }
+        const tokens = await refreshSession(req.body.refreshToken);
+        res.json(tokens);
+    } catch (err) {
+        if (isAuthError(err.message)) {
+            return res.status(401).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        const session = await revokeSession(req.student.id, req.sessionId);
+        res.json(session);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const sessions = await getSessions(req.student.id);
+        res.json(sessions.map(session => ({ ...session, current: session.id === req.sessionId })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/sessions', authenticate, async (req, res) => {
+    try {
+        const result = await revokeAllSessions(req.student.id);
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+    try {
+        const session = await revokeSession(req.student.id, req.params.sessionId);
+        if (!session) return res.status(404).json({ error: 'Session not found' });
+        res.json(session);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -1,31 +1,47 @@
 import express from 'express';
-import { createCanteen, getCanteen, getAllCanteens, updateCanteen, deleteCanteen, getCanteenStatus, getAllCanteensStatus } from '../services/canteenService.js';
+import { createCanteen, getCanteen, listCanteens, updateCanteen, deleteCanteen, getCanteenStatus, getAllCanteensStatus, updateCanteenPolicy, getScheduleExceptions, setScheduleException, deleteScheduleException, getCapacityOverrides, setCapacityOverride, deleteCapacityOverride, getClosures, createClosure, deleteClosure } from '../services/canteenService.js';
+import { getCanteenReservations, adminCancelReservation } from '../services/reservactionService.js';
+import { getMenusForDate, publishMenu, deleteMenu } from '../services/menuService.js';
+import { getCanteenOccupancy, formatOccupancyCsv } from '../services/occupancyService.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 
 function isValidationError(message) {
     const validationPhrases = [
         'is required',
+        'are required',
         'cannot be empty',
         'cannot exceed',
         'must be',
         'Invalid',
         'cannot overlap',
-        'At least one'
+        'must end after',
+        'At least one',
+        'Only active reservations'
     ];
     return validationPhrases.some(phrase => message.includes(phrase));
 }
 
 function isPermissionError(message) {
-    return message.includes('Only admin');
+    return message.includes('Permission denied');
 }
 
-router.post('/', async (req, res) => {
+function isNotFoundError(message) {
+    return message.includes('not found');
+}
+
+function isConflictError(message) {
+    return message.includes('upcoming reservations')
+        || message.includes('conflicts with')
+        || message.includes('portions reserved')
+        || message.includes('modified concurrently');
+}
+
+router.post('/', authenticate, requirePermission('canteens:create'), async (req, res) => {
     try {
-        const createdBy = req.headers['studentid'];
-        if (!createdBy) {
-            return res.status(400).json({ error: 'Missing studentId header' });
-        }
+        const createdBy = req.student.id;
         const canteen = await createCanteen({ ...req.body, createdBy });
         res.status(201).json(canteen);
     } catch (err) {
@@ -41,9 +57,12 @@ router.post('/', async (req, res) => {
 
 router.get('/', async (req, res) => {
     try {
-        const canteens = await getAllCanteens();
-        res.json(canteens);
+        const result = await listCanteens(req.query);
+        res.json(result);
     } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -56,13 +75,19 @@ router.get('/status', async (req, res) => {
             return res.status(400).json({ error: 'Missing required query parameters: startDate, startTime, endDate, endTime, duration' });
         }
 
-        if (!['30', '60'].includes(duration)) {
-            return res.status(400).json({ error: 'Duration must be 30 or 60' });
+        // Which durations are offered is up to each canteen's slot rules
+        if (!/^[1-9]\d*$/.test(duration)) {
+            return res.status(400).json({ error: 'Duration must be a positive integer' });
         }
 
-        const results = await getAllCanteensStatus(startDate, startTime, endDate, endTime, duration);
+        const results = await getAllCanteensStatus(startDate, startTime, endDate, endTime, duration, {
+            includeMenu: req.query.includeMenu === 'true'
+        });
         res.json(results);
     } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -85,28 +110,350 @@ router.get('/:id/status', async (req, res) => {
             return res.status(400).json({ error: 'Missing required query parameters: startDate, startTime, endDate, endTime, duration' });
         }
 
-        if (!['30', '60'].includes(duration)) {
-            return res.status(400).json({ error: 'Duration must be 30 or 60' });
+        // Which durations are offered is up to each canteen's slot rules
+        if (!/^[1-9]\d*$/.test(duration)) {
+            return res.status(400).json({ error: 'Duration must be a positive integer' });
         }
 
-        const status = await getCanteenStatus(req.params.id, startDate, startTime, endDate, endTime, duration);
+        const status = await getCanteenStatus(req.params.id, startDate, startTime, endDate, endTime, duration, {
+            includeMenu: req.query.includeMenu === 'true'
+        });
         if (!status) return res.status(404).json({ error: 'Canteen not found' });
         res.json({ canteenId: parseInt(req.params.id, 10), ...status });
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/occupancy', async (req, res) => {
+    try {
+        const { startDate, endDate, format = 'json', view } = req.query;
+        if (format !== 'json' && format !== 'csv') {
+            return res.status(400).json({ error: 'Invalid format. Must be json or csv' });
+        }
+
+        const report = await getCanteenOccupancy(req.params.id, startDate, endDate);
+        if (!report) return res.status(404).json({ error: 'Canteen not found' });
+        if (format === 'csv') {
+            const csv = formatOccupancyCsv(report, view);
+            res.attachment(`canteen-${report.canteenId}-occupancy-${startDate}-${endDate}.csv`);
+            return res.type('text/csv').send(csv);
+        }
+        res.json(report);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/reservations', authenticate, requirePermission('reservations:read'), async (req, res) => {
+    try {
+        const adminId = req.student.id;
+        const result = await getCanteenReservations(req.params.id, adminId, req.query);
+        if (!result) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(result);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/:id/reservations/:reservationId/cancel', authenticate, requirePermission('reservations:cancel'), async (req, res) => {
+    try {
+        const adminId = req.student.id;
+        const reservation = await adminCancelReservation(req.params.id, req.params.reservationId, adminId, req.body?.reason);
+        if (!reservation) return res.status(404).json({ error: 'Reservation not found' });
+        res.json(reservation);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/menus/:date', async (req, res) => {
+    try {
+        const menus = await getMenusForDate(req.params.id, req.params.date);
+        if (!menus) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(menus);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id/menus/:date/:meal', authenticate, requirePermission('menus:manage'), async (req, res) => {
+    try {
+        const publishedBy = req.student.id;
+        const menu = await publishMenu(req.params.id, req.params.date, req.params.meal, req.body, publishedBy);
+        if (!menu) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(menu);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id/menus/:date/:meal', authenticate, requirePermission('menus:manage'), async (req, res) => {
+    try {
+        const deletedBy = req.student.id;
+        const deleted = await deleteMenu(req.params.id, req.params.date, req.params.meal, deletedBy);
+        if (!deleted) return res.status(404).json({ error: 'Menu not found' });
+        res.json(deleted);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/exceptions', async (req, res) => {
+    try {
+        const exceptions = await getScheduleExceptions(req.params.id);
+        if (!exceptions) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(exceptions);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id/exceptions/:date', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const { onConflict, dryRun } = req.query;
+        const canteen = await setScheduleException(req.params.id, req.params.date, req.body, updatedBy, {
+            onConflict,
+            dryRun: dryRun === 'true'
+        });
+        if (!canteen) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(canteen);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id/exceptions/:date', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const { onConflict, dryRun } = req.query;
+        const canteen = await deleteScheduleException(req.params.id, req.params.date, updatedBy, {
+            onConflict,
+            dryRun: dryRun === 'true'
+        });
+        if (!canteen) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(canteen);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/capacity-overrides', async (req, res) => {
+    try {
+        const overrides = await getCapacityOverrides(req.params.id);
+        if (!overrides) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(overrides);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id/capacity-overrides/:date', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const { onConflict, dryRun } = req.query;
+        const canteen = await setCapacityOverride(req.params.id, req.params.date, req.body, updatedBy, {
+            onConflict,
+            dryRun: dryRun === 'true'
+        });
+        if (!canteen) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(canteen);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id/capacity-overrides/:date', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const { onConflict, dryRun } = req.query;
+        const canteen = await deleteCapacityOverride(req.params.id, req.params.date, updatedBy, {
+            onConflict,
+            dryRun: dryRun === 'true'
+        });
+        if (!canteen) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(canteen);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/closures', async (req, res) => {
+    try {
+        const closures = await getClosures(req.params.id);
+        if (!closures) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(closures);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-router.put('/:id', async (req, res) => {
+router.post('/:id/closures', authenticate, requirePermission('canteens:update'), async (req, res) => {
     try {
-        const updatedBy = req.headers['studentid'];
-        if (!updatedBy) {
-            return res.status(400).json({ error: 'Missing studentId header' });
+        const createdBy = req.student.id;
+        const closure = await createClosure(req.params.id, req.body, createdBy);
+        if (!closure) return res.status(404).json({ error: 'Canteen not found' });
+        res.status(201).json(closure);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
         }
-        const updatedCanteen = await updateCanteen(req.params.id, req.body, updatedBy);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id/closures/:closureId', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const deletedBy = req.student.id;
+        const closure = await deleteClosure(req.params.id, req.params.closureId, deletedBy);
+        if (!closure) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(closure);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:id/policy', async (req, res) => {
+    try {
+        const canteen = await getCanteen(req.params.id);
+        if (!canteen) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(canteen.policy);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id/policy', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const policy = await updateCanteenPolicy(req.params.id, req.body, updatedBy);
+        if (!policy) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(policy);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id', authenticate, requirePermission('canteens:update'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const { onConflict, dryRun } = req.query;
+        const updatedCanteen = await updateCanteen(req.params.id, req.body, updatedBy, {
+            onConflict,
+            dryRun: dryRun === 'true'
+        });
         if (!updatedCanteen) return res.status(404).json({ error: 'Canteen not found' });
         res.json(updatedCanteen);
     } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+        }
         if (isValidationError(err.message)) {
             return res.status(400).json({ error: err.message });
         }
@@ -117,16 +464,20 @@ router.put('/:id', async (req, res) => {
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('canteens:delete'), async (req, res) => {
     try {
-        const deletedBy = req.headers['studentid'];
-        if (!deletedBy) {
-            return res.status(400).json({ error: 'Missing studentId header' });
-        }
-        const success = await deleteCanteen(req.params.id, deletedBy);
-        if (!success) return res.status(404).json({ error: 'Canteen not found' });
-        res.status(204).end();
+        const deletedBy = req.student.id;
+        const { refuseIfBooked, reason } = req.query;
+        const summary = await deleteCanteen(req.params.id, deletedBy, {
+            refuseIfBooked: refuseIfBooked === 'true',
+            reason
+        });
+        if (!summary) return res.status(404).json({ error: 'Canteen not found' });
+        res.json(summary);
     } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
         if (isPermissionError(err.message)) {
             return res.status(403).json({ error: err.message });
         }
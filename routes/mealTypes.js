@@ -0,0 +1,96 @@
+import express from 'express';
+import { getMealTypes, createMealType, updateMealType, deleteMealType } from '../services/mealTypeService.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+function isValidationError(message) {
+    const validationPhrases = [
+        'is required',
+        'cannot exceed',
+        'must be',
+        'Must be',
+        'Invalid',
+        'At least one'
+    ];
+    return validationPhrases.some(phrase => message.includes(phrase));
+}
+
+function isPermissionError(message) {
+    return message.includes('Permission denied');
+}
+
+function isConflictError(message) {
+    return message.includes('already exists') || message.includes('still used by');
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const mealTypes = await getMealTypes();
+        res.json(mealTypes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/', authenticate, requirePermission('mealTypes:manage'), async (req, res) => {
+    try {
+        const createdBy = req.student.id;
+        const mealType = await createMealType(req.body, createdBy);
+        res.status(201).json(mealType);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:key', authenticate, requirePermission('mealTypes:manage'), async (req, res) => {
+    try {
+        const updatedBy = req.student.id;
+        const mealType = await updateMealType(req.params.key, req.body, updatedBy);
+        if (!mealType) return res.status(404).json({ error: 'Meal type not found' });
+        res.json(mealType);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:key', authenticate, requirePermission('mealTypes:manage'), async (req, res) => {
+    try {
+        const deletedBy = req.student.id;
+        const deleted = await deleteMealType(req.params.key, deletedBy);
+        if (!deleted) return res.status(404).json({ error: 'Meal type not found' });
+        res.json(deleted);
+    } catch (err) {
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -1,31 +1,75 @@
 import express from 'express';
-import { createReservation, deleteReservation, getReservationsByStudent } from '../services/reservactionService.js';
+import {
+    createReservation,
+    updateReservation,
+    deleteReservation,
+    getReservationsByStudent,
+    addReservationMembers,
+    removeReservationMember,
+    checkInReservation,
+    joinWaitlist,
+    getWaitlistByStudent,
+    leaveWaitlist,
+    findAvailableSlots
+} from '../services/reservactionService.js';
+import { createSeries, getSeries, getSeriesByStudent, cancelSeries } from '../services/seriesService.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 
+// Every reservation route acts as the authenticated student
+router.use(authenticate);
+
 function isValidationError(message) {
     const validationPhrases = [
         'is required',
+        'are required',
+        'search window',
         'must be',
         'Invalid',
         'cannot be in the past',
         'already has a reservation',
-        'fully booked'
+        'fully booked',
+        'not fully booked',
+        'sold out',
+        'is closed at this time',
+        'already on the waitlist',
+        'Only active reservations',
+        'cannot exceed',
+        'must have either',
+        'must not',
+        'must contain',
+        'already a member',
+        'is not a member',
+        'cannot be removed',
+        'cannot be checked in',
+        'Check-in opens',
+        'already ended'
     ];
     return validationPhrases.some(phrase => message.includes(phrase));
 }
 
+function isPermissionError(message) {
+    return message.includes('Permission denied');
+}
+
+function isPolicyError(err) {
+    return err.name === 'PolicyViolationError';
+}
+
+function isConflictError(message) {
+    return message.includes('modified concurrently');
+}
+
 function isNotFoundError(message) {
     return message.includes('not found');
 }
 
 router.get('/', async (req, res) => {
     try {
-        const studentId = req.headers['studentid'];
+        const studentId = req.student.id;
         const { startDate, endDate } = req.query;
-        if (!studentId) {
-            return res.status(400).json({ error: 'Missing studentId header' });
-        }
         const reservations = await getReservationsByStudent(studentId, startDate, endDate);
         res.status(200).json(reservations);
     } catch (err) {
@@ -34,9 +78,12 @@ router.get('/', async (req, res) => {
 });
 router.post('/', async (req, res) => {
     try {
-        const reservation = await createReservation(req.body);
+        const reservation = await createReservation({ ...req.body, studentId: req.student.id });
         res.status(201).json(reservation);
     } catch (err) {
+        if (isPolicyError(err)) {
+            return res.status(403).json({ error: err.message, code: err.code });
+        }
         if (isNotFoundError(err.message)) {
             return res.status(404).json({ error: err.message });
         }
@@ -46,18 +93,220 @@ router.post('/', async (req, res) => {
         res.status(500).json({ error: err.message });
     }
 });
-router.delete('/:id', async (req, res) => {
+router.get('/available', async (req, res) => {
     try {
-        const studentId = req.headers['studentid'];
-        if (!studentId) {
-            return res.status(400).json({ error: 'Missing studentId header' });
+        const studentId = req.student.id;
+        const result = await findAvailableSlots(studentId, req.query);
+        res.json(result);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
         }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.get('/waitlist', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const entries = await getWaitlistByStudent(studentId);
+        res.json(entries);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+router.post('/waitlist', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const entry = await joinWaitlist({ ...req.body, studentId });
+        res.status(201).json(entry);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.delete('/waitlist', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const entry = await leaveWaitlist({ ...req.query, studentId });
+        if (!entry) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+        res.json(entry);
+    } catch (err) {
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.get('/series', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const series = await getSeriesByStudent(studentId);
+        res.json(series);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+router.post('/series', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const series = await createSeries({ ...req.body, studentId });
+        res.status(201).json(series);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.get('/series/:id', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const series = await getSeries(req.params.id, studentId);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found or unauthorized' });
+        }
+        res.json(series);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+router.delete('/series/:id', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const { scope = 'all', date } = req.query;
+        const series = await cancelSeries(req.params.id, studentId, scope, date);
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found or unauthorized' });
+        }
+        res.json(series);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.patch('/:id', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const updatedReservation = await updateReservation(req.params.id, studentId, req.body);
+        if (!updatedReservation) {
+            return res.status(404).json({ error: 'Reservation not found or unauthorized' });
+        }
+        res.json(updatedReservation);
+    } catch (err) {
+        if (isPolicyError(err)) {
+            return res.status(403).json({ error: err.message, code: err.code });
+        }
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.post('/:id/members', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const reservation = await addReservationMembers(req.params.id, studentId, req.body.studentIds);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found or unauthorized' });
+        }
+        res.json(reservation);
+    } catch (err) {
+        if (isPolicyError(err)) {
+            return res.status(403).json({ error: err.message, code: err.code });
+        }
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.delete('/:id/members/:memberId', async (req, res) => {
+    try {
+        const studentId = req.student.id;
+        const reservation = await removeReservationMember(req.params.id, studentId, req.params.memberId);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found or unauthorized' });
+        }
+        res.json(reservation);
+    } catch (err) {
+        if (isNotFoundError(err.message)) {
+            return res.status(404).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.post('/:id/check-in', requirePermission('reservations:checkIn', { canteenParam: null }), async (req, res) => {
+    try {
+        const staffId = req.student.id;
+        const reservation = await checkInReservation(req.params.id, staffId);
+        if (!reservation) {
+            return res.status(404).json({ error: 'Reservation not found' });
+        }
+        res.json(reservation);
+    } catch (err) {
+        if (isPermissionError(err.message)) {
+            return res.status(403).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        if (isValidationError(err.message)) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+router.delete('/:id', async (req, res) => {
+    try {
+        const studentId = req.student.id;
         const deletedReservation = await deleteReservation(req.params.id, studentId);
         if (!deletedReservation) {
             return res.status(404).json({ error: 'Reservation not found or unauthorized' });
         }
         res.json(deletedReservation);
     } catch (err) {
+        if (isPolicyError(err)) {
+            return res.status(403).json({ error: err.message, code: err.code });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -1,16 +1,93 @@
 import express from 'express';
-import { createStudent, getStudent } from '../services/studentService.js';
+import { once } from 'node:events';
+import { createStudent, getStudent, listStudents, updateStudent, deleteStudent, updateStudentRole } from '../services/studentService.js';
+import { importStudents, exportStudentsCsv } from '../services/studentBulkService.js';
+import { authenticate, optionalAuthenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 
-router.post('/', async (req, res) => {
+function isConflictError(message) {
+    return message.includes('modified concurrently');
+}
+
+// Registration is open, granting a role needs a super-admin's token
+router.post('/', optionalAuthenticate, async (req, res) => {
     try {
-        const student = await createStudent(req.body);
+        const student = await createStudent(req.body, req.student?.id);
         res.status(201).json(student);
     } catch (err) {
-        if (err.message === 'Invalid email format' || err.message === 'Email already in use') {
+        if (err.message === 'Email already in use' || err.message.startsWith('Password') || err.message.startsWith('Invalid')
+            || err.message.startsWith('canteenIds') || err.message.endsWith('not found')) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.message.startsWith('Permission denied')) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/', authenticate, requirePermission('students:manage', { canteenParam: null }), async (req, res) => {
+    try {
+        const result = await listStudents(req.query, req.student.id);
+        res.json(result);
+    } catch (err) {
+        if (err.message.startsWith('Invalid') || err.message.startsWith('search') || err.message.startsWith('limit')) {
             return res.status(400).json({ error: err.message });
         }
+        if (err.message.startsWith('Permission denied')) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// CSV or JSON lines arrive as text, the format follows the Content-Type
+const IMPORT_TYPES = { csv: 'text/csv', jsonl: ['application/x-ndjson', 'application/jsonl'] };
+
+router.post('/import', authenticate, requirePermission('students:manage', { canteenParam: null }),
+    express.text({ type: [IMPORT_TYPES.csv, ...IMPORT_TYPES.jsonl], limit: '5mb' }), async (req, res) => {
+    try {
+        const format = req.is(IMPORT_TYPES.csv) ? 'csv' : req.is(IMPORT_TYPES.jsonl) ? 'jsonl' : null;
+        if (!format || typeof req.body !== 'string') {
+            return res.status(415).json({ error: 'Content-Type must be text/csv or application/x-ndjson' });
+        }
+        const report = await importStudents(req.body, format, { dryRun: req.query.dryRun === 'true' }, req.student.id);
+        res.json(report);
+    } catch (err) {
+        if (err.message.startsWith('Invalid') || err.message.startsWith('Unknown column') || err.message.startsWith('Duplicate column')
+            || err.message.startsWith('Missing column') || err.message.startsWith('Import')) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.message.startsWith('Permission denied')) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/export', authenticate, requirePermission('students:manage', { canteenParam: null }), async (req, res) => {
+    try {
+        const chunks = await exportStudentsCsv(req.student.id);
+        res.attachment('students.csv');
+        res.type('text/csv');
+        for await (const chunk of chunks) {
+            // Stop reading students once the client has gone
+            if (res.destroyed) return;
+            if (!res.write(chunk)) {
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+    } catch (err) {
+        // Once rows have been sent the status cannot change, so the download is cut short
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        if (err.message.startsWith('Permission denied')) {
+            return res.status(403).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -26,4 +103,57 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+router.put('/:id', authenticate, async (req, res) => {
+    try {
+        const student = await updateStudent(req.params.id, req.body, req.student.id);
+        if (!student) return res.status(404).json({ error: 'Student not found' });
+        res.json(student);
+    } catch (err) {
+        if (err.message === 'Email already in use') {
+            return res.status(409).json({ error: err.message });
+        }
+        if (err.message.startsWith('Name') || err.message.startsWith('Email') || err.message.startsWith('Invalid')
+            || err.message.startsWith('At least one')) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.message.startsWith('Permission denied')) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id', authenticate, async (req, res) => {
+    try {
+        const summary = await deleteStudent(req.params.id, req.student.id);
+        if (!summary) return res.status(404).json({ error: 'Student not found' });
+        res.json(summary);
+    } catch (err) {
+        if (err.message.startsWith('Permission denied') || err.message.includes('cannot delete their own account')) {
+            return res.status(403).json({ error: err.message });
+        }
+        if (isConflictError(err.message)) {
+            return res.status(409).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/:id/role', authenticate, requirePermission('students:assignRoles', { canteenParam: null }), async (req, res) => {
+    try {
+        const student = await updateStudentRole(req.params.id, req.body, req.student.id);
+        if (!student) return res.status(404).json({ error: 'Student not found' });
+        res.json(student);
+    } catch (err) {
+        if (err.message === 'role is required' || err.message.startsWith('Invalid')
+            || err.message.startsWith('canteenIds') || err.message.endsWith('not found')) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.message.startsWith('Permission denied') || err.message.includes('cannot change their own role')) {
+            return res.status(403).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
 export default router;
\ No newline at end of file
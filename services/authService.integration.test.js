@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { createClient } from 'redis';
+
+// These tests run the refresh token rotation on a real Redis server, in database 15 unless
+// REDIS_TEST_URL says otherwise. The database is flushed before every test, and the suite
+// is skipped when no server answers.
+const redisClient = createClient({
+    url: process.env.REDIS_TEST_URL || 'redis://localhost:6379/15',
+    socket: { connectTimeout: 1000, reconnectStrategy: false }
+});
+redisClient.on('error', () => {});
+const redisAvailable = await redisClient.connect().then(() => true, () => false);
+const describeWithRedis = redisAvailable ? describe : describe.skip;
+
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: redisClient
+}));
+
+jest.unstable_mockModule('./studentService.js', () => ({
+    getStudent: jest.fn(async id => ({ id: parseInt(id, 10) }))
+}));
+
+// Import after mocking
+const { hashPassword, login, refreshSession, authenticateToken } = await import('./authService.js');
+
+describeWithRedis('authService with Redis', () => {
+    beforeEach(async () => {
+        await redisClient.flushDb();
+        await redisClient.hSet('student:email:index', 'john@example.com', '7');
+        await redisClient.hSet('student:7', { id: 7, passwordHash: await hashPassword('correct horse') });
+    });
+
+    afterAll(async () => {
+        await redisClient.close();
+    });
+
+    it('should trade a refresh token only once when it is presented several times at once', async () => {
+        const { refreshToken } = await login('john@example.com', 'correct horse');
+
+        const results = await Promise.allSettled(Array.from({ length: 5 }, () => refreshSession(refreshToken)));
+
+        const rejected = results.filter(r => r.status === 'rejected');
+        expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+        expect(rejected.every(r => r.reason.message === 'Refresh token already used, session revoked')).toBe(true);
+        // The reuse ends the session, including for the token pair that was handed out
+        const [{ value: tokens }] = results.filter(r => r.status === 'fulfilled');
+        await expect(authenticateToken(tokens.accessToken)).rejects.toThrow('Session revoked');
+    });
+
+    it('should keep the session alive while it is refreshed', async () => {
+        const { accessToken, refreshToken } = await login('john@example.com', 'correct horse');
+        const { sessionId } = await authenticateToken(accessToken);
+
+        const next = await refreshSession(refreshToken);
+
+        expect((await authenticateToken(next.accessToken)).sessionId).toBe(sessionId);
+        expect(await redisClient.ttl(`session:${sessionId}`)).toBeGreaterThan(6 * 24 * 60 * 60);
+    });
+});
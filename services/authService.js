@@ -0,0 +1,235 @@
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import redisClient from "../config/redis.js";
+import { getStudent } from "./studentService.js";
+
+const scryptAsync = promisify(scrypt);
+
+const STUDENT_EMAIL_INDEX = 'student:email:index';
+const ACCESS_TOKEN_SECONDS = 15 * 60;
+const REFRESH_TOKEN_SECONDS = 7 * 24 * 60 * 60;
+const PASSWORD_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Without a configured secret, tokens only survive until the server restarts
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || randomBytes(32).toString('hex');
+
+function getSessionKey(sessionId) {
+    return `session:${sessionId}`;
+}
+
+function getStudentSessionsKey(studentId) {
+    return `studentSessions:${studentId}`;
+}
+
+export function validatePassword(password) {
+    if (!password || typeof password !== 'string') {
+        throw new Error('Password is required');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+        throw new Error(`Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+    }
+}
+
+/**
+ * Salted scrypt hash of a password, stored as `scrypt$<salt>$<hash>` in hex
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(16).toString('hex');
+    const hash = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        // Take as long as a real check so unknown emails cannot be told apart
+        await scryptAsync(password, randomBytes(16).toString('hex'), PASSWORD_KEY_LENGTH);
+        return false;
+    }
+    const hash = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+    return timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+function sign(data) {
+    return createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Token carrying its claims as base64url JSON, followed by their HMAC-SHA256 signature
+ */
+function issueToken(claims, lifetimeSeconds) {
+    const payload = Buffer.from(JSON.stringify({
+        ...claims,
+        exp: Math.floor(Date.now() / 1000) + lifetimeSeconds
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+}
+
+function readToken(token, type) {
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature) {
+        throw new Error('Invalid token');
+    }
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        throw new Error('Invalid token');
+    }
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch {
+        throw new Error('Invalid token');
+    }
+    if (claims.typ !== type) {
+        throw new Error('Invalid token');
+    }
+    if (claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new Error('Token expired');
+    }
+    return claims;
+}
+
+/**
+ * Swap a session's refresh token id for a new one if it still holds the presented one.
+ * KEYS: the session hash. ARGV: the student id, the presented and the new refresh token id,
+ * the refresh time and the session lifetime in seconds.
+ * Returns OK when rotated, REVOKED when the session is gone or not the student's, and
+ * REUSED when the presented refresh token was already traded.
+ */
+const ROTATE_REFRESH_TOKEN_SCRIPT = `
+local sessionKey = KEYS[1]
+local session = redis.call('HMGET', sessionKey, 'studentId', 'refreshTokenId')
+if session[1] ~= ARGV[1] then
+    return 'REVOKED'
+end
+if session[2] ~= ARGV[2] then
+    return 'REUSED'
+end
+redis.call('HSET', sessionKey, 'refreshTokenId', ARGV[3], 'refreshedAt', ARGV[4])
+redis.call('EXPIRE', sessionKey, ARGV[5])
+return 'OK'
+`;
+
+/**
+ * An access token and a single-use refresh token for a session
+ */
+function createTokens(studentId, sessionId, refreshTokenId) {
+    return {
+        accessToken: issueToken({ typ: 'access', sub: studentId, sid: sessionId }, ACCESS_TOKEN_SECONDS),
+        refreshToken: issueToken({ typ: 'refresh', sub: studentId, sid: sessionId, jti: refreshTokenId }, REFRESH_TOKEN_SECONDS),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_SECONDS
+    };
+}
+
+/**
+ * Start a session for a student's email and password
+ */
+export async function login(email, password) {
+    if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+        throw new Error('Email and password are required');
+    }
+    const studentId = await redisClient.hGet(STUDENT_EMAIL_INDEX, email);
+    const passwordHash = studentId ? await redisClient.hGet(`student:${studentId}`, 'passwordHash') : null;
+    if (!await verifyPassword(password, passwordHash)) {
+        throw new Error('Invalid email or password');
+    }
+
+    const sessionId = randomBytes(16).toString('hex');
+    const refreshTokenId = randomBytes(16).toString('hex');
+    const now = new Date().toISOString();
+    await redisClient.hSet(getSessionKey(sessionId), {
+        id: sessionId,
+        studentId: String(studentId),
+        createdAt: now,
+        refreshTokenId,
+        refreshedAt: now
+    });
+    await redisClient.expire(getSessionKey(sessionId), REFRESH_TOKEN_SECONDS);
+    await redisClient.sAdd(getStudentSessionsKey(studentId), sessionId);
+    const tokens = createTokens(parseInt(studentId, 10), sessionId, refreshTokenId);
+    return { ...tokens, student: await getStudent(studentId) };
+}
+
+/**
+ * The student and session behind a valid access token of a live session
+ */
+export async function authenticateToken(accessToken) {
+    const claims = readToken(accessToken, 'access');
+    const session = await redisClient.hGetAll(getSessionKey(claims.sid));
+    if (Object.keys(session).length === 0 || session.studentId !== String(claims.sub)) {
+        throw new Error('Session revoked');
+    }
+    const student = await getStudent(claims.sub);
+    if (!student) {
+        throw new Error('Session revoked');
+    }
+    return { student, sessionId: claims.sid };
+}
+
+/**
+ * Trade a refresh token for a new token pair. Each refresh token works once, even when it
+ * is presented several times at once; presenting a used one again revokes the whole session.
+ */
+export async function refreshSession(refreshToken) {
+    const claims = readToken(refreshToken, 'refresh');
+    const refreshTokenId = randomBytes(16).toString('hex');
+    const outcome = await redisClient.eval(ROTATE_REFRESH_TOKEN_SCRIPT, {
+        keys: [getSessionKey(claims.sid)],
+        arguments: [String(claims.sub), claims.jti, refreshTokenId, new Date().toISOString(), String(REFRESH_TOKEN_SECONDS)]
+    });
+    if (outcome === 'REVOKED') {
+        throw new Error('Session revoked');
+    }
+    if (outcome === 'REUSED') {
+        await revokeSession(claims.sub, claims.sid);
+        throw new Error('Refresh token already used, session revoked');
+    }
+    return createTokens(claims.sub, claims.sid, refreshTokenId);
+}
+
+/**
+ * Active sessions of a student, oldest first
+ */
+export async function getSessions(studentId) {
+    const sessionIds = await redisClient.sMembers(getStudentSessionsKey(studentId));
+    const sessions = [];
+    for (const sessionId of sessionIds) {
+        const session = await redisClient.hGetAll(getSessionKey(sessionId));
+        if (Object.keys(session).length === 0) {
+            // Expired on its own
+            await redisClient.sRem(getStudentSessionsKey(studentId), sessionId);
+            continue;
+        }
+        sessions.push({ id: session.id, createdAt: session.createdAt, refreshedAt: session.refreshedAt });
+    }
+    return sessions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * End one session of a student, null when the student has no such session
+ */
+export async function revokeSession(studentId, sessionId) {
+    const session = await redisClient.hGetAll(getSessionKey(sessionId));
+    if (Object.keys(session).length === 0 || session.studentId !== String(studentId)) {
+        return null;
+    }
+    await redisClient.del(getSessionKey(sessionId));
+    await redisClient.sRem(getStudentSessionsKey(studentId), sessionId);
+    return { id: sessionId };
+}
+
+/**
+ * End every session of a student, e.g. on every device
+ */
+export async function revokeAllSessions(studentId) {
+    const sessionIds = await redisClient.sMembers(getStudentSessionsKey(studentId));
+    if (sessionIds.length > 0) {
+        await redisClient.del(sessionIds.map(getSessionKey));
+    }
+    await redisClient.del(getStudentSessionsKey(studentId));
+    return { revokedSessions: sessionIds.length };
+}
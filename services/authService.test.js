@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client backed by in-memory hashes and sets
+const hashes = new Map();
+const sets = new Map();
+const mockRedisClient = {
+    hGet: jest.fn(async (key, field) => hashes.get(key)?.[field] ?? null),
+    hGetAll: jest.fn(async key => ({ ...(hashes.get(key) || {}) })),
+    hSet: jest.fn(async (key, fields) => {
+        hashes.set(key, { ...(hashes.get(key) || {}), ...fields });
+    }),
+    expire: jest.fn(),
+    del: jest.fn(async keys => {
+        for (const key of [keys].flat()) {
+            hashes.delete(key);
+            sets.delete(key);
+        }
+    }),
+    sAdd: jest.fn(async (key, member) => {
+        sets.set(key, new Set([...(sets.get(key) || []), member]));
+    }),
+    sRem: jest.fn(async (key, member) => sets.get(key)?.delete(member)),
+    sMembers: jest.fn(async key => [...(sets.get(key) || [])]),
+    // Stands in for the refresh token rotation script, which Redis runs atomically
+    eval: jest.fn(async (script, { keys: [sessionKey], arguments: [studentId, presented, next, refreshedAt] }) => {
+        const session = hashes.get(sessionKey);
+        if (session?.studentId !== studentId) return 'REVOKED';
+        if (session.refreshTokenId !== presented) return 'REUSED';
+        hashes.set(sessionKey, { ...session, refreshTokenId: next, refreshedAt });
+        return 'OK';
+    })
+};
+
+// Mock student service
+const mockGetStudent = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+jest.unstable_mockModule('./studentService.js', () => ({
+    getStudent: mockGetStudent
+}));
+
+// Import after mocking
+const {
+    hashPassword,
+    verifyPassword,
+    login,
+    authenticateToken,
+    refreshSession,
+    getSessions,
+    revokeSession,
+    revokeAllSessions
+} = await import('./authService.js');
+
+describe('authService', () => {
+    const student = { id: 7, name: 'John Doe', email: 'john@example.com', isAdmin: false, isStaff: false, noShowCount: 0 };
+    let passwordHash;
+
+    beforeAll(async () => {
+        passwordHash = await hashPassword('correct horse');
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useRealTimers();
+        hashes.clear();
+        sets.clear();
+        hashes.set('student:email:index', { 'john@example.com': '7' });
+        hashes.set('student:7', { id: '7', email: 'john@example.com', passwordHash });
+        mockGetStudent.mockImplementation(async id => (String(id) === '7' ? student : null));
+    });
+
+    describe('passwords', () => {
+        it('should verify a password against its salted hash', async () => {
+            expect(await verifyPassword('correct horse', passwordHash)).toBe(true);
+            expect(await verifyPassword('wrong horse', passwordHash)).toBe(false);
+            expect(await verifyPassword('correct horse', undefined)).toBe(false);
+            expect(await hashPassword('correct horse')).not.toBe(passwordHash);
+        });
+    });
+
+    describe('login', () => {
+        it('should start a session and return tokens with the student', async () => {
+            const result = await login('john@example.com', 'correct horse');
+
+            expect(result).toMatchObject({ tokenType: 'Bearer', expiresIn: 900, student });
+            const { student: authenticated, sessionId } = await authenticateToken(result.accessToken);
+            expect(authenticated).toBe(student);
+            expect(sets.get('studentSessions:7')).toEqual(new Set([sessionId]));
+            expect(mockRedisClient.expire).toHaveBeenCalledWith(`session:${sessionId}`, 7 * 24 * 60 * 60);
+        });
+
+        it('should reject a wrong password or unknown email alike', async () => {
+            await expect(login('john@example.com', 'wrong horse')).rejects.toThrow('Invalid email or password');
+            await expect(login('jane@example.com', 'correct horse')).rejects.toThrow('Invalid email or password');
+            await expect(login('john@example.com')).rejects.toThrow('Email and password are required');
+            expect(sets.size).toBe(0);
+        });
+    });
+
+    describe('authenticateToken', () => {
+        it('should reject tampered tokens and refresh tokens', async () => {
+            const { accessToken, refreshToken } = await login('john@example.com', 'correct horse');
+            const [payload, signature] = accessToken.split('.');
+            const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 1 })).toString('base64url');
+
+            await expect(authenticateToken(`${forged}.${signature}`)).rejects.toThrow('Invalid token');
+            await expect(authenticateToken(refreshToken)).rejects.toThrow('Invalid token');
+            await expect(authenticateToken('garbage')).rejects.toThrow('Invalid token');
+        });
+
+        it('should reject expired access tokens', async () => {
+            const { accessToken } = await login('john@example.com', 'correct horse');
+            jest.useFakeTimers({ now: Date.now() + 16 * 60 * 1000 });
+
+            await expect(authenticateToken(accessToken)).rejects.toThrow('Token expired');
+        });
+
+        it('should reject tokens of an ended session', async () => {
+            const { accessToken } = await login('john@example.com', 'correct horse');
+            const { sessionId } = await authenticateToken(accessToken);
+
+            expect(await revokeSession(7, sessionId)).toEqual({ id: sessionId });
+
+            await expect(authenticateToken(accessToken)).rejects.toThrow('Session revoked');
+        });
+    });
+
+    describe('refreshSession', () => {
+        it('should rotate the refresh token', async () => {
+            const first = await login('john@example.com', 'correct horse');
+
+            const second = await refreshSession(first.refreshToken);
+
+            expect(second.refreshToken).not.toBe(first.refreshToken);
+            expect((await authenticateToken(second.accessToken)).student).toBe(student);
+            const third = await refreshSession(second.refreshToken);
+            expect(third.accessToken).toEqual(expect.any(String));
+        });
+
+        it('should end the session when a used refresh token comes back', async () => {
+            const first = await login('john@example.com', 'correct horse');
+            const second = await refreshSession(first.refreshToken);
+
+            await expect(refreshSession(first.refreshToken))
+                .rejects.toThrow('Refresh token already used, session revoked');
+            await expect(refreshSession(second.refreshToken)).rejects.toThrow('Session revoked');
+            await expect(authenticateToken(second.accessToken)).rejects.toThrow('Session revoked');
+        });
+    });
+
+    describe('sessions', () => {
+        it('should list and revoke own sessions only', async () => {
+            await login('john@example.com', 'correct horse');
+            const { accessToken } = await login('john@example.com', 'correct horse');
+            const { sessionId } = await authenticateToken(accessToken);
+
+            const sessions = await getSessions(7);
+            expect(sessions).toHaveLength(2);
+            expect(sessions.map(session => session.id)).toContain(sessionId);
+            expect(await revokeSession(8, sessionId)).toBeNull();
+
+            expect(await revokeAllSessions(7)).toEqual({ revokedSessions: 2 });
+            expect(await getSessions(7)).toEqual([]);
+            await expect(authenticateToken(accessToken)).rejects.toThrow('Session revoked');
+        });
+
+        it('should drop expired sessions from the list', async () => {
+            sets.set('studentSessions:7', new Set(['gone']));
+
+            expect(await getSessions(7)).toEqual([]);
+            expect(mockRedisClient.sRem).toHaveBeenCalledWith('studentSessions:7', 'gone');
+        });
+    });
+});
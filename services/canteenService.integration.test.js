@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { createClient } from 'redis';
+
+// These tests run the canteen write script and listing on a real Redis server, in database 15 unless
+// REDIS_TEST_URL says otherwise. The database is flushed before every test, and the suite
+// is skipped when no server answers.
+const redisClient = createClient({
+    url: process.env.REDIS_TEST_URL || 'redis://localhost:6379/15',
+    socket: { connectTimeout: 1000, reconnectStrategy: false }
+});
+redisClient.on('error', () => {});
+const redisAvailable = await redisClient.connect().then(() => true, () => false);
+const describeWithRedis = redisAvailable ? describe : describe.skip;
+
+// Everything but Redis is mocked
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: redisClient
+}));
+
+jest.unstable_mockModule('./permissionService.js', () => ({
+    checkPermission: jest.fn()
+}));
+
+jest.unstable_mockModule('./mealTypeService.js', () => ({
+    getMealTypes: jest.fn(),
+    getMealTypeKeys: jest.fn(async () => ['breakfast', 'lunch', 'dinner'])
+}));
+
+jest.unstable_mockModule('./menuService.js', () => ({
+    getMenu: jest.fn(),
+    deleteCanteenMenus: jest.fn()
+}));
+
+jest.unstable_mockModule('./reservactionService.js', () => ({
+    countUpcomingCanteenReservations: jest.fn(async () => 0),
+    cancelCanteenReservations: jest.fn(),
+    findCanteenUpdateConflicts: jest.fn(async () => []),
+    cancelConflictingReservations: jest.fn(async () => []),
+    cancelClosedReservations: jest.fn(async () => [])
+}));
+
+// Import after mocking
+const { createCanteen, updateCanteen, createClosure, deleteClosure, getCanteen, listCanteens } = await import('./canteenService.js');
+
+describeWithRedis('canteenService with Redis', () => {
+    const closure = (startTime, reason) => ({
+        startDate: '2030-12-16', startTime, endDate: '2030-12-16', endTime: '12:00', reason
+    });
+
+    beforeEach(async () => {
+        await redisClient.flushDb();
+        await createCanteen({
+            name: 'Main Canteen',
+            location: 'Building A',
+            capacity: 30,
+            workingHours: [{ meal: 'lunch', from: '11:00', to: '13:00' }],
+            createdBy: 1
+        });
+    });
+
+    afterAll(async () => {
+        await redisClient.close();
+    });
+
+    it('should keep every closure created at the same time', async () => {
+        await Promise.all([
+            createClosure(1, closure('11:00', 'Inspection'), 1),
+            createClosure(1, closure('11:30', 'Private event'), 1)
+        ]);
+
+        expect((await getCanteen(1)).closures.map(entry => entry.reason)).toEqual(['Inspection', 'Private event']);
+    });
+
+    it('should keep a closure saved while the canteen was being updated', async () => {
+        const runScript = redisClient.eval.bind(redisClient);
+        const evalSpy = jest.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+            await createClosure(1, closure('11:00', 'Inspection'), 1);
+            return runScript(...args);
+        });
+
+        await updateCanteen(1, { name: 'Renamed Canteen' }, 1);
+        evalSpy.mockRestore();
+
+        const canteen = await getCanteen(1);
+        expect(canteen.name).toBe('Renamed Canteen');
+        expect(canteen.closures.map(entry => entry.reason)).toEqual(['Inspection']);
+        expect(await redisClient.zRange('canteens:byName', 0, -1)).toEqual(['renamed canteen:1']);
+    });
+
+    it('should refuse an update computed from fields changed meanwhile', async () => {
+        const runScript = redisClient.eval.bind(redisClient);
+        const evalSpy = jest.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+            await updateCanteen(1, { name: 'Other Canteen' }, 1);
+            return runScript(...args);
+        });
+
+        await expect(updateCanteen(1, { name: 'Renamed Canteen' }, 1))
+            .rejects.toThrow('Canteen was modified concurrently, please retry');
+        evalSpy.mockRestore();
+
+        expect((await getCanteen(1)).name).toBe('Other Canteen');
+        expect(await redisClient.zRange('canteens:byName', 0, -1)).toEqual(['other canteen:1']);
+    });
+
+    it('should page through every canteen once, ties included', async () => {
+        for (const name of ['Annex', 'Cafe Central', 'Dining Hall']) {
+            await createCanteen({
+                name,
+                location: 'Building B',
+                capacity: name === 'Annex' ? 80 : 30,
+                workingHours: [{ meal: 'lunch', from: '11:00', to: '13:00' }],
+                createdBy: 1
+            });
+        }
+
+        const pageThrough = async query => {
+            const ids = [];
+            let cursor;
+            do {
+                const page = await listCanteens({ ...query, limit: '1', ...(cursor && { cursor }) });
+                ids.push(...page.canteens.map(canteen => canteen.id));
+                cursor = page.nextCursor;
+            } while (cursor);
+            return ids;
+        };
+
+        expect(await pageThrough({ sort: '-capacity' })).toEqual([2, 4, 3, 1]);
+        expect(await pageThrough({ sort: 'capacity', minCapacity: '30' })).toEqual([1, 3, 4, 2]);
+        expect(await pageThrough({ sort: '-name', location: 'building b' })).toEqual([4, 3, 2]);
+    });
+
+    it('should not bring back a deleted closure', async () => {
+        const { id } = await createClosure(1, closure('11:00', 'Inspection'), 1);
+
+        await Promise.all([
+            deleteClosure(1, id, 1),
+            createClosure(1, closure('11:30', 'Private event'), 1)
+        ]);
+
+        expect((await getCanteen(1)).closures.map(entry => entry.reason)).toEqual(['Private event']);
+    });
+});
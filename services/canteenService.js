@@ -1,76 +1,212 @@
 import redisClient from "../config/redis.js";
-import { getStudent } from "./studentService.js";
+import { checkPermission } from "./permissionService.js";
+import { validatePolicy } from "./policyService.js";
+import { getMealTypes, getMealTypeKeys } from "./mealTypeService.js";
+import { getMenu, deleteCanteenMenus } from "./menuService.js";
+import {
+    validateMealPeriods,
+    validateWeeklySchedule,
+    validateScheduleException,
+    validateSlotConfig,
+    validateCapacityOverride,
+    validateClosure,
+    findClosure,
+    validateTimezone,
+    getWorkingHoursForDate,
+    getMealForTime,
+    getSlotConfig,
+    getSlotCapacity,
+    getStartAlignment,
+    getBucketTimes,
+    formatDurations,
+    timeToMinutes,
+    minutesToTime,
+    getTimezone,
+    isExistingZonedTime,
+    zonedTimeToUtc,
+    addDays,
+    getCanteenMeals,
+    DEFAULT_SLOT_CONFIG,
+    DEFAULT_TIMEZONE
+} from "./scheduleService.js";
+import {
+    countUpcomingCanteenReservations,
+    cancelCanteenReservations,
+    findCanteenUpdateConflicts,
+    cancelConflictingReservations,
+    cancelClosedReservations
+} from "./reservactionService.js";
 
 const CANTEEN_COUNTER_KEY = 'canteen:id:counter';
+const CLOSURE_COUNTER_KEY = 'closure:id:counter';
+const CONFLICT_RESOLUTIONS = ['reject', 'keep', 'cancel'];
+// Times a closure change is read and written again after losing a race
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Listing indexes, kept in step with the canteen hashes
+const CANTEEN_IDS_KEY = 'canteens:byId';
+const CANTEEN_NAMES_KEY = 'canteens:byName';
+const CANTEEN_CAPACITIES_KEY = 'canteens:byCapacity';
+const LIST_SORTS = ['id', 'name', '-name', 'capacity', '-capacity'];
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+function getMealIndexKey(meal) {
+    return `canteens:byMeal:${meal}`;
+}
+
+/**
+ * Name index member: the lowercased name followed by the id, so names sort without reading canteens
+ */
+function getNameIndexMember(canteen) {
+    return `${canteen.name.toLowerCase()}:${canteen.id}`;
+}
 
 /**
- * Get the meal name for a given time based on workingHours
+ * Queue the index updates for a new or changed canteen on a transaction.
+ * `previous` is the canteen before the change, null for a new one.
  */
-function getMealForTime(workingHours, time) {
-    for (const period of workingHours) {
-        if (time >= period.from && time < period.to) {
-            return period.meal;
+function queueCanteenIndexes(multi, previous, canteen) {
+    const id = String(canteen.id);
+    multi.zAdd(CANTEEN_IDS_KEY, { score: canteen.id, value: id });
+    if (previous && previous.name !== canteen.name) {
+        multi.zRem(CANTEEN_NAMES_KEY, getNameIndexMember(previous));
+    }
+    multi.zAdd(CANTEEN_NAMES_KEY, { score: 0, value: getNameIndexMember(canteen) });
+    multi.zAdd(CANTEEN_CAPACITIES_KEY, { score: canteen.capacity, value: id });
+
+    const meals = getCanteenMeals(canteen);
+    for (const meal of previous ? getCanteenMeals(previous) : []) {
+        if (!meals.has(meal)) {
+            multi.sRem(getMealIndexKey(meal), id);
         }
     }
-    return null;
+    for (const meal of meals) {
+        multi.sAdd(getMealIndexKey(meal), id);
+    }
 }
 
 /**
- * Generate all time slots between start and end times for a single date
- * For 30-min duration: every 30-min slot
- * For 60-min duration: only slots starting at even hours (:00)
+ * Write canteen fields, and the index changes they cause, unless the canteen changed since it was read.
+ * KEYS: the canteen hash, then the key of each index write.
+ * ARGV: guard count and field/value pairs the canteen must still have, field count and
+ * field/value pairs to write, then per index write its command followed by the score and
+ * member for ZADD or the member for ZREM, SADD and SREM.
+ * Returns 1 when written and 0 when a guarded field had changed.
  */
-function generateTimeSlotsForDate(date, startTime, endTime, duration, workingHours) {
-    const slots = [];
-    const durationMin = parseInt(duration);
-
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
+const WRITE_CANTEEN_SCRIPT = `
+local canteenKey = KEYS[1]
+local guardCount = tonumber(ARGV[1])
+for i = 1, guardCount do
+    if (redis.call('HGET', canteenKey, ARGV[2 * i]) or '') ~= ARGV[2 * i + 1] then
+        return 0
+    end
+end
+local fieldStart = 2 + 2 * guardCount
+local fieldCount = tonumber(ARGV[fieldStart])
+if fieldCount > 0 then
+    redis.call('HSET', canteenKey, unpack(ARGV, fieldStart + 1, fieldStart + 2 * fieldCount))
+end
+local argIndex = fieldStart + 2 * fieldCount + 1
+for i = 2, #KEYS do
+    local command = ARGV[argIndex]
+    if command == 'ZADD' then
+        redis.call('ZADD', KEYS[i], ARGV[argIndex + 1], ARGV[argIndex + 2])
+        argIndex = argIndex + 3
+    else
+        redis.call(command, KEYS[i], ARGV[argIndex + 1])
+        argIndex = argIndex + 2
+    end
+end
+return 1
+`;
 
-    let currentHour = startHour;
-    let currentMinute = startMinute;
+/**
+ * Run WRITE_CANTEEN_SCRIPT, reporting whether the canteen still had the `guard` values.
+ * `indexWrites` are collected with recordIndexWrites.
+ */
+async function writeCanteenFields(canteenKey, guard, fields, indexWrites = []) {
+    const toArgs = (object) => Object.entries(object).flat().map(String);
+    const written = await redisClient.eval(WRITE_CANTEEN_SCRIPT, {
+        keys: [canteenKey, ...indexWrites.map(write => write.key)],
+        arguments: [
+            String(Object.keys(guard).length),
+            ...toArgs(guard),
+            String(Object.keys(fields).length),
+            ...toArgs(fields),
+            ...indexWrites.flatMap(write => write.args)
+        ]
+    });
+    return written === 1;
+}
 
-    const endTotalMinutes = endHour * 60 + endMinute;
+/**
+ * Stands in for a transaction in queueCanteenIndexes and keeps the writes for writeCanteenFields
+ */
+function recordIndexWrites() {
+    const writes = [];
+    return {
+        writes,
+        zAdd: (key, { score, value }) => writes.push({ key, args: ['ZADD', String(score), value] }),
+        zRem: (key, value) => writes.push({ key, args: ['ZREM', value] }),
+        sAdd: (key, value) => writes.push({ key, args: ['SADD', value] }),
+        sRem: (key, value) => writes.push({ key, args: ['SREM', value] })
+    };
+}
 
-    while (true) {
-        const currentTotalMinutes = currentHour * 60 + currentMinute;
+/**
+ * Rewrite one field of a canteen from its current value. `update` gets the canteen and
+ * returns the new value; it runs again on a fresh read when another write got there first.
+ * Returns the canteen as written, or null once it no longer exists.
+ */
+async function updateCanteenField(canteenKey, canteen, field, update) {
+    for (let attempt = 1; ; attempt++) {
+        const value = update(canteen);
+        if (await writeCanteenFields(canteenKey, { id: canteen.id, [field]: canteen[field] || '' }, { [field]: value })) {
+            return { ...canteen, [field]: value };
+        }
+        if (attempt === MAX_WRITE_ATTEMPTS) {
+            throw new Error('Canteen was modified concurrently, please retry');
+        }
+        canteen = await redisClient.hGetAll(canteenKey);
+        if (Object.keys(canteen).length === 0) {
+            return null;
+        }
+    }
+}
 
-        // For 60-min slots, we need the next 30-min slot to exist
-        const slotEndMinutes = currentTotalMinutes + durationMin;
+function queueCanteenIndexRemoval(multi, canteen) {
+    const id = String(canteen.id);
+    multi.zRem(CANTEEN_IDS_KEY, id);
+    multi.zRem(CANTEEN_NAMES_KEY, getNameIndexMember(canteen));
+    multi.zRem(CANTEEN_CAPACITIES_KEY, id);
+    for (const meal of getCanteenMeals(canteen)) {
+        multi.sRem(getMealIndexKey(meal), id);
+    }
+}
 
-        if (slotEndMinutes > endTotalMinutes) {
-            break;
-        }
+/**
+ * Generate all time slots between start and end times for a single date in the canteen's zone.
+ * Slots start on every multiple of the alignment for the duration and must
+ * fit in the range with every bucket in the same meal period. Start times
+ * skipped by a DST jump are left out.
+ */
+function generateTimeSlotsForDate(date, startTime, endTime, duration, workingHours, slotConfig, timeZone) {
+    const slots = [];
+    const durationMin = parseInt(duration);
+    const alignment = getStartAlignment(slotConfig, durationMin);
+    const endTotalMinutes = timeToMinutes(endTime);
 
-        const timeStr = `${String(currentHour).padStart(2, '0')}:${String(currentMinute).padStart(2, '0')}`;
+    const firstStart = Math.ceil(timeToMinutes(startTime) / alignment) * alignment;
+    for (let start = firstStart; start + durationMin <= endTotalMinutes; start += alignment) {
+        const timeStr = minutesToTime(start);
         const meal = getMealForTime(workingHours, timeStr);
 
-        // Only include slots that fall within a meal period
-        if (meal) {
-            // For 60-min duration, check that the second 30-min slot is also in the meal period
-            if (durationMin === 60) {
-                const nextTime = `${String(currentHour).padStart(2, '0')}:30`;
-                const nextMeal = getMealForTime(workingHours, nextTime);
-                if (nextMeal === meal) {
-                    slots.push({ date, time: timeStr, meal });
-                }
-            } else {
-                slots.push({ date, time: timeStr, meal });
-            }
-        }
-
-        // Move to next slot
-        if (durationMin === 60) {
-            // 60-min slots only start at even hours
-            currentHour += 1;
-            currentMinute = 0;
-        } else {
-            // 30-min slots advance by 30 minutes
-            currentMinute += 30;
-            if (currentMinute >= 60) {
-                currentMinute = 0;
-                currentHour += 1;
-            }
+        // Only include slots that stay within a single meal period
+        if (meal && getBucketTimes(timeStr, durationMin, slotConfig.granularity)
+            .every(bucket => getMealForTime(workingHours, bucket) === meal) &&
+            isExistingZonedTime(date, timeStr, timeZone)) {
+            slots.push({ date, time: timeStr, meal, startsAt: zonedTimeToUtc(date, timeStr, timeZone).toISOString() });
         }
     }
 
@@ -80,80 +216,79 @@ function generateTimeSlotsForDate(date, startTime, endTime, duration, workingHou
 /**
  * Generate all time slots in a date/time range
  */
-function generateTimeSlots(startDate, startTime, endDate, endTime, duration, workingHours) {
+function generateTimeSlots(startDate, startTime, endDate, endTime, duration, canteen) {
     const slots = [];
     const durationMin = parseInt(duration);
+    const slotConfig = getSlotConfig(canteen);
+    const timeZone = getTimezone(canteen);
+    for (const date of [startDate, endDate]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error('Invalid date format. Must be YYYY-MM-DD');
+        }
+    }
 
-    // Parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-        const dateStr = d.toISOString().split('T')[0];
-
+    // Dates are calendar days in the canteen's zone, independent of the server's
+    for (let dateStr = startDate; dateStr <= endDate; dateStr = addDays(dateStr, 1)) {
         // Determine time range for this date
         const dayStartTime = dateStr === startDate ? startTime : '00:00';
         const dayEndTime = dateStr === endDate ? endTime : '23:59';
 
-        const daySlots = generateTimeSlotsForDate(dateStr, dayStartTime, dayEndTime, durationMin, workingHours);
-        slots.push(...daySlots);
+        const workingHours = getWorkingHoursForDate(canteen, dateStr);
+        const daySlots = generateTimeSlotsForDate(dateStr, dayStartTime, dayEndTime, durationMin, workingHours, slotConfig, timeZone);
+        // Slots touching a temporary closure cannot be booked
+        slots.push(...daySlots.filter(slot => !findClosure(canteen, slot.date, slot.time, durationMin)));
     }
 
     return slots;
 }
 
 /**
- * Get canteen status with available slots
+ * Get canteen status with available slots.
+ * With `includeMenu` every slot lists the dishes of its meal's menu and their remaining portions.
  */
-export async function getCanteenStatus(canteenId, startDate, startTime, endDate, endTime, duration) {
+export async function getCanteenStatus(canteenId, startDate, startTime, endDate, endTime, duration, options = {}) {
     const canteen = await getCanteen(canteenId);
     if (!canteen) {
         return null;
     }
 
     const durationMin = parseInt(duration);
-    const slots = generateTimeSlots(startDate, startTime, endDate, endTime, durationMin, canteen.workingHours);
+    const { granularity, durations } = getSlotConfig(canteen);
+    if (!durations.includes(durationMin)) {
+        throw new Error(`Duration must be ${formatDurations(durations)}`);
+    }
+    const slots = generateTimeSlots(startDate, startTime, endDate, endTime, durationMin, canteen);
+    const mealNames = Object.fromEntries((await getMealTypes()).map(mealType => [mealType.key, mealType.name]));
+    const menus = new Map();
 
     // Fetch current counts for all slots
     const result = [];
 
     for (const slot of slots) {
-        const slotKey = `slot:${canteenId}:${slot.date}:${slot.time}`;
-
-        if (durationMin === 60) {
-            // For 60-min slots, get both 30-min slot counts
-            const [hours] = slot.time.split(':').map(Number);
-            const nextTime = `${String(hours).padStart(2, '0')}:30`;
-            const nextSlotKey = `slot:${canteenId}:${slot.date}:${nextTime}`;
-
-            const [count1, count2] = await Promise.all([
-                redisClient.get(slotKey),
-                redisClient.get(nextSlotKey)
-            ]);
-
-            const used1 = parseInt(count1 || '0', 10);
-            const used2 = parseInt(count2 || '0', 10);
-            const remainingCapacity = canteen.capacity - Math.max(used1, used2);
-
-            result.push({
-                date: slot.date,
-                meal: slot.meal,
-                startTime: slot.time,
-                remainingCapacity: Math.max(0, remainingCapacity)
-            });
-        } else {
-            // For 30-min slots
-            const count = await redisClient.get(slotKey);
-            const used = parseInt(count || '0', 10);
-            const remainingCapacity = canteen.capacity - used;
-
-            result.push({
-                date: slot.date,
-                meal: slot.meal,
-                startTime: slot.time,
-                remainingCapacity: Math.max(0, remainingCapacity)
-            });
+        // A slot is as free as its fullest bucket, each with its own effective capacity
+        const buckets = getBucketTimes(slot.time, durationMin, granularity);
+        const counts = await Promise.all(buckets.map(bucket => redisClient.get(`slot:${canteenId}:${slot.date}:${bucket}`)));
+        const remainingCapacity = Math.min(...buckets.map((bucket, i) =>
+            getSlotCapacity(canteen, slot.date, bucket) - parseInt(counts[i] || '0', 10)
+        ));
+
+        const slotStatus = {
+            date: slot.date,
+            meal: slot.meal,
+            mealName: mealNames[slot.meal] ?? slot.meal,
+            startTime: slot.time,
+            startsAt: slot.startsAt,
+            remainingCapacity: Math.max(0, remainingCapacity)
+        };
+        if (options.includeMenu) {
+            // Slots of the same meal share one menu
+            const menuKey = `${slot.date}:${slot.meal}`;
+            if (!menus.has(menuKey)) {
+                menus.set(menuKey, await getMenu(canteen.id, slot.date, slot.meal));
+            }
+            slotStatus.menu = menus.get(menuKey)?.dishes ?? [];
         }
+        result.push(slotStatus);
     }
 
     return { slots: result };
@@ -162,12 +297,20 @@ export async function getCanteenStatus(canteenId, startDate, startTime, endDate,
 /**
  * Get status for all canteens
  */
-export async function getAllCanteensStatus(startDate, startTime, endDate, endTime, duration) {
+export async function getAllCanteensStatus(startDate, startTime, endDate, endTime, duration, options = {}) {
     const canteens = await getAllCanteens();
     const results = [];
 
-    for (const canteen of canteens) {
-        const status = await getCanteenStatus(canteen.id, startDate, startTime, endDate, endTime, duration);
+    // Canteens that do not offer the duration are left out, unless none does
+    const durationMin = parseInt(duration);
+    const offered = canteens.filter(canteen => getSlotConfig(canteen).durations.includes(durationMin));
+    if (canteens.length > 0 && offered.length === 0) {
+        const allDurations = [...new Set(canteens.flatMap(canteen => getSlotConfig(canteen).durations))];
+        throw new Error(`Duration must be ${formatDurations(allDurations.sort((a, b) => a - b))}`);
+    }
+
+    for (const canteen of offered) {
+        const status = await getCanteenStatus(canteen.id, startDate, startTime, endDate, endTime, duration, options);
         results.push({
             canteenId: canteen.id,
             name: canteen.name,
@@ -178,15 +321,7 @@ export async function getAllCanteensStatus(startDate, startTime, endDate, endTim
     return results;
 }
 
-async function checkAdminStudent(studentId) {
-    // Chack if student creating the canteen is admin
-    const student = await getStudent(studentId);
-    if (!student || !student.isAdmin) {
-        throw new Error('Only admin students can create canteens');
-    }
-}
-
-function validateCanteenData(canteenData) {
+function validateCanteenData(canteenData, mealTypeKeys) {
     // Validate name
     if (!canteenData.name || typeof canteenData.name !== 'string') {
         throw new Error('Name is required');
@@ -231,82 +366,56 @@ function validateCanteenData(canteenData) {
         throw new Error('At least one working hours period is required');
     }
 
-    const validMeals = ['breakfast', 'lunch', 'dinner'];
-    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // HH:mm format
-
-    for (const period of canteenData.workingHours) {
-        // Validate meal name
-        if (!period.meal || typeof period.meal !== 'string') {
-            throw new Error('Each working hours period must have a meal name');
-        }
-        if (!validMeals.includes(period.meal.toLowerCase())) {
-            throw new Error(`Invalid meal type: ${period.meal}. Must be breakfast, lunch, or dinner`);
-        }
-
-        // Validate from time
-        if (!period.from || typeof period.from !== 'string') {
-            throw new Error('Each working hours period must have a from time');
-        }
-        if (!timeRegex.test(period.from)) {
-            throw new Error(`Invalid from time format: ${period.from}. Must be HH:mm`);
-        }
-
-        // Validate to time
-        if (!period.to || typeof period.to !== 'string') {
-            throw new Error('Each working hours period must have a to time');
-        }
-        if (!timeRegex.test(period.to)) {
-            throw new Error(`Invalid to time format: ${period.to}. Must be HH:mm`);
-        }
+    const workingHours = validateMealPeriods(canteenData.workingHours, mealTypeKeys);
 
-        // Validate from < to
-        if (period.from >= period.to) {
-            throw new Error(`Working hours 'from' (${period.from}) must be before 'to' (${period.to})`);
-        }
+    // Validate optional per-weekday schedule
+    const weeklySchedule = canteenData.weeklySchedule === undefined || canteenData.weeklySchedule === null
+        ? {}
+        : validateWeeklySchedule(canteenData.weeklySchedule, mealTypeKeys);
 
-        // Validate minimum 30-min duration
-        const [fromHour, fromMin] = period.from.split(':').map(Number);
-        const [toHour, toMin] = period.to.split(':').map(Number);
-        const durationMinutes = (toHour * 60 + toMin) - (fromHour * 60 + fromMin);
-        if (durationMinutes < 30) {
-            throw new Error('Each working hours period must be at least 30 minutes');
-        }
-    }
+    // Validate optional slot rules, the 30/60-minute defaults otherwise
+    const slotConfig = canteenData.slotConfig === undefined || canteenData.slotConfig === null
+        ? { ...DEFAULT_SLOT_CONFIG }
+        : validateSlotConfig(canteenData.slotConfig);
 
-    // Check for overlapping periods
-    const sortedPeriods = [...canteenData.workingHours].sort((a, b) => a.from.localeCompare(b.from));
-    for (let i = 0; i < sortedPeriods.length - 1; i++) {
-        if (sortedPeriods[i].to > sortedPeriods[i + 1].from) {
-            throw new Error('Working hours periods cannot overlap');
-        }
-    }
+    // Validate optional IANA zone the hours are in, the server's zone otherwise
+    const timezone = canteenData.timezone === undefined || canteenData.timezone === null
+        ? DEFAULT_TIMEZONE
+        : validateTimezone(canteenData.timezone);
 
     return {
         name: trimmedName,
         location: trimmedLocation,
         capacity: capacity,
-        workingHours: canteenData.workingHours,
+        workingHours,
+        weeklySchedule,
+        slotConfig,
+        timezone,
         createdBy: canteenData.createdBy
     };
 }
 
 export async function createCanteen(canteenData) {
-    const validatedData = validateCanteenData(canteenData);
+    await checkPermission(canteenData.createdBy, 'canteens:create');
+    const validatedData = validateCanteenData(canteenData, await getMealTypeKeys());
     const id = await redisClient.incr(CANTEEN_COUNTER_KEY);
     const canteenKey = `canteen:${id}`;
 
-    // Chack if student creating the canteen is admin
-    await checkAdminStudent(validatedData.createdBy);
-
-    await redisClient.hSet(canteenKey, {
+    const multi = redisClient.multi();
+    multi.hSet(canteenKey, {
         id: id.toString(),
         name: validatedData.name,
         location: validatedData.location,
         capacity: validatedData.capacity,
         workingHours: JSON.stringify(validatedData.workingHours),
+        weeklySchedule: JSON.stringify(validatedData.weeklySchedule),
+        slotConfig: JSON.stringify(validatedData.slotConfig),
+        timezone: validatedData.timezone,
         createdBy: validatedData.createdBy,
         createdAt: new Date().toISOString()
     });
+    queueCanteenIndexes(multi, null, { id, ...validatedData });
+    await multi.exec();
     const { createdBy, createdAt, ...publicData } = validatedData;
     return { id, ...publicData };
 }
@@ -317,36 +426,259 @@ function sanitizeCanteen(canteen) {
         name: canteen.name,
         location: canteen.location,
         capacity: parseInt(canteen.capacity, 10),
-        workingHours: JSON.parse(canteen.workingHours)
+        timezone: canteen.timezone || DEFAULT_TIMEZONE,
+        workingHours: JSON.parse(canteen.workingHours),
+        weeklySchedule: JSON.parse(canteen.weeklySchedule || '{}'),
+        scheduleExceptions: JSON.parse(canteen.scheduleExceptions || '{}'),
+        slotConfig: canteen.slotConfig ? JSON.parse(canteen.slotConfig) : { ...DEFAULT_SLOT_CONFIG },
+        capacityOverrides: JSON.parse(canteen.capacityOverrides || '{}'),
+        closures: JSON.parse(canteen.closures || '[]'),
+        policy: JSON.parse(canteen.policy || '{}')
     };
 }
 
+/**
+ * Every canteen in id order
+ */
 export async function getAllCanteens() {
-    const canteenIds = await redisClient.keys('canteen:*');
+    const canteenIds = await redisClient.zRange(CANTEEN_IDS_KEY, 0, -1);
     const canteens = [];
-    for (const key of canteenIds) {
-        if (key === CANTEEN_COUNTER_KEY) continue;
-        const canteen = await redisClient.hGetAll(key);
+    for (const id of canteenIds) {
+        const canteen = await redisClient.hGetAll(`canteen:${id}`);
+        if (Object.keys(canteen).length === 0) continue;
         canteens.push(sanitizeCanteen(canteen));
     }
     return canteens;
 }
 
+function encodeListCursor(sort, entry) {
+    return Buffer.from(JSON.stringify({ sort, value: entry.value, id: entry.id })).toString('base64url');
+}
+
+function decodeListCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+        throw new Error('Invalid cursor');
+    }
+    const valueType = sort.endsWith('name') ? 'string' : 'number';
+    if (!decoded || decoded.sort !== sort || typeof decoded.value !== valueType || !Number.isInteger(decoded.id)) {
+        throw new Error('Invalid cursor');
+    }
+    return decoded;
+}
+
+/**
+ * Validate the query of the canteen listing
+ */
+function validateListQuery(query) {
+    const filters = {};
+    if (query.location !== undefined) {
+        if (typeof query.location !== 'string' || query.location.trim() === '' || query.location.length > 100) {
+            throw new Error('location must be a non-empty string of at most 100 characters');
+        }
+        filters.location = query.location.trim().toLowerCase();
+    }
+    if (query.meal !== undefined) {
+        if (typeof query.meal !== 'string') {
+            throw new Error('Invalid meal type');
+        }
+        filters.meal = query.meal.toLowerCase();
+    }
+    if (query.openAt !== undefined) {
+        const match = typeof query.openAt === 'string'
+            && /^(\d{4}-\d{2}-\d{2})T(([01]\d|2[0-3]):[0-5]\d)$/.exec(query.openAt);
+        if (!match || isNaN(new Date(match[1]).getTime())) {
+            throw new Error('Invalid openAt. Must be YYYY-MM-DDTHH:mm');
+        }
+        filters.openAt = { date: match[1], time: match[2] };
+    }
+    if (query.minCapacity !== undefined) {
+        if (!/^\d+$/.test(query.minCapacity)) {
+            throw new Error('minCapacity must be a non-negative integer');
+        }
+        filters.minCapacity = parseInt(query.minCapacity, 10);
+    }
+
+    const sort = query.sort ?? 'id';
+    if (!LIST_SORTS.includes(sort)) {
+        throw new Error(`Invalid sort. Must be ${LIST_SORTS.join(', ')}`);
+    }
+    let limit = DEFAULT_LIST_LIMIT;
+    if (query.limit !== undefined) {
+        if (!/^[1-9]\d*$/.test(query.limit)) {
+            throw new Error('limit must be a positive integer');
+        }
+        limit = parseInt(query.limit, 10);
+        if (limit > MAX_LIST_LIMIT) {
+            throw new Error(`limit cannot exceed ${MAX_LIST_LIMIT}`);
+        }
+    }
+    const cursor = query.cursor === undefined ? null : decodeListCursor(String(query.cursor), sort);
+    return { filters, sort, limit, cursor };
+}
+
+/**
+ * Read up to `count` canteen ids in the requested order from the sort's index, together with
+ * the sort value, skipping the first `offset` of them. The range starts at the cursor:
+ * past it for ids and names, at its capacity for capacities, so canteens sharing that
+ * capacity are read again and left to `isAfterListCursor`. A minimum capacity bounds the
+ * capacity range.
+ */
+async function readListEntries(sort, cursor, minCapacity, offset, count) {
+    const field = sort.replace(/^-/, '');
+    const descending = sort.startsWith('-');
+    const LIMIT = { offset, count };
+    if (field === 'name') {
+        const after = cursor ? `(${cursor.value}:${cursor.id}` : null;
+        const members = descending
+            ? await redisClient.zRange(CANTEEN_NAMES_KEY, after ?? '+', '-', { BY: 'LEX', REV: true, LIMIT })
+            : await redisClient.zRange(CANTEEN_NAMES_KEY, after ?? '-', '+', { BY: 'LEX', LIMIT });
+        return members.map(member => {
+            const separator = member.lastIndexOf(':');
+            return { id: parseInt(member.slice(separator + 1), 10), value: member.slice(0, separator) };
+        });
+    }
+    if (field === 'capacity') {
+        const lowest = minCapacity ?? -Infinity;
+        const members = descending
+            ? await redisClient.zRangeWithScores(CANTEEN_CAPACITIES_KEY, cursor?.value ?? Infinity, lowest,
+                { BY: 'SCORE', REV: true, LIMIT })
+            : await redisClient.zRangeWithScores(CANTEEN_CAPACITIES_KEY, Math.max(cursor?.value ?? lowest, lowest), Infinity,
+                { BY: 'SCORE', LIMIT });
+        return members.map(({ value, score }) => ({ id: parseInt(value, 10), value: score }));
+    }
+    const members = await redisClient.zRange(CANTEEN_IDS_KEY, cursor ? `(${cursor.id}` : -Infinity, Infinity, { BY: 'SCORE', LIMIT });
+    return members.map(value => ({ id: parseInt(value, 10), value: parseInt(value, 10) }));
+}
+
+/**
+ * Whether an index entry comes after the cursor. Entries with the cursor's sort value
+ * follow the index order of their ids, which Redis compares as text.
+ */
+function isAfterListCursor(entry, cursor, sort) {
+    if (!cursor || entry.value !== cursor.value) {
+        return true;
+    }
+    return sort.startsWith('-') ? String(entry.id) < String(cursor.id) : String(entry.id) > String(cursor.id);
+}
+
+function matchesCanteenFilters(canteen, filters) {
+    if (filters.location !== undefined && !canteen.location.toLowerCase().includes(filters.location)) {
+        return false;
+    }
+    if (filters.openAt !== undefined) {
+        const { date, time } = filters.openAt;
+        if (!getMealForTime(getWorkingHoursForDate(canteen, date), time)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * The index entries that pass the filters, with the canteens read to check location and
+ * opening hours kept in `loaded`. Meal and capacity are checked against the indexes.
+ */
+async function filterListEntries(entries, sort, filters, loaded) {
+    let kept = entries;
+    if (filters.meal !== undefined && kept.length > 0) {
+        const offered = await redisClient.smIsMember(getMealIndexKey(filters.meal), kept.map(entry => String(entry.id)));
+        kept = kept.filter((entry, i) => offered[i]);
+    }
+    // The capacity sorts already read only the canteens with enough seats
+    if (filters.minCapacity !== undefined && !sort.endsWith('capacity') && kept.length > 0) {
+        const capacities = await redisClient.zmScore(CANTEEN_CAPACITIES_KEY, kept.map(entry => String(entry.id)));
+        kept = kept.filter((entry, i) => capacities[i] !== null && capacities[i] >= filters.minCapacity);
+    }
+    if (filters.location === undefined && filters.openAt === undefined) {
+        return kept;
+    }
+    const matching = [];
+    for (const entry of kept) {
+        const canteen = await getCanteen(entry.id);
+        if (canteen && matchesCanteenFilters(canteen, filters)) {
+            loaded.set(entry.id, canteen);
+            matching.push(entry);
+        }
+    }
+    return matching;
+}
+
+/**
+ * Number of canteens that pass the filters, counted on the indexes. Null when filtering
+ * by location or opening hours, which would take reading every canteen.
+ */
+async function countListMatches(filters) {
+    if (filters.location !== undefined || filters.openAt !== undefined) {
+        return null;
+    }
+    if (filters.meal === undefined) {
+        return filters.minCapacity === undefined
+            ? redisClient.zCard(CANTEEN_IDS_KEY)
+            : redisClient.zCount(CANTEEN_CAPACITIES_KEY, filters.minCapacity, Infinity);
+    }
+    if (filters.minCapacity === undefined) {
+        return redisClient.sCard(getMealIndexKey(filters.meal));
+    }
+    const ids = await redisClient.sMembers(getMealIndexKey(filters.meal));
+    if (ids.length === 0) {
+        return 0;
+    }
+    const capacities = await redisClient.zmScore(CANTEEN_CAPACITIES_KEY, ids);
+    return capacities.filter(capacity => capacity !== null && capacity >= filters.minCapacity).length;
+}
+
+/**
+ * List canteens with filters (location substring, meal type offered, open at a local
+ * date and time, minimum capacity), sorting and cursor pagination.
+ * The sort's index is read from the cursor in batches of a page, filtering as it goes,
+ * until one canteen past the page turns up or the index runs out.
+ */
+export async function listCanteens(query = {}) {
+    const { filters, sort, limit, cursor } = validateListQuery(query);
+    if (filters.meal !== undefined && !(await getMealTypeKeys()).includes(filters.meal)) {
+        throw new Error(`Invalid meal type: ${filters.meal}`);
+    }
+
+    const matches = [];
+    const loaded = new Map();
+    const batchSize = limit + 1;
+    for (let offset = 0; matches.length <= limit; offset += batchSize) {
+        const entries = await readListEntries(sort, cursor, filters.minCapacity, offset, batchSize);
+        const afterCursor = entries.filter(entry => isAfterListCursor(entry, cursor, sort));
+        matches.push(...await filterListEntries(afterCursor, sort, filters, loaded));
+        if (entries.length < batchSize) {
+            break;
+        }
+    }
+
+    const page = matches.slice(0, limit);
+    const canteens = [];
+    for (const entry of page) {
+        const canteen = loaded.get(entry.id) ?? await getCanteen(entry.id);
+        if (canteen) {
+            canteens.push(canteen);
+        }
+    }
+
+    return {
+        canteens,
+        total: await countListMatches(filters),
+        nextCursor: matches.length > limit ? encodeListCursor(sort, page[page.length - 1]) : null
+    };
+}
+
 export async function getCanteen(id) {
     const canteen = await redisClient.hGetAll(`canteen:${id}`);
     if (Object.keys(canteen).length === 0) {
         return null;
     }
-    return {
-        id: parseInt(canteen.id, 10),
-        name: canteen.name,
-        location: canteen.location,
-        capacity: parseInt(canteen.capacity, 10),
-        workingHours: JSON.parse(canteen.workingHours)
-    };
+    return sanitizeCanteen(canteen);
 }
 
-function validateCanteenUpdateData(updateData) {
+function validateCanteenUpdateData(updateData, mealTypeKeys) {
     const validated = {};
 
     // Validate name if provided
@@ -400,78 +732,286 @@ function validateCanteenUpdateData(updateData) {
             throw new Error('At least one working hours period is required');
         }
 
-        const validMeals = ['breakfast', 'lunch', 'dinner'];
-        const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+        validated.workingHours = JSON.stringify(validateMealPeriods(updateData.workingHours, mealTypeKeys));
+    }
 
-        for (const period of updateData.workingHours) {
-            if (!period.meal || typeof period.meal !== 'string') {
-                throw new Error('Each working hours period must have a meal name');
-            }
-            if (!validMeals.includes(period.meal.toLowerCase())) {
-                throw new Error(`Invalid meal type: ${period.meal}. Must be breakfast, lunch, or dinner`);
-            }
+    // Validate weeklySchedule if provided, null goes back to the same hours every day
+    if (updateData.weeklySchedule !== undefined) {
+        validated.weeklySchedule = JSON.stringify(
+            updateData.weeklySchedule === null ? {} : validateWeeklySchedule(updateData.weeklySchedule, mealTypeKeys)
+        );
+    }
 
-            if (!period.from || typeof period.from !== 'string') {
-                throw new Error('Each working hours period must have a from time');
-            }
-            if (!timeRegex.test(period.from)) {
-                throw new Error(`Invalid from time format: ${period.from}. Must be HH:mm`);
-            }
+    // Validate slotConfig if provided, null goes back to the 30/60-minute defaults
+    if (updateData.slotConfig !== undefined) {
+        validated.slotConfig = JSON.stringify(
+            updateData.slotConfig === null ? DEFAULT_SLOT_CONFIG : validateSlotConfig(updateData.slotConfig)
+        );
+    }
 
-            if (!period.to || typeof period.to !== 'string') {
-                throw new Error('Each working hours period must have a to time');
-            }
-            if (!timeRegex.test(period.to)) {
-                throw new Error(`Invalid to time format: ${period.to}. Must be HH:mm`);
-            }
+    // Validate timezone if provided
+    if (updateData.timezone !== undefined) {
+        validated.timezone = validateTimezone(updateData.timezone);
+    }
 
-            if (period.from >= period.to) {
-                throw new Error(`Working hours 'from' (${period.from}) must be before 'to' (${period.to})`);
-            }
+    // Return null if no valid fields provided
+    if (Object.keys(validated).length === 0) {
+        throw new Error('At least one field to update is required');
+    }
 
-            const [fromHour, fromMin] = period.from.split(':').map(Number);
-            const [toHour, toMin] = period.to.split(':').map(Number);
-            const durationMinutes = (toHour * 60 + toMin) - (fromHour * 60 + fromMin);
-            if (durationMinutes < 30) {
-                throw new Error('Each working hours period must be at least 30 minutes');
-            }
-        }
+    return validated;
+}
 
-        const sortedPeriods = [...updateData.workingHours].sort((a, b) => a.from.localeCompare(b.from));
-        for (let i = 0; i < sortedPeriods.length - 1; i++) {
-            if (sortedPeriods[i].to > sortedPeriods[i + 1].from) {
-                throw new Error('Working hours periods cannot overlap');
-            }
+
+/**
+ * Save changed canteen fields after checking them against upcoming reservations.
+ * onConflict decides whether conflicts reject the change (default), are kept,
+ * or are cancelled. With dryRun only the conflict report is returned.
+ */
+async function saveCanteenChanges(canteenKey, existingCanteen, changes, updatedBy, options) {
+    const onConflict = options.onConflict ?? 'reject';
+    if (!CONFLICT_RESOLUTIONS.includes(onConflict)) {
+        throw new Error(`Invalid onConflict. Must be ${CONFLICT_RESOLUTIONS.join(', ')}`);
+    }
+    const updatedCanteen = { ...existingCanteen, ...changes };
+
+    // Booked seats are counted per bucket and booked times are pinned to instants in the
+    // canteen's zone, so neither can change under upcoming reservations
+    const before = sanitizeCanteen(existingCanteen);
+    const after = sanitizeCanteen(updatedCanteen);
+    const pinnedSettings = [
+        ['Slot granularity', getSlotConfig(before).granularity !== getSlotConfig(after).granularity],
+        ['Timezone', before.timezone !== after.timezone]
+    ];
+    for (const [setting, changed] of pinnedSettings) {
+        if (!changed) continue;
+        const upcoming = await countUpcomingCanteenReservations(existingCanteen.id, new Date(), ['Active', 'CheckedIn']);
+        if (upcoming > 0) {
+            throw new Error(`${setting} cannot change while the canteen has ${upcoming} upcoming reservations`);
         }
+    }
 
-        validated.workingHours = JSON.stringify(updateData.workingHours);
+    // Only capacities, opening hours and slot rules can break existing reservations
+    let conflicts = [];
+    const checkedFields = ['capacity', 'capacityOverrides', 'workingHours', 'weeklySchedule', 'scheduleExceptions', 'slotConfig'];
+    if (checkedFields.some(field => changes[field] !== undefined)) {
+        conflicts = await findCanteenUpdateConflicts(existingCanteen.id, sanitizeCanteen(updatedCanteen));
     }
 
-    // Return null if no valid fields provided
-    if (Object.keys(validated).length === 0) {
-        throw new Error('At least one field to update is required');
+    if (options.dryRun) {
+        return { ...sanitizeCanteen(updatedCanteen), dryRun: true, conflicts };
+    }
+    if (conflicts.length > 0 && onConflict === 'reject') {
+        const err = new Error(`Update conflicts with ${conflicts.length} existing reservations`);
+        err.conflicts = conflicts;
+        throw err;
     }
 
-    return validated;
+    // Only the changed fields are written, and only if nothing changed since the checks above read the canteen
+    const indexWrites = recordIndexWrites();
+    queueCanteenIndexes(indexWrites, before, after);
+    if (!await writeCanteenFields(canteenKey, existingCanteen, changes, indexWrites.writes)) {
+        throw new Error('Canteen was modified concurrently, please retry');
+    }
+
+    // Cancel after saving so freed seats are offered to the waitlist under the new settings
+    const cancelled = onConflict === 'cancel'
+        ? await cancelConflictingReservations(conflicts, updatedBy)
+        : [];
+    return {
+        ...sanitizeCanteen(updatedCanteen),
+        conflicts: conflicts.map(conflict => ({
+            ...conflict,
+            resolution: cancelled.includes(conflict.reservationId) ? 'Cancelled' : 'Kept'
+        }))
+    };
+}
+
+export async function updateCanteen(id, updateData, updatedBy, options = {}) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(updatedBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    const validatedData = validateCanteenUpdateData(updateData, await getMealTypeKeys());
+    return saveCanteenChanges(canteenKey, existingCanteen, validatedData, updatedBy, options);
 }
 
+export async function getScheduleExceptions(id) {
+    const canteen = await getCanteen(id);
+    return canteen ? canteen.scheduleExceptions : null;
+}
 
-export async function updateCanteen(id, updateData, updatedBy) {
+/**
+ * Replace the opening hours of a canteen on one date, e.g. a holiday closure or shortened hours.
+ * Takes the same conflict options as updateCanteen.
+ */
+export async function setScheduleException(id, date, exception, updatedBy, options = {}) {
     const canteenKey = `canteen:${id}`;
-    await checkAdminStudent(updatedBy);
+    await checkPermission(updatedBy, 'canteens:update', id);
     const existingCanteen = await redisClient.hGetAll(canteenKey);
     if (Object.keys(existingCanteen).length === 0) {
         return null;
     }
-    const validatedData = validateCanteenUpdateData(updateData);
-    const updatedCanteen = { ...existingCanteen, ...validatedData };
-    await redisClient.hSet(canteenKey, updatedCanteen);
-    return updatedCanteen;
+    const exceptions = JSON.parse(existingCanteen.scheduleExceptions || '{}');
+    exceptions[date] = validateScheduleException(date, exception, await getMealTypeKeys());
+    return saveCanteenChanges(canteenKey, existingCanteen, { scheduleExceptions: JSON.stringify(exceptions) }, updatedBy, options);
 }
 
-export async function deleteCanteen(id, deletedBy) {
+export async function deleteScheduleException(id, date, updatedBy, options = {}) {
     const canteenKey = `canteen:${id}`;
-    await checkAdminStudent(deletedBy);
-    const result = await redisClient.del(canteenKey);
-    return result === 1;
-}
\ No newline at end of file
+    await checkPermission(updatedBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    const exceptions = JSON.parse(existingCanteen.scheduleExceptions || '{}');
+    if (!exceptions[date]) {
+        throw new Error(`Schedule exception for ${date} not found`);
+    }
+    delete exceptions[date];
+    return saveCanteenChanges(canteenKey, existingCanteen, { scheduleExceptions: JSON.stringify(exceptions) }, updatedBy, options);
+}
+
+export async function getCapacityOverrides(id) {
+    const canteen = await getCanteen(id);
+    return canteen ? canteen.capacityOverrides : null;
+}
+
+/**
+ * Replace the seat capacity of a canteen on one date, for the whole date and/or single slots.
+ * Takes the same conflict options as updateCanteen.
+ */
+export async function setCapacityOverride(id, date, override, updatedBy, options = {}) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(updatedBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    const validated = validateCapacityOverride(date, override);
+    const { granularity } = getSlotConfig(sanitizeCanteen(existingCanteen));
+    for (const time of Object.keys(validated.slots || {})) {
+        if (timeToMinutes(time) % granularity !== 0) {
+            throw new Error(`Invalid slot time: ${time}. Must start on a ${granularity}-minute slot`);
+        }
+    }
+    const overrides = JSON.parse(existingCanteen.capacityOverrides || '{}');
+    overrides[date] = validated;
+    return saveCanteenChanges(canteenKey, existingCanteen, { capacityOverrides: JSON.stringify(overrides) }, updatedBy, options);
+}
+
+export async function deleteCapacityOverride(id, date, updatedBy, options = {}) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(updatedBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    const overrides = JSON.parse(existingCanteen.capacityOverrides || '{}');
+    if (!overrides[date]) {
+        throw new Error(`Capacity override for ${date} not found`);
+    }
+    delete overrides[date];
+    return saveCanteenChanges(canteenKey, existingCanteen, { capacityOverrides: JSON.stringify(overrides) }, updatedBy, options);
+}
+
+export async function getClosures(id) {
+    const canteen = await getCanteen(id);
+    return canteen ? canteen.closures : null;
+}
+
+/**
+ * Close a canteen for a date/time range. New bookings in the range are refused and
+ * its active reservations are cancelled with the closure's reason, each with
+ * suggested slots at other canteens.
+ */
+export async function createClosure(id, closureData, createdBy) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(createdBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    const validated = validateClosure(closureData);
+    const closure = {
+        id: parseInt(await redisClient.incr(CLOSURE_COUNTER_KEY), 10),
+        ...validated,
+        createdBy: parseInt(createdBy, 10),
+        createdAt: new Date().toISOString()
+    };
+
+    // Close first so freed seats are not handed to the waitlist
+    const closedCanteen = await updateCanteenField(canteenKey, existingCanteen, 'closures', canteen =>
+        JSON.stringify([...JSON.parse(canteen.closures || '[]'), closure].sort((a, b) =>
+            `${a.startDate}T${a.startTime}`.localeCompare(`${b.startDate}T${b.startTime}`) || a.id - b.id)));
+    if (!closedCanteen) {
+        return null;
+    }
+    const cancelledReservations = await cancelClosedReservations(sanitizeCanteen(closedCanteen), closure, createdBy);
+    return { ...closure, cancelledReservations };
+}
+
+/**
+ * Reopen the slots of a closure. Reservations it cancelled stay cancelled.
+ */
+export async function deleteClosure(id, closureId, deletedBy) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(deletedBy, 'canteens:update', id);
+    const existingCanteen = await redisClient.hGetAll(canteenKey);
+    if (Object.keys(existingCanteen).length === 0) {
+        return null;
+    }
+    let closure;
+    const reopenedCanteen = await updateCanteenField(canteenKey, existingCanteen, 'closures', canteen => {
+        const closures = JSON.parse(canteen.closures || '[]');
+        closure = closures.find(entry => entry.id === parseInt(closureId, 10));
+        if (!closure) {
+            throw new Error(`Closure ${closureId} not found`);
+        }
+        return JSON.stringify(closures.filter(entry => entry !== closure));
+    });
+    return reopenedCanteen ? closure : null;
+}
+
+/**
+ * Delete a canteen and cancel its upcoming reservations.
+ * With refuseIfBooked the canteen is kept while it still has upcoming reservations.
+ */
+export async function deleteCanteen(id, deletedBy, options = {}) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(deletedBy, 'canteens:delete', id);
+    const canteen = await getCanteen(id);
+    if (!canteen) {
+        return null;
+    }
+    if (options.refuseIfBooked) {
+        // Checked-in reservations have not finished either
+        const upcoming = await countUpcomingCanteenReservations(id, new Date(), ['Active', 'CheckedIn']);
+        if (upcoming > 0) {
+            throw new Error(`Canteen still has ${upcoming} upcoming reservations`);
+        }
+    }
+
+    // Remove the canteen first so no new bookings arrive while cancelling
+    const multi = redisClient.multi();
+    multi.del(canteenKey);
+    queueCanteenIndexRemoval(multi, canteen);
+    await multi.exec();
+    const summary = await cancelCanteenReservations(canteen, deletedBy, options.reason || 'Canteen deleted');
+    const removedMenus = await deleteCanteenMenus(id);
+    return { id: parseInt(id, 10), ...summary, removedMenus };
+}
+
+export async function updateCanteenPolicy(id, policy, updatedBy) {
+    const canteenKey = `canteen:${id}`;
+    await checkPermission(updatedBy, 'canteens:update', id);
+    const exists = await redisClient.exists(canteenKey);
+    if (!exists) {
+        return null;
+    }
+    const validatedPolicy = validatePolicy(policy);
+    await redisClient.hSet(canteenKey, 'policy', JSON.stringify(validatedPolicy));
+    return validatedPolicy;
+}
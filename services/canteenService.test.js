@@ -7,11 +7,74 @@ const mockRedisClient = {
     hGetAll: jest.fn(),
     keys: jest.fn(),
     del: jest.fn(),
-    get: jest.fn()
+    get: jest.fn(),
+    exists: jest.fn(),
+    zRange: jest.fn(),
+    zRangeWithScores: jest.fn(),
+    zmScore: jest.fn(),
+    zCard: jest.fn(),
+    zCount: jest.fn(),
+    sMembers: jest.fn(),
+    smIsMember: jest.fn(),
+    sCard: jest.fn()
 };
 
-// Mock student service
+// Hash writes queued on a transaction are recorded on the client's hSet and del
+const mockMulti = {
+    hSet: mockRedisClient.hSet,
+    del: mockRedisClient.del,
+    zAdd: jest.fn(),
+    zRem: jest.fn(),
+    sAdd: jest.fn(),
+    sRem: jest.fn(),
+    exec: jest.fn()
+};
+mockRedisClient.multi = jest.fn(() => mockMulti);
+
+// Stand-in for the canteen write script: the guard holds, the fields are recorded
+// on hSet and the index writes on the transaction's index mocks
+mockRedisClient.eval = jest.fn();
+function writeCanteenFields(script, { keys: [canteenKey, ...indexKeys], arguments: args }) {
+    const fieldStart = 1 + 2 * parseInt(args[0], 10);
+    const fieldEnd = fieldStart + 1 + 2 * parseInt(args[fieldStart], 10);
+    const fields = {};
+    for (let i = fieldStart + 1; i < fieldEnd; i += 2) {
+        fields[args[i]] = args[i + 1];
+    }
+    mockRedisClient.hSet(canteenKey, fields);
+    let argIndex = fieldEnd;
+    for (const key of indexKeys) {
+        if (args[argIndex] === 'ZADD') {
+            mockMulti.zAdd(key, { score: Number(args[argIndex + 1]), value: args[argIndex + 2] });
+            argIndex += 3;
+        } else {
+            mockMulti[args[argIndex] === 'ZREM' ? 'zRem' : args[argIndex] === 'SADD' ? 'sAdd' : 'sRem'](key, args[argIndex + 1]);
+            argIndex += 2;
+        }
+    }
+    return Promise.resolve(1);
+}
+
+// Mock student and reservation services
 const mockGetStudent = jest.fn();
+const mockCountUpcomingCanteenReservations = jest.fn();
+const mockCancelCanteenReservations = jest.fn();
+const mockFindCanteenUpdateConflicts = jest.fn();
+const mockCancelConflictingReservations = jest.fn();
+const mockCancelClosedReservations = jest.fn();
+
+// Mock meal type catalogue
+const defaultMealTypes = [
+    { key: 'breakfast', name: 'Breakfast', sortOrder: 10 },
+    { key: 'lunch', name: 'Lunch', sortOrder: 20 },
+    { key: 'dinner', name: 'Dinner', sortOrder: 30 }
+];
+const mockGetMealTypes = jest.fn();
+const mockGetMealTypeKeys = jest.fn();
+
+// Mock menus
+const mockGetMenu = jest.fn();
+const mockDeleteCanteenMenus = jest.fn();
 
 // Mock the modules before importing
 jest.unstable_mockModule('../config/redis.js', () => ({
@@ -22,15 +85,42 @@ jest.unstable_mockModule('./studentService.js', () => ({
     getStudent: mockGetStudent
 }));
 
+jest.unstable_mockModule('./reservactionService.js', () => ({
+    countUpcomingCanteenReservations: mockCountUpcomingCanteenReservations,
+    cancelCanteenReservations: mockCancelCanteenReservations,
+    findCanteenUpdateConflicts: mockFindCanteenUpdateConflicts,
+    cancelConflictingReservations: mockCancelConflictingReservations,
+    cancelClosedReservations: mockCancelClosedReservations
+}));
+
+jest.unstable_mockModule('./mealTypeService.js', () => ({
+    getMealTypes: mockGetMealTypes,
+    getMealTypeKeys: mockGetMealTypeKeys
+}));
+
+jest.unstable_mockModule('./menuService.js', () => ({
+    getMenu: mockGetMenu,
+    deleteCanteenMenus: mockDeleteCanteenMenus
+}));
+
 // Import after mocking
 const { 
     createCanteen, 
     getCanteen, 
     getAllCanteens, 
+    listCanteens,
     updateCanteen, 
     deleteCanteen,
     getCanteenStatus,
-    getAllCanteensStatus
+    getAllCanteensStatus,
+    updateCanteenPolicy,
+    setScheduleException,
+    deleteScheduleException,
+    setCapacityOverride,
+    deleteCapacityOverride,
+    getClosures,
+    createClosure,
+    deleteClosure
 } = await import('./canteenService.js');
 
 describe('canteenService', () => {
@@ -38,6 +128,8 @@ describe('canteenService', () => {
         id: 1,
         name: 'Admin User',
         email: 'admin@test.com',
+        role: 'super-admin',
+        canteenIds: [],
         isAdmin: true
     };
 
@@ -45,6 +137,17 @@ describe('canteenService', () => {
         id: 2,
         name: 'Regular User',
         email: 'user@test.com',
+        role: 'student',
+        canteenIds: [],
+        isAdmin: false
+    };
+
+    const mockManagerStudent = {
+        id: 3,
+        name: 'Canteen Manager',
+        email: 'manager@test.com',
+        role: 'manager',
+        canteenIds: [1],
         isAdmin: false
     };
 
@@ -75,9 +178,13 @@ describe('canteenService', () => {
     beforeEach(() => {
         jest.clearAllMocks();
         mockGetStudent.mockResolvedValue(mockAdminStudent);
+        mockGetMealTypes.mockResolvedValue(defaultMealTypes);
+        mockGetMealTypeKeys.mockResolvedValue(defaultMealTypes.map(mealType => mealType.key));
+        mockDeleteCanteenMenus.mockResolvedValue(0);
         mockRedisClient.incr.mockResolvedValue(1);
         mockRedisClient.hSet.mockResolvedValue(1);
         mockRedisClient.del.mockResolvedValue(1);
+        mockRedisClient.eval.mockImplementation(writeCanteenFields);
     });
 
     describe('createCanteen', () => {
@@ -96,18 +203,73 @@ describe('canteenService', () => {
             expect(mockRedisClient.hSet).toHaveBeenCalled();
         });
 
+        it('should store the canteen\'s timezone', async () => {
+            const result = await createCanteen({ ...mockCanteenData, timezone: 'Europe/Belgrade' });
+
+            expect(result.timezone).toBe('Europe/Belgrade');
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({ timezone: 'Europe/Belgrade' }));
+            await expect(createCanteen({ ...mockCanteenData, timezone: 'Nowhere' }))
+                .rejects.toThrow('Invalid timezone: Nowhere');
+        });
+
         it('should reject canteen creation when user is not admin', async () => {
             mockGetStudent.mockResolvedValue(mockRegularStudent);
 
             await expect(createCanteen({ ...mockCanteenData, createdBy: '2' }))
-                .rejects.toThrow('Only admin students can create canteens');
+                .rejects.toThrow('Permission denied: canteens:create');
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+        });
+
+        it('should reject canteen creation by managers', async () => {
+            mockGetStudent.mockResolvedValue(mockManagerStudent);
+
+            await expect(createCanteen({ ...mockCanteenData, createdBy: '3' }))
+                .rejects.toThrow('Permission denied: canteens:create');
+        });
+
+        it('should store a per-weekday schedule', async () => {
+            const weeklySchedule = {
+                Friday: [{ meal: 'lunch', from: '11:00', to: '12:00' }],
+                saturday: [],
+                sunday: []
+            };
+
+            const result = await createCanteen({ ...mockCanteenData, weeklySchedule });
+
+            expect(result.weeklySchedule).toEqual({
+                friday: [{ meal: 'lunch', from: '11:00', to: '12:00' }],
+                saturday: [],
+                sunday: []
+            });
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({
+                weeklySchedule: JSON.stringify(result.weeklySchedule)
+            }));
+        });
+
+        it('should accept meal types from the catalogue only', async () => {
+            const workingHours = [{ meal: 'Brunch', from: '10:00', to: '12:00' }];
+
+            await expect(createCanteen({ ...mockCanteenData, workingHours }))
+                .rejects.toThrow('Invalid meal type: Brunch. Must be one of breakfast, lunch, dinner');
+            // No id is used up by a rejected canteen
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+
+            mockGetMealTypeKeys.mockResolvedValue(['breakfast', 'brunch', 'lunch', 'dinner']);
+            const result = await createCanteen({ ...mockCanteenData, workingHours });
+
+            expect(result.workingHours).toEqual([{ meal: 'brunch', from: '10:00', to: '12:00' }]);
+        });
+
+        it('should reject unknown weekdays in the schedule', async () => {
+            await expect(createCanteen({ ...mockCanteenData, weeklySchedule: { someday: [] } }))
+                .rejects.toThrow('Invalid weekday: someday');
         });
 
         it('should reject canteen creation when user not found', async () => {
             mockGetStudent.mockResolvedValue(null);
 
             await expect(createCanteen(mockCanteenData))
-                .rejects.toThrow('Only admin students can create canteens');
+                .rejects.toThrow('Permission denied: canteens:create');
         });
     });
 
@@ -124,6 +286,19 @@ describe('canteenService', () => {
                 capacity: 30
             });
             expect(result.workingHours).toHaveLength(2);
+            expect(result.policy).toEqual({});
+            expect(result.slotConfig).toEqual({ granularity: 30, durations: [30, 60], startAlignment: 60 });
+        });
+
+        it('should return the stored booking policy', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                policy: JSON.stringify({ maxReservationsPerDay: 1 })
+            });
+
+            const result = await getCanteen('1');
+
+            expect(result.policy).toEqual({ maxReservationsPerDay: 1 });
         });
 
         it('should return null when canteen not found', async () => {
@@ -135,9 +310,237 @@ describe('canteenService', () => {
         });
     });
 
+    describe('canteen indexes', () => {
+        it('should index a new canteen by id, name, capacity and meals', async () => {
+            await createCanteen(mockCanteenData);
+
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('canteens:byId', { score: 1, value: '1' });
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('canteens:byName', { score: 0, value: 'main canteen:1' });
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('canteens:byCapacity', { score: 30, value: '1' });
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('canteens:byMeal:breakfast', '1');
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('canteens:byMeal:lunch', '1');
+            expect(mockMulti.exec).toHaveBeenCalled();
+        });
+
+        it('should move a changed canteen between index entries', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+            mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+
+            await updateCanteen('1', {
+                name: 'Updated Canteen',
+                workingHours: [{ meal: 'lunch', from: '11:00', to: '13:00' }, { meal: 'dinner', from: '18:00', to: '20:00' }]
+            }, '1');
+
+            expect(mockMulti.zRem).toHaveBeenCalledWith('canteens:byName', 'main canteen:1');
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('canteens:byName', { score: 0, value: 'updated canteen:1' });
+            expect(mockMulti.sRem).toHaveBeenCalledWith('canteens:byMeal:breakfast', '1');
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('canteens:byMeal:dinner', '1');
+        });
+
+        it('should drop a deleted canteen from every index', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+            mockCancelCanteenReservations.mockResolvedValue({});
+
+            await deleteCanteen('1', '1');
+
+            expect(mockMulti.zRem).toHaveBeenCalledWith('canteens:byId', '1');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('canteens:byName', 'main canteen:1');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('canteens:byCapacity', '1');
+            expect(mockMulti.sRem).toHaveBeenCalledWith('canteens:byMeal:breakfast', '1');
+            expect(mockMulti.sRem).toHaveBeenCalledWith('canteens:byMeal:lunch', '1');
+        });
+    });
+
+    describe('listCanteens', () => {
+        const storedCanteens = {
+            'canteen:1': mockStoredCanteen,
+            'canteen:2': {
+                ...mockStoredCanteen,
+                id: '2',
+                name: 'Annex',
+                location: 'Building B',
+                capacity: '80',
+                workingHours: JSON.stringify([
+                    { meal: 'lunch', from: '11:00', to: '13:00' },
+                    { meal: 'dinner', from: '18:00', to: '20:00' }
+                ])
+            },
+            'canteen:3': {
+                ...mockStoredCanteen,
+                id: '3',
+                name: 'Cafe Central',
+                location: 'Library, building a',
+                capacity: '10',
+                workingHours: JSON.stringify([{ meal: 'breakfast', from: '08:00', to: '10:00' }]),
+                weeklySchedule: JSON.stringify({ saturday: [] })
+            }
+        };
+        const mealIndexes = { 'canteens:byMeal:breakfast': ['1', '3'], 'canteens:byMeal:lunch': ['1', '2'] };
+        let indexes;
+
+        // A sorted set range read the way Redis runs ZRANGE with BYSCORE or BYLEX, REV and LIMIT
+        function readRange(members, start, stop, { BY, REV, LIMIT }) {
+            const [min, max] = REV ? [stop, start] : [start, stop];
+            const position = member => (BY === 'LEX' ? member.value : member.score);
+            const boundValue = text => (BY === 'LEX' ? text : Number(text));
+            const isAbove = (member, bound) => {
+                if (bound === '-' || bound === -Infinity) return true;
+                if (bound === '+' || bound === Infinity) return false;
+                const text = String(bound);
+                if (text.startsWith('(')) return position(member) > boundValue(text.slice(1));
+                return position(member) >= boundValue(text.replace(/^\[/, ''));
+            };
+            const isBelow = (member, bound) => {
+                if (bound === '+' || bound === Infinity) return true;
+                if (bound === '-' || bound === -Infinity) return false;
+                const text = String(bound);
+                if (text.startsWith('(')) return position(member) < boundValue(text.slice(1));
+                return position(member) <= boundValue(text.replace(/^\[/, ''));
+            };
+            const inRange = members.filter(member => isAbove(member, min) && isBelow(member, max));
+            const ordered = REV ? inRange.reverse() : inRange;
+            return ordered.slice(LIMIT.offset, LIMIT.offset + LIMIT.count);
+        }
+
+        beforeEach(() => {
+            // Members in index order: by score, then by member text
+            indexes = {
+                'canteens:byId': [{ value: '1', score: 1 }, { value: '2', score: 2 }, { value: '3', score: 3 }],
+                'canteens:byName': ['annex:2', 'cafe central:3', 'main canteen:1'].map(value => ({ value, score: 0 })),
+                'canteens:byCapacity': [{ value: '3', score: 10 }, { value: '1', score: 30 }, { value: '2', score: 80 }]
+            };
+            mockRedisClient.zRange.mockImplementation(async (key, start, stop, options) =>
+                readRange(indexes[key], start, stop, options).map(({ value }) => value));
+            mockRedisClient.zRangeWithScores.mockImplementation(async (key, start, stop, options) =>
+                readRange(indexes[key], start, stop, options));
+            mockRedisClient.zmScore.mockImplementation(async (key, ids) =>
+                ids.map(id => indexes[key].find(({ value }) => value === id)?.score ?? null));
+            mockRedisClient.zCard.mockImplementation(async key => indexes[key].length);
+            mockRedisClient.zCount.mockImplementation(async (key, min) =>
+                indexes[key].filter(({ score }) => score >= min).length);
+            mockRedisClient.sMembers.mockImplementation(async key => mealIndexes[key] || []);
+            mockRedisClient.smIsMember.mockImplementation(async (key, ids) =>
+                ids.map(id => ((mealIndexes[key] || []).includes(id) ? 1 : 0)));
+            mockRedisClient.sCard.mockImplementation(async key => (mealIndexes[key] || []).length);
+            mockRedisClient.hGetAll.mockImplementation(async key => storedCanteens[key] || {});
+        });
+
+        it('should list canteens in id order with a total', async () => {
+            const result = await listCanteens();
+
+            expect(result.canteens.map(canteen => canteen.id)).toEqual([1, 2, 3]);
+            expect(result).toMatchObject({ total: 3, nextCursor: null });
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+        });
+
+        it('should sort by name or capacity', async () => {
+            const byName = await listCanteens({ sort: 'name' });
+            const byCapacity = await listCanteens({ sort: '-capacity' });
+
+            expect(byName.canteens.map(canteen => canteen.name)).toEqual(['Annex', 'Cafe Central', 'Main Canteen']);
+            expect(byCapacity.canteens.map(canteen => canteen.capacity)).toEqual([80, 30, 10]);
+        });
+
+        it('should page with a cursor', async () => {
+            const first = await listCanteens({ sort: '-capacity', limit: '2' });
+            const second = await listCanteens({ sort: '-capacity', limit: '2', cursor: first.nextCursor });
+
+            expect(first.canteens.map(canteen => canteen.id)).toEqual([2, 1]);
+            expect(first.nextCursor).toEqual(expect.any(String));
+            expect(second.canteens.map(canteen => canteen.id)).toEqual([3]);
+            expect(second).toMatchObject({ total: 3, nextCursor: null });
+        });
+
+        it('should read the index a page at a time from the cursor', async () => {
+            const first = await listCanteens({ limit: '1' });
+            const second = await listCanteens({ sort: '-name', limit: '1' });
+            mockRedisClient.zRange.mockClear();
+
+            await listCanteens({ limit: '1', cursor: first.nextCursor });
+            await listCanteens({ sort: '-name', limit: '1', cursor: second.nextCursor });
+
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('canteens:byId', '(1', Infinity,
+                { BY: 'SCORE', LIMIT: { offset: 0, count: 2 } });
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('canteens:byName', '(main canteen:1', '-',
+                { BY: 'LEX', REV: true, LIMIT: { offset: 0, count: 2 } });
+            expect(mockRedisClient.zRange).toHaveBeenCalledTimes(2);
+        });
+
+        it('should page through canteens sharing a capacity', async () => {
+            indexes['canteens:byCapacity'] = [{ value: '1', score: 30 }, { value: '2', score: 30 }, { value: '3', score: 30 }];
+
+            const first = await listCanteens({ sort: 'capacity', limit: '2' });
+            const second = await listCanteens({ sort: 'capacity', limit: '2', cursor: first.nextCursor });
+            const descending = await listCanteens({ sort: '-capacity', limit: '1' });
+            const next = await listCanteens({ sort: '-capacity', limit: '1', cursor: descending.nextCursor });
+
+            expect(first.canteens.map(canteen => canteen.id)).toEqual([1, 2]);
+            expect(second).toMatchObject({ canteens: [expect.objectContaining({ id: 3 })], nextCursor: null });
+            expect(descending.canteens.map(canteen => canteen.id)).toEqual([3]);
+            expect(next.canteens.map(canteen => canteen.id)).toEqual([2]);
+        });
+
+        it('should filter by meal and capacity from the indexes', async () => {
+            const result = await listCanteens({ meal: 'Breakfast', minCapacity: '20' });
+
+            expect(result.canteens.map(canteen => canteen.id)).toEqual([1]);
+            expect(result.total).toBe(1);
+            expect(mockRedisClient.smIsMember).toHaveBeenCalledWith('canteens:byMeal:breakfast', ['1', '2', '3']);
+            expect(mockRedisClient.zmScore).toHaveBeenCalledWith('canteens:byCapacity', ['1', '3']);
+            // Only the canteen on the page is read
+            expect(mockRedisClient.hGetAll).toHaveBeenCalledTimes(1);
+        });
+
+        it('should start the capacity range at the minimum capacity', async () => {
+            const result = await listCanteens({ sort: 'capacity', minCapacity: '20' });
+
+            expect(result.canteens.map(canteen => canteen.id)).toEqual([1, 2]);
+            expect(result.total).toBe(2);
+            expect(mockRedisClient.zRangeWithScores).toHaveBeenCalledWith('canteens:byCapacity', 20, Infinity,
+                { BY: 'SCORE', LIMIT: { offset: 0, count: 21 } });
+        });
+
+        it('should keep reading the index until a page is filled', async () => {
+            const first = await listCanteens({ meal: 'breakfast', limit: '1' });
+            const second = await listCanteens({ meal: 'breakfast', limit: '1', cursor: first.nextCursor });
+
+            expect(first).toMatchObject({ canteens: [expect.objectContaining({ id: 1 })], total: 2 });
+            expect(second).toMatchObject({ canteens: [expect.objectContaining({ id: 3 })], nextCursor: null });
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('canteens:byId', '(1', Infinity,
+                { BY: 'SCORE', LIMIT: { offset: 2, count: 2 } });
+        });
+
+        it('should filter by location substring and opening hours', async () => {
+            const byLocation = await listCanteens({ location: 'building A' });
+            // Saturday 2025-12-06: canteen 3 is closed and canteen 2 opens for lunch later
+            const openAt = await listCanteens({ openAt: '2025-12-06T09:00' });
+
+            expect(byLocation.canteens.map(canteen => canteen.id)).toEqual([1, 3]);
+            // Counting these would take reading every canteen
+            expect(byLocation.total).toBeNull();
+            expect(openAt.canteens.map(canteen => canteen.id)).toEqual([1]);
+        });
+
+        it('should validate the query', async () => {
+            const { nextCursor } = await listCanteens({ sort: 'name', limit: '1' });
+
+            await expect(listCanteens({ sort: 'size' }))
+                .rejects.toThrow('Invalid sort. Must be id, name, -name, capacity, -capacity');
+            await expect(listCanteens({ limit: '101' })).rejects.toThrow('limit cannot exceed 100');
+            await expect(listCanteens({ limit: '0' })).rejects.toThrow('limit must be a positive integer');
+            await expect(listCanteens({ sort: 'capacity', cursor: nextCursor })).rejects.toThrow('Invalid cursor');
+            await expect(listCanteens({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+            await expect(listCanteens({ meal: 'supper' })).rejects.toThrow('Invalid meal type: supper');
+            await expect(listCanteens({ openAt: '2025-12-06 09:00' }))
+                .rejects.toThrow('Invalid openAt. Must be YYYY-MM-DDTHH:mm');
+            await expect(listCanteens({ minCapacity: '-1' }))
+                .rejects.toThrow('minCapacity must be a non-negative integer');
+        });
+    });
+
     describe('getAllCanteens', () => {
         it('should return all canteens', async () => {
-            mockRedisClient.keys.mockResolvedValue(['canteen:1', 'canteen:2', 'canteen:id:counter']);
+            mockRedisClient.zRange.mockResolvedValue(['1', '2']);
             mockRedisClient.hGetAll
                 .mockResolvedValueOnce(mockStoredCanteen)
                 .mockResolvedValueOnce({
@@ -154,7 +557,7 @@ describe('canteenService', () => {
         });
 
         it('should return empty array when no canteens exist', async () => {
-            mockRedisClient.keys.mockResolvedValue(['canteen:id:counter']);
+            mockRedisClient.zRange.mockResolvedValue([]);
 
             const result = await getAllCanteens();
 
@@ -177,7 +580,18 @@ describe('canteenService', () => {
             mockGetStudent.mockResolvedValue(mockRegularStudent);
 
             await expect(updateCanteen('1', { name: 'Updated' }, '2'))
-                .rejects.toThrow('Only admin students can create canteens');
+                .rejects.toThrow('Permission denied: canteens:update on canteen 1');
+        });
+
+        it('should let managers update only the canteens they manage', async () => {
+            mockGetStudent.mockResolvedValue(mockManagerStudent);
+            mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+
+            const result = await updateCanteen('1', { name: 'Updated Canteen' }, '3');
+
+            expect(result.name).toBe('Updated Canteen');
+            await expect(updateCanteen('2', { name: 'Updated' }, '3'))
+                .rejects.toThrow('Permission denied: canteens:update on canteen 2');
         });
 
         it('should return null when canteen not found', async () => {
@@ -188,16 +602,176 @@ describe('canteenService', () => {
 
             expect(result).toBeNull();
         });
+
+        describe('with existing reservations', () => {
+            const conflicts = [
+                { reservationId: 7, studentId: 42, memberIds: [], date: '2030-12-16', time: '08:00', duration: 30, reason: 'OUTSIDE_WORKING_HOURS' },
+                { reservationId: 9, studentId: 43, memberIds: [], date: '2030-12-16', time: '11:00', duration: 30, reason: 'OVER_CAPACITY' }
+            ];
+            const lunchOnly = [{ meal: 'lunch', from: '11:00', to: '13:00' }];
+
+            beforeEach(() => {
+                mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+                mockFindCanteenUpdateConflicts.mockResolvedValue(conflicts);
+                mockCancelConflictingReservations.mockResolvedValue([7, 9]);
+            });
+
+            it('should not look for conflicts when only the name changes', async () => {
+                await updateCanteen('1', { name: 'Updated Canteen' }, '1');
+
+                expect(mockFindCanteenUpdateConflicts).not.toHaveBeenCalled();
+            });
+
+            it('should check conflicts against the new capacity and hours', async () => {
+                mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+
+                const result = await updateCanteen('1', { capacity: 10, workingHours: lunchOnly }, '1');
+
+                expect(mockFindCanteenUpdateConflicts).toHaveBeenCalledWith('1', expect.objectContaining({ capacity: 10, workingHours: lunchOnly }));
+                expect(result).toMatchObject({ id: 1, capacity: 10, workingHours: lunchOnly, conflicts: [] });
+            });
+
+            it('should reject conflicting updates by default with the report', async () => {
+                const promise = updateCanteen('1', { capacity: 10, workingHours: lunchOnly }, '1');
+
+                await expect(promise).rejects.toThrow('Update conflicts with 2 existing reservations');
+                await expect(promise).rejects.toMatchObject({ conflicts });
+                expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+            });
+
+            it('should keep conflicting reservations when asked', async () => {
+                const result = await updateCanteen('1', { capacity: 10 }, '1', { onConflict: 'keep' });
+
+                expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({ capacity: '10' }));
+                expect(mockCancelConflictingReservations).not.toHaveBeenCalled();
+                expect(result.conflicts.map(c => c.resolution)).toEqual(['Kept', 'Kept']);
+            });
+
+            it('should write only the changed fields, guarded on the canteen that was checked', async () => {
+                mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+
+                await updateCanteen('1', { capacity: 10 }, '1');
+
+                const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+                expect(keys[0]).toBe('canteen:1');
+                const guardCount = Object.keys(mockStoredCanteen).length;
+                expect(args[0]).toBe(String(guardCount));
+                expect(args.slice(1, 3)).toEqual(['id', '1']);
+                // Closures and policies written meanwhile are left alone
+                expect(args.slice(1 + 2 * guardCount, 4 + 2 * guardCount)).toEqual(['1', 'capacity', '10']);
+                expect(keys).toContain('canteens:byCapacity');
+            });
+
+            it('should refuse the update when the canteen changed after it was checked', async () => {
+                mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+                mockRedisClient.eval.mockResolvedValueOnce(0);
+
+                await expect(updateCanteen('1', { capacity: 10 }, '1'))
+                    .rejects.toThrow('Canteen was modified concurrently, please retry');
+            });
+
+            it('should cancel conflicting reservations after saving', async () => {
+                mockCancelConflictingReservations.mockResolvedValue([9]);
+
+                const result = await updateCanteen('1', { capacity: 10 }, '1', { onConflict: 'cancel' });
+
+                expect(mockCancelConflictingReservations).toHaveBeenCalledWith(conflicts, '1');
+                expect(mockRedisClient.hSet.mock.invocationCallOrder[0])
+                    .toBeLessThan(mockCancelConflictingReservations.mock.invocationCallOrder[0]);
+                expect(result.conflicts.map(c => c.resolution)).toEqual(['Kept', 'Cancelled']);
+            });
+
+            it('should only report conflicts on a dry run', async () => {
+                const result = await updateCanteen('1', { capacity: 10 }, '1', { onConflict: 'cancel', dryRun: true });
+
+                expect(result).toMatchObject({ capacity: 10, dryRun: true, conflicts });
+                expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+                expect(mockCancelConflictingReservations).not.toHaveBeenCalled();
+            });
+
+            it('should check conflicts against new slot rules', async () => {
+                mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+                const slotConfig = { granularity: 30, durations: [30, 90] };
+
+                const result = await updateCanteen('1', { slotConfig }, '1');
+
+                expect(mockFindCanteenUpdateConflicts).toHaveBeenCalledWith('1', expect.objectContaining({
+                    slotConfig: { granularity: 30, durations: [30, 90], startAlignment: 30 }
+                }));
+                expect(mockCountUpcomingCanteenReservations).not.toHaveBeenCalled();
+                expect(result.slotConfig.durations).toEqual([30, 90]);
+            });
+
+            it('should refuse to change the granularity of a booked canteen', async () => {
+                mockCountUpcomingCanteenReservations.mockResolvedValue(3);
+
+                await expect(updateCanteen('1', { slotConfig: { granularity: 15, durations: [15, 45] } }, '1'))
+                    .rejects.toThrow('Slot granularity cannot change while the canteen has 3 upcoming reservations');
+                expect(mockCountUpcomingCanteenReservations)
+                    .toHaveBeenCalledWith('1', expect.any(Date), ['Active', 'CheckedIn']);
+                expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+            });
+
+            it('should refuse to change the timezone of a booked canteen', async () => {
+                mockCountUpcomingCanteenReservations.mockResolvedValue(1);
+
+                await expect(updateCanteen('1', { timezone: 'Asia/Tokyo' }, '1'))
+                    .rejects.toThrow('Timezone cannot change while the canteen has 1 upcoming reservations');
+            });
+
+            it('should reject unknown conflict resolutions', async () => {
+                await expect(updateCanteen('1', { capacity: 10 }, '1', { onConflict: 'ignore' }))
+                    .rejects.toThrow('Invalid onConflict. Must be reject, keep, cancel');
+            });
+        });
     });
 
     describe('deleteCanteen', () => {
-        it('should delete canteen when user is admin', async () => {
+        const summary = { cancelledReservations: 2, affectedStudents: 3, removedSlotCounters: 4, removedWaitlists: 1 };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+            mockCancelCanteenReservations.mockResolvedValue(summary);
+        });
+
+        it('should delete canteen and cancel its reservations when user is admin', async () => {
             mockGetStudent.mockResolvedValue(mockAdminStudent);
             mockRedisClient.del.mockResolvedValue(1);
 
+            mockDeleteCanteenMenus.mockResolvedValue(2);
+
             const result = await deleteCanteen('1', '1');
 
-            expect(result).toBe(true);
+            expect(result).toEqual({ id: 1, ...summary, removedMenus: 2 });
+            expect(mockDeleteCanteenMenus).toHaveBeenCalledWith('1');
+            expect(mockRedisClient.del).toHaveBeenCalledWith('canteen:1');
+            expect(mockCancelCanteenReservations).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), '1', 'Canteen deleted');
+            expect(mockCountUpcomingCanteenReservations).not.toHaveBeenCalled();
+        });
+
+        it('should record a custom cancellation reason', async () => {
+            await deleteCanteen('1', '1', { reason: 'Building renovation' });
+
+            expect(mockCancelCanteenReservations).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), '1', 'Building renovation');
+        });
+
+        it('should refuse deletion while upcoming reservations exist', async () => {
+            mockCountUpcomingCanteenReservations.mockResolvedValue(2);
+
+            await expect(deleteCanteen('1', '1', { refuseIfBooked: true }))
+                .rejects.toThrow('Canteen still has 2 upcoming reservations');
+            // Checked-in reservations count as booked too
+            expect(mockCountUpcomingCanteenReservations).toHaveBeenCalledWith('1', expect.any(Date), ['Active', 'CheckedIn']);
+            expect(mockRedisClient.del).not.toHaveBeenCalled();
+            expect(mockCancelCanteenReservations).not.toHaveBeenCalled();
+        });
+
+        it('should delete with refuseIfBooked when nothing is booked', async () => {
+            mockCountUpcomingCanteenReservations.mockResolvedValue(0);
+
+            const result = await deleteCanteen('1', '1', { refuseIfBooked: true });
+
+            expect(result.id).toBe(1);
             expect(mockRedisClient.del).toHaveBeenCalledWith('canteen:1');
         });
 
@@ -205,16 +779,265 @@ describe('canteenService', () => {
             mockGetStudent.mockResolvedValue(mockRegularStudent);
 
             await expect(deleteCanteen('1', '2'))
-                .rejects.toThrow('Only admin students can create canteens');
+                .rejects.toThrow('Permission denied: canteens:delete on canteen 1');
         });
 
-        it('should return false when canteen not found', async () => {
+        it('should let managers delete only the canteens they manage', async () => {
+            mockGetStudent.mockResolvedValue(mockManagerStudent);
+
+            await expect(deleteCanteen('2', '3'))
+                .rejects.toThrow('Permission denied: canteens:delete on canteen 2');
+            expect(mockRedisClient.del).not.toHaveBeenCalled();
+
+            const result = await deleteCanteen('1', '3');
+
+            expect(result.id).toBe(1);
+        });
+
+        it('should return null when canteen not found', async () => {
             mockGetStudent.mockResolvedValue(mockAdminStudent);
-            mockRedisClient.del.mockResolvedValue(0);
+            mockRedisClient.hGetAll.mockResolvedValue({});
 
             const result = await deleteCanteen('999', '1');
 
-            expect(result).toBe(false);
+            expect(result).toBeNull();
+            expect(mockCancelCanteenReservations).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateCanteenPolicy', () => {
+        it('should store a validated policy when user is admin', async () => {
+            mockRedisClient.exists.mockResolvedValue(1);
+
+            const result = await updateCanteenPolicy('1', { maxReservationsPerDay: '2', bookingWindowDays: null }, '1');
+
+            expect(result).toEqual({ maxReservationsPerDay: 2 });
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', 'policy', JSON.stringify({ maxReservationsPerDay: 2 }));
+        });
+
+        it('should reject invalid rules', async () => {
+            mockRedisClient.exists.mockResolvedValue(1);
+
+            await expect(updateCanteenPolicy('1', { maxSeats: 2 }, '1'))
+                .rejects.toThrow('Invalid policy rule: maxSeats');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should reject update when user is not admin', async () => {
+            mockGetStudent.mockResolvedValue(mockRegularStudent);
+
+            await expect(updateCanteenPolicy('1', {}, '2'))
+                .rejects.toThrow('Permission denied: canteens:update on canteen 1');
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockRedisClient.exists.mockResolvedValue(0);
+
+            expect(await updateCanteenPolicy('999', {}, '1')).toBeNull();
+        });
+    });
+
+    describe('schedule exceptions', () => {
+        const closed = { workingHours: [], reason: 'Public holiday' };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                scheduleExceptions: JSON.stringify({ '2030-12-31': { workingHours: [{ meal: 'lunch', from: '11:00', to: '12:00' }] } })
+            });
+            mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+        });
+
+        it('should add an exception and check it against reservations', async () => {
+            const result = await setScheduleException('1', '2030-12-25', closed, '1');
+
+            expect(result.scheduleExceptions).toEqual({
+                '2030-12-25': closed,
+                '2030-12-31': { workingHours: [{ meal: 'lunch', from: '11:00', to: '12:00' }] }
+            });
+            expect(mockFindCanteenUpdateConflicts).toHaveBeenCalledWith('1', expect.objectContaining({
+                scheduleExceptions: result.scheduleExceptions
+            }));
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({
+                scheduleExceptions: JSON.stringify(result.scheduleExceptions)
+            }));
+        });
+
+        it('should reject an exception that conflicts with reservations', async () => {
+            mockFindCanteenUpdateConflicts.mockResolvedValue([{ reservationId: 3, reason: 'OUTSIDE_WORKING_HOURS' }]);
+
+            await expect(setScheduleException('1', '2030-12-25', closed, '1'))
+                .rejects.toThrow('Update conflicts with 1 existing reservations');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should validate the exception', async () => {
+            await expect(setScheduleException('1', '2030-13-45', closed, '1'))
+                .rejects.toThrow('Invalid date format');
+            await expect(setScheduleException('1', '2030-12-25', {}, '1'))
+                .rejects.toThrow('workingHours is required');
+        });
+
+        it('should reject exception changes when user is not admin', async () => {
+            mockGetStudent.mockResolvedValue(mockRegularStudent);
+
+            await expect(setScheduleException('1', '2030-12-25', closed, '2'))
+                .rejects.toThrow('Permission denied: canteens:update on canteen 1');
+        });
+
+        it('should remove an exception', async () => {
+            const result = await deleteScheduleException('1', '2030-12-31', '1');
+
+            expect(result.scheduleExceptions).toEqual({});
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({ scheduleExceptions: '{}' }));
+        });
+
+        it('should reject removing a missing exception', async () => {
+            await expect(deleteScheduleException('1', '2030-12-25', '1'))
+                .rejects.toThrow('Schedule exception for 2030-12-25 not found');
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({});
+
+            expect(await setScheduleException('999', '2030-12-25', closed, '1')).toBeNull();
+            expect(await deleteScheduleException('999', '2030-12-25', '1')).toBeNull();
+        });
+    });
+
+    describe('capacity overrides', () => {
+        const eventDay = { capacity: 20, slots: { '12:00': 0 }, reason: 'Career fair' };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                capacityOverrides: JSON.stringify({ '2030-12-31': { capacity: 10 } })
+            });
+            mockFindCanteenUpdateConflicts.mockResolvedValue([]);
+        });
+
+        it('should add an override and check it against reservations', async () => {
+            const result = await setCapacityOverride('1', '2030-12-16', eventDay, '1');
+
+            expect(result.capacityOverrides).toEqual({ '2030-12-16': eventDay, '2030-12-31': { capacity: 10 } });
+            expect(mockFindCanteenUpdateConflicts).toHaveBeenCalledWith('1', expect.objectContaining({
+                capacityOverrides: result.capacityOverrides
+            }));
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', expect.objectContaining({
+                capacityOverrides: JSON.stringify(result.capacityOverrides)
+            }));
+        });
+
+        it('should reject slot overrides between slot starts', async () => {
+            await expect(setCapacityOverride('1', '2030-12-16', { slots: { '12:15': 5 } }, '1'))
+                .rejects.toThrow('Invalid slot time: 12:15. Must start on a 30-minute slot');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should remove an override', async () => {
+            const result = await deleteCapacityOverride('1', '2030-12-31', '1');
+
+            expect(result.capacityOverrides).toEqual({});
+        });
+
+        it('should reject removing a missing override', async () => {
+            await expect(deleteCapacityOverride('1', '2030-12-16', '1'))
+                .rejects.toThrow('Capacity override for 2030-12-16 not found');
+        });
+    });
+
+    describe('closures', () => {
+        const inspection = { startDate: '2030-12-16', startTime: '11:30', endDate: '2030-12-16', endTime: '12:30', reason: 'Inspection' };
+        const storedClosure = { id: 4, startDate: '2030-12-20', startTime: '08:00', endDate: '2030-12-20', endTime: '10:00', reason: 'Private event' };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                closures: JSON.stringify([storedClosure])
+            });
+            mockRedisClient.incr.mockResolvedValue(5);
+            mockCancelClosedReservations.mockResolvedValue([{ reservationId: 7, alternatives: [] }]);
+        });
+
+        it('should save the closure before cancelling the reservations it covers', async () => {
+            const result = await createClosure('1', inspection, '1');
+
+            expect(result).toMatchObject({ id: 5, ...inspection, createdBy: 1, cancelledReservations: [{ reservationId: 7, alternatives: [] }] });
+            const savedClosures = JSON.parse(mockRedisClient.hSet.mock.calls[0][1].closures);
+            expect(savedClosures.map(closure => closure.id)).toEqual([5, 4]);
+            expect(mockRedisClient.incr).toHaveBeenCalledWith('closure:id:counter');
+            expect(mockCancelClosedReservations).toHaveBeenCalledWith(
+                expect.objectContaining({ id: 1, closures: savedClosures }),
+                expect.objectContaining({ id: 5, reason: 'Inspection' }),
+                '1'
+            );
+            expect(mockRedisClient.hSet.mock.invocationCallOrder[0])
+                .toBeLessThan(mockCancelClosedReservations.mock.invocationCallOrder[0]);
+        });
+
+        it('should validate the closure', async () => {
+            await expect(createClosure('1', { ...inspection, reason: undefined }, '1'))
+                .rejects.toThrow('reason is required');
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should add the closure again to closures saved meanwhile', async () => {
+            const other = { ...storedClosure, id: 6, startDate: '2030-12-18' };
+            mockRedisClient.eval.mockResolvedValueOnce(0);
+            mockRedisClient.hGetAll
+                .mockResolvedValueOnce({ ...mockStoredCanteen, closures: JSON.stringify([storedClosure]) })
+                .mockResolvedValueOnce({ ...mockStoredCanteen, closures: JSON.stringify([storedClosure, other]) });
+
+            await createClosure('1', inspection, '1');
+
+            // Each write is guarded on the closures it was computed from
+            const [[, first], [, second]] = mockRedisClient.eval.mock.calls;
+            expect(first.arguments.slice(0, 5)).toEqual(['2', 'id', '1', 'closures', JSON.stringify([storedClosure])]);
+            expect(second.arguments.slice(0, 5)).toEqual(['2', 'id', '1', 'closures', JSON.stringify([storedClosure, other])]);
+            const savedClosures = JSON.parse(mockRedisClient.hSet.mock.calls[0][1].closures);
+            expect(savedClosures.map(closure => closure.id)).toEqual([5, 6, 4]);
+            expect(mockRedisClient.incr).toHaveBeenCalledTimes(1);
+        });
+
+        it('should give up on a closure change after losing the race repeatedly', async () => {
+            mockRedisClient.eval.mockResolvedValue(0);
+
+            await expect(deleteClosure('1', '4', '1')).rejects.toThrow('Canteen was modified concurrently, please retry');
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(3);
+        });
+
+        it('should reject closures when user is not admin', async () => {
+            mockGetStudent.mockResolvedValue(mockRegularStudent);
+
+            await expect(createClosure('1', inspection, '2'))
+                .rejects.toThrow('Permission denied: canteens:update on canteen 1');
+        });
+
+        it('should list and delete closures', async () => {
+            expect(await getClosures('1')).toEqual([storedClosure]);
+
+            const result = await deleteClosure('1', '4', '1');
+
+            expect(result).toEqual(storedClosure);
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('canteen:1', { closures: '[]' });
+            await expect(deleteClosure('1', '9', '1')).rejects.toThrow('Closure 9 not found');
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({});
+
+            expect(await createClosure('999', inspection, '1')).toBeNull();
+            expect(await deleteClosure('999', '4', '1')).toBeNull();
+            expect(await getClosures('999')).toBeNull();
+        });
+
+        it('should leave closed slots out of the status', async () => {
+            mockRedisClient.get.mockResolvedValue(null);
+
+            const result = await getCanteenStatus('1', '2030-12-20', '00:00', '2030-12-20', '23:59', '60');
+
+            expect(result.slots.map(slot => slot.startTime)).toEqual(['11:00', '12:00']);
         });
     });
 
@@ -224,6 +1047,27 @@ describe('canteenService', () => {
             mockRedisClient.get.mockResolvedValue(null); // No reservations by default
         });
 
+        it('should follow the weekday schedule and dated exceptions', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                weeklySchedule: JSON.stringify({
+                    friday: [{ meal: 'lunch', from: '11:00', to: '12:00' }],
+                    saturday: [],
+                    sunday: []
+                }),
+                scheduleExceptions: JSON.stringify({ '2025-12-08': { workingHours: [], reason: 'Holiday' } })
+            });
+
+            // Thursday 2025-12-04 to Tuesday 2025-12-09
+            const result = await getCanteenStatus('1', '2025-12-04', '00:00', '2025-12-09', '23:59', '60');
+
+            expect(result.slots.map(slot => `${slot.date} ${slot.startTime}`)).toEqual([
+                '2025-12-04 08:00', '2025-12-04 09:00', '2025-12-04 11:00', '2025-12-04 12:00',
+                '2025-12-05 11:00',
+                '2025-12-09 08:00', '2025-12-09 09:00', '2025-12-09 11:00', '2025-12-09 12:00'
+            ]);
+        });
+
         it('should return 30-min slots within working hours', async () => {
             const result = await getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '10:00', '30');
 
@@ -231,6 +1075,7 @@ describe('canteenService', () => {
             expect(result.slots[0]).toMatchObject({
                 date: '2025-12-01',
                 meal: 'breakfast',
+                mealName: 'Breakfast',
                 startTime: '08:00',
                 remainingCapacity: 30
             });
@@ -239,6 +1084,25 @@ describe('canteenService', () => {
             expect(result.slots[3].startTime).toBe('09:30');
         });
 
+        it('should include the menu of each slot\'s meal when asked', async () => {
+            const dishes = [{ id: 4, name: 'Omelette', allergens: ['eggs'], tags: ['vegetarian'], portions: 20, remainingPortions: 18 }];
+            mockGetMenu.mockImplementation(async (canteenId, date, meal) => (meal === 'breakfast' ? { dishes } : null));
+
+            const result = await getCanteenStatus('1', '2025-12-01', '09:00', '2025-12-01', '12:00', '30', { includeMenu: true });
+
+            expect(result.slots.map(slot => [slot.startTime, slot.menu])).toEqual([
+                ['09:00', dishes],
+                ['09:30', dishes],
+                ['11:00', []],
+                ['11:30', []]
+            ]);
+            expect(mockGetMenu).toHaveBeenCalledTimes(2);
+            expect(mockGetMenu).toHaveBeenCalledWith(1, '2025-12-01', 'lunch');
+
+            const withoutMenu = await getCanteenStatus('1', '2025-12-01', '09:00', '2025-12-01', '10:00', '30');
+            expect(withoutMenu.slots[0]).not.toHaveProperty('menu');
+        });
+
         it('should return 60-min slots only at even hours', async () => {
             const result = await getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '10:00', '60');
 
@@ -283,6 +1147,91 @@ describe('canteenService', () => {
             expect(result.slots[0].startTime).toBe('08:00');
         });
 
+        describe('with a 15-minute granularity', () => {
+            const quarterHourCanteen = {
+                ...mockStoredCanteen,
+                slotConfig: JSON.stringify({ granularity: 15, durations: [15, 45, 90], startAlignment: 15 })
+            };
+
+            beforeEach(() => {
+                mockRedisClient.hGetAll.mockResolvedValue(quarterHourCanteen);
+            });
+
+            it('should start slots on every bucket that fits the meal period', async () => {
+                const result = await getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '10:00', '45');
+
+                expect(result.slots.map(slot => slot.startTime)).toEqual([
+                    '08:00', '08:15', '08:30', '08:45', '09:00', '09:15'
+                ]);
+            });
+
+            it('should use the busiest bucket of the span', async () => {
+                mockRedisClient.get.mockImplementation((key) => {
+                    if (key === 'slot:1:2025-12-01:08:15') return Promise.resolve('4');
+                    if (key === 'slot:1:2025-12-01:08:30') return Promise.resolve('12');
+                    return Promise.resolve(null);
+                });
+
+                const result = await getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '09:00', '45');
+
+                expect(result.slots[0]).toMatchObject({ startTime: '08:00', remainingCapacity: 18 });
+                expect(result.slots[1]).toMatchObject({ startTime: '08:15', remainingCapacity: 18 });
+            });
+
+            it('should reject durations the canteen does not offer', async () => {
+                await expect(getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '10:00', '30'))
+                    .rejects.toThrow('Duration must be 15, 45 or 90');
+            });
+        });
+
+        it('should report slot instants in the canteen\'s zone across a DST change', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ ...mockStoredCanteen, timezone: 'Europe/Belgrade' });
+
+            const result = await getCanteenStatus('1', '2030-03-30', '08:00', '2030-03-31', '09:00', '60');
+
+            expect(result.slots.filter(s => s.startTime === '08:00').map(s => s.startsAt)).toEqual([
+                '2030-03-30T07:00:00.000Z',
+                '2030-03-31T06:00:00.000Z'
+            ]);
+        });
+
+        it('should reject malformed dates', async () => {
+            await expect(getCanteenStatus('1', '2030-3-30', '08:00', '2030-03-31', '09:00', '60'))
+                .rejects.toThrow('Invalid date format. Must be YYYY-MM-DD');
+        });
+
+        it('should use meal capacities and date overrides', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockStoredCanteen,
+                workingHours: JSON.stringify([
+                    { meal: 'breakfast', from: '08:00', to: '10:00' },
+                    { meal: 'lunch', from: '11:00', to: '13:00', capacity: 60 }
+                ]),
+                capacityOverrides: JSON.stringify({ '2025-12-02': { capacity: 20, slots: { '12:00': 0 } } })
+            });
+            mockRedisClient.get.mockImplementation((key) => {
+                if (key === 'slot:1:2025-12-01:11:30') return Promise.resolve('45');
+                return Promise.resolve(null);
+            });
+
+            const result = await getCanteenStatus('1', '2025-12-01', '09:30', '2025-12-02', '13:00', '60');
+            const remaining = Object.fromEntries(result.slots.map(s => [`${s.date} ${s.startTime}`, s.remainingCapacity]));
+
+            expect(remaining).toEqual({
+                '2025-12-01 11:00': 15, // lunch seats 60, 45 taken in the second half
+                '2025-12-01 12:00': 60,
+                '2025-12-02 08:00': 20,
+                '2025-12-02 09:00': 20,
+                '2025-12-02 11:00': 20,
+                '2025-12-02 12:00': 0
+            });
+        });
+
+        it('should reject durations a default canteen does not offer', async () => {
+            await expect(getCanteenStatus('1', '2025-12-01', '08:00', '2025-12-01', '10:00', '45'))
+                .rejects.toThrow('Duration must be 30 or 60');
+        });
+
         it('should return null when canteen not found', async () => {
             mockRedisClient.hGetAll.mockResolvedValue({});
 
@@ -314,7 +1263,7 @@ describe('canteenService', () => {
 
     describe('getAllCanteensStatus', () => {
         it('should return status for all canteens', async () => {
-            mockRedisClient.keys.mockResolvedValue(['canteen:1', 'canteen:2', 'canteen:id:counter']);
+            mockRedisClient.zRange.mockResolvedValue(['1', '2']);
             mockRedisClient.hGetAll
                 .mockResolvedValueOnce(mockStoredCanteen)
                 .mockResolvedValueOnce({
@@ -335,8 +1284,33 @@ describe('canteenService', () => {
             expect(result[1].slots).toBeDefined();
         });
 
+        it('should leave out canteens that do not offer the duration', async () => {
+            mockRedisClient.zRange.mockResolvedValue(['1', '2']);
+            mockRedisClient.hGetAll
+                .mockResolvedValueOnce(mockStoredCanteen)
+                .mockResolvedValueOnce({
+                    ...mockStoredCanteen,
+                    id: '2',
+                    slotConfig: JSON.stringify({ granularity: 15, durations: [15, 45], startAlignment: 15 })
+                })
+                .mockResolvedValue(mockStoredCanteen);
+            mockRedisClient.get.mockResolvedValue(null);
+
+            const result = await getAllCanteensStatus('2025-12-01', '08:00', '2025-12-01', '10:00', '30');
+
+            expect(result.map(status => status.canteenId)).toEqual([1]);
+        });
+
+        it('should reject durations no canteen offers', async () => {
+            mockRedisClient.zRange.mockResolvedValue(['1']);
+            mockRedisClient.hGetAll.mockResolvedValue(mockStoredCanteen);
+
+            await expect(getAllCanteensStatus('2025-12-01', '08:00', '2025-12-01', '10:00', '45'))
+                .rejects.toThrow('Duration must be 30 or 60');
+        });
+
         it('should return empty array when no canteens exist', async () => {
-            mockRedisClient.keys.mockResolvedValue(['canteen:id:counter']);
+            mockRedisClient.zRange.mockResolvedValue([]);
 
             const result = await getAllCanteensStatus('2025-12-01', '08:00', '2025-12-01', '10:00', '30');
 
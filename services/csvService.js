@@ -0,0 +1,14 @@
+// Text that spreadsheet programs run as a formula when it starts a cell
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * A value as one CSV cell. Text that would be read as a formula is prefixed with `'`,
+ * and cells with commas, quotes or line breaks are quoted. Numbers are written as they are.
+ */
+export function toCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,29 @@
+import { toCsvValue } from './csvService.js';
+
+describe('csvService', () => {
+    describe('toCsvValue', () => {
+        it('should quote cells with commas, quotes and line breaks', () => {
+            expect(toCsvValue('Petrović, Marko')).toBe('"Petrović, Marko"');
+            expect(toCsvValue('say "hi"')).toBe('"say ""hi"""');
+            expect(toCsvValue('two\nlines')).toBe('"two\nlines"');
+            expect(toCsvValue('plain')).toBe('plain');
+            expect(toCsvValue(null)).toBe('');
+            expect(toCsvValue(undefined)).toBe('');
+        });
+
+        it('should keep text from being read as a formula', () => {
+            expect(toCsvValue('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+            expect(toCsvValue('+1')).toBe("'+1");
+            expect(toCsvValue('-1+2')).toBe("'-1+2");
+            expect(toCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+            expect(toCsvValue('\t=1')).toBe("'\t=1");
+            expect(toCsvValue('\r=1')).toBe('"\'\r=1"');
+            expect(toCsvValue('a=b')).toBe('a=b');
+        });
+
+        it('should write numbers as they are', () => {
+            expect(toCsvValue(-5)).toBe('-5');
+            expect(toCsvValue(0)).toBe('0');
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import redisClient from "../config/redis.js";
+import { getAllCanteens } from "./canteenService.js";
+import { checkPermission } from "./permissionService.js";
+import { DEFAULT_MEAL_TYPES, getCanteenMeals } from "./scheduleService.js";
+
+const KEY_REGEX = /^[a-z][a-z0-9-]{0,39}$/;
+// Set of every meal type key, so the catalogue is read without scanning the keyspace
+const MEAL_TYPE_KEYS_KEY = 'mealTypes:keys';
+
+function formatMealType(mealType) {
+    return {
+        key: mealType.key,
+        name: mealType.name,
+        sortOrder: parseInt(mealType.sortOrder, 10)
+    };
+}
+
+function validateName(name) {
+    if (!name || typeof name !== 'string' || name.trim().length < 1) {
+        throw new Error('Name is required');
+    }
+    if (name.trim().length > 100) {
+        throw new Error('Name cannot exceed 100 characters');
+    }
+    return name.trim();
+}
+
+function validateSortOrder(sortOrder) {
+    const parsed = parseInt(sortOrder, 10);
+    if (isNaN(parsed) || String(parsed) !== String(sortOrder).trim()) {
+        throw new Error('sortOrder must be an integer');
+    }
+    return parsed;
+}
+
+/**
+ * Add breakfast, lunch and dinner to an empty catalogue
+ */
+export async function ensureDefaultMealTypes() {
+    for (const mealType of DEFAULT_MEAL_TYPES) {
+        if (!await redisClient.exists(`mealType:${mealType.key}`)) {
+            const multi = redisClient.multi();
+            multi.hSet(`mealType:${mealType.key}`, {
+                ...mealType,
+                createdAt: new Date().toISOString()
+            });
+            multi.sAdd(MEAL_TYPE_KEYS_KEY, mealType.key);
+            await multi.exec();
+        }
+    }
+}
+
+/**
+ * All meal types ordered by sortOrder, then key
+ */
+export async function getMealTypes() {
+    const keys = await redisClient.sMembers(MEAL_TYPE_KEYS_KEY);
+    const mealTypes = [];
+    for (const key of keys) {
+        const mealType = await redisClient.hGetAll(`mealType:${key}`);
+        if (Object.keys(mealType).length === 0) continue;
+        mealTypes.push(formatMealType(mealType));
+    }
+    return mealTypes.sort((a, b) => a.sortOrder - b.sortOrder || a.key.localeCompare(b.key));
+}
+
+export async function getMealTypeKeys() {
+    return (await getMealTypes()).map(mealType => mealType.key);
+}
+
+export async function createMealType(mealTypeData, createdBy) {
+    await checkPermission(createdBy, 'mealTypes:manage');
+    const { key } = mealTypeData;
+    if (typeof key !== 'string' || !KEY_REGEX.test(key)) {
+        throw new Error('Invalid key. Must be lowercase letters, digits or dashes, up to 40 characters');
+    }
+    const mealType = {
+        key,
+        name: validateName(mealTypeData.name),
+        sortOrder: mealTypeData.sortOrder === undefined ? 0 : validateSortOrder(mealTypeData.sortOrder)
+    };
+
+    const created = await redisClient.hSetNX(`mealType:${key}`, 'key', key);
+    if (!created) {
+        throw new Error(`Meal type ${key} already exists`);
+    }
+    const multi = redisClient.multi();
+    multi.hSet(`mealType:${key}`, { ...mealType, createdAt: new Date().toISOString() });
+    multi.sAdd(MEAL_TYPE_KEYS_KEY, key);
+    await multi.exec();
+    return mealType;
+}
+
+export async function updateMealType(key, updateData, updatedBy) {
+    await checkPermission(updatedBy, 'mealTypes:manage');
+    const existing = await redisClient.hGetAll(`mealType:${key}`);
+    if (Object.keys(existing).length === 0) {
+        return null;
+    }
+
+    const changes = {};
+    if (updateData.name !== undefined) {
+        changes.name = validateName(updateData.name);
+    }
+    if (updateData.sortOrder !== undefined) {
+        changes.sortOrder = validateSortOrder(updateData.sortOrder);
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new Error('At least one of name or sortOrder is required');
+    }
+
+    await redisClient.hSet(`mealType:${key}`, changes);
+    return formatMealType({ ...existing, ...changes });
+}
+
+/**
+ * Delete a meal type no canteen uses in its hours, weekday schedule or dated exceptions.
+ * Past reservations keep the key they were booked under.
+ */
+export async function deleteMealType(key, deletedBy) {
+    await checkPermission(deletedBy, 'mealTypes:manage');
+    const exists = await redisClient.exists(`mealType:${key}`);
+    if (!exists) {
+        return null;
+    }
+
+    const canteens = (await getAllCanteens()).filter(canteen => getCanteenMeals(canteen).has(key));
+    if (canteens.length > 0) {
+        throw new Error(`Meal type ${key} is still used by canteens ${canteens.map(canteen => canteen.id).join(', ')}`);
+    }
+
+    const multi = redisClient.multi();
+    multi.del(`mealType:${key}`);
+    multi.sRem(MEAL_TYPE_KEYS_KEY, key);
+    await multi.exec();
+    return { key };
+}
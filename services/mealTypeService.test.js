@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client, with one transaction shared by every multi() call
+const mockMulti = {
+    hSet: jest.fn(),
+    sAdd: jest.fn(),
+    sRem: jest.fn(),
+    del: jest.fn(),
+    exec: jest.fn()
+};
+const mockRedisClient = {
+    multi: jest.fn(() => mockMulti),
+    sMembers: jest.fn(),
+    hGetAll: jest.fn(),
+    hSet: jest.fn(),
+    hSetNX: jest.fn(),
+    exists: jest.fn()
+};
+
+// Mock canteen and permission services
+const mockGetAllCanteens = jest.fn();
+const mockCheckPermission = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+jest.unstable_mockModule('./canteenService.js', () => ({
+    getAllCanteens: mockGetAllCanteens
+}));
+
+jest.unstable_mockModule('./permissionService.js', () => ({
+    checkPermission: mockCheckPermission
+}));
+
+// Import after mocking
+const {
+    ensureDefaultMealTypes,
+    getMealTypes,
+    getMealTypeKeys,
+    createMealType,
+    updateMealType,
+    deleteMealType
+} = await import('./mealTypeService.js');
+
+describe('mealTypeService', () => {
+    const storedMealTypes = {
+        'mealType:dinner': { key: 'dinner', name: 'Dinner', sortOrder: '30' },
+        'mealType:brunch': { key: 'brunch', name: 'Brunch', sortOrder: '15' },
+        'mealType:breakfast': { key: 'breakfast', name: 'Breakfast', sortOrder: '10' },
+        'mealType:late-night': { key: 'late-night', name: 'Late-night service', sortOrder: '30' }
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockCheckPermission.mockResolvedValue({ id: 1, role: 'super-admin' });
+        mockRedisClient.sMembers.mockResolvedValue(Object.values(storedMealTypes).map(mealType => mealType.key));
+        mockRedisClient.hGetAll.mockImplementation(async key => storedMealTypes[key] || {});
+        mockRedisClient.hSetNX.mockResolvedValue(true);
+        mockRedisClient.exists.mockResolvedValue(1);
+        mockGetAllCanteens.mockResolvedValue([]);
+    });
+
+    describe('ensureDefaultMealTypes', () => {
+        it('should only add missing defaults', async () => {
+            mockRedisClient.exists.mockImplementation(async key => (key === 'mealType:lunch' ? 0 : 1));
+
+            await ensureDefaultMealTypes();
+
+            expect(mockMulti.hSet).toHaveBeenCalledTimes(1);
+            expect(mockMulti.hSet).toHaveBeenCalledWith('mealType:lunch', expect.objectContaining({
+                key: 'lunch',
+                name: 'Lunch',
+                sortOrder: 20
+            }));
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('mealTypes:keys', 'lunch');
+        });
+    });
+
+    describe('getMealTypes', () => {
+        it('should order by sortOrder, then key', async () => {
+            const result = await getMealTypes();
+
+            expect(result).toEqual([
+                { key: 'breakfast', name: 'Breakfast', sortOrder: 10 },
+                { key: 'brunch', name: 'Brunch', sortOrder: 15 },
+                { key: 'dinner', name: 'Dinner', sortOrder: 30 },
+                { key: 'late-night', name: 'Late-night service', sortOrder: 30 }
+            ]);
+            expect(await getMealTypeKeys()).toEqual(['breakfast', 'brunch', 'dinner', 'late-night']);
+            expect(mockRedisClient.sMembers).toHaveBeenCalledWith('mealTypes:keys');
+        });
+    });
+
+    describe('createMealType', () => {
+        it('should create a meal type when user is admin', async () => {
+            const result = await createMealType({ key: 'snack', name: ' Afternoon snack ', sortOrder: '25' }, '1');
+
+            expect(result).toEqual({ key: 'snack', name: 'Afternoon snack', sortOrder: 25 });
+            expect(mockCheckPermission).toHaveBeenCalledWith('1', 'mealTypes:manage');
+            expect(mockRedisClient.hSetNX).toHaveBeenCalledWith('mealType:snack', 'key', 'snack');
+            expect(mockMulti.hSet).toHaveBeenCalledWith('mealType:snack', expect.objectContaining(result));
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('mealTypes:keys', 'snack');
+        });
+
+        it('should default the sort order to 0', async () => {
+            const result = await createMealType({ key: 'snack', name: 'Snack' }, '1');
+
+            expect(result.sortOrder).toBe(0);
+        });
+
+        it('should validate key, name and sort order', async () => {
+            await expect(createMealType({ key: 'Brunch', name: 'Brunch' }, '1'))
+                .rejects.toThrow('Invalid key. Must be lowercase letters, digits or dashes, up to 40 characters');
+            await expect(createMealType({ key: 'brunch', name: ' ' }, '1'))
+                .rejects.toThrow('Name is required');
+            await expect(createMealType({ key: 'brunch', name: 'Brunch', sortOrder: '1.5' }, '1'))
+                .rejects.toThrow('sortOrder must be an integer');
+            expect(mockRedisClient.hSetNX).not.toHaveBeenCalled();
+        });
+
+        it('should reject an existing key', async () => {
+            mockRedisClient.hSetNX.mockResolvedValue(false);
+
+            await expect(createMealType({ key: 'brunch', name: 'Brunch' }, '1'))
+                .rejects.toThrow('Meal type brunch already exists');
+            expect(mockMulti.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should reject creation without the mealTypes:manage permission', async () => {
+            mockCheckPermission.mockRejectedValue(new Error('Permission denied: mealTypes:manage'));
+
+            await expect(createMealType({ key: 'brunch', name: 'Brunch' }, '2'))
+                .rejects.toThrow('Permission denied: mealTypes:manage');
+        });
+    });
+
+    describe('updateMealType', () => {
+        it('should rename and reorder a meal type', async () => {
+            const result = await updateMealType('brunch', { name: 'Weekend brunch', sortOrder: 12 }, '1');
+
+            expect(result).toEqual({ key: 'brunch', name: 'Weekend brunch', sortOrder: 12 });
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('mealType:brunch', { name: 'Weekend brunch', sortOrder: 12 });
+        });
+
+        it('should require a change', async () => {
+            await expect(updateMealType('brunch', {}, '1'))
+                .rejects.toThrow('At least one of name or sortOrder is required');
+        });
+
+        it('should return null when meal type not found', async () => {
+            expect(await updateMealType('supper', { name: 'Supper' }, '1')).toBeNull();
+        });
+    });
+
+    describe('deleteMealType', () => {
+        it('should delete an unused meal type', async () => {
+            mockGetAllCanteens.mockResolvedValue([
+                { id: 1, workingHours: [{ meal: 'lunch', from: '11:00', to: '13:00' }], weeklySchedule: {}, scheduleExceptions: {} }
+            ]);
+
+            const result = await deleteMealType('brunch', '1');
+
+            expect(result).toEqual({ key: 'brunch' });
+            expect(mockMulti.del).toHaveBeenCalledWith('mealType:brunch');
+            expect(mockMulti.sRem).toHaveBeenCalledWith('mealTypes:keys', 'brunch');
+        });
+
+        it('should refuse while canteens still use the meal type', async () => {
+            mockGetAllCanteens.mockResolvedValue([
+                { id: 1, workingHours: [], weeklySchedule: { sunday: [{ meal: 'brunch', from: '10:00', to: '13:00' }] }, scheduleExceptions: {} },
+                { id: 2, workingHours: [], weeklySchedule: {}, scheduleExceptions: {} },
+                { id: 3, workingHours: [], weeklySchedule: {}, scheduleExceptions: { '2030-12-31': { workingHours: [{ meal: 'brunch', from: '10:00', to: '12:00' }] } } }
+            ]);
+
+            await expect(deleteMealType('brunch', '1'))
+                .rejects.toThrow('Meal type brunch is still used by canteens 1, 3');
+            expect(mockMulti.del).not.toHaveBeenCalled();
+        });
+
+        it('should return null when meal type not found', async () => {
+            mockRedisClient.exists.mockResolvedValue(0);
+
+            expect(await deleteMealType('supper', '1')).toBeNull();
+        });
+    });
+});
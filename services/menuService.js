@@ -0,0 +1,282 @@
+import redisClient from "../config/redis.js";
+import { getCanteen } from "./canteenService.js";
+import { checkPermission } from "./permissionService.js";
+import { getWorkingHoursForDate } from "./scheduleService.js";
+
+const DISH_COUNTER_KEY = 'dish:id:counter';
+
+export const ALLERGENS = [
+    'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+    'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten-free', 'lactose-free', 'halal', 'kosher'];
+const MAX_DISHES = 50;
+
+function getMenuKey(canteenId, date, meal) {
+    return `menu:${canteenId}:${date}:${meal}`;
+}
+
+/**
+ * Counter of the portions of one dish held by reservations, like the slot seat counters
+ */
+export function getPortionKey(canteenId, date, meal, dishId) {
+    return `portions:${canteenId}:${date}:${meal}:${dishId}`;
+}
+
+function validateDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        throw new Error('Invalid date format. Must be YYYY-MM-DD');
+    }
+}
+
+function validateTagList(name, values, allowed) {
+    if (values === undefined || values === null) {
+        return [];
+    }
+    if (!Array.isArray(values)) {
+        throw new Error(`${name} must be an array`);
+    }
+    const normalized = values.map(value => (typeof value === 'string' ? value.trim().toLowerCase() : value));
+    for (const value of normalized) {
+        if (!allowed.includes(value)) {
+            throw new Error(`Invalid ${name} value: ${value}. Must be one of ${allowed.join(', ')}`);
+        }
+    }
+    return [...new Set(normalized)];
+}
+
+/**
+ * Validate the dishes of a menu: name, optional description, allergens and dietary tags
+ * from the known lists, and a positive number of portions. `id` refers to a dish
+ * already on the menu, which keeps its reserved portions.
+ */
+function validateDishes(dishes) {
+    if (!Array.isArray(dishes) || dishes.length === 0) {
+        throw new Error('dishes is required and must be a non-empty array');
+    }
+    if (dishes.length > MAX_DISHES) {
+        throw new Error(`A menu cannot exceed ${MAX_DISHES} dishes`);
+    }
+
+    return dishes.map(dish => {
+        if (!dish || typeof dish !== 'object') {
+            throw new Error('Each dish must be an object');
+        }
+        if (!dish.name || typeof dish.name !== 'string' || dish.name.trim().length < 1) {
+            throw new Error('Dish name is required');
+        }
+        if (dish.name.trim().length > 100) {
+            throw new Error('Dish name cannot exceed 100 characters');
+        }
+        if (dish.description !== undefined && (typeof dish.description !== 'string' || dish.description.trim().length > 500)) {
+            throw new Error('Dish description must be a string of at most 500 characters');
+        }
+        const portions = Number(dish.portions);
+        if (!Number.isInteger(portions) || portions < 1 || portions > 10000) {
+            throw new Error('Dish portions must be an integer between 1 and 10000');
+        }
+        if (dish.id !== undefined && !Number.isInteger(Number(dish.id))) {
+            throw new Error('Dish id must be an integer');
+        }
+
+        const validated = {
+            name: dish.name.trim(),
+            allergens: validateTagList('allergens', dish.allergens, ALLERGENS),
+            tags: validateTagList('tags', dish.tags, DIETARY_TAGS),
+            portions
+        };
+        if (dish.id !== undefined) {
+            validated.id = Number(dish.id);
+        }
+        if (dish.description !== undefined && dish.description.trim() !== '') {
+            validated.description = dish.description.trim();
+        }
+        return validated;
+    });
+}
+
+async function getReservedPortions(canteenId, date, meal, dishes) {
+    const counts = await Promise.all(dishes.map(dish => redisClient.get(getPortionKey(canteenId, date, meal, dish.id))));
+    return new Map(dishes.map((dish, i) => [dish.id, parseInt(counts[i] || '0', 10)]));
+}
+
+async function readMenu(canteenId, date, meal) {
+    const menu = await redisClient.hGetAll(getMenuKey(canteenId, date, meal));
+    if (Object.keys(menu).length === 0) {
+        return null;
+    }
+    return { canteenId: parseInt(canteenId, 10), date, meal, dishes: JSON.parse(menu.dishes) };
+}
+
+/**
+ * A published menu with the portions still left of every dish, or null
+ */
+export async function getMenu(canteenId, date, meal) {
+    const menu = await readMenu(canteenId, date, meal);
+    if (!menu) {
+        return null;
+    }
+    const reserved = await getReservedPortions(canteenId, date, meal, menu.dishes);
+    return {
+        ...menu,
+        dishes: menu.dishes.map(dish => ({
+            ...dish,
+            remainingPortions: Math.max(0, dish.portions - reserved.get(dish.id))
+        }))
+    };
+}
+
+/**
+ * Menus of every meal a canteen serves on a date, in the order of its meal periods
+ */
+export async function getMenusForDate(canteenId, date) {
+    validateDate(date);
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        return null;
+    }
+    const menus = [];
+    for (const { meal } of getWorkingHoursForDate(canteen, date)) {
+        const menu = await getMenu(canteen.id, date, meal);
+        if (menu) {
+            menus.push(menu);
+        }
+    }
+    return menus;
+}
+
+/**
+ * Publish or replace the menu of one canteen, date and meal. Dishes keep their
+ * reserved portions when listed with their id; a dish with reserved portions
+ * cannot be dropped or given fewer portions than are reserved.
+ */
+export async function publishMenu(canteenId, date, meal, menuData, publishedBy) {
+    await checkPermission(publishedBy, 'menus:manage', canteenId);
+    validateDate(date);
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        return null;
+    }
+    if (!getWorkingHoursForDate(canteen, date).some(period => period.meal === meal)) {
+        throw new Error(`Invalid meal: canteen does not serve ${meal} on ${date}`);
+    }
+    const dishes = validateDishes(menuData?.dishes);
+
+    const existing = await readMenu(canteen.id, date, meal);
+    const existingDishes = existing ? existing.dishes : [];
+    const reserved = await getReservedPortions(canteen.id, date, meal, existingDishes);
+    for (const dish of dishes) {
+        if (dish.id === undefined) continue;
+        if (!existingDishes.some(existingDish => existingDish.id === dish.id)) {
+            throw new Error(`Invalid dish id: ${dish.id} is not on this menu`);
+        }
+        if (dish.portions < reserved.get(dish.id)) {
+            throw new Error(`Dish ${dish.id} already has ${reserved.get(dish.id)} portions reserved`);
+        }
+    }
+    for (const existingDish of existingDishes) {
+        if (reserved.get(existingDish.id) > 0 && !dishes.some(dish => dish.id === existingDish.id)) {
+            throw new Error(`Dish ${existingDish.id} already has ${reserved.get(existingDish.id)} portions reserved`);
+        }
+    }
+
+    for (const dish of dishes) {
+        if (dish.id === undefined) {
+            dish.id = parseInt(await redisClient.incr(DISH_COUNTER_KEY), 10);
+        }
+    }
+    const ordered = dishes.map(({ id, name, description, allergens, tags, portions }) =>
+        (description === undefined
+            ? { id, name, allergens, tags, portions }
+            : { id, name, description, allergens, tags, portions }));
+
+    await redisClient.hSet(getMenuKey(canteen.id, date, meal), {
+        canteenId: String(canteen.id),
+        date,
+        meal,
+        dishes: JSON.stringify(ordered),
+        publishedBy: String(publishedBy),
+        publishedAt: new Date().toISOString()
+    });
+    return getMenu(canteen.id, date, meal);
+}
+
+/**
+ * Withdraw a menu nobody has reserved dishes from
+ */
+export async function deleteMenu(canteenId, date, meal, deletedBy) {
+    await checkPermission(deletedBy, 'menus:manage', canteenId);
+    validateDate(date);
+    const menu = await readMenu(canteenId, date, meal);
+    if (!menu) {
+        return null;
+    }
+    const reserved = await getReservedPortions(canteenId, date, meal, menu.dishes);
+    const reservedTotal = [...reserved.values()].reduce((sum, count) => sum + count, 0);
+    if (reservedTotal > 0) {
+        throw new Error(`Menu already has ${reservedTotal} portions reserved`);
+    }
+    await redisClient.del(getMenuKey(canteenId, date, meal));
+    return { canteenId: parseInt(canteenId, 10), date, meal };
+}
+
+/**
+ * Remove every menu of a canteen, used when the canteen is deleted
+ */
+export async function deleteCanteenMenus(canteenId) {
+    const keys = await redisClient.keys(`menu:${canteenId}:*`);
+    if (keys.length > 0) {
+        await redisClient.del(keys);
+    }
+    return keys.length;
+}
+
+/**
+ * Check dish choices for a booking against the menu of its canteen, date and meal.
+ * Each choice is `{dishId, quantity}` (quantity defaults to 1), with at most one
+ * portion per seat. Returns the choices with the portion counter key and stock of each dish.
+ */
+export async function resolveDishChoices(canteenId, date, meal, choices, seats) {
+    if (!Array.isArray(choices)) {
+        throw new Error('dishes must be an array of {dishId, quantity}');
+    }
+    if (choices.length === 0) {
+        return [];
+    }
+
+    const menu = await readMenu(canteenId, date, meal);
+    if (!menu) {
+        throw new Error(`Invalid dishes: no menu is published for ${meal} on ${date}`);
+    }
+
+    const resolved = [];
+    for (const choice of choices) {
+        const dishId = Number(choice?.dishId);
+        const quantity = choice?.quantity === undefined ? 1 : Number(choice.quantity);
+        if (!Number.isInteger(dishId)) {
+            throw new Error('Each dish choice must have an integer dishId');
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error('Dish quantity must be a positive integer');
+        }
+        const dish = menu.dishes.find(menuDish => menuDish.id === dishId);
+        if (!dish) {
+            throw new Error(`Invalid dish: ${dishId} is not on the menu for ${meal} on ${date}`);
+        }
+        if (resolved.some(previous => previous.dishId === dishId)) {
+            throw new Error(`Invalid dishes: dish ${dishId} is listed more than once`);
+        }
+        resolved.push({
+            dishId,
+            quantity,
+            key: getPortionKey(canteenId, date, meal, dishId),
+            portions: dish.portions
+        });
+    }
+
+    const total = resolved.reduce((sum, choice) => sum + choice.quantity, 0);
+    if (total > seats) {
+        throw new Error(`Dish portions cannot exceed one per seat (${seats})`);
+    }
+    return resolved;
+}
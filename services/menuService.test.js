@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client
+const mockRedisClient = {
+    hGetAll: jest.fn(),
+    hSet: jest.fn(),
+    get: jest.fn(),
+    incr: jest.fn(),
+    keys: jest.fn(),
+    del: jest.fn()
+};
+
+// Mock canteen and permission services
+const mockGetCanteen = jest.fn();
+const mockCheckPermission = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+jest.unstable_mockModule('./canteenService.js', () => ({
+    getCanteen: mockGetCanteen
+}));
+
+jest.unstable_mockModule('./permissionService.js', () => ({
+    checkPermission: mockCheckPermission
+}));
+
+// Import after mocking
+const {
+    getMenu,
+    getMenusForDate,
+    publishMenu,
+    deleteMenu,
+    deleteCanteenMenus,
+    resolveDishChoices
+} = await import('./menuService.js');
+
+describe('menuService', () => {
+    const date = '2030-12-16';
+    const mockCanteen = {
+        id: 1,
+        workingHours: [
+            { meal: 'breakfast', from: '08:00', to: '10:00' },
+            { meal: 'lunch', from: '11:00', to: '13:00' }
+        ],
+        weeklySchedule: {},
+        scheduleExceptions: {}
+    };
+    const storedDishes = [
+        { id: 4, name: 'Omelette', allergens: ['eggs'], tags: ['vegetarian'], portions: 20 },
+        { id: 5, name: 'Porridge', allergens: [], tags: ['vegan'], portions: 10 }
+    ];
+    let storedMenus;
+    let reservedPortions;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        storedMenus = {
+            [`menu:1:${date}:breakfast`]: { canteenId: '1', date, meal: 'breakfast', dishes: JSON.stringify(storedDishes) }
+        };
+        reservedPortions = { [`portions:1:${date}:breakfast:4`]: '3' };
+        mockGetCanteen.mockResolvedValue(mockCanteen);
+        mockCheckPermission.mockResolvedValue({ id: 1, role: 'super-admin' });
+        mockRedisClient.hGetAll.mockImplementation(async key => storedMenus[key] || {});
+        mockRedisClient.get.mockImplementation(async key => reservedPortions[key] || null);
+        mockRedisClient.hSet.mockImplementation(async (key, fields) => {
+            storedMenus[key] = fields;
+        });
+        mockRedisClient.incr.mockResolvedValue(9);
+    });
+
+    describe('getMenu', () => {
+        it('should show the portions left of every dish', async () => {
+            const result = await getMenu(1, date, 'breakfast');
+
+            expect(result).toEqual({
+                canteenId: 1,
+                date,
+                meal: 'breakfast',
+                dishes: [
+                    { ...storedDishes[0], remainingPortions: 17 },
+                    { ...storedDishes[1], remainingPortions: 10 }
+                ]
+            });
+        });
+
+        it('should return null when no menu is published', async () => {
+            expect(await getMenu(1, date, 'lunch')).toBeNull();
+        });
+
+        it('should list a date\'s menus in meal order', async () => {
+            const result = await getMenusForDate('1', date);
+
+            expect(result.map(menu => menu.meal)).toEqual(['breakfast']);
+        });
+    });
+
+    describe('publishMenu', () => {
+        it('should publish a menu with new dish ids and normalized tags', async () => {
+            const result = await publishMenu('1', date, 'lunch', {
+                dishes: [{ name: ' Falafel wrap ', allergens: ['Sesame', 'gluten'], tags: ['vegan', 'HALAL'], portions: '40' }]
+            }, '1');
+
+            expect(mockCheckPermission).toHaveBeenCalledWith('1', 'menus:manage', '1');
+            expect(result.dishes).toEqual([{
+                id: 9,
+                name: 'Falafel wrap',
+                allergens: ['sesame', 'gluten'],
+                tags: ['vegan', 'halal'],
+                portions: 40,
+                remainingPortions: 40
+            }]);
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith(`menu:1:${date}:lunch`, expect.objectContaining({
+                meal: 'lunch',
+                publishedBy: '1'
+            }));
+        });
+
+        it('should keep listed dishes and their reserved portions', async () => {
+            const result = await publishMenu('1', date, 'breakfast', {
+                dishes: [{ id: 4, name: 'Omelette', allergens: ['eggs'], portions: 3 }, { name: 'Toast', portions: 5 }]
+            }, '1');
+
+            expect(result.dishes.map(dish => [dish.id, dish.remainingPortions])).toEqual([[4, 0], [9, 5]]);
+        });
+
+        it('should refuse fewer portions than are reserved', async () => {
+            await expect(publishMenu('1', date, 'breakfast', { dishes: [{ id: 4, name: 'Omelette', portions: 2 }] }, '1'))
+                .rejects.toThrow('Dish 4 already has 3 portions reserved');
+        });
+
+        it('should refuse to drop a dish with reserved portions', async () => {
+            await expect(publishMenu('1', date, 'breakfast', { dishes: [{ id: 5, name: 'Porridge', portions: 10 }] }, '1'))
+                .rejects.toThrow('Dish 4 already has 3 portions reserved');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should validate the menu', async () => {
+            await expect(publishMenu('1', date, 'dinner', { dishes: [{ name: 'Soup', portions: 5 }] }, '1'))
+                .rejects.toThrow(`Invalid meal: canteen does not serve dinner on ${date}`);
+            await expect(publishMenu('1', date, 'lunch', { dishes: [] }, '1'))
+                .rejects.toThrow('dishes is required and must be a non-empty array');
+            await expect(publishMenu('1', date, 'lunch', { dishes: [{ name: 'Soup', portions: 0 }] }, '1'))
+                .rejects.toThrow('Dish portions must be an integer between 1 and 10000');
+            await expect(publishMenu('1', date, 'lunch', { dishes: [{ name: 'Soup', portions: 5, allergens: ['dust'] }] }, '1'))
+                .rejects.toThrow('Invalid allergens value: dust');
+            await expect(publishMenu('1', date, 'lunch', { dishes: [{ id: 4, name: 'Soup', portions: 5 }] }, '1'))
+                .rejects.toThrow('Invalid dish id: 4 is not on this menu');
+        });
+
+        it('should reject publishing without the menus:manage permission for the canteen', async () => {
+            mockCheckPermission.mockRejectedValue(new Error('Permission denied: menus:manage on canteen 1'));
+
+            await expect(publishMenu('1', date, 'lunch', { dishes: [{ name: 'Soup', portions: 5 }] }, '2'))
+                .rejects.toThrow('Permission denied: menus:manage on canteen 1');
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockGetCanteen.mockResolvedValue(null);
+
+            expect(await publishMenu('99', date, 'lunch', { dishes: [{ name: 'Soup', portions: 5 }] }, '1')).toBeNull();
+        });
+    });
+
+    describe('deleteMenu', () => {
+        it('should refuse while portions are reserved', async () => {
+            await expect(deleteMenu('1', date, 'breakfast', '1'))
+                .rejects.toThrow('Menu already has 3 portions reserved');
+        });
+
+        it('should delete a menu without reservations', async () => {
+            reservedPortions = {};
+
+            expect(await deleteMenu('1', date, 'breakfast', '1')).toEqual({ canteenId: 1, date, meal: 'breakfast' });
+            expect(mockRedisClient.del).toHaveBeenCalledWith(`menu:1:${date}:breakfast`);
+        });
+
+        it('should return null when no menu is published', async () => {
+            expect(await deleteMenu('1', date, 'lunch', '1')).toBeNull();
+        });
+
+        it('should remove all menus of a canteen', async () => {
+            mockRedisClient.keys.mockResolvedValue([`menu:1:${date}:breakfast`, `menu:1:${date}:lunch`]);
+
+            expect(await deleteCanteenMenus(1)).toBe(2);
+            expect(mockRedisClient.keys).toHaveBeenCalledWith('menu:1:*');
+        });
+    });
+
+    describe('resolveDishChoices', () => {
+        it('should resolve choices to portion counters', async () => {
+            const result = await resolveDishChoices(1, date, 'breakfast', [{ dishId: 4, quantity: 2 }, { dishId: '5' }], 3);
+
+            expect(result).toEqual([
+                { dishId: 4, quantity: 2, key: `portions:1:${date}:breakfast:4`, portions: 20 },
+                { dishId: 5, quantity: 1, key: `portions:1:${date}:breakfast:5`, portions: 10 }
+            ]);
+        });
+
+        it('should allow at most one portion per seat', async () => {
+            await expect(resolveDishChoices(1, date, 'breakfast', [{ dishId: 4, quantity: 2 }], 1))
+                .rejects.toThrow('Dish portions cannot exceed one per seat (1)');
+        });
+
+        it('should reject dishes that are not on the menu', async () => {
+            await expect(resolveDishChoices(1, date, 'breakfast', [{ dishId: 6 }], 1))
+                .rejects.toThrow(`Invalid dish: 6 is not on the menu for breakfast on ${date}`);
+            await expect(resolveDishChoices(1, date, 'lunch', [{ dishId: 4 }], 1))
+                .rejects.toThrow(`Invalid dishes: no menu is published for lunch on ${date}`);
+            await expect(resolveDishChoices(1, date, 'breakfast', [{ dishId: 4 }, { dishId: 4 }], 2))
+                .rejects.toThrow('Invalid dishes: dish 4 is listed more than once');
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import redisClient from "../config/redis.js";
+import { getCanteen } from "./canteenService.js";
+import { toCsvValue } from "./csvService.js";
+import {
+    WEEKDAY_NAMES,
+    getWorkingHoursForDate,
+    getSlotConfig,
+    getSlotCapacity,
+    getTimezone,
+    isExistingZonedTime,
+    timeToMinutes,
+    minutesToTime,
+    addDays
+} from "./scheduleService.js";
+
+const MAX_OCCUPANCY_DAYS = 92;
+const PERIOD_COUNT = 5;
+const CSV_VIEWS = ['slots', 'weekdays'];
+
+function validateDateRange(startDate, endDate) {
+    if (!startDate || !endDate) {
+        throw new Error('startDate and endDate are required');
+    }
+    for (const date of [startDate, endDate]) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error('Invalid date format. Must be YYYY-MM-DD');
+        }
+    }
+    if (endDate < startDate) {
+        throw new Error('endDate must be on or after startDate');
+    }
+    if (addDays(startDate, MAX_OCCUPANCY_DAYS - 1) < endDate) {
+        throw new Error(`The date range cannot exceed ${MAX_OCCUPANCY_DAYS} days`);
+    }
+}
+
+/**
+ * Reserved seats as a percentage of capacity with one decimal, null without capacity
+ */
+function toPercentage(reserved, capacity) {
+    return capacity > 0 ? Math.round((reserved / capacity) * 1000) / 10 : null;
+}
+
+/**
+ * Buckets a canteen is open for on a date, each with its meal and effective capacity
+ */
+function getOpenBuckets(canteen, date) {
+    const { granularity } = getSlotConfig(canteen);
+    const timeZone = getTimezone(canteen);
+    const buckets = [];
+    for (const period of getWorkingHoursForDate(canteen, date)) {
+        for (let start = timeToMinutes(period.from); start + granularity <= timeToMinutes(period.to); start += granularity) {
+            const time = minutesToTime(start);
+            if (isExistingZonedTime(date, time, timeZone)) {
+                buckets.push({ time, meal: period.meal, capacity: getSlotCapacity(canteen, date, time) });
+            }
+        }
+    }
+    return buckets;
+}
+
+function compareWeekdayTimes(a, b) {
+    return WEEKDAY_NAMES.indexOf(a.weekday) - WEEKDAY_NAMES.indexOf(b.weekday) || a.time.localeCompare(b.time);
+}
+
+/**
+ * Occupancy of a canteen over a date range from its `slot:` counters: every
+ * date × bucket, the same averaged per weekday × time of day, and the busiest
+ * and quietest of those weekday times.
+ */
+export async function getCanteenOccupancy(canteenId, startDate, endDate) {
+    validateDateRange(startDate, endDate);
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        return null;
+    }
+
+    const slots = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        const weekday = WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        const buckets = getOpenBuckets(canteen, date);
+        const counts = await Promise.all(buckets.map(bucket => redisClient.get(`slot:${canteen.id}:${date}:${bucket.time}`)));
+        buckets.forEach((bucket, i) => {
+            const reserved = parseInt(counts[i] || '0', 10);
+            slots.push({
+                date,
+                weekday,
+                time: bucket.time,
+                meal: bucket.meal,
+                reserved,
+                capacity: bucket.capacity,
+                occupancy: toPercentage(reserved, bucket.capacity)
+            });
+        });
+    }
+
+    // Weekday averages weigh every date by its capacity
+    const totals = new Map();
+    for (const slot of slots) {
+        const key = `${slot.weekday} ${slot.time}`;
+        const total = totals.get(key) ?? { weekday: slot.weekday, time: slot.time, days: 0, reserved: 0, capacity: 0 };
+        total.days += 1;
+        total.reserved += slot.reserved;
+        total.capacity += slot.capacity;
+        totals.set(key, total);
+    }
+    const weekdays = [...totals.values()]
+        .map(total => ({ ...total, occupancy: toPercentage(total.reserved, total.capacity) }))
+        .sort(compareWeekdayTimes);
+
+    const ranked = weekdays.filter(entry => entry.occupancy !== null);
+    const peaks = [...ranked].sort((a, b) => b.occupancy - a.occupancy || compareWeekdayTimes(a, b)).slice(0, PERIOD_COUNT);
+    const quietPeriods = [...ranked].sort((a, b) => a.occupancy - b.occupancy || compareWeekdayTimes(a, b)).slice(0, PERIOD_COUNT);
+
+    const reserved = slots.reduce((sum, slot) => sum + slot.reserved, 0);
+    const capacity = slots.reduce((sum, slot) => sum + slot.capacity, 0);
+    return {
+        canteenId: canteen.id,
+        startDate,
+        endDate,
+        granularity: getSlotConfig(canteen).granularity,
+        occupancy: toPercentage(reserved, capacity),
+        slots,
+        weekdays,
+        peaks,
+        quietPeriods
+    };
+}
+
+/**
+ * One table of an occupancy report as CSV: `slots` for every date × bucket,
+ * `weekdays` for the weekday × time of day averages
+ */
+export function formatOccupancyCsv(report, view = 'slots') {
+    if (!CSV_VIEWS.includes(view)) {
+        throw new Error(`Invalid view. Must be ${CSV_VIEWS.join(' or ')}`);
+    }
+    const columns = view === 'slots'
+        ? ['date', 'weekday', 'time', 'meal', 'reserved', 'capacity', 'occupancy']
+        : ['weekday', 'time', 'days', 'reserved', 'capacity', 'occupancy'];
+    const rows = report[view].map(entry => columns.map(column => toCsvValue(entry[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client
+const mockRedisClient = {
+    get: jest.fn()
+};
+
+// Mock canteen service
+const mockGetCanteen = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+jest.unstable_mockModule('./canteenService.js', () => ({
+    getCanteen: mockGetCanteen
+}));
+
+// Import after mocking
+const { getCanteenOccupancy, formatOccupancyCsv } = await import('./occupancyService.js');
+
+describe('occupancyService', () => {
+    // 2030-12-16 is a Monday
+    const mockCanteen = {
+        id: 1,
+        capacity: 10,
+        timezone: 'UTC',
+        workingHours: [{ meal: 'lunch', from: '12:00', to: '13:00' }],
+        weeklySchedule: {},
+        scheduleExceptions: {},
+        capacityOverrides: { '2030-12-23': { slots: { '12:30': 0 } } }
+    };
+    let counters;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        counters = {
+            'slot:1:2030-12-16:12:00': '8',
+            'slot:1:2030-12-16:12:30': '2',
+            'slot:1:2030-12-17:12:00': '1',
+            'slot:1:2030-12-23:12:00': '4'
+        };
+        mockGetCanteen.mockResolvedValue(mockCanteen);
+        mockRedisClient.get.mockImplementation(async key => counters[key] || null);
+    });
+
+    describe('getCanteenOccupancy', () => {
+        it('should report occupancy per date and slot', async () => {
+            const result = await getCanteenOccupancy('1', '2030-12-16', '2030-12-17');
+
+            expect(result.slots).toEqual([
+                { date: '2030-12-16', weekday: 'monday', time: '12:00', meal: 'lunch', reserved: 8, capacity: 10, occupancy: 80 },
+                { date: '2030-12-16', weekday: 'monday', time: '12:30', meal: 'lunch', reserved: 2, capacity: 10, occupancy: 20 },
+                { date: '2030-12-17', weekday: 'tuesday', time: '12:00', meal: 'lunch', reserved: 1, capacity: 10, occupancy: 10 },
+                { date: '2030-12-17', weekday: 'tuesday', time: '12:30', meal: 'lunch', reserved: 0, capacity: 10, occupancy: 0 }
+            ]);
+            expect(result.occupancy).toBe(27.5);
+            expect(result.granularity).toBe(30);
+            expect(mockRedisClient.get).toHaveBeenCalledWith('slot:1:2030-12-16:12:00');
+        });
+
+        it('should average weekdays by capacity and rank peak and quiet periods', async () => {
+            const result = await getCanteenOccupancy('1', '2030-12-16', '2030-12-23');
+
+            const mondays = result.weekdays.filter(entry => entry.weekday === 'monday');
+            expect(mondays).toEqual([
+                { weekday: 'monday', time: '12:00', days: 2, reserved: 12, capacity: 20, occupancy: 60 },
+                { weekday: 'monday', time: '12:30', days: 2, reserved: 2, capacity: 10, occupancy: 20 }
+            ]);
+            expect(result.peaks[0]).toMatchObject({ weekday: 'monday', time: '12:00' });
+            expect(result.peaks).toHaveLength(5);
+            expect(result.quietPeriods[0]).toMatchObject({ weekday: 'sunday', time: '12:00', occupancy: 0 });
+        });
+
+        it('should leave out slots without capacity from the ranking', async () => {
+            mockGetCanteen.mockResolvedValue({ ...mockCanteen, capacityOverrides: { '2030-12-16': { capacity: 0 } } });
+
+            const result = await getCanteenOccupancy('1', '2030-12-16', '2030-12-16');
+
+            expect(result.slots[0].occupancy).toBeNull();
+            expect(result.occupancy).toBeNull();
+            expect(result.peaks).toEqual([]);
+        });
+
+        it('should validate the date range', async () => {
+            await expect(getCanteenOccupancy('1', '2030-12-16'))
+                .rejects.toThrow('startDate and endDate are required');
+            await expect(getCanteenOccupancy('1', '2030-12-16', '16.12.2030'))
+                .rejects.toThrow('Invalid date format. Must be YYYY-MM-DD');
+            await expect(getCanteenOccupancy('1', '2030-12-16', '2030-12-15'))
+                .rejects.toThrow('endDate must be on or after startDate');
+            await expect(getCanteenOccupancy('1', '2030-01-01', '2030-04-03'))
+                .rejects.toThrow('The date range cannot exceed 92 days');
+            expect(mockGetCanteen).not.toHaveBeenCalled();
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockGetCanteen.mockResolvedValue(null);
+
+            expect(await getCanteenOccupancy('99', '2030-12-16', '2030-12-16')).toBeNull();
+        });
+    });
+
+    describe('formatOccupancyCsv', () => {
+        it('should write the slots or weekdays table', async () => {
+            const report = await getCanteenOccupancy('1', '2030-12-16', '2030-12-16');
+
+            expect(formatOccupancyCsv(report)).toBe(
+                'date,weekday,time,meal,reserved,capacity,occupancy\r\n' +
+                '2030-12-16,monday,12:00,lunch,8,10,80\r\n' +
+                '2030-12-16,monday,12:30,lunch,2,10,20\r\n'
+            );
+            expect(formatOccupancyCsv(report, 'weekdays').split('\r\n')[1]).toBe('monday,12:00,1,8,10,80');
+        });
+
+        it('should quote values and leave missing occupancy empty', () => {
+            const report = { slots: [{ date: '2030-12-16', weekday: 'monday', time: '12:00', meal: 'late, night', reserved: 0, capacity: 0, occupancy: null }] };
+
+            expect(formatOccupancyCsv(report).split('\r\n')[1]).toBe('2030-12-16,monday,12:00,"late, night",0,0,');
+        });
+
+        it('should reject an unknown view', () => {
+            expect(() => formatOccupancyCsv({ slots: [] }, 'meals')).toThrow('Invalid view. Must be slots or weekdays');
+        });
+    });
+});
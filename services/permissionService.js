@@ -0,0 +1,65 @@
+import { getStudent } from "./studentService.js";
+
+export const ROLES = ['super-admin', 'manager', 'staff', 'student'];
+
+export const PERMISSIONS = [
+    'canteens:create',
+    'canteens:update',
+    'canteens:delete',
+    'menus:manage',
+    'reservations:read',
+    'reservations:cancel',
+    'reservations:checkIn',
+    'mealTypes:manage',
+    'students:manage',
+    'students:assignRoles'
+];
+
+// A manager holds these only for the canteens listed in their canteenIds
+const ROLE_PERMISSIONS = {
+    'super-admin': PERMISSIONS,
+    manager: [
+        'canteens:update',
+        'canteens:delete',
+        'menus:manage',
+        'reservations:read',
+        'reservations:cancel',
+        'reservations:checkIn'
+    ],
+    staff: ['reservations:checkIn'],
+    student: []
+};
+
+/**
+ * Whether a student holds a permission, for one canteen when canteenId is given.
+ * Without a canteenId a manager passes on their role alone.
+ */
+export function hasPermission(student, permission, canteenId = null) {
+    if (!PERMISSIONS.includes(permission)) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (!student || !(ROLE_PERMISSIONS[student.role] || []).includes(permission)) {
+        return false;
+    }
+    if (student.role !== 'manager' || canteenId === null || canteenId === undefined) {
+        return true;
+    }
+    return student.canteenIds.includes(parseInt(canteenId, 10));
+}
+
+export function assertPermission(student, permission, canteenId = null) {
+    if (!hasPermission(student, permission, canteenId)) {
+        throw new Error(canteenId === null || canteenId === undefined
+            ? `Permission denied: ${permission}`
+            : `Permission denied: ${permission} on canteen ${canteenId}`);
+    }
+}
+
+/**
+ * Load a student and require a permission of them, returning the student
+ */
+export async function checkPermission(studentId, permission, canteenId = null) {
+    const student = await getStudent(studentId);
+    assertPermission(student, permission, canteenId);
+    return student;
+}
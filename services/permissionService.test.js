@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+// Mock student service
+const mockGetStudent = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('./studentService.js', () => ({
+    getStudent: mockGetStudent
+}));
+
+// Import after mocking
+const { hasPermission, assertPermission, checkPermission } = await import('./permissionService.js');
+
+describe('permissionService', () => {
+    const superAdmin = { id: 1, role: 'super-admin', canteenIds: [] };
+    const manager = { id: 2, role: 'manager', canteenIds: [1, 3] };
+    const staff = { id: 3, role: 'staff', canteenIds: [] };
+    const student = { id: 4, role: 'student', canteenIds: [] };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('hasPermission', () => {
+        it('should grant super-admins every permission', () => {
+            expect(hasPermission(superAdmin, 'canteens:create')).toBe(true);
+            expect(hasPermission(superAdmin, 'canteens:delete', '7')).toBe(true);
+            expect(hasPermission(superAdmin, 'students:assignRoles')).toBe(true);
+        });
+
+        it('should scope managers to the canteens they manage', () => {
+            expect(hasPermission(manager, 'canteens:update', '1')).toBe(true);
+            expect(hasPermission(manager, 'reservations:read', 3)).toBe(true);
+            expect(hasPermission(manager, 'canteens:delete', '2')).toBe(false);
+            expect(hasPermission(manager, 'reservations:checkIn')).toBe(true);
+            expect(hasPermission(manager, 'canteens:create')).toBe(false);
+            expect(hasPermission(manager, 'mealTypes:manage')).toBe(false);
+        });
+
+        it('should let staff check in at any canteen and nothing else', () => {
+            expect(hasPermission(staff, 'reservations:checkIn', '2')).toBe(true);
+            expect(hasPermission(staff, 'reservations:read', '2')).toBe(false);
+        });
+
+        it('should grant students and unknown callers nothing', () => {
+            expect(hasPermission(student, 'reservations:checkIn')).toBe(false);
+            expect(hasPermission(null, 'canteens:update', '1')).toBe(false);
+            expect(hasPermission({ id: 5, role: 'owner' }, 'canteens:update', '1')).toBe(false);
+        });
+
+        it('should reject unknown permissions', () => {
+            expect(() => hasPermission(superAdmin, 'canteens:rename')).toThrow('Unknown permission: canteens:rename');
+        });
+    });
+
+    describe('assertPermission', () => {
+        it('should name the permission and canteen that are missing', () => {
+            expect(() => assertPermission(manager, 'canteens:update', '2'))
+                .toThrow('Permission denied: canteens:update on canteen 2');
+            expect(() => assertPermission(student, 'canteens:create'))
+                .toThrow('Permission denied: canteens:create');
+            expect(() => assertPermission(manager, 'canteens:update', '1')).not.toThrow();
+        });
+    });
+
+    describe('checkPermission', () => {
+        it('should load the student and return them when permitted', async () => {
+            mockGetStudent.mockResolvedValue(manager);
+
+            expect(await checkPermission('2', 'menus:manage', '3')).toBe(manager);
+            expect(mockGetStudent).toHaveBeenCalledWith('2');
+        });
+
+        it('should reject missing students', async () => {
+            mockGetStudent.mockResolvedValue(null);
+
+            await expect(checkPermission('99', 'canteens:create'))
+                .rejects.toThrow('Permission denied: canteens:create');
+        });
+    });
+});
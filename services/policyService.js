@@ -0,0 +1,128 @@
+import redisClient from "../config/redis.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const POLICY_LIMITS = {
+    maxReservationsPerDay: 100,
+    maxReservationsPerWeek: 500,
+    bookingWindowDays: 365,
+    minLeadTimeMinutes: 7 * 24 * 60,
+    cancellationCutoffMinutes: 7 * 24 * 60,
+    lateCancellationMinutes: 7 * 24 * 60
+};
+
+const BAN_LIMITS = {
+    maxStrikes: 100,
+    windowDays: 365,
+    durationDays: 365
+};
+
+/**
+ * Error for a broken booking or cancellation rule, carrying a machine-readable code
+ */
+export function policyViolation(code, message) {
+    const err = new Error(message);
+    err.name = 'PolicyViolationError';
+    err.code = code;
+    return err;
+}
+
+function validateLimit(name, value, max) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 0 || String(parsed) !== String(value).trim()) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    if (parsed > max) {
+        throw new Error(`${name} cannot exceed ${max}`);
+    }
+    return parsed;
+}
+
+/**
+ * Validate a canteen booking policy. Every rule is optional, null removes it.
+ */
+export function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('Policy must be an object');
+    }
+
+    const validated = {};
+    for (const [name, value] of Object.entries(policy)) {
+        if (value === null) continue;
+
+        if (name === 'ban') {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('ban must be an object with maxStrikes, windowDays and durationDays');
+            }
+            const ban = {};
+            for (const field of Object.keys(BAN_LIMITS)) {
+                if (value[field] === undefined || value[field] === null) {
+                    throw new Error(`ban.${field} is required`);
+                }
+                ban[field] = validateLimit(`ban.${field}`, value[field], BAN_LIMITS[field]);
+            }
+            if (ban.maxStrikes < 1) {
+                throw new Error('ban.maxStrikes must be at least 1');
+            }
+            validated.ban = ban;
+        } else if (POLICY_LIMITS[name] !== undefined) {
+            validated[name] = validateLimit(name, value, POLICY_LIMITS[name]);
+        } else {
+            throw new Error(`Invalid policy rule: ${name}`);
+        }
+    }
+    return validated;
+}
+
+/**
+ * Record a late cancellation or no-show against a student
+ */
+export async function recordStrike(studentId, type, reservationId, at = new Date()) {
+    await redisClient.zAdd(`studentStrikes:${studentId}`, {
+        score: at.getTime(),
+        value: `${type}:${reservationId}`
+    });
+}
+
+export async function clearStrikes(studentId) {
+    await redisClient.del(`studentStrikes:${studentId}`);
+}
+
+/**
+ * Return the end of the booking ban a student is serving under the given ban rule, or null.
+ * A student with at least maxStrikes strikes within windowDays up to their latest strike
+ * cannot book until durationDays after that latest strike.
+ */
+export async function getActiveBanEnd(studentId, ban, now = new Date()) {
+    if (!ban) {
+        return null;
+    }
+    const since = now.getTime() - (ban.windowDays + ban.durationDays) * DAY_MS;
+    const strikes = await redisClient.zRangeByScoreWithScores(`studentStrikes:${studentId}`, since, now.getTime());
+    if (strikes.length === 0) {
+        return null;
+    }
+
+    const scores = strikes.map(strike => strike.score);
+    const latest = Math.max(...scores);
+    const banEnd = new Date(latest + ban.durationDays * DAY_MS);
+    if (banEnd <= now) {
+        return null;
+    }
+    const recentCount = scores.filter(score => score >= latest - ban.windowDays * DAY_MS).length;
+    return recentCount >= ban.maxStrikes ? banEnd : null;
+}
+
+/**
+ * Monday to Sunday range containing the given YYYY-MM-DD date
+ */
+export function getWeekRange(date) {
+    const d = new Date(`${date}T00:00:00Z`);
+    const mondayOffset = (d.getUTCDay() + 6) % 7;
+    const monday = new Date(d.getTime() - mondayOffset * DAY_MS);
+    const sunday = new Date(monday.getTime() + 6 * DAY_MS);
+    return {
+        startDate: monday.toISOString().split('T')[0],
+        endDate: sunday.toISOString().split('T')[0]
+    };
+}
@@ -0,0 +1,151 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client
+const mockRedisClient = {
+    zAdd: jest.fn(),
+    zRangeByScoreWithScores: jest.fn()
+};
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+// Import after mocking
+const { policyViolation, validatePolicy, recordStrike, getActiveBanEnd, getWeekRange } = await import('./policyService.js');
+
+describe('policyService', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('policyViolation', () => {
+        it('should carry a machine-readable code', () => {
+            const err = policyViolation('DAILY_LIMIT_REACHED', 'Too many');
+
+            expect(err).toBeInstanceOf(Error);
+            expect(err.name).toBe('PolicyViolationError');
+            expect(err.code).toBe('DAILY_LIMIT_REACHED');
+            expect(err.message).toBe('Too many');
+        });
+    });
+
+    describe('validatePolicy', () => {
+        it('should accept a full policy', () => {
+            const policy = {
+                maxReservationsPerDay: 2,
+                maxReservationsPerWeek: '5',
+                bookingWindowDays: 14,
+                minLeadTimeMinutes: 60,
+                cancellationCutoffMinutes: 30,
+                lateCancellationMinutes: 120,
+                ban: { maxStrikes: 3, windowDays: 30, durationDays: 7 }
+            };
+
+            expect(validatePolicy(policy)).toEqual({ ...policy, maxReservationsPerWeek: 5 });
+        });
+
+        it('should drop rules set to null', () => {
+            expect(validatePolicy({ maxReservationsPerDay: null, bookingWindowDays: 7 }))
+                .toEqual({ bookingWindowDays: 7 });
+        });
+
+        it('should reject unknown rules', () => {
+            expect(() => validatePolicy({ maxSeats: 2 })).toThrow('Invalid policy rule: maxSeats');
+        });
+
+        it('should reject negative and fractional values', () => {
+            expect(() => validatePolicy({ minLeadTimeMinutes: -5 }))
+                .toThrow('minLeadTimeMinutes must be a non-negative integer');
+            expect(() => validatePolicy({ minLeadTimeMinutes: 1.5 }))
+                .toThrow('minLeadTimeMinutes must be a non-negative integer');
+        });
+
+        it('should reject incomplete ban rules', () => {
+            expect(() => validatePolicy({ ban: { maxStrikes: 3, windowDays: 30 } }))
+                .toThrow('ban.durationDays is required');
+        });
+
+        it('should reject values above the limit', () => {
+            expect(() => validatePolicy({ bookingWindowDays: 1000 }))
+                .toThrow('bookingWindowDays cannot exceed 365');
+        });
+    });
+
+    describe('recordStrike', () => {
+        it('should add the strike to the student strike set', async () => {
+            const at = new Date('2030-12-16T08:00:00.000Z');
+
+            await recordStrike(42, 'noShow', '7', at);
+
+            expect(mockRedisClient.zAdd).toHaveBeenCalledWith('studentStrikes:42', {
+                score: at.getTime(),
+                value: 'noShow:7'
+            });
+        });
+    });
+
+    describe('getActiveBanEnd', () => {
+        const ban = { maxStrikes: 3, windowDays: 30, durationDays: 7 };
+        const now = new Date('2030-12-16T12:00:00.000Z');
+
+        it('should return ban end when enough recent strikes', async () => {
+            const latest = now.getTime() - 2 * DAY_MS;
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([
+                { value: 'noShow:1', score: latest - 20 * DAY_MS },
+                { value: 'lateCancellation:2', score: latest - 5 * DAY_MS },
+                { value: 'noShow:3', score: latest }
+            ]);
+
+            const banEnd = await getActiveBanEnd(42, ban, now);
+
+            expect(banEnd).toEqual(new Date(latest + 7 * DAY_MS));
+        });
+
+        it('should not ban below the strike threshold', async () => {
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([
+                { value: 'noShow:1', score: now.getTime() - DAY_MS },
+                { value: 'noShow:2', score: now.getTime() - 2 * DAY_MS }
+            ]);
+
+            expect(await getActiveBanEnd(42, ban, now)).toBeNull();
+        });
+
+        it('should not ban when strikes are spread beyond the window', async () => {
+            const latest = now.getTime() - DAY_MS;
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([
+                { value: 'noShow:1', score: latest - 35 * DAY_MS },
+                { value: 'noShow:2', score: latest - 31 * DAY_MS },
+                { value: 'noShow:3', score: latest }
+            ]);
+
+            expect(await getActiveBanEnd(42, ban, now)).toBeNull();
+        });
+
+        it('should lift the ban after its duration', async () => {
+            const latest = now.getTime() - 8 * DAY_MS;
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([
+                { value: 'noShow:1', score: latest - 2 * DAY_MS },
+                { value: 'noShow:2', score: latest - DAY_MS },
+                { value: 'noShow:3', score: latest }
+            ]);
+
+            expect(await getActiveBanEnd(42, ban, now)).toBeNull();
+        });
+
+        it('should skip the lookup without a ban rule', async () => {
+            expect(await getActiveBanEnd(42, undefined, now)).toBeNull();
+            expect(mockRedisClient.zRangeByScoreWithScores).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getWeekRange', () => {
+        it('should return Monday to Sunday', () => {
+            expect(getWeekRange('2030-12-18')).toEqual({ startDate: '2030-12-16', endDate: '2030-12-22' });
+            expect(getWeekRange('2030-12-16')).toEqual({ startDate: '2030-12-16', endDate: '2030-12-22' });
+            expect(getWeekRange('2030-12-22')).toEqual({ startDate: '2030-12-16', endDate: '2030-12-22' });
+        });
+    });
+});
@@ -0,0 +1,383 @@
+import { jest } from '@jest/globals';
+import { createClient } from 'redis';
+
+// These tests run the reservation Lua scripts on a real Redis server, in database 15 unless
+// REDIS_TEST_URL says otherwise. The database is flushed before every test, and the suite
+// is skipped when no server answers.
+const redisClient = createClient({
+    url: process.env.REDIS_TEST_URL || 'redis://localhost:6379/15',
+    socket: { connectTimeout: 1000, reconnectStrategy: false }
+});
+redisClient.on('error', () => {});
+const redisAvailable = await redisClient.connect().then(() => true, () => false);
+const describeWithRedis = redisAvailable ? describe : describe.skip;
+
+// Everything but Redis is mocked
+const mockGetCanteen = jest.fn();
+const mockResolveDishChoices = jest.fn();
+
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: redisClient
+}));
+
+jest.unstable_mockModule('./canteenService.js', () => ({
+    getCanteen: mockGetCanteen,
+    getAllCanteens: jest.fn(),
+    getCanteenStatus: jest.fn(),
+    getAllCanteensStatus: jest.fn()
+}));
+
+jest.unstable_mockModule('./permissionService.js', () => ({
+    checkPermission: jest.fn(),
+    assertPermission: jest.fn()
+}));
+
+jest.unstable_mockModule('./mealTypeService.js', () => ({
+    getMealTypeKeys: jest.fn()
+}));
+
+jest.unstable_mockModule('./studentService.js', () => ({
+    getStudent: jest.fn()
+}));
+
+jest.unstable_mockModule('./menuService.js', () => ({
+    getPortionKey: (canteenId, date, meal, dishId) => `portions:${canteenId}:${date}:${meal}:${dishId}`,
+    resolveDishChoices: mockResolveDishChoices
+}));
+
+// Import after mocking
+const {
+    createReservation,
+    updateReservation,
+    deleteReservation,
+    addReservationMembers,
+    removeReservationMember,
+    adminCancelReservation,
+    removeStudentReservations,
+    getReservationsByStudent,
+    countUpcomingReservations,
+    getCanteenReservations,
+    cancelCanteenReservations,
+    sweepReservationStatuses
+} = await import('./reservactionService.js');
+
+describeWithRedis('reservactionService with Redis', () => {
+    const date = '2030-12-16';
+    const canteenWithCapacity = (capacity, id = 1) => ({
+        id,
+        name: `Canteen ${id}`,
+        capacity,
+        workingHours: [
+            { meal: 'breakfast', from: '08:00', to: '10:00' },
+            { meal: 'lunch', from: '11:00', to: '13:00' }
+        ]
+    });
+    const book = (studentId, fields = {}) => createReservation({
+        studentId: String(studentId),
+        canteenId: '1',
+        date,
+        time: '08:00',
+        duration: '30',
+        ...fields
+    });
+    const count = async key => parseInt(await redisClient.get(key) || '0', 10);
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        await redisClient.flushDb();
+        mockGetCanteen.mockImplementation(async id => canteenWithCapacity(30, parseInt(id, 10)));
+        for (let id = 1; id <= 60; id++) {
+            await redisClient.hSet(`student:${id}`, { id, name: `Student ${id}` });
+        }
+    });
+
+    afterAll(async () => {
+        await redisClient.close();
+    });
+
+    describe('reserving seats', () => {
+        it('should give the last seat to exactly one of many parallel bookings', async () => {
+            await redisClient.set(`slot:1:${date}:08:00`, 29);
+
+            const results = await Promise.allSettled(Array.from({ length: 50 }, (_, i) => book(i + 1)));
+
+            const rejected = results.filter(r => r.status === 'rejected');
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(rejected.every(r => r.reason.message === `Slot slot:1:${date}:08:00 is fully booked`)).toBe(true);
+            expect(await count(`slot:1:${date}:08:00`)).toBe(30);
+        });
+
+        it('should not let one student double-book through parallel requests', async () => {
+            const results = await Promise.allSettled([1, 2, 3, 4, 5].map(canteenId =>
+                book(42, { canteenId: String(canteenId), duration: '60' })));
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(results.filter(r => r.status === 'rejected').every(r =>
+                r.reason.message === 'Student already has a reservation for this time slot')).toBe(true);
+            expect(await redisClient.sMembers(`studentSlot:${date}:08:30`)).toEqual(['42']);
+        });
+
+        it('should name the group member who is already booked and write nothing', async () => {
+            await book(2, { canteenId: '2' });
+
+            await expect(book(1, { memberIds: [2, 3] }))
+                .rejects.toThrow('Student 2 already has a reservation for this time slot');
+            expect(await count(`slot:1:${date}:08:00`)).toBe(0);
+            expect(await redisClient.exists('reservation:2')).toBe(0);
+        });
+
+        it('should let a reservation keep the seats it already holds when it grows', async () => {
+            mockGetCanteen.mockResolvedValue(canteenWithCapacity(2));
+            const { id } = await book(1, { memberIds: [2] });
+
+            await updateReservation(id, 1, { duration: 60 });
+
+            expect(await count(`slot:1:${date}:08:00`)).toBe(2);
+            expect(await count(`slot:1:${date}:08:30`)).toBe(2);
+            expect((await redisClient.sMembers(`studentSlot:${date}:08:00`)).sort()).toEqual(['1', '2']);
+        });
+
+        it('should refuse a change when the reservation was modified since it was read', async () => {
+            const { id } = await book(1);
+            const runScript = redisClient.eval.bind(redisClient);
+            const evalSpy = jest.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+                // Someone else moves the reservation between the read and the script
+                await redisClient.hSet(`reservation:${id}`, 'time', '09:00');
+                return runScript(...args);
+            });
+
+            await expect(updateReservation(id, 1, { time: '08:30' }))
+                .rejects.toThrow('Reservation was modified concurrently, please retry');
+            evalSpy.mockRestore();
+            expect(await count(`slot:1:${date}:08:00`)).toBe(1);
+            expect(await count(`slot:1:${date}:08:30`)).toBe(0);
+        });
+
+        it('should sell the last dish portion only once', async () => {
+            const portionKey = `portions:1:${date}:breakfast:4`;
+            mockResolveDishChoices.mockResolvedValue([{ dishId: 4, quantity: 1, key: portionKey, portions: 1 }]);
+
+            const results = await Promise.allSettled([1, 2, 3].map(studentId => book(studentId, { dishes: [{ dishId: 4 }] })));
+
+            const rejected = results.filter(r => r.status === 'rejected');
+            expect(rejected).toHaveLength(2);
+            expect(rejected.every(r => r.reason.message === 'Dish 4 is sold out')).toBe(true);
+            expect(await count(portionKey)).toBe(1);
+            expect(await count(`slot:1:${date}:08:00`)).toBe(1);
+        });
+
+        it('should only refuse changes that add seats to a slot over its capacity', async () => {
+            const { id } = await book(1, { memberIds: [2, 3] });
+            // The canteen shrank after the booking
+            mockGetCanteen.mockResolvedValue(canteenWithCapacity(2));
+
+            await expect(addReservationMembers(id, 1, [4]))
+                .rejects.toThrow(`Slot slot:1:${date}:08:00 is fully booked`);
+            await removeReservationMember(id, 1, 3);
+
+            expect(await count(`slot:1:${date}:08:00`)).toBe(2);
+            expect(await redisClient.hGet(`reservation:${id}`, 'memberIds')).toBe('[2]');
+        });
+    });
+
+    describe('cancelling', () => {
+        it('should give the seats back only once when the same reservation is cancelled twice at once', async () => {
+            const { id } = await book(1, { memberIds: [2] });
+
+            const results = await Promise.allSettled([deleteReservation(id, 1), deleteReservation(id, 1)]);
+
+            expect(results.filter(r => r.status === 'fulfilled' && r.value?.status === 'Cancelled')).toHaveLength(1);
+            expect(await count(`slot:1:${date}:08:00`)).toBe(0);
+            expect(await redisClient.sCard(`studentSlot:${date}:08:00`)).toBe(0);
+        });
+
+        it('should leave the counters matching whichever of a cancel and a move wins', async () => {
+            const { id } = await book(1);
+
+            const [cancelled, moved] = await Promise.allSettled([
+                deleteReservation(id, 1),
+                updateReservation(id, 1, { time: '09:00' })
+            ]);
+
+            // Exactly one of them is applied, and the other is refused without writing anything
+            expect([cancelled.status, moved.status].sort()).toEqual(['fulfilled', 'rejected']);
+            const reservation = await redisClient.hGetAll(`reservation:${id}`);
+            if (reservation.status === 'Cancelled') {
+                expect(reservation.time).toBe('08:00');
+                expect(await count(`slot:1:${date}:09:00`)).toBe(0);
+            } else {
+                expect(reservation.time).toBe('09:00');
+                expect(await count(`slot:1:${date}:09:00`)).toBe(1);
+            }
+            expect(await count(`slot:1:${date}:08:00`)).toBe(0);
+        });
+
+        it('should leave the seats of a reservation moved away while its canteen is deleted', async () => {
+            const { id: movedId } = await book(1);
+            await book(2);
+            const runScript = redisClient.eval.bind(redisClient);
+            const evalSpy = jest.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+                // The student moves to another canteen between the read and the cancel
+                await updateReservation(movedId, 1, { canteenId: 2 });
+                return runScript(...args);
+            });
+
+            const summary = await cancelCanteenReservations(canteenWithCapacity(30), 1, 'Canteen deleted', new Date(`${date}T07:00:00`));
+            evalSpy.mockRestore();
+
+            expect(summary).toMatchObject({ cancelledReservations: 1, affectedStudents: 1 });
+            expect(await redisClient.hGet(`reservation:${movedId}`, 'status')).toBe('Active');
+            expect(await count(`slot:2:${date}:08:00`)).toBe(1);
+            expect(await redisClient.sMembers(`studentSlot:${date}:08:00`)).toEqual(['1']);
+            expect(await redisClient.exists(`slot:1:${date}:08:00`)).toBe(0);
+        });
+
+        it('should give dish portions back with the seats', async () => {
+            const portionKey = `portions:1:${date}:breakfast:4`;
+            mockResolveDishChoices.mockResolvedValue([{ dishId: 4, quantity: 2, key: portionKey, portions: 5 }]);
+            const { id } = await book(1, { memberIds: [2], dishes: [{ dishId: 4, quantity: 2 }] });
+
+            await deleteReservation(id, 1);
+
+            expect(await count(portionKey)).toBe(0);
+            expect(await redisClient.hGet(`reservation:${id}`, 'status')).toBe('Cancelled');
+        });
+    });
+
+    describe('counting upcoming reservations', () => {
+        const before = new Date(`${date}T07:00:00`);
+        const upcoming = async () => Object.fromEntries(await countUpcomingReservations([1, 2, 3], before));
+
+        it('should follow bookings, group changes and cancellations', async () => {
+            const { id: groupId } = await book(1, { memberIds: [2, 3] });
+            const { id: ownId } = await book(2, { time: '11:00' });
+            expect(await upcoming()).toEqual({ 1: 1, 2: 2, 3: 1 });
+
+            await removeReservationMember(groupId, 1, 3);
+            await addReservationMembers(ownId, 2, [3]);
+            expect(await upcoming()).toEqual({ 1: 1, 2: 2, 3: 1 });
+
+            await deleteReservation(groupId, 1);
+            expect(await upcoming()).toEqual({ 1: 0, 2: 1, 3: 1 });
+        });
+
+        it('should stop counting reservations once they have ended', async () => {
+            await book(1);
+            const { id } = await book(2);
+            await redisClient.hSet(`reservation:${id}`, 'status', 'CheckedIn');
+
+            expect(await upcoming()).toEqual({ 1: 1, 2: 1, 3: 0 });
+            await sweepReservationStatuses(new Date('2031-01-01T00:00:00Z'));
+            expect(await redisClient.zCard('studentReservations:1')).toBe(0);
+            expect(await redisClient.zCard('studentReservations:2')).toBe(0);
+        });
+    });
+
+    describe('listing a canteen\'s reservations', () => {
+        it('should follow moves between canteens and keep cancelled reservations', async () => {
+            const { id: movedId } = await book(1);
+            const { id: cancelledId } = await book(2);
+            await updateReservation(movedId, 1, { canteenId: 2, time: '09:00' });
+            await deleteReservation(cancelledId, 2);
+
+            const first = await getCanteenReservations(1, 1, { date });
+            const second = await getCanteenReservations(2, 1, { startDate: date, endDate: date });
+
+            expect(first.reservations.map(r => [r.id, r.status])).toEqual([[cancelledId, 'Cancelled']]);
+            expect(second.reservations.map(r => [r.id, r.time])).toEqual([[movedId, '09:00']]);
+            expect((await getCanteenReservations(2, 1, { date: '2030-12-17' })).total).toBe(0);
+        });
+    });
+
+    describe('listing a student\'s reservations', () => {
+        const listed = async studentId => (await getReservationsByStudent(studentId, date, date)).map(r => [r.id, r.status]);
+
+        it('should follow group changes and moves and keep cancelled reservations', async () => {
+            const { id: groupId } = await book(1, { memberIds: [2, 3] });
+            const { id: movedId } = await book(4);
+            await removeReservationMember(groupId, 1, 3);
+            await updateReservation(movedId, 4, { time: '11:00' });
+            await deleteReservation(groupId, 1);
+
+            expect(await listed(1)).toEqual([[groupId, 'Cancelled']]);
+            expect(await listed(2)).toEqual([[groupId, 'Cancelled']]);
+            expect(await listed(3)).toEqual([]);
+            expect(await listed(4)).toEqual([[movedId, 'Active']]);
+            expect(await getReservationsByStudent(4, '2030-12-17', '2030-12-17')).toEqual([]);
+        });
+
+        it('should find the reservations an admin cancelled when the admin is deleted', async () => {
+            const { id } = await book(1);
+            await adminCancelReservation(1, id, 9, 'Kitchen closed');
+
+            expect(await listed(9)).toEqual([]);
+            expect(await removeStudentReservations(9)).toMatchObject({ anonymisedReservations: 1 });
+            expect(await redisClient.hGet(`reservation:${id}`, 'cancelledBy')).toBe('0');
+            expect(await redisClient.exists('studentListing:9')).toBe(0);
+        });
+    });
+
+    describe('removing a deleted student', () => {
+        it('should anonymise past seats and take the student out of their time slots', async () => {
+            const { id } = await book(1, { memberIds: [2] });
+
+            const summary = await removeStudentReservations(1, new Date('2031-01-01T00:00:00Z'));
+
+            expect(summary).toMatchObject({ anonymisedReservations: 1, cancelledReservations: 0 });
+            expect(await redisClient.hGet(`reservation:${id}`, 'studentId')).toBe('0');
+            expect(await redisClient.sMembers(`studentSlot:${date}:08:00`)).toEqual(['2']);
+            // Running it again finds nothing left to do
+            expect(await removeStudentReservations(1, new Date('2031-01-01T00:00:00Z')))
+                .toMatchObject({ anonymisedReservations: 0 });
+        });
+    });
+
+    describe('sweeping ended reservations', () => {
+        const afterwards = new Date('2031-01-01T00:00:00Z');
+
+        it('should index reservations by the end of their current slot while they hold seats', async () => {
+            const { id } = await book(1);
+            const { id: cancelledId } = await book(2);
+            await updateReservation(id, 1, { time: '09:00' });
+            await deleteReservation(cancelledId, 2);
+
+            const [entry] = await redisClient.zRangeWithScores('reservations:byEnd', 0, -1);
+            expect(entry).toEqual({ value: `reservation:${id}`, score: new Date(`${date}T09:30:00`).getTime() });
+            expect(await redisClient.zCard('reservations:byEnd')).toBe(1);
+        });
+
+        it('should complete checked-in reservations and count no-shows once they have ended', async () => {
+            const { id: checkedInId } = await book(1);
+            const { id: missedId } = await book(2, { memberIds: [3] });
+            await redisClient.hSet(`reservation:${checkedInId}`, 'status', 'CheckedIn');
+
+            expect(await sweepReservationStatuses(new Date(`${date}T08:15:00`))).toEqual({ completed: 0, noShow: 0 });
+            expect(await sweepReservationStatuses(afterwards)).toEqual({ completed: 1, noShow: 1 });
+
+            expect(await redisClient.hGet(`reservation:${checkedInId}`, 'status')).toBe('Completed');
+            expect(await redisClient.hGet(`reservation:${missedId}`, 'status')).toBe('NoShow');
+            expect(await redisClient.hGet('student:3', 'noShowCount')).toBe('1');
+            expect(await redisClient.zCard('reservations:byEnd')).toBe(0);
+            expect(await sweepReservationStatuses(afterwards)).toEqual({ completed: 0, noShow: 0 });
+        });
+
+        it('should not count a no-show for a reservation checked in while the sweep was running', async () => {
+            const { id } = await book(1);
+            const runScript = redisClient.eval.bind(redisClient);
+            const evalSpy = jest.spyOn(redisClient, 'eval').mockImplementationOnce(async (...args) => {
+                await redisClient.hSet(`reservation:${id}`, 'status', 'CheckedIn');
+                return runScript(...args);
+            });
+
+            const summary = await sweepReservationStatuses(afterwards);
+            evalSpy.mockRestore();
+
+            expect(summary).toEqual({ completed: 0, noShow: 0 });
+            expect(await redisClient.hGet(`reservation:${id}`, 'status')).toBe('CheckedIn');
+            expect(await redisClient.hGet('student:1', 'noShowCount')).toBeNull();
+            expect(await redisClient.zCard('studentStrikes:1')).toBe(0);
+            // The next sweep completes it
+            expect(await sweepReservationStatuses(afterwards)).toEqual({ completed: 1, noShow: 0 });
+        });
+    });
+});
@@ -1,47 +1,403 @@
 import redisClient from "../config/redis.js";
-import { getCanteen } from "./canteenService.js";
+import { getCanteen, getAllCanteens, getCanteenStatus, getAllCanteensStatus } from "./canteenService.js";
+import { checkPermission, assertPermission } from "./permissionService.js";
+import { getStudent } from "./studentService.js";
+import { policyViolation, recordStrike, getActiveBanEnd, getWeekRange } from "./policyService.js";
+import {
+    getWorkingHoursForDate,
+    getMealForTime,
+    getSlotConfig,
+    getBucketTimes,
+    validateSlotChoice,
+    getSlotCapacity,
+    getCanteenMeals,
+    getTimezone,
+    zonedTimeToUtc,
+    isExistingZonedTime,
+    addDays,
+    findClosure,
+    STUDENT_SLOT_MINUTES
+} from "./scheduleService.js";
+import { getPortionKey, resolveDishChoices } from "./menuService.js";
+import { getMealTypeKeys } from "./mealTypeService.js";
 
 const RESERVATION_COUNTER_KEY = 'reservation:id:counter';
+// Reservation keys holding seats, scored by the time their slot ends
+const RESERVATIONS_BY_END_KEY = 'reservations:byEnd';
+const CHECK_IN_OPENS_MINUTES_BEFORE = 30;
+const RESERVATION_STATUSES = ['Active', 'Cancelled', 'CheckedIn', 'Completed', 'NoShow'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_FINDER_LIMIT = 10;
+const MAX_FINDER_LIMIT = 50;
+const MAX_FINDER_WINDOW_DAYS = 14;
+const REBOOKING_WINDOW_MINUTES = 120;
+const MAX_REBOOKING_SUGGESTIONS = 3;
+// Times a cascade re-reads and retries a reservation that keeps changing under it
+const MAX_CASCADE_ATTEMPTS = 3;
+// No time zone is further than this from UTC
+const MAX_ZONE_OFFSET_MS = 14 * 60 * 60 * 1000;
+// Stands in for a deleted student on the reservation records that are kept
+const DELETED_STUDENT_ID = 0;
 
 /**
- * Get the 30-min slot keys affected by a reservation
- * For 30-min duration: 1 slot (the start time)
- * For 60-min duration: 2 slots (start time and start time + 30 min)
+ * Atomically move a reservation's seats from one set of slots to another.
+ * Creating a reservation is a move from nothing, adding or removing group members
+ * is a move between the same slots with a different member list.
+ *
+ * KEYS: old slot counters, old studentSlot sets, new slot counters, new studentSlot sets,
+ * dish portion counters, sorted sets to drop the reservation from, sorted sets to add it to,
+ * the reservation hash.
+ * ARGV: the four key counts, the capacity of each new slot counter, old member count and ids,
+ * new member count and ids, guard count and field/value pairs the reservation must currently have,
+ * portion counter count and a change/portions pair per counter, the two sorted set counts, the
+ * score to add with in each sorted set it is added to, then field/value pairs to write.
+ *
+ * Seats and memberships already held by the old members are not counted against the new ones,
+ * and a slot already over its capacity only refuses changes that add seats to it.
+ * Returns {'OK'}, {'CHANGED'}, {'FULL', slotKey}, {'CONFLICT', studentSlotKey, studentId}
+ * or {'SOLD_OUT', portionKey} and writes nothing unless OK.
  */
-function getAffectedSlotKeys(canteenId, date, time, duration) {
-    const keys = [];
-    const slotKey = `slot:${canteenId}:${date}:${time}`;
-    keys.push(slotKey);
+const RESERVE_SLOTS_SCRIPT = `
+local oldSlotCount = tonumber(ARGV[1])
+local oldStudentSlotCount = tonumber(ARGV[2])
+local newSlotCount = tonumber(ARGV[3])
+local newStudentSlotCount = tonumber(ARGV[4])
+local reservationKey = KEYS[#KEYS]
 
-    if (parseInt(duration) === 60) {
-        // Add the next 30-min slot
-        const [hours, minutes] = time.split(':').map(Number);
-        const nextMinutes = minutes + 30;
-        const nextHours = hours + Math.floor(nextMinutes / 60);
-        const nextTime = `${String(nextHours).padStart(2, '0')}:${String(nextMinutes % 60).padStart(2, '0')}`;
-        keys.push(`slot:${canteenId}:${date}:${nextTime}`);
+local argIndex = 5 + newSlotCount
+local function readList()
+    local count = tonumber(ARGV[argIndex])
+    local list = {}
+    for i = 1, count do
+        list[i] = ARGV[argIndex + i]
+    end
+    argIndex = argIndex + count + 1
+    return list
+end
+local oldMembers = readList()
+local newMembers = readList()
+
+local guardCount = tonumber(ARGV[argIndex])
+for i = 1, guardCount do
+    local field = ARGV[argIndex + 2 * i - 1]
+    if (redis.call('HGET', reservationKey, field) or '') ~= ARGV[argIndex + 2 * i] then
+        return {'CHANGED'}
+    end
+end
+local portionStart = argIndex + 2 * guardCount + 1
+local portionCount = tonumber(ARGV[portionStart])
+local indexStart = portionStart + 2 * portionCount + 1
+local oldIndexCount = tonumber(ARGV[indexStart])
+local newIndexCount = tonumber(ARGV[indexStart + 1])
+local writeStart = indexStart + 2 + newIndexCount
+
+local oldSlotEnd = oldSlotCount
+local oldStudentSlotEnd = oldSlotEnd + oldStudentSlotCount
+local newSlotEnd = oldStudentSlotEnd + newSlotCount
+local newStudentSlotEnd = newSlotEnd + newStudentSlotCount
+
+local oldSlots = {}
+local oldStudentSlots = {}
+local isOldMember = {}
+for i = 1, oldSlotEnd do
+    oldSlots[KEYS[i]] = true
+end
+for i = oldSlotEnd + 1, oldStudentSlotEnd do
+    oldStudentSlots[KEYS[i]] = true
+end
+for _, member in ipairs(oldMembers) do
+    isOldMember[member] = true
+end
+
+for i = oldStudentSlotEnd + 1, newSlotEnd do
+    local capacity = tonumber(ARGV[4 + i - oldStudentSlotEnd])
+    local held = 0
+    if oldSlots[KEYS[i]] then
+        held = #oldMembers
+    end
+    local count = tonumber(redis.call('GET', KEYS[i]) or '0') - held
+    if #newMembers > held and count + #newMembers > capacity then
+        return {'FULL', KEYS[i]}
+    end
+end
+for i = newSlotEnd + 1, newStudentSlotEnd do
+    for _, member in ipairs(newMembers) do
+        local alreadyHeld = oldStudentSlots[KEYS[i]] and isOldMember[member]
+        if not alreadyHeld and redis.call('SISMEMBER', KEYS[i], member) == 1 then
+            return {'CONFLICT', KEYS[i], member}
+        end
+    end
+end
+for i = 1, portionCount do
+    local key = KEYS[newStudentSlotEnd + i]
+    local change = tonumber(ARGV[portionStart + 2 * i - 1])
+    local portions = tonumber(ARGV[portionStart + 2 * i])
+    if change > 0 and tonumber(redis.call('GET', key) or '0') + change > portions then
+        return {'SOLD_OUT', key}
+    end
+end
+
+for i = 1, oldSlotEnd do
+    redis.call('DECRBY', KEYS[i], #oldMembers)
+end
+for i = oldSlotEnd + 1, oldStudentSlotEnd do
+    redis.call('SREM', KEYS[i], unpack(oldMembers))
+end
+for i = oldStudentSlotEnd + 1, newSlotEnd do
+    redis.call('INCRBY', KEYS[i], #newMembers)
+end
+for i = newSlotEnd + 1, newStudentSlotEnd do
+    redis.call('SADD', KEYS[i], unpack(newMembers))
+end
+for i = 1, portionCount do
+    redis.call('INCRBY', KEYS[newStudentSlotEnd + i], tonumber(ARGV[portionStart + 2 * i - 1]))
+end
+local indexKeyStart = newStudentSlotEnd + portionCount
+for i = 1, oldIndexCount do
+    redis.call('ZREM', KEYS[indexKeyStart + i], reservationKey)
+end
+for i = 1, newIndexCount do
+    redis.call('ZADD', KEYS[indexKeyStart + oldIndexCount + i], ARGV[indexStart + 1 + i], reservationKey)
+end
+if writeStart <= #ARGV then
+    redis.call('HSET', reservationKey, unpack(ARGV, writeStart))
+end
+return {'OK'}
+`;
+
+/**
+ * Run RESERVE_SLOTS_SCRIPT and turn its outcome into the usual reservation errors.
+ * `from` and `to` describe the slots and members before and after, `capacities` the seats
+ * of each of `to.slotKeys`, and `guard` lists reservation fields that must still hold their expected values.
+ * `portions` lists dish portion counters to change by `change`, taken portions checked against `portions`.
+ * `endsAt` is when the new slots end, which indexes the reservation while it holds seats.
+ * `listing` moves the reservation between canteen listings, `{from, to}` canteen ids with the
+ * new `startsAt`; cancelled reservations stay listed, so it is only given for bookings and moves.
+ * Its `students` are listed for those students at `startsAt` and `droppedStudents` unlisted.
+ */
+async function reserveSlots({ reservationKey, capacities, from, to, guard = {}, portions = [], fields = {}, endsAt = null, listing = {} }) {
+    const toArgs = (object) => Object.entries(object).flat().map(String);
+    const { students = [], droppedStudents = [] } = listing;
+    const oldIndexKeys = [...getReservationIndexKeys(from.members), ...getStudentListingKeys(droppedStudents)];
+    const newIndexKeys = getReservationIndexKeys(to.members);
+    const newIndexScores = newIndexKeys.map(() => String(endsAt ? endsAt.getTime() : 0));
+    if (listing.from !== undefined) {
+        oldIndexKeys.push(getCanteenReservationsKey(listing.from));
+    }
+    if (listing.to !== undefined) {
+        newIndexKeys.push(getCanteenReservationsKey(listing.to));
+        newIndexScores.push(String(listing.startsAt.getTime()));
+    }
+    for (const listingKey of getStudentListingKeys(students)) {
+        newIndexKeys.push(listingKey);
+        newIndexScores.push(String(listing.startsAt.getTime()));
+    }
+    const [outcome, conflictKey, conflictStudentId] = await redisClient.eval(RESERVE_SLOTS_SCRIPT, {
+        keys: [
+            ...from.slotKeys,
+            ...from.studentSlotKeys,
+            ...to.slotKeys,
+            ...to.studentSlotKeys,
+            ...portions.map(portion => portion.key),
+            ...oldIndexKeys,
+            ...newIndexKeys,
+            reservationKey
+        ],
+        arguments: [
+            String(from.slotKeys.length),
+            String(from.studentSlotKeys.length),
+            String(to.slotKeys.length),
+            String(to.studentSlotKeys.length),
+            ...capacities.map(String),
+            String(from.members.length),
+            ...from.members.map(String),
+            String(to.members.length),
+            ...to.members.map(String),
+            String(Object.keys(guard).length),
+            ...toArgs(guard),
+            String(portions.length),
+            ...portions.flatMap(portion => [String(portion.change), String(portion.portions)]),
+            String(oldIndexKeys.length),
+            String(newIndexKeys.length),
+            ...newIndexScores,
+            ...toArgs(fields)
+        ]
+    });
+
+    if (outcome === 'CHANGED') {
+        throw new Error('Reservation was modified concurrently, please retry');
+    }
+    if (outcome === 'FULL') {
+        throw new Error(`Slot ${conflictKey} is fully booked`);
+    }
+    if (outcome === 'SOLD_OUT') {
+        throw new Error(`Dish ${conflictKey.split(':').pop()} is sold out`);
+    }
+    if (outcome === 'CONFLICT') {
+        if (to.members.length > 1) {
+            throw new Error(`Student ${conflictStudentId} already has a reservation for this time slot`);
+        }
+        throw new Error('Student already has a reservation for this time slot');
     }
+}
+
+const NO_SLOTS = { slotKeys: [], studentSlotKeys: [], members: [] };
+
+/**
+ * Every reservation booked at a canteen, whatever its status, scored by when it starts
+ */
+function getCanteenReservationsKey(canteenId) {
+    return `canteenReservations:${canteenId}`;
+}
+
+/**
+ * Active reservations a student has a seat in, scored by their end time
+ */
+function getStudentReservationsKey(studentId) {
+    return `studentReservations:${studentId}`;
+}
+
+/**
+ * Every reservation naming a student as a member or as the one who cancelled or
+ * checked it in, whatever its status, scored by when it starts
+ */
+function getStudentListingKey(studentId) {
+    return `studentListing:${studentId}`;
+}
+
+function getStudentListingKeys(studentIds) {
+    return studentIds
+        .filter(studentId => parseInt(studentId, 10) !== DELETED_STUDENT_ID)
+        .map(getStudentListingKey);
+}
+
+function getStudentIndexKeys(members) {
+    return members
+        .filter(member => parseInt(member, 10) !== DELETED_STUDENT_ID)
+        .map(getStudentReservationsKey);
+}
+
+/**
+ * Sorted sets that list a reservation, scored by its end time, while these members hold its seats:
+ * the one the sweeper reads and one per member
+ */
+function getReservationIndexKeys(members) {
+    return members.length > 0 ? [RESERVATIONS_BY_END_KEY, ...getStudentIndexKeys(members)] : [];
+}
+
+/**
+ * Move a reservation from one status to the next unless its status changed meanwhile.
+ * KEYS: the reservation hash, sorted sets to drop it from, sorted sets to add it to,
+ * then student hashes whose no-show count goes up.
+ * ARGV: the status it must have, the two sorted set counts, the score to add with,
+ * then field/value pairs to write.
+ * Returns 1 when applied and 0 when the status was different.
+ */
+const CHANGE_STATUS_SCRIPT = `
+local reservationKey = KEYS[1]
+if redis.call('HGET', reservationKey, 'status') ~= ARGV[1] then
+    return 0
+end
+local indexEnd = 1 + tonumber(ARGV[2])
+for i = 2, indexEnd do
+    redis.call('ZREM', KEYS[i], reservationKey)
+end
+local addedEnd = indexEnd + tonumber(ARGV[3])
+for i = indexEnd + 1, addedEnd do
+    redis.call('ZADD', KEYS[i], ARGV[4], reservationKey)
+end
+for i = addedEnd + 1, #KEYS do
+    redis.call('HINCRBY', KEYS[i], 'noShowCount', 1)
+end
+redis.call('HSET', reservationKey, unpack(ARGV, 5))
+return 1
+`;
+
+/**
+ * Run CHANGE_STATUS_SCRIPT, reporting whether the reservation still had `expectedStatus`.
+ * `listing` adds the reservation to sorted sets, `{keys, score}`.
+ */
+async function changeReservationStatus(reservationKey, expectedStatus, fields, { indexKeys = [], noShowStudentIds = [], listing = { keys: [], score: 0 } } = {}) {
+    const applied = await redisClient.eval(CHANGE_STATUS_SCRIPT, {
+        keys: [reservationKey, ...indexKeys, ...listing.keys, ...noShowStudentIds.map(id => `student:${id}`)],
+        arguments: [
+            expectedStatus,
+            String(indexKeys.length),
+            String(listing.keys.length),
+            String(listing.score),
+            ...Object.entries(fields).flat().map(String)
+        ]
+    });
+    return applied === 1;
+}
+
+/**
+ * Students holding a seat in a reservation: the organizer followed by group members
+ */
+function getReservationMembers(reservation) {
+    return [parseInt(reservation.studentId, 10), ...JSON.parse(reservation.memberIds || '[]')];
+}
+
+/**
+ * Dishes pre-selected with a reservation, as `{dishId, quantity}`
+ */
+function getReservationDishes(reservation) {
+    return JSON.parse(reservation.dishes || '[]');
+}
+
+/**
+ * Portion counters a reservation's dishes hold, with the portions it holds on each
+ */
+function getReservationPortions(reservation) {
+    return getReservationDishes(reservation).map(({ dishId, quantity }) => ({
+        key: getPortionKey(reservation.canteenId, reservation.date, reservation.meal, dishId),
+        quantity
+    }));
+}
+
+/**
+ * Waitlist queue for one canteen/date/time/duration combination.
+ * Sorted set of studentIds scored by the time they joined.
+ */
+function getWaitlistKey(canteenId, date, time, duration) {
+    return `waitlist:${canteenId}:${date}:${time}:${parseInt(duration, 10)}`;
+}
+
+function parseWaitlistKey(key) {
+    const [, canteenId, date, hours, minutes, duration] = key.split(':');
+    return {
+        canteenId: parseInt(canteenId, 10),
+        date,
+        time: `${hours}:${minutes}`,
+        duration: parseInt(duration, 10)
+    };
+}
 
-    return keys;
+/**
+ * Get the slot counter keys a reservation occupies at its canteen,
+ * one per granularity bucket the reservation spans
+ */
+function getAffectedSlotKeys(canteenId, date, time, duration, granularity) {
+    return getBucketTimes(time, duration, granularity).map(bucket => `slot:${canteenId}:${date}:${bucket}`);
 }
 
 /**
  * Get the GLOBAL student slot keys (no canteenId - prevents booking same time at any canteen)
  */
 function getStudentSlotKeys(date, time, duration) {
-    const keys = [];
-    const slotKey = `studentSlot:${date}:${time}`;
-    keys.push(slotKey);
+    return getBucketTimes(time, duration, STUDENT_SLOT_MINUTES).map(bucket => `studentSlot:${date}:${bucket}`);
+}
 
-    if (parseInt(duration) === 60) {
-        const [hours, minutes] = time.split(':').map(Number);
-        const nextMinutes = minutes + 30;
-        const nextHours = hours + Math.floor(nextMinutes / 60);
-        const nextTime = `${String(nextHours).padStart(2, '0')}:${String(nextMinutes % 60).padStart(2, '0')}`;
-        keys.push(`studentSlot:${date}:${nextTime}`);
-    }
+function getGranularity(canteen) {
+    return getSlotConfig(canteen).granularity;
+}
 
-    return keys;
+/**
+ * Effective seats of each slot counter returned by getAffectedSlotKeys
+ */
+function getSlotCapacities(canteen, date, time, duration) {
+    return getBucketTimes(time, duration, getGranularity(canteen)).map(bucket => getSlotCapacity(canteen, date, bucket));
 }
 
 /**
@@ -57,29 +413,37 @@ function isTimeInMealPeriod(workingHours, time) {
 }
 
 /**
- * Validate that for 60-min duration, the end time also falls within meal period
+ * Validate that every bucket the reservation spans falls within the canteen's meal periods for that date
  */
-function isValidReservationTime(workingHours, time, duration) {
-    if (!isTimeInMealPeriod(workingHours, time)) {
-        return false;
+function isValidReservationTime(canteen, date, time, duration) {
+    if (!isExistingZonedTime(date, time, getTimezone(canteen))) {
+        return false; // Skipped by a DST jump
     }
+    const workingHours = getWorkingHoursForDate(canteen, date);
+    return getBucketTimes(time, duration, getGranularity(canteen))
+        .every(bucket => isTimeInMealPeriod(workingHours, bucket));
+}
 
-    if (parseInt(duration) === 60) {
-        // Check that the slot only starts at even hours
-        const [, minutes] = time.split(':').map(Number);
-        if (minutes !== 0) {
-            return false;
-        }
-
-        // Check that end time (start + 30 min) is also within meal period
-        const [hours] = time.split(':').map(Number);
-        const nextTime = `${String(hours).padStart(2, '0')}:30`;
-        if (!isTimeInMealPeriod(workingHours, nextTime)) {
-            return false;
-        }
+/**
+ * Whether the canteen's slot rules still offer a duration at this start time
+ */
+function isOfferedSlot(canteen, time, duration) {
+    try {
+        validateSlotChoice(canteen, time, duration);
+        return true;
+    } catch {
+        return false;
     }
+}
 
-    return true;
+/**
+ * Refuse a slot overlapping one of the canteen's temporary closures
+ */
+function assertCanteenOpen(canteen, date, time, duration) {
+    const closure = findClosure(canteen, date, time, duration);
+    if (closure) {
+        throw new Error(`Canteen is closed at this time: ${closure.reason}`);
+    }
 }
 
 function validateReservationData(reservationData) {
@@ -130,17 +494,10 @@ function validateReservationData(reservationData) {
     if (duration === undefined || duration === null) {
         throw new Error('duration is required');
     }
+    // Offered durations and start alignment depend on the canteen, see validateSlotChoice
     const parsedDuration = parseInt(duration, 10);
-    if (parsedDuration !== 30 && parsedDuration !== 60) {
-        throw new Error('duration must be 30 or 60');
-    }
-
-    // Validate 60-min slots start at even hours
-    if (parsedDuration === 60) {
-        const [, minutes] = time.split(':').map(Number);
-        if (minutes !== 0) {
-            throw new Error('60-minute reservations must start at even hours (e.g., 08:00, 09:00)');
-        }
+    if (isNaN(parsedDuration) || parsedDuration < 1) {
+        throw new Error('duration must be a positive integer');
     }
 
     return {
@@ -152,95 +509,187 @@ function validateReservationData(reservationData) {
     };
 }
 
+/**
+ * Validate the optional list of additional group members (the organizer is not included)
+ */
+function validateMemberIds(memberIds, organizerId) {
+    if (memberIds === undefined || memberIds === null) {
+        return [];
+    }
+    if (!Array.isArray(memberIds)) {
+        throw new Error('memberIds must be an array of student ids');
+    }
+    const parsedIds = memberIds.map(memberId => {
+        const parsedId = parseInt(memberId, 10);
+        if (isNaN(parsedId) || parsedId < 1) {
+            throw new Error('memberIds must contain positive integers');
+        }
+        return parsedId;
+    });
+    if (parsedIds.includes(organizerId)) {
+        throw new Error('memberIds must not include the organizer');
+    }
+    if (new Set(parsedIds).size !== parsedIds.length) {
+        throw new Error('memberIds must not contain duplicates');
+    }
+    return parsedIds;
+}
+
+/**
+ * Enforce the canteen's booking policy for every student taking a seat.
+ * A reservation being moved is left out of the per-day and per-week counts.
+ * `loadedReservations` maps student ids to their reservations when already read for the week.
+ */
+async function enforceBookingPolicy(canteen, studentIds, date, time, { excludeReservationId = null, loadedReservations = new Map() } = {}) {
+    const policy = canteen.policy || {};
+    const now = new Date();
+    const minutesUntilStart = (getSlotStart(canteen, date, time) - now) / 60000;
+
+    if (policy.bookingWindowDays !== undefined && minutesUntilStart > policy.bookingWindowDays * 24 * 60) {
+        throw policyViolation(
+            'BOOKING_WINDOW_NOT_OPEN',
+            `Bookings open ${policy.bookingWindowDays} days before the slot`
+        );
+    }
+    if (policy.minLeadTimeMinutes !== undefined && minutesUntilStart < policy.minLeadTimeMinutes) {
+        throw policyViolation(
+            'LEAD_TIME_TOO_SHORT',
+            `Reservations close ${policy.minLeadTimeMinutes} minutes before the slot starts`
+        );
+    }
+
+    const hasLimits = policy.maxReservationsPerDay !== undefined || policy.maxReservationsPerWeek !== undefined;
+    for (const studentId of studentIds) {
+        const banEnd = await getActiveBanEnd(studentId, policy.ban, now);
+        if (banEnd) {
+            throw policyViolation(
+                'BOOKING_BANNED',
+                `Student ${studentId} is banned from booking until ${banEnd.toISOString()}`
+            );
+        }
+        if (!hasLimits) continue;
+
+        const { startDate, endDate } = getWeekRange(date);
+        const reservations = loadedReservations.get(studentId) || await getReservationsByStudent(studentId, startDate, endDate);
+        const weekReservations = reservations
+            .filter(r => r.date >= startDate && r.date <= endDate)
+            .filter(r => r.canteenId === canteen.id && r.status !== 'Cancelled' && r.id !== excludeReservationId);
+
+        const dayCount = weekReservations.filter(r => r.date === date).length;
+        if (policy.maxReservationsPerDay !== undefined && dayCount >= policy.maxReservationsPerDay) {
+            throw policyViolation(
+                'DAILY_LIMIT_REACHED',
+                `Student ${studentId} has reached the limit of ${policy.maxReservationsPerDay} reservations per day`
+            );
+        }
+        if (policy.maxReservationsPerWeek !== undefined && weekReservations.length >= policy.maxReservationsPerWeek) {
+            throw policyViolation(
+                'WEEKLY_LIMIT_REACHED',
+                `Student ${studentId} has reached the limit of ${policy.maxReservationsPerWeek} reservations per week`
+            );
+        }
+    }
+}
+
+/**
+ * Enforce the cancellation cutoff of the reservation's canteen and
+ * report whether giving up the slot now counts as a late cancellation
+ */
+async function enforceCancellationPolicy(reservation) {
+    const canteen = await getCanteen(reservation.canteenId);
+    const policy = canteen?.policy || {};
+    const minutesUntilStart = (getReservationStart(reservation, canteen) - new Date()) / 60000;
+
+    if (policy.cancellationCutoffMinutes !== undefined && minutesUntilStart < policy.cancellationCutoffMinutes) {
+        throw policyViolation(
+            'CANCELLATION_CUTOFF_PASSED',
+            `Reservations can no longer be changed or cancelled ${policy.cancellationCutoffMinutes} minutes before the slot starts`
+        );
+    }
+    return {
+        isLate: policy.lateCancellationMinutes !== undefined && minutesUntilStart < policy.lateCancellationMinutes
+    };
+}
+
 export async function createReservation(reservationData) {
     const { canteenId, date, time, duration, studentId } = validateReservationData(reservationData);
 
-    // Fetch canteen to get capacity and workingHours
+    // Fetch canteen to get capacity and opening hours
     const canteen = await getCanteen(canteenId);
     if (!canteen) {
         throw new Error('Canteen not found');
     }
+    validateSlotChoice(canteen, time, duration);
     // Check if user exists
     const studentKey = `student:${studentId}`;
     const studentExists = await redisClient.exists(studentKey);
     if (!studentExists) {
         throw new Error('Student not found');
     }
-    // Validate date is not in the past
-    const today = new Date();
-    const reservationDate = new Date(`${date}T${time}:00`);
-
-    if (reservationDate < today) {
+    // Validate date is not in the past, on the canteen's clock
+    const startsAt = getSlotStart(canteen, date, time);
+    if (startsAt < new Date()) {
         throw new Error('Reservation date and time cannot be in the past');
     }
 
     // Validate time is within working hours
-    if (!isValidReservationTime(canteen.workingHours, time, duration)) {
+    if (!isValidReservationTime(canteen, date, time, duration)) {
         throw new Error('Invalid reservation time or duration');
     }
+    assertCanteenOpen(canteen, date, time, duration);
 
-    const slotKeys = getAffectedSlotKeys(canteenId, date, time, duration);
-    const studentSlotKeys = getStudentSlotKeys(date, time, duration);
-    const capacity = canteen.capacity;
-
-    // Use transaction to check capacity and create reservation atomically
-    const multi = redisClient.multi();
-
-    // Get current counts for all affected slots
-    for (const key of slotKeys) {
-        multi.get(key);
-    }
-
-    // Check if student already has reservation in any affected time slot (globally)
-    for (const key of studentSlotKeys) {
-        multi.sIsMember(key, String(studentId));
-    }
-
-    const results = await multi.exec();
-
-    // Check if all slots have capacity, first N results are slot counts
-    for (let i = 0; i < slotKeys.length; i++) {
-        const count = parseInt(results[i] || '0', 10);
-        if (count >= capacity) {
-            throw new Error(`Slot ${slotKeys[i]} is fully booked`);
-        }
-    }
-    // Check if student already has reservation in any affected time slot (globally)
-    // Next N results are student slot membership checks
-    for (let i = 0; i < studentSlotKeys.length; i++) {
-        const isMember = results[slotKeys.length + i];
-        if (isMember) {
-            throw new Error('Student already has a reservation for this time slot');
+    // Group members must exist and take one seat each
+    const memberIds = validateMemberIds(reservationData.memberIds, studentId);
+    for (const memberId of memberIds) {
+        if (!await redisClient.exists(`student:${memberId}`)) {
+            throw new Error(`Student ${memberId} not found`);
         }
     }
 
-    // Create reservation and increment slot counters in a transaction
-    const createMulti = redisClient.multi();
+    await enforceBookingPolicy(canteen, [studentId, ...memberIds], date, time);
+
+    // Pre-selected dishes come from the menu of the meal being booked, at most one per seat
+    const meal = getMealForTime(getWorkingHoursForDate(canteen, date), time);
+    const dishes = reservationData.dishes === undefined
+        ? []
+        : await resolveDishChoices(canteenId, date, meal, reservationData.dishes, 1 + memberIds.length);
 
     const id = await redisClient.incr(RESERVATION_COUNTER_KEY);
     const reservationKey = `reservation:${id}`;
-
-    createMulti.hSet(reservationKey, {
+    const reservationFields = {
         id: parseInt(id, 10),
         studentId: parseInt(reservationData.studentId, 10),
         canteenId: parseInt(canteenId, 10),
         date: date,
         time: time,
         duration: parseInt(duration, 10),
+        meal,
+        startsAt: startsAt.toISOString(),
         status: 'Active',
         createdAt: new Date().toISOString()
-    });
-
-    // Increment all affected slot counters
-    for (const key of slotKeys) {
-        createMulti.incr(key);
+    };
+    if (memberIds.length > 0) {
+        reservationFields.memberIds = JSON.stringify(memberIds);
     }
-    // Add student to global slot sets
-    for (const key of studentSlotKeys) {
-        createMulti.sAdd(key, String(studentId));
+    if (dishes.length > 0) {
+        reservationFields.dishes = JSON.stringify(dishes.map(({ dishId, quantity }) => ({ dishId, quantity })));
     }
 
-    await createMulti.exec();
+    // Check capacity, check global double-booking, take dish portions and write everything in one server-side step
+    await reserveSlots({
+        reservationKey,
+        capacities: getSlotCapacities(canteen, date, time, duration),
+        from: NO_SLOTS,
+        to: {
+            slotKeys: getAffectedSlotKeys(canteenId, date, time, duration, getGranularity(canteen)),
+            studentSlotKeys: getStudentSlotKeys(date, time, duration),
+            members: [studentId, ...memberIds]
+        },
+        portions: dishes.map(dish => ({ key: dish.key, change: dish.quantity, portions: dish.portions })),
+        fields: reservationFields,
+        endsAt: new Date(startsAt.getTime() + duration * 60000),
+        listing: { to: parseInt(canteenId, 10), startsAt, students: [studentId, ...memberIds] }
+    });
 
     return { 
         id: parseInt(id, 10), 
@@ -248,33 +697,57 @@ export async function createReservation(reservationData) {
         date: date,
         time: time,
         duration: parseInt(duration, 10),
+        meal,
         canteenId: parseInt(canteenId, 10), 
-        status: 'Active' };
+        status: 'Active',
+        memberIds,
+        dishes: dishes.map(({ dishId, quantity }) => ({ dishId, quantity })) };
+}
+
+/**
+ * Scores to read a listing between two dates with, widened by a zone offset either side
+ * since a date starts at a different instant in every canteen. Open ends read everything.
+ */
+function getListingRange(startDate, endDate) {
+    return [
+        startDate ? Date.parse(`${startDate}T00:00:00Z`) - MAX_ZONE_OFFSET_MS : '-inf',
+        endDate ? Date.parse(`${addDays(endDate, 1)}T00:00:00Z`) + MAX_ZONE_OFFSET_MS : '+inf'
+    ];
 }
 
 export async function getReservationsByStudent(studentId, startDate, endDate) {
     if (!startDate || !endDate) {
         throw new Error('startDate and endDate are required');
     }
-    const keys = await redisClient.keys('reservation:*');
+    const keys = await redisClient.zRangeByScore(getStudentListingKey(parseInt(studentId, 10)), ...getListingRange(startDate, endDate));
     const reservations = [];
     for (const key of keys) {
-        // Skip the counter key
-        if (key === RESERVATION_COUNTER_KEY) continue;
         const reservation = await redisClient.hGetAll(key);
-        if (reservation.studentId === String(studentId)) {
+        // Group members see the reservation as well as its organizer
+        if (getReservationMembers(reservation).includes(parseInt(studentId, 10))) {
             // Filter by date range
             const resDate = reservation.date;
             if (resDate >= startDate && resDate <= endDate) {
-                reservations.push({
+                const item = {
                     id: parseInt(reservation.id, 10),
                     studentId: parseInt(reservation.studentId, 10),
                     canteenId: parseInt(reservation.canteenId, 10),
                     date: reservation.date,
                     time: reservation.time,
                     duration: parseInt(reservation.duration, 10),
-                    status: reservation.status
-                });
+                    meal: reservation.meal || null,
+                    status: reservation.status,
+                    memberIds: JSON.parse(reservation.memberIds || '[]'),
+                    dishes: getReservationDishes(reservation)
+                };
+                if (reservation.cancellationReason) {
+                    item.cancellationReason = reservation.cancellationReason;
+                }
+                // Slots suggested when a closure cancelled the reservation
+                if (reservation.rebookingSuggestions) {
+                    item.rebookingSuggestions = JSON.parse(reservation.rebookingSuggestions);
+                }
+                reservations.push(item);
             }
         }
     }
@@ -289,48 +762,185 @@ export async function getReservationsByStudent(studentId, startDate, endDate) {
     return reservations;
 }
 
-export async function deleteReservation(reservationId, studentId) {
-    const reservationKey = `reservation:${reservationId}`;
-    const reservation = await redisClient.hGetAll(reservationKey);
-    if (Object.keys(reservation).length === 0) {
-        return null;
+/**
+ * Meal type key a reservation was booked under, derived from the hours for older records
+ */
+function getReservationMeal(canteen, reservation) {
+    return reservation.meal
+        || getMealForTime(getWorkingHoursForDate(canteen, reservation.date), reservation.time);
+}
+
+function parsePositiveInteger(name, value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return parsed;
+}
+
+/**
+ * Validate the filters of the admin canteen reservation listing
+ */
+function validateCanteenReservationFilters(canteen, filters) {
+    const { date, time, meal, status } = filters;
+    const startDate = filters.startDate ?? date;
+    const endDate = filters.endDate ?? date;
+
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value !== undefined && (!dateRegex.test(value) || isNaN(new Date(value).getTime()))) {
+            throw new Error(`Invalid ${name}. Must be YYYY-MM-DD`);
+        }
+    }
+    if (time !== undefined && !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
+        throw new Error('Invalid time format. Must be HH:mm');
+    }
+    if (meal !== undefined && !getCanteenMeals(canteen).has(meal)) {
+        throw new Error(`Invalid meal: ${meal}`);
+    }
+    if (status !== undefined && !RESERVATION_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of ${RESERVATION_STATUSES.join(', ')}`);
+    }
+
+    const page = parsePositiveInteger('page', filters.page, 1);
+    const pageSize = parsePositiveInteger('pageSize', filters.pageSize, DEFAULT_PAGE_SIZE);
+    if (pageSize > MAX_PAGE_SIZE) {
+        throw new Error(`pageSize cannot exceed ${MAX_PAGE_SIZE}`);
     }
-    if (reservation.studentId !== studentId) {
+
+    return { startDate, endDate, time, meal, status, page, pageSize };
+}
+
+/**
+ * List every reservation of a canteen for admins, with the names of the students
+ * holding each seat. Filters: date or startDate/endDate, time, meal, status, page, pageSize.
+ */
+export async function getCanteenReservations(canteenId, adminId, filters = {}) {
+    await checkPermission(adminId, 'reservations:read', canteenId);
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
         return null;
     }
-    if (reservation.status === 'Cancelled') {
-        return null; // Already cancelled
+    const { startDate, endDate, time, meal, status, page, pageSize } =
+        validateCanteenReservationFilters(canteen, filters);
+
+    // Read the listing a zone offset either side of the dates, then keep the exact dates below
+    const keys = await redisClient.zRangeByScore(getCanteenReservationsKey(canteen.id), ...getListingRange(startDate, endDate));
+    const matching = [];
+    for (const key of keys) {
+        const reservation = await redisClient.hGetAll(key);
+        if (reservation.canteenId !== String(canteen.id)) continue;
+        if (startDate && reservation.date < startDate) continue;
+        if (endDate && reservation.date > endDate) continue;
+        if (time && reservation.time !== time) continue;
+        if (meal && getReservationMeal(canteen, reservation) !== meal) continue;
+        if (status && reservation.status !== status) continue;
+        matching.push(reservation);
+    }
+
+    matching.sort((a, b) => {
+        if (a.date !== b.date) {
+            return a.date.localeCompare(b.date);
+        }
+        if (a.time !== b.time) {
+            return a.time.localeCompare(b.time);
+        }
+        return parseInt(a.id, 10) - parseInt(b.id, 10);
+    });
+
+    // Only look up the students shown on the requested page
+    const pageItems = matching.slice((page - 1) * pageSize, page * pageSize);
+    const studentNames = new Map();
+    async function getStudentName(id) {
+        if (!studentNames.has(id)) {
+            const student = await getStudent(id);
+            studentNames.set(id, student ? student.name : null);
+        }
+        return studentNames.get(id);
+    }
+
+    const reservations = [];
+    for (const reservation of pageItems) {
+        const [organizerId, ...memberIds] = getReservationMembers(reservation);
+        const members = [];
+        for (const memberId of memberIds) {
+            members.push({ id: memberId, name: await getStudentName(memberId) });
+        }
+        const item = {
+            id: parseInt(reservation.id, 10),
+            studentId: organizerId,
+            studentName: await getStudentName(organizerId),
+            date: reservation.date,
+            time: reservation.time,
+            duration: parseInt(reservation.duration, 10),
+            meal: getReservationMeal(canteen, reservation),
+            status: reservation.status,
+            members,
+            dishes: getReservationDishes(reservation)
+        };
+        if (reservation.cancellationReason) {
+            item.cancelledBy = parseInt(reservation.cancelledBy, 10);
+            item.cancellationReason = reservation.cancellationReason;
+        }
+        reservations.push(item);
     }
 
+    return {
+        canteenId: canteen.id,
+        page,
+        pageSize,
+        total: matching.length,
+        reservations
+    };
+}
+
+/**
+ * Release an active reservation's seats, slot memberships and dish portions and mark it
+ * cancelled with any extra fields. Refused like any other change when the reservation no
+ * longer matches what the caller read. Returns the slot keys it gave seats back in.
+ */
+async function releaseReservation(reservationKey, reservation, canteen, fields) {
     const slotKeys = getAffectedSlotKeys(
         reservation.canteenId,
         reservation.date,
         reservation.time,
-        reservation.duration
-    );
-
-    const studentSlotKeys = getStudentSlotKeys(
-        reservation.date,
-        reservation.time,
-        reservation.duration
+        reservation.duration,
+        getGranularity(canteen)
     );
 
-    // Use transaction to cancel reservation, decrement slot counters and remove student from sets
-    const multi = redisClient.multi();
-
-    multi.hSet(reservationKey, 'status', 'Cancelled');
-
-    // Decrement all affected slot counters
-    for (const key of slotKeys) {
-        multi.decr(key);
-    }
+    // Give back every member's seat, slot membership and dish portions in one server-side step
+    await reserveSlots({
+        reservationKey,
+        capacities: [],
+        from: {
+            slotKeys,
+            studentSlotKeys: getStudentSlotKeys(reservation.date, reservation.time, reservation.duration),
+            members: getReservationMembers(reservation)
+        },
+        to: NO_SLOTS,
+        guard: getReservationGuard(reservation),
+        portions: getReservationPortions(reservation).map(({ key, quantity }) => ({ key, change: -quantity, portions: 0 })),
+        fields: { status: 'Cancelled', ...fields },
+        // Whoever cancels it finds it again in their own listing
+        listing: fields.cancelledBy === undefined
+            ? {}
+            : { startsAt: getReservationStart(reservation, canteen), students: [fields.cancelledBy] }
+    });
+    return slotKeys;
+}
 
-    // Remove student from global slot sets
-    for (const key of studentSlotKeys) {
-        multi.sRem(key, String(studentId));
-    }
+/**
+ * Release an active reservation like releaseReservation and offer the freed seats to the waitlist
+ */
+async function cancelReservation(reservationKey, reservation, fields = {}) {
+    const canteen = await getCanteen(reservation.canteenId);
+    const slotKeys = await releaseReservation(reservationKey, reservation, canteen, fields);
 
-    await multi.exec();
+    // Hand the freed seats to waitlisted students
+    await promoteFromWaitlist(reservation.canteenId, reservation.date, slotKeys);
 
     const updatedReservation = await redisClient.hGetAll(reservationKey);
     return {
@@ -340,6 +950,1148 @@ export async function deleteReservation(reservationId, studentId) {
         canteenId: parseInt(updatedReservation.canteenId, 10),
         date: updatedReservation.date,
         time: updatedReservation.time,
-        duration: parseInt(updatedReservation.duration, 10)
+        duration: parseInt(updatedReservation.duration, 10),
+        memberIds: JSON.parse(updatedReservation.memberIds || '[]')
     };
-}
\ No newline at end of file
+}
+
+export async function deleteReservation(reservationId, studentId) {
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0) {
+        return null;
+    }
+    if (reservation.studentId !== String(studentId)) {
+        return null;
+    }
+    if (reservation.status !== 'Active') {
+        return null; // Already cancelled, checked in or finished
+    }
+
+    const { isLate } = await enforceCancellationPolicy(reservation);
+
+    const cancelled = await cancelReservation(reservationKey, reservation);
+
+    if (isLate) {
+        await recordStrike(reservation.studentId, 'lateCancellation', reservation.id);
+    }
+
+    return cancelled;
+}
+
+/**
+ * Cancel any active reservation of a canteen on the student's behalf.
+ * The canteen's cancellation policy does not apply and no strike is recorded.
+ */
+export async function adminCancelReservation(canteenId, reservationId, adminId, reason) {
+    await checkPermission(adminId, 'reservations:cancel', canteenId);
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        throw new Error('reason is required');
+    }
+
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0 || reservation.canteenId !== String(canteenId)) {
+        return null;
+    }
+    if (reservation.status !== 'Active') {
+        throw new Error('Only active reservations can be cancelled');
+    }
+
+    const cancelled = await cancelReservation(reservationKey, reservation, {
+        cancelledBy: String(adminId),
+        cancellationReason: reason.trim(),
+        cancelledAt: new Date().toISOString()
+    });
+    return { ...cancelled, cancelledBy: parseInt(adminId, 10), cancellationReason: reason.trim() };
+}
+
+/**
+ * Reservations of a canteen that have not ended yet, Active ones unless other statuses are given
+ */
+async function findUpcomingCanteenReservations(canteenId, now, statuses = ['Active']) {
+    const keys = await redisClient.keys('reservation:*');
+    const upcoming = [];
+    for (const key of keys) {
+        // Skip the counter key
+        if (key === RESERVATION_COUNTER_KEY) continue;
+        const reservation = await redisClient.hGetAll(key);
+        if (reservation.canteenId !== String(canteenId) || !statuses.includes(reservation.status)) continue;
+        if (getReservationEnd(reservation) <= now) continue;
+        upcoming.push({ key, reservation });
+    }
+    return upcoming;
+}
+
+export async function countUpcomingCanteenReservations(canteenId, now = new Date(), statuses = ['Active']) {
+    return (await findUpcomingCanteenReservations(canteenId, now, statuses)).length;
+}
+
+/**
+ * Cancel every upcoming reservation of a deleted canteen with a reason, each through the
+ * guarded seat script, then drop the canteen's slot and portion counters and waitlists.
+ * Nobody is promoted from the waitlist. A reservation changed meanwhile is read again and
+ * cancelled unless it moved away or no longer holds seats.
+ */
+export async function cancelCanteenReservations(canteen, cancelledBy, reason, now = new Date()) {
+    const canteenId = canteen.id;
+    const upcoming = await findUpcomingCanteenReservations(canteenId, now);
+    const affectedStudents = new Set();
+    let cancelledCount = 0;
+
+    for (let { key, reservation } of upcoming) {
+        for (let attempt = 1; ; attempt++) {
+            if (reservation.canteenId !== String(canteenId) || reservation.status !== 'Active') break;
+            try {
+                await releaseReservation(key, reservation, canteen, {
+                    cancelledBy: String(cancelledBy),
+                    cancellationReason: reason,
+                    cancelledAt: now.toISOString()
+                });
+                getReservationMembers(reservation).forEach(member => affectedStudents.add(member));
+                cancelledCount++;
+                break;
+            } catch (err) {
+                if (!err.message.includes('modified concurrently') || attempt === MAX_CASCADE_ATTEMPTS) {
+                    throw err;
+                }
+                reservation = await redisClient.hGetAll(key);
+            }
+        }
+    }
+
+    // The counters only go once no reservation gives seats or portions back to them
+    const multi = redisClient.multi();
+    const slotKeys = await redisClient.keys(`slot:${canteenId}:*`);
+    if (slotKeys.length > 0) {
+        multi.del(slotKeys);
+    }
+    const portionKeys = await redisClient.keys(`portions:${canteenId}:*`);
+    if (portionKeys.length > 0) {
+        multi.del(portionKeys);
+    }
+
+    // Waitlist queues are found through their per-date index
+    const indexKeys = await redisClient.keys(`waitlistIndex:${canteenId}:*`);
+    let waitlistCount = 0;
+    for (const indexKey of indexKeys) {
+        const waitlistKeys = await redisClient.sMembers(indexKey);
+        for (const waitlistKey of waitlistKeys) {
+            const studentIds = await redisClient.zRange(waitlistKey, 0, -1);
+            for (const studentId of studentIds) {
+                multi.sRem(`studentWaitlist:${studentId}`, waitlistKey);
+            }
+            multi.del(waitlistKey);
+            waitlistCount++;
+        }
+        multi.del(indexKey);
+    }
+
+    await multi.exec();
+
+    return {
+        cancelledReservations: cancelledCount,
+        affectedStudents: affectedStudents.size,
+        removedSlotCounters: slotKeys.length,
+        removedWaitlists: waitlistCount
+    };
+}
+
+/**
+ * Find the upcoming reservations that would break if a canteen got the given capacities,
+ * opening hours and slot rules. Active reservations whose duration or start time is no
+ * longer offered, or that fall outside the new hours, conflict first; then,
+ * for every slot still over capacity, Active reservations are picked latest-booked first
+ * until the slot fits. Checked-in reservations keep their seats and are never picked.
+ */
+export async function findCanteenUpdateConflicts(canteenId, canteen, now = new Date()) {
+    const upcoming = await findUpcomingCanteenReservations(canteenId, now, ['Active', 'CheckedIn']);
+    const granularity = getGranularity(canteen);
+    const conflicts = [];
+    const remaining = [];
+
+    for (const entry of upcoming) {
+        const { reservation } = entry;
+        if (reservation.status === 'Active' &&
+            !isOfferedSlot(canteen, reservation.time, parseInt(reservation.duration, 10))) {
+            conflicts.push({ ...entry, reason: 'SLOT_NOT_OFFERED' });
+        } else if (reservation.status === 'Active' &&
+            !isValidReservationTime(canteen, reservation.date, reservation.time, reservation.duration)) {
+            conflicts.push({ ...entry, reason: 'OUTSIDE_WORKING_HOURS' });
+        } else {
+            remaining.push(entry);
+        }
+    }
+
+    const seatsBySlot = new Map();
+    const capacityBySlot = new Map();
+    for (const { reservation } of remaining) {
+        const seats = getReservationMembers(reservation).length;
+        const { date, time, duration } = reservation;
+        const capacities = getSlotCapacities(canteen, date, time, duration);
+        getAffectedSlotKeys(canteenId, date, time, duration, granularity).forEach((slotKey, i) => {
+            seatsBySlot.set(slotKey, (seatsBySlot.get(slotKey) || 0) + seats);
+            capacityBySlot.set(slotKey, capacities[i]);
+        });
+    }
+
+    const latestBookedFirst = remaining
+        .filter(({ reservation }) => reservation.status === 'Active')
+        .sort((a, b) => {
+            const byCreated = (b.reservation.createdAt || '').localeCompare(a.reservation.createdAt || '');
+            return byCreated || parseInt(b.reservation.id, 10) - parseInt(a.reservation.id, 10);
+        });
+
+    const picked = new Set();
+    for (const slotKey of [...seatsBySlot.keys()].sort()) {
+        for (const entry of latestBookedFirst) {
+            if (seatsBySlot.get(slotKey) <= capacityBySlot.get(slotKey)) break;
+            if (picked.has(entry)) continue;
+            const { reservation } = entry;
+            const slotKeys = getAffectedSlotKeys(canteenId, reservation.date, reservation.time, reservation.duration, granularity);
+            if (!slotKeys.includes(slotKey)) continue;
+
+            picked.add(entry);
+            const seats = getReservationMembers(reservation).length;
+            for (const key of slotKeys) {
+                seatsBySlot.set(key, seatsBySlot.get(key) - seats);
+            }
+            conflicts.push({ ...entry, reason: 'OVER_CAPACITY' });
+        }
+    }
+
+    return conflicts.map(({ reservation, reason }) => ({
+        reservationId: parseInt(reservation.id, 10),
+        studentId: parseInt(reservation.studentId, 10),
+        memberIds: JSON.parse(reservation.memberIds || '[]'),
+        date: reservation.date,
+        time: reservation.time,
+        duration: parseInt(reservation.duration, 10),
+        reason
+    }));
+}
+
+/**
+ * Cancel the reservations reported by findCanteenUpdateConflicts on behalf of an admin.
+ * Freed seats go to the waitlist under the canteen's updated settings.
+ */
+export async function cancelConflictingReservations(conflicts, cancelledBy) {
+    const reasons = {
+        OUTSIDE_WORKING_HOURS: 'Canteen working hours changed',
+        SLOT_NOT_OFFERED: 'Canteen slot rules changed',
+        OVER_CAPACITY: 'Canteen capacity reduced'
+    };
+    const cancelled = [];
+    for (const conflict of conflicts) {
+        const reservationKey = `reservation:${conflict.reservationId}`;
+        const reservation = await redisClient.hGetAll(reservationKey);
+        // Skip reservations cancelled or checked in since the report was made
+        if (reservation.status !== 'Active') continue;
+
+        await cancelReservation(reservationKey, reservation, {
+            cancelledBy: String(cancelledBy),
+            cancellationReason: reasons[conflict.reason],
+            cancelledAt: new Date().toISOString()
+        });
+        cancelled.push(conflict.reservationId);
+    }
+    return cancelled;
+}
+
+/**
+ * Cancel the active reservations a new closure of a canteen covers. Every cancelled
+ * reservation gets up to three slots at other canteens starting within two hours
+ * of it, with a seat for each member and no clash with their other reservations.
+ * Suggestions are kept on the reservation for its students but do not hold seats.
+ */
+export async function cancelClosedReservations(canteen, closure, cancelledBy, now = new Date()) {
+    const upcoming = (await findUpcomingCanteenReservations(canteen.id, now))
+        .filter(({ reservation }) =>
+            findClosure({ closures: [closure] }, reservation.date, reservation.time, reservation.duration));
+    const statusByDay = new Map();
+    const cancelled = [];
+
+    for (const { key, reservation } of upcoming) {
+        await cancelReservation(key, reservation, {
+            cancelledBy: String(cancelledBy),
+            cancellationReason: `Canteen closed: ${closure.reason}`,
+            cancelledAt: now.toISOString()
+        });
+
+        // One status lookup per date and duration serves every reservation on it
+        const statusKey = `${reservation.date}:${reservation.duration}`;
+        if (!statusByDay.has(statusKey)) {
+            let status = [];
+            try {
+                status = await getAllCanteensStatus(reservation.date, '00:00', reservation.date, '23:59', reservation.duration);
+            } catch (err) {
+                // No canteen offers the duration, so there is nothing to suggest
+                if (!err.message.startsWith('Duration must be')) throw err;
+            }
+            statusByDay.set(statusKey, status);
+        }
+
+        const members = getReservationMembers(reservation);
+        const startsAt = getReservationStart(reservation, canteen).getTime();
+        const candidates = [];
+        for (const other of statusByDay.get(statusKey)) {
+            if (other.canteenId === canteen.id) continue;
+            for (const slot of other.slots) {
+                const distance = Math.abs(Date.parse(slot.startsAt) - startsAt);
+                if (slot.remainingCapacity < members.length || Date.parse(slot.startsAt) <= now.getTime() ||
+                    distance > REBOOKING_WINDOW_MINUTES * 60000) continue;
+                candidates.push({ canteenId: other.canteenId, canteenName: other.name, distance, slot });
+            }
+        }
+        candidates.sort((a, b) => a.distance - b.distance || a.canteenId - b.canteenId);
+
+        const alternatives = [];
+        for (const { canteenId, canteenName, slot } of candidates) {
+            if (alternatives.length >= MAX_REBOOKING_SUGGESTIONS) break;
+            let clashes = false;
+            for (const studentSlotKey of getStudentSlotKeys(slot.date, slot.startTime, reservation.duration)) {
+                for (const member of members) {
+                    if (await redisClient.sIsMember(studentSlotKey, String(member))) {
+                        clashes = true;
+                    }
+                }
+            }
+            if (clashes) continue;
+            alternatives.push({
+                canteenId,
+                canteenName,
+                date: slot.date,
+                time: slot.startTime,
+                startsAt: slot.startsAt,
+                meal: slot.meal,
+                remainingCapacity: slot.remainingCapacity
+            });
+        }
+        await redisClient.hSet(key, 'rebookingSuggestions', JSON.stringify(alternatives));
+
+        cancelled.push({
+            reservationId: parseInt(reservation.id, 10),
+            studentId: parseInt(reservation.studentId, 10),
+            memberIds: JSON.parse(reservation.memberIds || '[]'),
+            date: reservation.date,
+            time: reservation.time,
+            duration: parseInt(reservation.duration, 10),
+            alternatives
+        });
+    }
+    return cancelled;
+}
+
+export async function updateReservation(reservationId, studentId, updateData) {
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0) {
+        return null;
+    }
+    if (reservation.studentId !== String(studentId)) {
+        return null;
+    }
+    if (reservation.status !== 'Active') {
+        throw new Error('Only active reservations can be modified');
+    }
+    if (getReservationStart(reservation) < new Date()) {
+        throw new Error('Reservation date and time cannot be in the past');
+    }
+
+    const changes = {};
+    for (const field of ['canteenId', 'date', 'time', 'duration']) {
+        if (updateData[field] !== undefined) {
+            changes[field] = updateData[field];
+        }
+    }
+    const { canteenId, date, time, duration } = validateReservationData({
+        studentId: reservation.studentId,
+        canteenId: reservation.canteenId,
+        date: reservation.date,
+        time: reservation.time,
+        duration: reservation.duration,
+        ...changes
+    });
+    if (
+        String(canteenId) === reservation.canteenId &&
+        date === reservation.date &&
+        time === reservation.time &&
+        String(duration) === reservation.duration
+    ) {
+        throw new Error('At least one of canteenId, date, time or duration must be changed');
+    }
+
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        throw new Error('Canteen not found');
+    }
+    validateSlotChoice(canteen, time, duration);
+    const startsAt = getSlotStart(canteen, date, time);
+    if (startsAt < new Date()) {
+        throw new Error('Reservation date and time cannot be in the past');
+    }
+    if (!isValidReservationTime(canteen, date, time, duration)) {
+        throw new Error('Invalid reservation time or duration');
+    }
+    assertCanteenOpen(canteen, date, time, duration);
+    const meal = getMealForTime(getWorkingHoursForDate(canteen, date), time);
+    const previousCanteen = String(canteenId) === reservation.canteenId
+        ? canteen
+        : await getCanteen(reservation.canteenId);
+
+    // Moving away from a slot is held to the same cutoff as cancelling it
+    const members = getReservationMembers(reservation);
+    const { isLate } = await enforceCancellationPolicy(reservation);
+    await enforceBookingPolicy(canteen, members, date, time, { excludeReservationId: parseInt(reservation.id, 10) });
+
+    const from = {
+        slotKeys: getAffectedSlotKeys(
+            reservation.canteenId,
+            reservation.date,
+            reservation.time,
+            reservation.duration,
+            getGranularity(previousCanteen)
+        ),
+        studentSlotKeys: getStudentSlotKeys(reservation.date, reservation.time, reservation.duration),
+        members
+    };
+    const to = {
+        slotKeys: getAffectedSlotKeys(canteenId, date, time, duration, getGranularity(canteen)),
+        studentSlotKeys: getStudentSlotKeys(date, time, duration),
+        members
+    };
+
+    const previousValues = JSON.parse(reservation.previousValues || '[]');
+    previousValues.push({
+        canteenId: parseInt(reservation.canteenId, 10),
+        date: reservation.date,
+        time: reservation.time,
+        duration: parseInt(reservation.duration, 10),
+        changedAt: new Date().toISOString()
+    });
+
+    // Dishes come from one menu, so moving to another canteen, date or meal gives them back
+    const keepsMenu = String(canteenId) === reservation.canteenId && date === reservation.date && meal === reservation.meal;
+    const releasedPortions = keepsMenu ? [] : getReservationPortions(reservation);
+    const fields = {
+        canteenId,
+        date,
+        time,
+        duration,
+        meal,
+        startsAt: startsAt.toISOString(),
+        previousValues: JSON.stringify(previousValues),
+        updatedAt: new Date().toISOString()
+    };
+    if (releasedPortions.length > 0) {
+        fields.dishes = '';
+    }
+
+    // Release the old slots and claim the new ones in one server-side step
+    await reserveSlots({
+        reservationKey,
+        capacities: getSlotCapacities(canteen, date, time, duration),
+        from,
+        to,
+        guard: getReservationGuard(reservation),
+        portions: releasedPortions.map(({ key, quantity }) => ({ key, change: -quantity, portions: 0 })),
+        fields,
+        endsAt: new Date(startsAt.getTime() + duration * 60000),
+        listing: { from: parseInt(reservation.canteenId, 10), to: parseInt(canteenId, 10), startsAt, students: members }
+    });
+
+    if (isLate) {
+        await recordStrike(reservation.studentId, 'lateCancellation', reservation.id);
+    }
+
+    // Seats given up by the move may go to waitlisted students
+    const freedSlotKeys = from.slotKeys.filter(key => !to.slotKeys.includes(key));
+    if (freedSlotKeys.length > 0) {
+        await promoteFromWaitlist(reservation.canteenId, reservation.date, freedSlotKeys);
+    }
+
+    return {
+        id: parseInt(reservation.id, 10),
+        studentId: parseInt(reservation.studentId, 10),
+        canteenId,
+        date,
+        time,
+        duration,
+        meal,
+        status: 'Active',
+        memberIds: members.slice(1),
+        dishes: keepsMenu ? getReservationDishes(reservation) : [],
+        previousValues
+    };
+}
+
+/**
+ * Fields a reservation must still have when a change computed from it is applied
+ */
+function getReservationGuard(reservation) {
+    return {
+        status: 'Active',
+        canteenId: reservation.canteenId,
+        date: reservation.date,
+        time: reservation.time,
+        duration: reservation.duration,
+        memberIds: reservation.memberIds || '',
+        dishes: reservation.dishes || ''
+    };
+}
+
+export async function addReservationMembers(reservationId, organizerId, studentIds) {
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0 || reservation.studentId !== String(organizerId)) {
+        return null;
+    }
+    if (reservation.status !== 'Active') {
+        throw new Error('Only active reservations can be modified');
+    }
+    if (getReservationStart(reservation) < new Date()) {
+        throw new Error('Reservation date and time cannot be in the past');
+    }
+
+    const members = getReservationMembers(reservation);
+    const newMemberIds = validateMemberIds(studentIds, members[0]);
+    if (newMemberIds.length === 0) {
+        throw new Error('studentIds is required');
+    }
+    for (const memberId of newMemberIds) {
+        if (members.includes(memberId)) {
+            throw new Error(`Student ${memberId} is already a member of this reservation`);
+        }
+        if (!await redisClient.exists(`student:${memberId}`)) {
+            throw new Error(`Student ${memberId} not found`);
+        }
+    }
+
+    const canteen = await getCanteen(reservation.canteenId);
+    if (!canteen) {
+        throw new Error('Canteen not found');
+    }
+    await enforceBookingPolicy(canteen, newMemberIds, reservation.date, reservation.time);
+
+    const slotKeys = getAffectedSlotKeys(
+        reservation.canteenId,
+        reservation.date,
+        reservation.time,
+        reservation.duration,
+        getGranularity(canteen)
+    );
+    const studentSlotKeys = getStudentSlotKeys(reservation.date, reservation.time, reservation.duration);
+    const updatedMembers = [...members, ...newMemberIds];
+
+    await reserveSlots({
+        reservationKey,
+        capacities: getSlotCapacities(canteen, reservation.date, reservation.time, reservation.duration),
+        from: { slotKeys, studentSlotKeys, members },
+        to: { slotKeys, studentSlotKeys, members: updatedMembers },
+        guard: getReservationGuard(reservation),
+        fields: { memberIds: JSON.stringify(updatedMembers.slice(1)) },
+        endsAt: getReservationEnd(reservation),
+        listing: { startsAt: getReservationStart(reservation), students: newMemberIds }
+    });
+
+    return {
+        id: parseInt(reservation.id, 10),
+        studentId: members[0],
+        canteenId: parseInt(reservation.canteenId, 10),
+        date: reservation.date,
+        time: reservation.time,
+        duration: parseInt(reservation.duration, 10),
+        status: reservation.status,
+        memberIds: updatedMembers.slice(1)
+    };
+}
+
+/**
+ * Remove a member from a group reservation.
+ * The organizer can remove anyone, a member can only remove themselves.
+ */
+export async function removeReservationMember(reservationId, requesterId, memberId) {
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0) {
+        return null;
+    }
+    const members = getReservationMembers(reservation);
+    const parsedMemberId = parseInt(memberId, 10);
+    const parsedRequesterId = parseInt(requesterId, 10);
+    if (parsedRequesterId !== members[0] && parsedRequesterId !== parsedMemberId) {
+        return null;
+    }
+    if (parsedMemberId === members[0]) {
+        throw new Error('The organizer cannot be removed, cancel the reservation instead');
+    }
+    if (!members.includes(parsedMemberId)) {
+        throw new Error(`Student ${memberId} is not a member of this reservation`);
+    }
+    if (reservation.status !== 'Active') {
+        throw new Error('Only active reservations can be modified');
+    }
+
+    const canteen = await getCanteen(reservation.canteenId);
+    if (!canteen) {
+        throw new Error('Canteen not found');
+    }
+
+    const slotKeys = getAffectedSlotKeys(
+        reservation.canteenId,
+        reservation.date,
+        reservation.time,
+        reservation.duration,
+        getGranularity(canteen)
+    );
+    const studentSlotKeys = getStudentSlotKeys(reservation.date, reservation.time, reservation.duration);
+    const updatedMembers = members.filter(id => id !== parsedMemberId);
+
+    // The removed member is released from both the slots and the global sets
+    await reserveSlots({
+        reservationKey,
+        capacities: getSlotCapacities(canteen, reservation.date, reservation.time, reservation.duration),
+        from: { slotKeys, studentSlotKeys, members },
+        to: { slotKeys, studentSlotKeys, members: updatedMembers },
+        guard: getReservationGuard(reservation),
+        fields: { memberIds: JSON.stringify(updatedMembers.slice(1)) },
+        endsAt: getReservationEnd(reservation),
+        listing: { droppedStudents: [parsedMemberId] }
+    });
+
+    await promoteFromWaitlist(reservation.canteenId, reservation.date, slotKeys);
+
+    return {
+        id: parseInt(reservation.id, 10),
+        studentId: members[0],
+        canteenId: parseInt(reservation.canteenId, 10),
+        date: reservation.date,
+        time: reservation.time,
+        duration: parseInt(reservation.duration, 10),
+        status: reservation.status,
+        memberIds: updatedMembers.slice(1)
+    };
+}
+
+export async function joinWaitlist(waitlistData) {
+    const { canteenId, date, time, duration, studentId } = validateReservationData(waitlistData);
+
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        throw new Error('Canteen not found');
+    }
+    validateSlotChoice(canteen, time, duration);
+    const studentExists = await redisClient.exists(`student:${studentId}`);
+    if (!studentExists) {
+        throw new Error('Student not found');
+    }
+    if (getSlotStart(canteen, date, time) < new Date()) {
+        throw new Error('Reservation date and time cannot be in the past');
+    }
+    if (!isValidReservationTime(canteen, date, time, duration)) {
+        throw new Error('Invalid reservation time or duration');
+    }
+    assertCanteenOpen(canteen, date, time, duration);
+
+    // Only full slots can be queued for, free ones should be booked directly
+    const slotKeys = getAffectedSlotKeys(canteenId, date, time, duration, getGranularity(canteen));
+    const capacities = getSlotCapacities(canteen, date, time, duration);
+    const counts = await Promise.all(slotKeys.map(key => redisClient.get(key)));
+    const isFullyBooked = counts.some((count, i) => parseInt(count || '0', 10) >= capacities[i]);
+    if (!isFullyBooked) {
+        throw new Error('Slot is not fully booked, create a reservation instead');
+    }
+
+    const waitlistKey = getWaitlistKey(canteenId, date, time, duration);
+    const joinedAt = Date.now();
+    const added = await redisClient.zAdd(
+        waitlistKey,
+        { score: joinedAt, value: String(studentId) },
+        { condition: 'NX' }
+    );
+    if (!added) {
+        throw new Error('Student is already on the waitlist for this slot');
+    }
+
+    const multi = redisClient.multi();
+    multi.sAdd(`studentWaitlist:${studentId}`, waitlistKey);
+    multi.sAdd(`waitlistIndex:${canteenId}:${date}`, waitlistKey);
+    await multi.exec();
+
+    const rank = await redisClient.zRank(waitlistKey, String(studentId));
+
+    return {
+        studentId,
+        canteenId,
+        date,
+        time,
+        duration,
+        position: rank + 1,
+        joinedAt: new Date(joinedAt).toISOString()
+    };
+}
+
+export async function getWaitlistByStudent(studentId) {
+    const waitlistKeys = await redisClient.sMembers(`studentWaitlist:${studentId}`);
+    const entries = [];
+    for (const waitlistKey of waitlistKeys) {
+        const [rank, score] = await Promise.all([
+            redisClient.zRank(waitlistKey, String(studentId)),
+            redisClient.zScore(waitlistKey, String(studentId))
+        ]);
+        if (rank === null) continue;
+        entries.push({
+            studentId: parseInt(studentId, 10),
+            ...parseWaitlistKey(waitlistKey),
+            position: rank + 1,
+            joinedAt: new Date(score).toISOString()
+        });
+    }
+
+    entries.sort((a, b) => {
+        if (a.date !== b.date) {
+            return a.date.localeCompare(b.date);
+        }
+        return a.time.localeCompare(b.time);
+    });
+    return entries;
+}
+
+async function removeFromWaitlist(waitlistKey, studentId) {
+    const { canteenId, date } = parseWaitlistKey(waitlistKey);
+    const removed = await redisClient.zRem(waitlistKey, String(studentId));
+    await redisClient.sRem(`studentWaitlist:${studentId}`, waitlistKey);
+    if (await redisClient.zCard(waitlistKey) === 0) {
+        await redisClient.sRem(`waitlistIndex:${canteenId}:${date}`, waitlistKey);
+    }
+    return removed > 0;
+}
+
+export async function leaveWaitlist(waitlistData) {
+    const { canteenId, date, time, duration, studentId } = validateReservationData(waitlistData);
+    const waitlistKey = getWaitlistKey(canteenId, date, time, duration);
+    const removed = await removeFromWaitlist(waitlistKey, studentId);
+    if (!removed) {
+        return null;
+    }
+    return { studentId, canteenId, date, time, duration };
+}
+
+/**
+ * Reservation fields naming a student, with the student replaced by DELETED_STUDENT_ID
+ */
+function getAnonymisedFields(reservation, studentId) {
+    const replace = id => (id === studentId ? DELETED_STUDENT_ID : id);
+    const fields = {
+        studentId: String(replace(parseInt(reservation.studentId, 10))),
+        memberIds: JSON.stringify(JSON.parse(reservation.memberIds || '[]').map(replace))
+    };
+    for (const field of ['cancelledBy', 'checkedInBy']) {
+        if (reservation[field] === String(studentId)) {
+            fields[field] = String(DELETED_STUDENT_ID);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Take a deleted student out of every reservation and waitlist. Upcoming reservations
+ * they organize are cancelled, upcoming groups they joined go on without them, and
+ * every other record naming them keeps its slot and status with the student anonymised
+ * and taken out of the slot's studentSlot sets. No cancellation policy applies and no
+ * strikes are recorded. Running it again after a failure picks up where it stopped.
+ */
+export async function removeStudentReservations(studentId, now = new Date()) {
+    const id = parseInt(studentId, 10);
+    const summary = { cancelledReservations: 0, leftGroups: 0, anonymisedReservations: 0, leftWaitlists: 0 };
+
+    // Leave the waitlists first so freed seats are not handed back to the student
+    const waitlistKeys = await redisClient.sMembers(`studentWaitlist:${id}`);
+    for (const waitlistKey of waitlistKeys) {
+        if (await removeFromWaitlist(waitlistKey, id)) {
+            summary.leftWaitlists++;
+        }
+    }
+    await redisClient.del(`studentWaitlist:${id}`);
+
+    const keys = await redisClient.zRange(getStudentListingKey(id), 0, -1);
+    for (const key of keys) {
+        let reservation = await redisClient.hGetAll(key);
+        const members = getReservationMembers(reservation);
+        if (!members.includes(id) && reservation.cancelledBy !== String(id) && reservation.checkedInBy !== String(id)) continue;
+
+        if (members.includes(id) && reservation.status === 'Active' && getReservationEnd(reservation) > now) {
+            if (members[0] !== id) {
+                await removeReservationMember(reservation.id, id, id);
+                summary.leftGroups++;
+                continue;
+            }
+            await cancelReservation(key, reservation, {
+                cancelledBy: String(id),
+                cancellationReason: 'Student account deleted',
+                cancelledAt: now.toISOString()
+            });
+            summary.cancelledReservations++;
+            reservation = await redisClient.hGetAll(key);
+        }
+        const multi = redisClient.multi();
+        multi.hSet(key, getAnonymisedFields(reservation, id));
+        // A seat the record still holds stops blocking the id in its time slots
+        if (members.includes(id) && reservation.status !== 'Cancelled') {
+            for (const studentSlotKey of getStudentSlotKeys(reservation.date, reservation.time, reservation.duration)) {
+                multi.sRem(studentSlotKey, String(id));
+            }
+        }
+        await multi.exec();
+        summary.anonymisedReservations++;
+    }
+    // Ended seats the sweeper has not reached yet still name the student here
+    await redisClient.del([getStudentReservationsKey(id), getStudentListingKey(id)]);
+
+    return summary;
+}
+
+/**
+ * Count the upcoming Active reservations each of the given students has a seat in,
+ * read from their per-student indexes in one round trip
+ */
+export async function countUpcomingReservations(studentIds, now = new Date()) {
+    const ids = studentIds.map(id => parseInt(id, 10));
+    if (ids.length === 0) {
+        return new Map();
+    }
+    const multi = redisClient.multi();
+    for (const id of ids) {
+        // Reservations ending exactly now are over
+        multi.zCount(getStudentReservationsKey(id), `(${now.getTime()}`, '+inf');
+    }
+    const counts = await multi.exec();
+    return new Map(ids.map((id, index) => [id, Number(counts[index])]));
+}
+
+/**
+ * Turn waitlisted students into Active reservations after seats were freed.
+ * Every queue that overlaps the freed slot keys is considered, students are
+ * tried in the order they joined, and each booking goes through
+ * createReservation so capacity and double-booking checks still apply.
+ */
+async function promoteFromWaitlist(canteenId, date, freedSlotKeys) {
+    const waitlistKeys = await redisClient.sMembers(`waitlistIndex:${canteenId}:${date}`);
+    if (waitlistKeys.length === 0) {
+        return [];
+    }
+    const granularity = getGranularity(await getCanteen(canteenId));
+    const candidates = [];
+
+    for (const waitlistKey of waitlistKeys) {
+        const entry = parseWaitlistKey(waitlistKey);
+        const entrySlotKeys = getAffectedSlotKeys(entry.canteenId, entry.date, entry.time, entry.duration, granularity);
+        if (!entrySlotKeys.some(key => freedSlotKeys.includes(key))) continue;
+
+        const queue = await redisClient.zRangeWithScores(waitlistKey, 0, -1);
+        for (const { value, score } of queue) {
+            candidates.push({ waitlistKey, entry, studentId: value, joinedAt: score });
+        }
+    }
+
+    candidates.sort((a, b) => a.joinedAt - b.joinedAt);
+
+    const promoted = [];
+    for (const candidate of candidates) {
+        const { entry, studentId, waitlistKey } = candidate;
+        try {
+            const reservation = await createReservation({ ...entry, studentId });
+            promoted.push(reservation);
+            await removeFromWaitlist(waitlistKey, studentId);
+        } catch (err) {
+            // Slot already past, student gone: the entry can never be served
+            if (err.message.includes('in the past') || err.message.includes('not found')) {
+                await removeFromWaitlist(waitlistKey, studentId);
+            }
+            // Otherwise the student is not eligible right now, keep their place
+        }
+    }
+    return promoted;
+}
+
+/**
+ * Validate the search of the available slot finder
+ */
+function validateSlotSearch(search) {
+    const { startDate, startTime, endDate, endTime, duration } = search;
+    if (!startDate || !startTime || !endDate || !endTime || !duration) {
+        throw new Error('startDate, startTime, endDate, endTime and duration are required');
+    }
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+    for (const date of [startDate, endDate]) {
+        if (!dateRegex.test(date) || isNaN(Date.parse(date))) {
+            throw new Error('Invalid date format. Must be YYYY-MM-DD');
+        }
+    }
+    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+        throw new Error('Invalid time format. Must be HH:mm');
+    }
+    if (`${endDate} ${endTime}` <= `${startDate} ${startTime}`) {
+        throw new Error('The search window must end after it starts');
+    }
+    if ((Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) > MAX_FINDER_WINDOW_DAYS) {
+        throw new Error(`The search window cannot exceed ${MAX_FINDER_WINDOW_DAYS} days`);
+    }
+    if (!/^[1-9]\d*$/.test(duration)) {
+        throw new Error('Duration must be a positive integer');
+    }
+
+    let preferredCanteenIds = [];
+    if (search.canteenIds !== undefined && search.canteenIds !== '') {
+        preferredCanteenIds = String(search.canteenIds).split(',').map(id => id.trim());
+        if (preferredCanteenIds.some(id => !/^[1-9]\d*$/.test(id))) {
+            throw new Error('canteenIds must be a comma-separated list of canteen ids');
+        }
+        preferredCanteenIds = [...new Set(preferredCanteenIds.map(id => parseInt(id, 10)))];
+    }
+    const limit = parsePositiveInteger('limit', search.limit, DEFAULT_FINDER_LIMIT);
+    if (limit > MAX_FINDER_LIMIT) {
+        throw new Error(`limit cannot exceed ${MAX_FINDER_LIMIT}`);
+    }
+
+    return {
+        startDate,
+        startTime,
+        endDate,
+        endTime,
+        duration: parseInt(duration, 10),
+        meal: search.meal === undefined || search.meal === '' ? undefined : String(search.meal).toLowerCase(),
+        preferredCanteenIds,
+        limit
+    };
+}
+
+/**
+ * Find the soonest slots a student can book: in the search window, of the requested
+ * duration and meal, with a free seat, no clash with the student's other reservations
+ * and allowed by the canteen's booking policy. Results are ordered by start time,
+ * with preferred canteens (`canteenIds`, in the given order) first among slots starting together.
+ */
+export async function findAvailableSlots(studentId, search) {
+    const { startDate, startTime, endDate, endTime, duration, meal, preferredCanteenIds, limit } = validateSlotSearch(search);
+    if (meal !== undefined && !(await getMealTypeKeys()).includes(meal)) {
+        throw new Error(`Invalid meal type: ${meal}`);
+    }
+    if (!await redisClient.exists(`student:${studentId}`)) {
+        throw new Error('Student not found');
+    }
+    for (const canteenId of preferredCanteenIds) {
+        if (!await getCanteen(canteenId)) {
+            throw new Error(`Canteen ${canteenId} not found`);
+        }
+    }
+
+    // Collect every open slot with a free seat across the canteens offering the duration
+    const now = new Date();
+    const candidates = [];
+    for (const canteen of await getAllCanteens()) {
+        if (!getSlotConfig(canteen).durations.includes(duration)) continue;
+        const { slots } = await getCanteenStatus(canteen.id, startDate, startTime, endDate, endTime, duration);
+        for (const slot of slots) {
+            if (slot.remainingCapacity < 1 || new Date(slot.startsAt) <= now) continue;
+            if (meal !== undefined && slot.meal !== meal) continue;
+            candidates.push({ canteen, slot });
+        }
+    }
+
+    const preferenceRank = (canteenId) => {
+        const index = preferredCanteenIds.indexOf(canteenId);
+        return index === -1 ? preferredCanteenIds.length : index;
+    };
+    candidates.sort((a, b) =>
+        a.slot.startsAt.localeCompare(b.slot.startsAt)
+        || preferenceRank(a.canteen.id) - preferenceRank(b.canteen.id)
+        || a.canteen.id - b.canteen.id);
+
+    // Read the student's reservations over every week the window touches once for all candidates
+    const studentReservations = await getReservationsByStudent(
+        studentId,
+        getWeekRange(startDate).startDate,
+        getWeekRange(endDate).endDate
+    );
+    const loadedReservations = new Map([[studentId, studentReservations]]);
+
+    // Check candidates in order until enough are bookable
+    const studentSlotMembership = new Map();
+    const refusedDays = new Set();
+    const results = [];
+    for (const { canteen, slot } of candidates) {
+        if (results.length >= limit) break;
+
+        let clashes = false;
+        for (const key of getStudentSlotKeys(slot.date, slot.startTime, duration)) {
+            if (!studentSlotMembership.has(key)) {
+                studentSlotMembership.set(key, await redisClient.sIsMember(key, String(studentId)));
+            }
+            if (studentSlotMembership.get(key)) {
+                clashes = true;
+                break;
+            }
+        }
+        if (clashes || refusedDays.has(`${canteen.id}:${slot.date}`)) continue;
+
+        try {
+            await enforceBookingPolicy(canteen, [studentId], slot.date, slot.startTime, { loadedReservations });
+        } catch (err) {
+            if (err.name !== 'PolicyViolationError') throw err;
+            // Bans and daily or weekly limits hold for the rest of the day at that canteen
+            if (!['BOOKING_WINDOW_NOT_OPEN', 'LEAD_TIME_TOO_SHORT'].includes(err.code)) {
+                refusedDays.add(`${canteen.id}:${slot.date}`);
+            }
+            continue;
+        }
+
+        results.push({
+            canteenId: canteen.id,
+            canteenName: canteen.name,
+            date: slot.date,
+            startTime: slot.startTime,
+            startsAt: slot.startsAt,
+            duration,
+            meal: slot.meal,
+            mealName: slot.mealName,
+            remainingCapacity: slot.remainingCapacity,
+            preferred: preferredCanteenIds.includes(canteen.id)
+        });
+    }
+
+    return { slots: results };
+}
+
+/**
+ * Instant a slot starts at on the canteen's wall clock
+ */
+function getSlotStart(canteen, date, time) {
+    return zonedTimeToUtc(date, time, getTimezone(canteen));
+}
+
+/**
+ * Instant a reservation starts at, as pinned when it was booked.
+ * Reservations without one fall back to the canteen's zone, or the server's when not given.
+ */
+function getReservationStart(reservation, canteen = null) {
+    if (reservation.startsAt) {
+        return new Date(reservation.startsAt);
+    }
+    return getSlotStart(canteen, reservation.date, reservation.time);
+}
+
+function getReservationEnd(reservation) {
+    return new Date(getReservationStart(reservation).getTime() + parseInt(reservation.duration, 10) * 60000);
+}
+
+/**
+ * Check in a reservation at the door. Managers can only check in at their own canteens.
+ */
+export async function checkInReservation(reservationId, staffId) {
+    const staff = await checkPermission(staffId, 'reservations:checkIn');
+
+    const reservationKey = `reservation:${reservationId}`;
+    const reservation = await redisClient.hGetAll(reservationKey);
+    if (Object.keys(reservation).length === 0) {
+        return null;
+    }
+    assertPermission(staff, 'reservations:checkIn', reservation.canteenId);
+    if (reservation.status !== 'Active') {
+        throw new Error(`Reservation cannot be checked in, status is ${reservation.status}`);
+    }
+
+    const now = new Date();
+    const opensAt = new Date(getReservationStart(reservation).getTime() - CHECK_IN_OPENS_MINUTES_BEFORE * 60000);
+    if (now < opensAt) {
+        throw new Error(`Check-in opens ${CHECK_IN_OPENS_MINUTES_BEFORE} minutes before the reservation starts`);
+    }
+    if (now >= getReservationEnd(reservation)) {
+        throw new Error('Reservation slot has already ended');
+    }
+
+    const checkedInAt = now.toISOString();
+    // A checked-in reservation stays in the sweeper's index but no longer counts as upcoming
+    const checkedIn = await changeReservationStatus(reservationKey, 'Active', {
+        status: 'CheckedIn',
+        checkedInAt,
+        checkedInBy: parseInt(staffId, 10)
+    }, {
+        indexKeys: getStudentIndexKeys(getReservationMembers(reservation)),
+        listing: { keys: getStudentListingKeys([staffId]), score: getReservationStart(reservation).getTime() }
+    });
+    if (!checkedIn) {
+        throw new Error('Reservation was modified concurrently, please retry');
+    }
+
+    return {
+        id: parseInt(reservation.id, 10),
+        studentId: parseInt(reservation.studentId, 10),
+        canteenId: parseInt(reservation.canteenId, 10),
+        date: reservation.date,
+        time: reservation.time,
+        duration: parseInt(reservation.duration, 10),
+        status: 'CheckedIn',
+        memberIds: JSON.parse(reservation.memberIds || '[]'),
+        checkedInAt
+    };
+}
+
+/**
+ * Apply time-based status transitions to reservations whose slot has ended:
+ * CheckedIn becomes Completed, Active becomes NoShow and counts a no-show for every member.
+ * Only reservations still holding seats are looked at, found by their end time, and a
+ * reservation whose status changed since it was read is left for the next sweep.
+ */
+export async function sweepReservationStatuses(now = new Date()) {
+    const keys = await redisClient.zRangeByScore(RESERVATIONS_BY_END_KEY, '-inf', now.getTime());
+    const summary = { completed: 0, noShow: 0 };
+
+    for (const key of keys) {
+        const reservation = await redisClient.hGetAll(key);
+        const members = getReservationMembers(reservation);
+        const indexKeys = getReservationIndexKeys(members);
+
+        if (reservation.status === 'CheckedIn') {
+            const completed = await changeReservationStatus(key, 'CheckedIn', {
+                status: 'Completed',
+                completedAt: now.toISOString()
+            }, { indexKeys });
+            if (completed) summary.completed++;
+        } else if (reservation.status === 'Active') {
+            const noShowStudentIds = members.filter(memberId => memberId !== DELETED_STUDENT_ID);
+            const noShow = await changeReservationStatus(key, 'Active', {
+                status: 'NoShow',
+                noShowAt: now.toISOString()
+            }, { indexKeys, noShowStudentIds });
+            if (!noShow) continue;
+            for (const memberId of noShowStudentIds) {
+                await recordStrike(memberId, 'noShow', reservation.id, now);
+            }
+            summary.noShow++;
+        } else {
+            // Finished or cancelled without giving up its place in the indexes
+            for (const indexKey of indexKeys) {
+                await redisClient.zRem(indexKey, key);
+            }
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Sweep reservation statuses every `intervalMs`, handing errors to `onError`
+ */
+export function startReservationSweeper(onError, intervalMs = 60000) {
+    const timer = setInterval(async () => {
+        try {
+            await sweepReservationStatuses();
+        } catch (err) {
+            onError(err);
+        }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+}
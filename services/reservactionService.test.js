@@ -8,20 +8,49 @@ const mockMulti = jest.fn(() => ({
     hSet: jest.fn().mockReturnThis(),
     incr: jest.fn().mockReturnThis(),
     decr: jest.fn().mockReturnThis(),
+    decrBy: jest.fn().mockReturnThis(),
+    hIncrBy: jest.fn().mockReturnThis(),
     sAdd: jest.fn().mockReturnThis(),
     sRem: jest.fn().mockReturnThis(),
+    zRem: jest.fn().mockReturnThis(),
+    zCount: jest.fn().mockReturnThis(),
     exec: mockMultiExec
 }));
 
 const mockRedisClient = {
     multi: mockMulti,
+    eval: jest.fn(),
     incr: jest.fn(),
+    get: jest.fn(),
+    exists: jest.fn(),
     hGetAll: jest.fn(),
-    keys: jest.fn()
+    hSet: jest.fn(),
+    keys: jest.fn(),
+    sIsMember: jest.fn(),
+    sMembers: jest.fn(),
+    sRem: jest.fn(),
+    zAdd: jest.fn(),
+    zRank: jest.fn(),
+    zScore: jest.fn(),
+    zRem: jest.fn(),
+    zCard: jest.fn(),
+    zRange: jest.fn(),
+    zRangeWithScores: jest.fn(),
+    zRangeByScore: jest.fn(),
+    zRangeByScoreWithScores: jest.fn(),
+    del: jest.fn()
 };
 
-// Mock canteen service
+// Mock canteen, student, permission and menu services
 const mockGetCanteen = jest.fn();
+const mockCheckPermission = jest.fn();
+const mockAssertPermission = jest.fn();
+const mockGetStudent = jest.fn();
+const mockResolveDishChoices = jest.fn();
+const mockGetAllCanteens = jest.fn();
+const mockGetCanteenStatus = jest.fn();
+const mockGetAllCanteensStatus = jest.fn();
+const mockGetMealTypeKeys = jest.fn();
 
 // Mock the modules before importing
 jest.unstable_mockModule('../config/redis.js', () => ({
@@ -29,11 +58,54 @@ jest.unstable_mockModule('../config/redis.js', () => ({
 }));
 
 jest.unstable_mockModule('./canteenService.js', () => ({
-    getCanteen: mockGetCanteen
+    getCanteen: mockGetCanteen,
+    getAllCanteens: mockGetAllCanteens,
+    getCanteenStatus: mockGetCanteenStatus,
+    getAllCanteensStatus: mockGetAllCanteensStatus
+}));
+
+jest.unstable_mockModule('./permissionService.js', () => ({
+    checkPermission: mockCheckPermission,
+    assertPermission: mockAssertPermission
+}));
+
+jest.unstable_mockModule('./mealTypeService.js', () => ({
+    getMealTypeKeys: mockGetMealTypeKeys
+}));
+
+jest.unstable_mockModule('./studentService.js', () => ({
+    getStudent: mockGetStudent
+}));
+
+jest.unstable_mockModule('./menuService.js', () => ({
+    getPortionKey: (canteenId, date, meal, dishId) => `portions:${canteenId}:${date}:${meal}:${dishId}`,
+    resolveDishChoices: mockResolveDishChoices
 }));
 
 // Import after mocking
-const { createReservation, deleteReservation, getReservationsByStudent } = await import('./reservactionService.js');
+const {
+    createReservation,
+    updateReservation,
+    deleteReservation,
+    addReservationMembers,
+    removeReservationMember,
+    checkInReservation,
+    sweepReservationStatuses,
+    getReservationsByStudent,
+    getCanteenReservations,
+    adminCancelReservation,
+    countUpcomingCanteenReservations,
+    cancelCanteenReservations,
+    findCanteenUpdateConflicts,
+    cancelConflictingReservations,
+    cancelClosedReservations,
+    removeStudentReservations,
+    countUpcomingReservations,
+    joinWaitlist,
+    getWaitlistByStudent,
+    leaveWaitlist,
+    findAvailableSlots
+} = await import('./reservactionService.js');
 
 describe('reservactionService', () => {
     const mockCanteen = {
@@ -51,11 +123,15 @@ describe('reservactionService', () => {
         jest.clearAllMocks();
         mockGetCanteen.mockResolvedValue(mockCanteen);
         mockRedisClient.incr.mockResolvedValue(1);
+        mockRedisClient.exists.mockResolvedValue(1);
+        mockRedisClient.eval.mockResolvedValue(['OK']); // Default: slots claimed
+        mockRedisClient.sMembers.mockResolvedValue([]); // No waitlists by default
+        mockRedisClient.zRangeByScore.mockResolvedValue([]); // No listed reservations by default
         mockMultiExec.mockResolvedValue([0, 0, false, false]); // Default: no bookings, no conflicts
     });
 
     describe('createReservation', () => {
-        const futureDate = '2025-12-15';
+        const futureDate = '2030-12-16';
 
         it('should create a valid 30-min reservation', async () => {
             const reservationData = {
@@ -66,9 +142,6 @@ describe('reservactionService', () => {
                 duration: '30'
             };
 
-            // Mock: slot count = 0, student not in slot
-            mockMultiExec.mockResolvedValue([0, false]);
-
             const result = await createReservation(reservationData);
 
             expect(result).toMatchObject({
@@ -78,9 +151,25 @@ describe('reservactionService', () => {
                 date: futureDate,
                 time: '08:30',
                 duration: 30,
+                meal: 'breakfast',
                 status: 'Active'
             });
-            expect(mockGetCanteen).toHaveBeenCalledWith('1');
+            expect(mockGetCanteen).toHaveBeenCalledWith(1);
+            expect(mockRedisClient.eval).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.objectContaining({
+                    keys: [
+                        `slot:1:${futureDate}:08:30`,
+                        `studentSlot:${futureDate}:08:30`,
+                        `studentSlot:${futureDate}:08:45`,
+                        'reservations:byEnd',
+                        'studentReservations:42',
+                        'canteenReservations:1',
+                        'studentListing:42',
+                        'reservation:1'
+                    ]
+                })
+            );
         });
 
         it('should create a valid 60-min reservation and affect both slots', async () => {
@@ -92,9 +181,6 @@ describe('reservactionService', () => {
                 duration: '60'
             };
 
-            // Mock: both slot counts = 0, student not in either slot
-            mockMultiExec.mockResolvedValue([0, 0, false, false]);
-
             const result = await createReservation(reservationData);
 
             expect(result).toMatchObject({
@@ -103,6 +189,28 @@ describe('reservactionService', () => {
                 duration: 60,
                 status: 'Active'
             });
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual([
+                `slot:1:${futureDate}:08:00`,
+                `slot:1:${futureDate}:08:30`,
+                `studentSlot:${futureDate}:08:00`,
+                `studentSlot:${futureDate}:08:15`,
+                `studentSlot:${futureDate}:08:30`,
+                `studentSlot:${futureDate}:08:45`,
+                'reservations:byEnd',
+                'studentReservations:42',
+                'canteenReservations:1',
+                'studentListing:42',
+                'reservation:1'
+            ]);
+            // No old slots, two new slot counters, four 15-minute student sets, their capacities, no old members, one new member
+            expect(args.slice(0, 9)).toEqual(['0', '0', '2', '4', '30', '30', '0', '1', '42']);
+            // Indexed by the time the slot ends and listed by when it starts, before the fields are written
+            const fieldsStart = args.indexOf('id');
+            const endsAt = String(new Date(`${futureDate}T09:00:00`).getTime());
+            const startsAt = String(new Date(`${futureDate}T08:00:00`).getTime());
+            expect(args.slice(fieldsStart - 6, fieldsStart))
+                .toEqual(['0', '4', endsAt, endsAt, startsAt, startsAt]);
         });
 
         it('should reject reservation with past date', async () => {
@@ -141,7 +249,7 @@ describe('reservactionService', () => {
             };
 
             await expect(createReservation(reservationData))
-                .rejects.toThrow('Invalid reservation time or duration');
+                .rejects.toThrow('60-minute reservations must start at even hours');
         });
 
         it('should reject 60-min reservation where second slot is outside working hours', async () => {
@@ -154,7 +262,70 @@ describe('reservactionService', () => {
             };
 
             await expect(createReservation(reservationData))
-                .rejects.toThrow('Invalid reservation time or duration');
+                .rejects.toThrow('60-minute reservations must start at even hours');
+        });
+
+        it('should book any aligned span at a canteen with custom slot rules', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                slotConfig: { granularity: 15, durations: [15, 45, 90], startAlignment: 15 }
+            });
+
+            const result = await createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '08:15', duration: '45'
+            });
+
+            expect(result).toMatchObject({ time: '08:15', duration: 45, status: 'Active' });
+            const [, { keys }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual([
+                `slot:1:${futureDate}:08:15`,
+                `slot:1:${futureDate}:08:30`,
+                `slot:1:${futureDate}:08:45`,
+                `studentSlot:${futureDate}:08:15`,
+                `studentSlot:${futureDate}:08:30`,
+                `studentSlot:${futureDate}:08:45`,
+                'reservations:byEnd',
+                'studentReservations:42',
+                'canteenReservations:1',
+                'studentListing:42',
+                'reservation:1'
+            ]);
+        });
+
+        it('should reject durations the canteen does not offer', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                slotConfig: { granularity: 15, durations: [15, 45, 90], startAlignment: 15 }
+            });
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '08:00', duration: '30'
+            })).rejects.toThrow('duration must be 15, 45 or 90');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should reject spans running past the meal period', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                slotConfig: { granularity: 15, durations: [15, 45, 90], startAlignment: 15 }
+            });
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '08:45', duration: '90'
+            })).rejects.toThrow('Invalid reservation time or duration');
+        });
+
+        it('should check every slot against its effective capacity', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                workingHours: [mockCanteen.workingHours[0], { meal: 'lunch', from: '11:00', to: '13:00', capacity: 50 }],
+                capacityOverrides: { [futureDate]: { slots: { '11:30': 5 } } }
+            });
+
+            await createReservation({ studentId: '42', canteenId: '1', date: futureDate, time: '11:00', duration: '60' });
+
+            const [, { arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(args.slice(0, 6)).toEqual(['0', '0', '2', '4', '50', '5']);
         });
 
         it('should reject reservation when slot is fully booked', async () => {
@@ -167,7 +338,7 @@ describe('reservactionService', () => {
             };
 
             // Mock: slot is at capacity (30)
-            mockMultiExec.mockResolvedValue([30, false]);
+            mockRedisClient.eval.mockResolvedValue(['FULL', `slot:1:${futureDate}:08:00`]);
 
             await expect(createReservation(reservationData))
                 .rejects.toThrow('fully booked');
@@ -183,7 +354,7 @@ describe('reservactionService', () => {
             };
 
             // Mock: slot has capacity, but student is already in the slot
-            mockMultiExec.mockResolvedValue([5, true]);
+            mockRedisClient.eval.mockResolvedValue(['CONFLICT', `studentSlot:${futureDate}:08:00`]);
 
             await expect(createReservation(reservationData))
                 .rejects.toThrow('Student already has a reservation for this time slot');
@@ -199,12 +370,45 @@ describe('reservactionService', () => {
             };
 
             // Mock: slot has capacity, but student is in the 08:30 slot (from previous 60-min booking)
-            mockMultiExec.mockResolvedValue([0, true]);
+            mockRedisClient.eval.mockResolvedValue(['CONFLICT', `studentSlot:${futureDate}:08:30`]);
 
             await expect(createReservation(reservationData))
                 .rejects.toThrow('Student already has a reservation for this time slot');
         });
 
+        it('should follow the weekday schedule', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                weeklySchedule: { monday: [{ meal: 'lunch', from: '12:00', to: '14:00' }], sunday: [] }
+            });
+            const reservationData = { studentId: '42', canteenId: '1', time: '08:00', duration: '30' };
+
+            // futureDate is a Monday, breakfast is not served
+            await expect(createReservation({ ...reservationData, date: futureDate }))
+                .rejects.toThrow('Invalid reservation time or duration');
+            await expect(createReservation({ ...reservationData, date: '2030-12-15', time: '12:00' })) // Sunday
+                .rejects.toThrow('Invalid reservation time or duration');
+            await expect(createReservation({ ...reservationData, date: futureDate, time: '13:00' }))
+                .resolves.toMatchObject({ status: 'Active' });
+            // Tuesday falls back to the everyday working hours
+            await expect(createReservation({ ...reservationData, date: '2030-12-17' }))
+                .resolves.toMatchObject({ status: 'Active' });
+        });
+
+        it('should follow dated schedule exceptions', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                weeklySchedule: { monday: [] },
+                scheduleExceptions: { [futureDate]: { workingHours: [{ meal: 'breakfast', from: '08:00', to: '09:00' }] } }
+            });
+            const reservationData = { studentId: '42', canteenId: '1', date: futureDate, duration: '30' };
+
+            await expect(createReservation({ ...reservationData, time: '08:30' }))
+                .resolves.toMatchObject({ status: 'Active' });
+            await expect(createReservation({ ...reservationData, time: '09:00' }))
+                .rejects.toThrow('Invalid reservation time or duration');
+        });
+
         it('should reject when canteen not found', async () => {
             mockGetCanteen.mockResolvedValue(null);
 
@@ -221,6 +425,617 @@ describe('reservactionService', () => {
         });
     });
 
+    describe('group reservations', () => {
+        const futureDate = '2030-12-16';
+        const groupReservation = {
+            id: '9',
+            studentId: '42',
+            canteenId: '1',
+            date: futureDate,
+            time: '11:00',
+            duration: '30',
+            status: 'Active',
+            memberIds: JSON.stringify([7, 8])
+        };
+
+        it('should book one seat per member all at once', async () => {
+            const result = await createReservation({
+                studentId: '42',
+                canteenId: '1',
+                date: futureDate,
+                time: '11:00',
+                duration: '30',
+                memberIds: ['7', 8]
+            });
+
+            expect(result.memberIds).toEqual([7, 8]);
+            expect(mockRedisClient.exists).toHaveBeenCalledWith('student:7');
+            expect(mockRedisClient.exists).toHaveBeenCalledWith('student:8');
+            const [, { arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(args.slice(5, 10)).toEqual(['0', '3', '42', '7', '8']);
+            expect(args).toEqual(expect.arrayContaining(['memberIds', '[7,8]']));
+        });
+
+        it('should reject the whole group when one member is already booked', async () => {
+            mockRedisClient.eval.mockResolvedValue(['CONFLICT', `studentSlot:${futureDate}:11:00`, '8']);
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '11:00', duration: '30', memberIds: [7, 8]
+            })).rejects.toThrow('Student 8 already has a reservation for this time slot');
+        });
+
+        it('should reject the whole group when there are not enough seats', async () => {
+            mockRedisClient.eval.mockResolvedValue(['FULL', `slot:1:${futureDate}:11:00`]);
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '11:00', duration: '30', memberIds: [7, 8]
+            })).rejects.toThrow('fully booked');
+        });
+
+        it('should reject members that do not exist before writing anything', async () => {
+            mockRedisClient.exists.mockImplementation(async (key) => (key === 'student:8' ? 0 : 1));
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '11:00', duration: '30', memberIds: [7, 8]
+            })).rejects.toThrow('Student 8 not found');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should reject organizer listed as member', async () => {
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '11:00', duration: '30', memberIds: [42]
+            })).rejects.toThrow('memberIds must not include the organizer');
+        });
+
+        it('should cancel a group and give back every seat', async () => {
+            mockRedisClient.hGetAll
+                .mockResolvedValueOnce(groupReservation)
+                .mockResolvedValueOnce({ ...groupReservation, status: 'Cancelled' });
+
+            const result = await deleteReservation('9', '42');
+
+            expect(result).toMatchObject({ status: 'Cancelled', memberIds: [7, 8] });
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual([
+                `slot:1:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:15`,
+                'reservations:byEnd',
+                'studentReservations:42',
+                'studentReservations:7',
+                'studentReservations:8',
+                'reservation:9'
+            ]);
+            // Old slots and all three members out, nothing new in, guarded on the status read
+            expect(args.slice(0, 9)).toEqual(['1', '2', '0', '0', '3', '42', '7', '8', '0']);
+            expect(args.slice(9, 12)).toEqual(['7', 'status', 'Active']);
+            // Dropped from the end time index and each member's index, but still listed for the canteen
+            expect(keys).not.toContain('canteenReservations:1');
+            expect(args.slice(-4)).toEqual(['4', '0', 'status', 'Cancelled']);
+        });
+
+        it('should not let a member cancel the whole group', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            expect(await deleteReservation('9', '7')).toBeNull();
+        });
+
+        it('should add members to an existing group', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            const result = await addReservationMembers('9', '42', [10]);
+
+            expect(result.memberIds).toEqual([7, 8, 10]);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual([
+                `slot:1:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:15`,
+                `slot:1:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:00`,
+                `studentSlot:${futureDate}:11:15`,
+                'reservations:byEnd',
+                'studentReservations:42',
+                'studentReservations:7',
+                'studentReservations:8',
+                'reservations:byEnd',
+                'studentReservations:42',
+                'studentReservations:7',
+                'studentReservations:8',
+                'studentReservations:10',
+                'studentListing:10',
+                'reservation:9'
+            ]);
+            expect(args.slice(5, 14)).toEqual(['3', '42', '7', '8', '4', '42', '7', '8', '10']);
+            expect(args.slice(-2)).toEqual(['memberIds', '[7,8,10]']);
+        });
+
+        it('should reject adding an existing member', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            await expect(addReservationMembers('9', '42', [7]))
+                .rejects.toThrow('Student 7 is already a member of this reservation');
+        });
+
+        it('should only let the organizer add members', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            expect(await addReservationMembers('9', '7', [10])).toBeNull();
+        });
+
+        it('should let the organizer remove a member and free the seat', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            const result = await removeReservationMember('9', '42', '8');
+
+            expect(result.memberIds).toEqual([7]);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(args.slice(5, 11)).toEqual(['3', '42', '7', '8', '2', '42']);
+            // The removed member no longer finds the reservation in their listing
+            expect(keys.slice(-5)).toEqual([
+                'studentListing:8', 'reservations:byEnd', 'studentReservations:42', 'studentReservations:7', 'reservation:9'
+            ]);
+            expect(mockRedisClient.sMembers).toHaveBeenCalledWith(`waitlistIndex:1:${futureDate}`);
+        });
+
+        it('should let a member leave on their own', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            const result = await removeReservationMember('9', '7', '7');
+
+            expect(result.memberIds).toEqual([8]);
+        });
+
+        it('should not let a member remove someone else', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            expect(await removeReservationMember('9', '7', '8')).toBeNull();
+        });
+
+        it('should not remove the organizer', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(groupReservation);
+
+            await expect(removeReservationMember('9', '42', '42'))
+                .rejects.toThrow('The organizer cannot be removed');
+        });
+    });
+
+    describe('findAvailableSlots', () => {
+        const date = '2030-12-16';
+        const slot = (startTime, meal, remainingCapacity) => ({
+            date,
+            meal,
+            mealName: meal,
+            startTime,
+            startsAt: `${date}T${startTime}:00.000Z`,
+            remainingCapacity
+        });
+        const annex = { ...mockCanteen, id: 3, name: 'Annex' };
+        const slotsByCanteen = {
+            1: [slot('08:00', 'breakfast', 0), slot('08:30', 'breakfast', 5), slot('11:00', 'lunch', 3)],
+            3: [slot('08:30', 'breakfast', 2), slot('09:00', 'breakfast', 1)]
+        };
+        const search = { startDate: date, startTime: '08:00', endDate: date, endTime: '13:00', duration: '30' };
+
+        beforeEach(() => {
+            mockGetAllCanteens.mockResolvedValue([
+                mockCanteen,
+                { ...mockCanteen, id: 2, slotConfig: { granularity: 15, durations: [15, 45], startAlignment: 15 } },
+                annex
+            ]);
+            mockGetCanteen.mockImplementation(async id => [mockCanteen, annex].find(canteen => canteen.id === parseInt(id, 10)) || null);
+            mockGetCanteenStatus.mockImplementation(async id => ({ slots: slotsByCanteen[id] }));
+            mockGetMealTypeKeys.mockResolvedValue(['breakfast', 'lunch', 'dinner']);
+            mockRedisClient.sIsMember.mockImplementation(async key => key === `studentSlot:${date}:09:00`);
+        });
+
+        it('should return the soonest bookable slots', async () => {
+            const result = await findAvailableSlots('42', search);
+
+            expect(result.slots.map(s => `${s.startTime} ${s.canteenId}`)).toEqual(['08:30 1', '08:30 3', '11:00 1']);
+            expect(result.slots[0]).toEqual({
+                canteenId: 1,
+                canteenName: 'Main Canteen',
+                date,
+                startTime: '08:30',
+                startsAt: `${date}T08:30:00.000Z`,
+                duration: 30,
+                meal: 'breakfast',
+                mealName: 'breakfast',
+                remainingCapacity: 5,
+                preferred: false
+            });
+            // Canteen 2 does not offer 30-minute reservations
+            expect(mockGetCanteenStatus).not.toHaveBeenCalledWith(2, expect.anything(), expect.anything(), expect.anything(), expect.anything(), expect.anything());
+        });
+
+        it('should rank preferred canteens first among slots starting together', async () => {
+            const result = await findAvailableSlots('42', { ...search, canteenIds: '3', limit: '2' });
+
+            expect(result.slots.map(s => [s.canteenId, s.preferred])).toEqual([[3, true], [1, false]]);
+        });
+
+        it('should filter by meal', async () => {
+            const result = await findAvailableSlots('42', { ...search, meal: 'Lunch' });
+
+            expect(result.slots.map(s => s.startTime)).toEqual(['11:00']);
+        });
+
+        it('should skip days the booking policy refuses', async () => {
+            mockGetAllCanteens.mockResolvedValue([mockCanteen, { ...annex, policy: { maxReservationsPerDay: 0 } }]);
+
+            const result = await findAvailableSlots('42', search);
+
+            expect(result.slots.map(s => s.canteenId)).toEqual([1, 1]);
+            // The daily limit is looked up once for the day
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledTimes(1);
+        });
+
+        it('should read the student\'s reservations once and check every candidate against them', async () => {
+            mockGetAllCanteens.mockResolvedValue([
+                { ...mockCanteen, policy: { maxReservationsPerWeek: 1 } },
+                { ...annex, policy: { maxReservationsPerWeek: 1 } }
+            ]);
+            mockRedisClient.zRangeByScore.mockResolvedValue(['reservation:5']);
+            mockRedisClient.hGetAll.mockResolvedValue({
+                id: '5', studentId: '42', canteenId: '1', date: '2030-12-18', time: '11:00', duration: '30', status: 'Active'
+            });
+
+            const result = await findAvailableSlots('42', search);
+
+            // The week's only reservation at canteen 1 uses up its limit
+            expect(result.slots.map(s => `${s.startTime} ${s.canteenId}`)).toEqual(['08:30 3']);
+            const zoneOffset = 14 * 60 * 60 * 1000;
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledTimes(1);
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith(
+                'studentListing:42',
+                Date.parse('2030-12-16T00:00:00Z') - zoneOffset,
+                Date.parse('2030-12-23T00:00:00Z') + zoneOffset
+            );
+        });
+
+        it('should validate the search', async () => {
+            await expect(findAvailableSlots('42', { ...search, duration: undefined }))
+                .rejects.toThrow('startDate, startTime, endDate, endTime and duration are required');
+            await expect(findAvailableSlots('42', { ...search, endDate: '2030-12-31' }))
+                .rejects.toThrow('The search window cannot exceed 14 days');
+            await expect(findAvailableSlots('42', { ...search, endTime: '08:00' }))
+                .rejects.toThrow('The search window must end after it starts');
+            await expect(findAvailableSlots('42', { ...search, limit: '51' })).rejects.toThrow('limit cannot exceed 50');
+            await expect(findAvailableSlots('42', { ...search, canteenIds: '1,x' }))
+                .rejects.toThrow('canteenIds must be a comma-separated list of canteen ids');
+            await expect(findAvailableSlots('42', { ...search, meal: 'supper' })).rejects.toThrow('Invalid meal type: supper');
+            await expect(findAvailableSlots('42', { ...search, canteenIds: '99' })).rejects.toThrow('Canteen 99 not found');
+        });
+
+        it('should reject unknown students', async () => {
+            mockRedisClient.exists.mockResolvedValue(0);
+
+            await expect(findAvailableSlots('404', search)).rejects.toThrow('Student not found');
+        });
+    });
+
+    describe('dish pre-selection', () => {
+        const futureDate = '2030-12-16';
+        const portionKey = `portions:1:${futureDate}:breakfast:4`;
+
+        beforeEach(() => {
+            mockResolveDishChoices.mockResolvedValue([{ dishId: 4, quantity: 2, key: portionKey, portions: 10 }]);
+        });
+
+        it('should take dish portions in the same step as the seats', async () => {
+            const result = await createReservation({
+                studentId: '42',
+                canteenId: '1',
+                date: futureDate,
+                time: '08:30',
+                duration: '30',
+                memberIds: ['7'],
+                dishes: [{ dishId: 4, quantity: 2 }]
+            });
+
+            expect(mockResolveDishChoices).toHaveBeenCalledWith(1, futureDate, 'breakfast', [{ dishId: 4, quantity: 2 }], 2);
+            expect(result.dishes).toEqual([{ dishId: 4, quantity: 2 }]);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys.slice(-8)).toEqual([
+                portionKey,
+                'reservations:byEnd', 'studentReservations:42', 'studentReservations:7', 'canteenReservations:1',
+                'studentListing:42', 'studentListing:7',
+                'reservation:1'
+            ]);
+            const fieldsStart = args.indexOf('id');
+            expect(args.slice(fieldsStart - 12, fieldsStart - 8)).toEqual(['0', '1', '2', '10']);
+            expect(args[args.indexOf('dishes') + 1]).toBe(JSON.stringify([{ dishId: 4, quantity: 2 }]));
+        });
+
+        it('should not look up a menu without dish choices', async () => {
+            const result = await createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '08:30', duration: '30'
+            });
+
+            expect(mockResolveDishChoices).not.toHaveBeenCalled();
+            expect(result.dishes).toEqual([]);
+        });
+
+        it('should report a sold out dish', async () => {
+            mockRedisClient.eval.mockResolvedValue(['SOLD_OUT', portionKey]);
+
+            await expect(createReservation({
+                studentId: '42', canteenId: '1', date: futureDate, time: '08:30', duration: '30', dishes: [{ dishId: 4 }]
+            })).rejects.toThrow('Dish 4 is sold out');
+        });
+
+        describe('on an existing reservation', () => {
+            const mockReservation = {
+                id: '7',
+                studentId: '42',
+                canteenId: '1',
+                date: futureDate,
+                time: '08:00',
+                duration: '30',
+                meal: 'breakfast',
+                status: 'Active',
+                dishes: JSON.stringify([{ dishId: 4, quantity: 2 }])
+            };
+
+            beforeEach(() => {
+                mockRedisClient.hGetAll.mockResolvedValue(mockReservation);
+            });
+
+            it('should give portions back on cancellation', async () => {
+                await deleteReservation('7', '42');
+
+                const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+                expect(keys.slice(-4)).toEqual([portionKey, 'reservations:byEnd', 'studentReservations:42', 'reservation:7']);
+                expect(args.slice(-7)).toEqual(['1', '-2', '0', '2', '0', 'status', 'Cancelled']);
+            });
+
+            it('should keep dishes when moving within the same meal', async () => {
+                const result = await updateReservation('7', '42', { time: '09:00' });
+
+                expect(result.dishes).toEqual([{ dishId: 4, quantity: 2 }]);
+                const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+                expect(keys).not.toContain(portionKey);
+                // Only the guard mentions dishes, and no portion counters change
+                expect(args.lastIndexOf('dishes')).toBe(args.indexOf('dishes'));
+                expect(args[args.indexOf('dishes') + 2]).toBe('0');
+            });
+
+            it('should give portions back when moving to another meal', async () => {
+                const result = await updateReservation('7', '42', { time: '11:30' });
+
+                expect(result.dishes).toEqual([]);
+                const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+                expect(keys.slice(-9)).toEqual([
+                    portionKey,
+                    'reservations:byEnd', 'studentReservations:42', 'canteenReservations:1',
+                    'reservations:byEnd', 'studentReservations:42', 'canteenReservations:1', 'studentListing:42',
+                    'reservation:7'
+                ]);
+                const fieldsStart = args.indexOf('canteenId', args.indexOf('dishes') + 2);
+                expect(args.slice(fieldsStart - 9, fieldsStart - 6)).toEqual(['1', '-2', '0']);
+                expect(args.slice(fieldsStart).join(',')).toContain('dishes,');
+            });
+        });
+    });
+
+    describe('createReservation concurrency', () => {
+        const futureDate = '2030-12-16';
+        let counters;
+        let studentSlots;
+
+        // In-memory stand-in for the seat script, covering new reservations only. Each call
+        // runs to completion before the next one starts, which is what Redis guarantees for
+        // Lua, while everything the service awaits around it interleaves. The integration
+        // suite runs the real script when a Redis server is available.
+        beforeEach(() => {
+            counters = new Map();
+            studentSlots = new Map();
+            let nextId = 0;
+            mockRedisClient.incr.mockImplementation(async () => ++nextId);
+            mockRedisClient.eval.mockImplementation(async (script, { keys, arguments: args }) => {
+                await new Promise(resolve => setImmediate(resolve)); // network round trip
+                const slotCount = parseInt(args[2], 10);
+                const studentSlotCount = parseInt(args[3], 10);
+                const capacities = args.slice(4, 4 + slotCount).map(Number);
+                // No old members, then the new member count and ids
+                const memberCount = parseInt(args[5 + slotCount], 10);
+                const members = args.slice(6 + slotCount, 6 + slotCount + memberCount);
+                const slotKeys = keys.slice(0, slotCount);
+                const studentSlotKeys = keys.slice(slotCount, slotCount + studentSlotCount);
+
+                const fullKey = slotKeys.find((key, i) => (counters.get(key) || 0) + members.length > capacities[i]);
+                if (fullKey) return ['FULL', fullKey];
+                for (const key of studentSlotKeys) {
+                    const member = members.find(id => studentSlots.get(key)?.has(id));
+                    if (member) return ['CONFLICT', key, member];
+                }
+
+                slotKeys.forEach(key => counters.set(key, (counters.get(key) || 0) + members.length));
+                studentSlotKeys.forEach(key => {
+                    if (!studentSlots.has(key)) studentSlots.set(key, new Set());
+                    members.forEach(id => studentSlots.get(key).add(id));
+                });
+                return ['OK'];
+            });
+        });
+
+        it('should give the last seat to exactly one of many parallel bookings', async () => {
+            const slotKey = `slot:1:${futureDate}:08:00`;
+            counters.set(slotKey, 29); // One seat left of 30
+
+            const attempts = Array.from({ length: 50 }, (_, i) => createReservation({
+                studentId: String(100 + i),
+                canteenId: '1',
+                date: futureDate,
+                time: '08:00',
+                duration: '30'
+            }));
+            const results = await Promise.allSettled(attempts);
+
+            const rejected = results.filter(r => r.status === 'rejected');
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(rejected).toHaveLength(49);
+            expect(rejected.every(r => r.reason.message === `Slot ${slotKey} is fully booked`)).toBe(true);
+            expect(counters.get(slotKey)).toBe(30);
+        });
+
+        it('should not let one student double-book through parallel requests', async () => {
+            const attempts = ['1', '2', '3', '4', '5'].map(canteenId => createReservation({
+                studentId: '42',
+                canteenId,
+                date: futureDate,
+                time: '08:00',
+                duration: '60'
+            }));
+            const results = await Promise.allSettled(attempts);
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            expect(results.filter(r => r.status === 'rejected').every(r =>
+                r.reason.message === 'Student already has a reservation for this time slot'
+            )).toBe(true);
+            expect(studentSlots.get(`studentSlot:${futureDate}:08:30`).size).toBe(1);
+        });
+    });
+
+    describe('updateReservation', () => {
+        const futureDate = '2030-12-16';
+        const mockReservation = {
+            id: '7',
+            studentId: '42',
+            canteenId: '1',
+            date: futureDate,
+            time: '08:00',
+            duration: '30',
+            status: 'Active'
+        };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue(mockReservation);
+        });
+
+        it('should move reservation to a new time keeping its id', async () => {
+            const result = await updateReservation('7', '42', { time: '11:30' });
+
+            expect(result).toMatchObject({
+                id: 7,
+                studentId: 42,
+                canteenId: 1,
+                date: futureDate,
+                time: '11:30',
+                duration: 30,
+                meal: 'lunch',
+                status: 'Active'
+            });
+            expect(result.previousValues).toEqual([
+                expect.objectContaining({ canteenId: 1, date: futureDate, time: '08:00', duration: 30 })
+            ]);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual([
+                `slot:1:${futureDate}:08:00`,
+                `studentSlot:${futureDate}:08:00`,
+                `studentSlot:${futureDate}:08:15`,
+                `slot:1:${futureDate}:11:30`,
+                `studentSlot:${futureDate}:11:30`,
+                `studentSlot:${futureDate}:11:45`,
+                'reservations:byEnd',
+                'studentReservations:42',
+                'canteenReservations:1',
+                'reservations:byEnd',
+                'studentReservations:42',
+                'canteenReservations:1',
+                'studentListing:42',
+                'reservation:7'
+            ]);
+            expect(args.slice(0, 9)).toEqual(['1', '2', '1', '2', '30', '1', '42', '1', '42']);
+            expect(args.slice(9, 25)).toEqual([
+                '7',
+                'status', 'Active',
+                'canteenId', '1',
+                'date', futureDate,
+                'time', '08:00',
+                'duration', '30',
+                'memberIds', '',
+                'dishes', '',
+                '0'
+            ]);
+        });
+
+        it('should extend duration and claim the extra slot', async () => {
+            const result = await updateReservation('7', '42', { duration: '60' });
+
+            expect(result.duration).toBe(60);
+            const [, { keys }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toContain(`slot:1:${futureDate}:08:30`);
+            expect(keys).toContain(`studentSlot:${futureDate}:08:30`);
+        });
+
+        it('should append to existing previous values', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                ...mockReservation,
+                previousValues: JSON.stringify([{ canteenId: 2, date: futureDate, time: '12:00', duration: 30 }])
+            });
+
+            const result = await updateReservation('7', '42', { canteenId: '3' });
+
+            expect(result.canteenId).toBe(3);
+            expect(result.previousValues).toHaveLength(2);
+            expect(result.previousValues[1].canteenId).toBe(1);
+        });
+
+        it('should leave reservation untouched when new slot is fully booked', async () => {
+            mockRedisClient.eval.mockResolvedValue(['FULL', `slot:1:${futureDate}:11:30`]);
+
+            await expect(updateReservation('7', '42', { time: '11:30' }))
+                .rejects.toThrow('fully booked');
+            expect(mockRedisClient.sMembers).not.toHaveBeenCalled(); // No waitlist promotion
+        });
+
+        it('should reject when student has another reservation at new time', async () => {
+            mockRedisClient.eval.mockResolvedValue(['CONFLICT', `studentSlot:${futureDate}:11:30`]);
+
+            await expect(updateReservation('7', '42', { time: '11:30' }))
+                .rejects.toThrow('Student already has a reservation for this time slot');
+        });
+
+        it('should reject when reservation changed since it was read', async () => {
+            mockRedisClient.eval.mockResolvedValue(['CHANGED']);
+
+            await expect(updateReservation('7', '42', { time: '11:30' }))
+                .rejects.toThrow('Reservation was modified concurrently, please retry');
+        });
+
+        it('should reject when nothing changes', async () => {
+            await expect(updateReservation('7', '42', { time: '08:00' }))
+                .rejects.toThrow('At least one of canteenId, date, time or duration must be changed');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should reject new time outside working hours', async () => {
+            await expect(updateReservation('7', '42', { time: '10:30' }))
+                .rejects.toThrow('Invalid reservation time or duration');
+        });
+
+        it('should reject cancelled reservations', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ ...mockReservation, status: 'Cancelled' });
+
+            await expect(updateReservation('7', '42', { time: '11:30' }))
+                .rejects.toThrow('Only active reservations can be modified');
+        });
+
+        it('should return null when studentId does not match', async () => {
+            const result = await updateReservation('7', '99', { time: '11:30' });
+
+            expect(result).toBeNull();
+        });
+
+        it('should offer freed seats to the waitlist', async () => {
+            await updateReservation('7', '42', { time: '11:30' });
+
+            expect(mockRedisClient.sMembers).toHaveBeenCalledWith(`waitlistIndex:1:${futureDate}`);
+        });
+    });
+
     describe('deleteReservation', () => {
         it('should cancel reservation and restore capacity', async () => {
             const mockReservation = {
@@ -319,16 +1134,1006 @@ describe('reservactionService', () => {
         });
     });
 
-    describe('getReservationsByStudent', () => {
-        const mockReservations = {
-            'reservation:1': {
-                id: '1',
-                studentId: '42',
-                canteenId: '1',
-                date: '2025-12-10',
-                time: '08:00',
-                duration: '30',
-                status: 'Active'
+    describe('waitlist', () => {
+        const futureDate = '2030-12-16';
+        const waitlistData = {
+            studentId: '42',
+            canteenId: '1',
+            date: futureDate,
+            time: '08:00',
+            duration: '30'
+        };
+
+        it('should join waitlist when slot is fully booked', async () => {
+            mockRedisClient.get.mockResolvedValue('30');
+            mockRedisClient.zAdd.mockResolvedValue(1);
+            mockRedisClient.zRank.mockResolvedValue(2);
+
+            const result = await joinWaitlist(waitlistData);
+
+            expect(result).toMatchObject({
+                studentId: 42,
+                canteenId: 1,
+                date: futureDate,
+                time: '08:00',
+                duration: 30,
+                position: 3
+            });
+            expect(mockRedisClient.zAdd).toHaveBeenCalledWith(
+                `waitlist:1:${futureDate}:08:00:30`,
+                expect.objectContaining({ value: '42' }),
+                { condition: 'NX' }
+            );
+        });
+
+        it('should reject joining when slot still has capacity', async () => {
+            mockRedisClient.get.mockResolvedValue('5');
+
+            await expect(joinWaitlist(waitlistData))
+                .rejects.toThrow('Slot is not fully booked');
+            expect(mockRedisClient.zAdd).not.toHaveBeenCalled();
+        });
+
+        it('should reject joining the same waitlist twice', async () => {
+            mockRedisClient.get.mockResolvedValue('30');
+            mockRedisClient.zAdd.mockResolvedValue(0);
+
+            await expect(joinWaitlist(waitlistData))
+                .rejects.toThrow('Student is already on the waitlist for this slot');
+        });
+
+        it('should reject joining when student does not exist', async () => {
+            mockRedisClient.exists.mockResolvedValue(0);
+
+            await expect(joinWaitlist(waitlistData))
+                .rejects.toThrow('Student not found');
+        });
+
+        it('should list waitlist entries with positions', async () => {
+            mockRedisClient.sMembers.mockResolvedValue([`waitlist:1:${futureDate}:11:00:60`]);
+            mockRedisClient.zRank.mockResolvedValue(0);
+            mockRedisClient.zScore.mockResolvedValue(Date.parse('2030-12-01T10:00:00.000Z'));
+
+            const result = await getWaitlistByStudent('42');
+
+            expect(result).toEqual([{
+                studentId: 42,
+                canteenId: 1,
+                date: futureDate,
+                time: '11:00',
+                duration: 60,
+                position: 1,
+                joinedAt: '2030-12-01T10:00:00.000Z'
+            }]);
+        });
+
+        it('should leave waitlist', async () => {
+            mockRedisClient.zRem.mockResolvedValue(1);
+            mockRedisClient.zCard.mockResolvedValue(0);
+
+            const result = await leaveWaitlist(waitlistData);
+
+            expect(result).toMatchObject({ studentId: 42, canteenId: 1, time: '08:00' });
+            expect(mockRedisClient.sRem).toHaveBeenCalledWith('studentWaitlist:42', `waitlist:1:${futureDate}:08:00:30`);
+            expect(mockRedisClient.sRem).toHaveBeenCalledWith(`waitlistIndex:1:${futureDate}`, `waitlist:1:${futureDate}:08:00:30`);
+        });
+
+        it('should return null when leaving a waitlist the student is not on', async () => {
+            mockRedisClient.zRem.mockResolvedValue(0);
+            mockRedisClient.zCard.mockResolvedValue(1);
+
+            const result = await leaveWaitlist(waitlistData);
+
+            expect(result).toBeNull();
+        });
+
+        it('should promote first waitlisted student when a reservation is cancelled', async () => {
+            const mockReservation = {
+                id: '1',
+                studentId: '42',
+                canteenId: '1',
+                date: futureDate,
+                time: '08:00',
+                duration: '30',
+                status: 'Active'
+            };
+            mockRedisClient.hGetAll
+                .mockResolvedValueOnce(mockReservation)
+                .mockResolvedValueOnce({ ...mockReservation, status: 'Cancelled' });
+            mockRedisClient.sMembers.mockResolvedValue([
+                `waitlist:1:${futureDate}:08:00:30`,
+                `waitlist:1:${futureDate}:12:00:30` // Unrelated slot
+            ]);
+            mockRedisClient.zRangeWithScores.mockResolvedValue([
+                { value: '8', score: 200 },
+                { value: '7', score: 100 }
+            ]);
+            mockRedisClient.incr.mockResolvedValue(2);
+            mockRedisClient.zRem.mockResolvedValue(1);
+            mockRedisClient.zCard.mockResolvedValue(1);
+            mockRedisClient.eval
+                .mockResolvedValueOnce(['OK']) // cancel
+                .mockResolvedValueOnce(['OK']) // student 7 booked
+                .mockResolvedValueOnce(['FULL', `slot:1:${futureDate}:08:00`]); // student 8: full again
+
+            const result = await deleteReservation('1', '42');
+
+            expect(result.status).toBe('Cancelled');
+            expect(mockRedisClient.zRangeWithScores).toHaveBeenCalledTimes(1);
+            expect(mockRedisClient.zRem).toHaveBeenCalledTimes(1);
+            expect(mockRedisClient.zRem).toHaveBeenCalledWith(`waitlist:1:${futureDate}:08:00:30`, '7');
+        });
+    });
+
+    describe('reservation lifecycle', () => {
+        // Local date and time strings, the way reservations store them
+        function toLocalParts(date) {
+            const pad = (n) => String(n).padStart(2, '0');
+            return {
+                date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+                time: `${pad(date.getHours())}:${pad(date.getMinutes())}`
+            };
+        }
+
+        function reservationStartingIn(minutes, overrides = {}) {
+            return {
+                id: '3',
+                studentId: '42',
+                canteenId: '1',
+                ...toLocalParts(new Date(Date.now() + minutes * 60000)),
+                duration: '30',
+                status: 'Active',
+                ...overrides
+            };
+        }
+
+        beforeEach(() => {
+            mockCheckPermission.mockResolvedValue({ id: 5, role: 'staff', canteenIds: [] });
+            mockRedisClient.eval.mockResolvedValue(1); // Status changes apply
+        });
+
+        it('should let staff check in a reservation that is under way', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(-10));
+
+            const result = await checkInReservation('3', '5');
+
+            expect(result).toMatchObject({ id: 3, status: 'CheckedIn' });
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            // Leaves the member's upcoming index and is listed for the staff member
+            expect(keys).toEqual(['reservation:3', 'studentReservations:42', 'studentListing:5']);
+            const reservation = reservationStartingIn(-10);
+            const startsAt = String(new Date(`${reservation.date}T${reservation.time}:00`).getTime());
+            expect(args.slice(0, 6)).toEqual(['Active', '1', '1', startsAt, 'status', 'CheckedIn']);
+            expect(args.slice(-2)).toEqual(['checkedInBy', '5']);
+        });
+
+        it('should not check in a reservation whose status changed meanwhile', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(-10));
+            mockRedisClient.eval.mockResolvedValue(0);
+
+            await expect(checkInReservation('3', '5'))
+                .rejects.toThrow('Reservation was modified concurrently, please retry');
+        });
+
+        it('should check the permission for the canteen of the reservation', async () => {
+            const manager = { id: 8, role: 'manager', canteenIds: [1] };
+            mockCheckPermission.mockResolvedValue(manager);
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(10));
+
+            const result = await checkInReservation('3', '8');
+
+            expect(result.status).toBe('CheckedIn');
+            expect(mockCheckPermission).toHaveBeenCalledWith('8', 'reservations:checkIn');
+            expect(mockAssertPermission).toHaveBeenCalledWith(manager, 'reservations:checkIn', '1');
+        });
+
+        it('should reject check-in at a canteen the manager does not manage', async () => {
+            mockAssertPermission.mockImplementationOnce(() => {
+                throw new Error('Permission denied: reservations:checkIn on canteen 1');
+            });
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(10));
+
+            await expect(checkInReservation('3', '8'))
+                .rejects.toThrow('Permission denied: reservations:checkIn on canteen 1');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should reject check-in by regular students', async () => {
+            mockCheckPermission.mockRejectedValueOnce(new Error('Permission denied: reservations:checkIn'));
+
+            await expect(checkInReservation('3', '42'))
+                .rejects.toThrow('Permission denied: reservations:checkIn');
+            expect(mockRedisClient.hGetAll).not.toHaveBeenCalled();
+        });
+
+        it('should reject check-in too early', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(120));
+
+            await expect(checkInReservation('3', '5'))
+                .rejects.toThrow('Check-in opens 30 minutes before the reservation starts');
+        });
+
+        it('should reject check-in after the slot ended', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(-45));
+
+            await expect(checkInReservation('3', '5'))
+                .rejects.toThrow('Reservation slot has already ended');
+        });
+
+        it('should reject check-in of cancelled reservation', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue(reservationStartingIn(-10, { status: 'Cancelled' }));
+
+            await expect(checkInReservation('3', '5'))
+                .rejects.toThrow('Reservation cannot be checked in, status is Cancelled');
+        });
+
+        it('should return null when reservation not found', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({});
+
+            expect(await checkInReservation('999', '5')).toBeNull();
+        });
+
+        it('should complete checked-in and mark missed reservations as no-shows', async () => {
+            const stored = {
+                'reservation:1': { id: '1', studentId: '42', date: '2030-12-16', time: '08:00', duration: '30', status: 'CheckedIn' },
+                'reservation:2': { id: '2', studentId: '43', date: '2030-12-16', time: '08:00', duration: '60', status: 'Active', memberIds: '[44]' },
+                'reservation:4': { id: '4', studentId: '46', date: '2030-12-16', time: '08:00', duration: '30', status: 'Cancelled' }
+            };
+            mockRedisClient.zRangeByScore.mockResolvedValue(Object.keys(stored));
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+            const now = new Date('2030-12-16T09:00:00');
+
+            const summary = await sweepReservationStatuses(now);
+
+            expect(summary).toEqual({ completed: 1, noShow: 1 });
+            // Only reservations that have ended are read
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith('reservations:byEnd', '-inf', now.getTime());
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+            const [[, completed], [, noShow]] = mockRedisClient.eval.mock.calls;
+            expect(completed.keys).toEqual(['reservation:1', 'reservations:byEnd', 'studentReservations:42']);
+            expect(completed.arguments.slice(0, 6)).toEqual(['CheckedIn', '2', '0', '0', 'status', 'Completed']);
+            expect(noShow.keys).toEqual([
+                'reservation:2', 'reservations:byEnd', 'studentReservations:43', 'studentReservations:44', 'student:43', 'student:44'
+            ]);
+            expect(noShow.arguments.slice(0, 6)).toEqual(['Active', '3', '0', '0', 'status', 'NoShow']);
+            expect(mockRedisClient.zAdd).toHaveBeenCalledWith('studentStrikes:44', expect.objectContaining({ value: 'noShow:2' }));
+            // A reservation that no longer holds seats just leaves the index
+            expect(mockRedisClient.zRem).toHaveBeenCalledWith('reservations:byEnd', 'reservation:4');
+            expect(mockRedisClient.zRem).toHaveBeenCalledWith('studentReservations:46', 'reservation:4');
+        });
+
+        it('should leave a reservation checked in during the sweep without a no-show', async () => {
+            mockRedisClient.zRangeByScore.mockResolvedValue(['reservation:2']);
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '2', studentId: '43', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active' });
+            mockRedisClient.eval.mockResolvedValue(0);
+
+            const summary = await sweepReservationStatuses(new Date('2030-12-16T09:00:00'));
+
+            expect(summary).toEqual({ completed: 0, noShow: 0 });
+            expect(mockRedisClient.zAdd).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('canteen timezones', () => {
+        const reservationData = { studentId: '42', canteenId: '1', date: '2030-12-16', time: '08:30', duration: '30' };
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2030-12-16T12:00:00Z') });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should pin the start to the canteen\'s zone', async () => {
+            // 07:00 in New York
+            mockGetCanteen.mockResolvedValue({ ...mockCanteen, timezone: 'America/New_York' });
+
+            await createReservation(reservationData);
+
+            const [, { arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(args[args.indexOf('startsAt') + 1]).toBe('2030-12-16T13:30:00.000Z');
+        });
+
+        it('should reject slots already past on the canteen\'s clock', async () => {
+            // 21:00 in Tokyo
+            mockGetCanteen.mockResolvedValue({ ...mockCanteen, timezone: 'Asia/Tokyo' });
+
+            await expect(createReservation(reservationData))
+                .rejects.toThrow('Reservation date and time cannot be in the past');
+        });
+
+        it('should reject start times skipped by a DST jump', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                timezone: 'Europe/Belgrade',
+                workingHours: [{ meal: 'breakfast', from: '02:00', to: '04:00' }]
+            });
+
+            await expect(createReservation({ ...reservationData, date: '2031-03-30', time: '02:30' }))
+                .rejects.toThrow('Invalid reservation time or duration');
+        });
+    });
+
+    describe('booking policy', () => {
+        const reservationData = {
+            studentId: '42',
+            canteenId: '1',
+            date: '2030-12-16',
+            time: '11:00',
+            duration: '30'
+        };
+
+        function withPolicy(policy) {
+            mockGetCanteen.mockResolvedValue({ ...mockCanteen, policy });
+        }
+
+        function storeReservations(stored) {
+            // Each organizer's listing holds their reservations
+            mockRedisClient.zRangeByScore.mockImplementation(async (listingKey) =>
+                Object.keys(stored).filter(key => listingKey === `studentListing:${stored[key].studentId}`));
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+        }
+
+        async function expectViolation(promise, code) {
+            await expect(promise).rejects.toMatchObject({ name: 'PolicyViolationError', code });
+        }
+
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2030-12-16T08:00:00') });
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should reject bookings before the booking window opens', async () => {
+            withPolicy({ bookingWindowDays: 2 });
+
+            await expectViolation(createReservation({ ...reservationData, date: '2030-12-19' }), 'BOOKING_WINDOW_NOT_OPEN');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should reject bookings inside the minimum lead time', async () => {
+            withPolicy({ minLeadTimeMinutes: 240 });
+
+            await expectViolation(createReservation(reservationData), 'LEAD_TIME_TOO_SHORT');
+        });
+
+        it('should reject bookings over the daily limit', async () => {
+            withPolicy({ maxReservationsPerDay: 1 });
+            storeReservations({
+                'reservation:5': { id: '5', studentId: '42', canteenId: '1', date: '2030-12-16', time: '08:30', duration: '30', status: 'Active' }
+            });
+
+            await expectViolation(createReservation(reservationData), 'DAILY_LIMIT_REACHED');
+        });
+
+        it('should not count cancelled reservations or other canteens', async () => {
+            withPolicy({ maxReservationsPerDay: 1 });
+            storeReservations({
+                'reservation:5': { id: '5', studentId: '42', canteenId: '1', date: '2030-12-16', time: '08:30', duration: '30', status: 'Cancelled' },
+                'reservation:6': { id: '6', studentId: '42', canteenId: '2', date: '2030-12-16', time: '08:30', duration: '30', status: 'Active' }
+            });
+
+            await expect(createReservation(reservationData)).resolves.toMatchObject({ status: 'Active' });
+        });
+
+        it('should reject bookings over the weekly limit', async () => {
+            withPolicy({ maxReservationsPerWeek: 2 });
+            storeReservations({
+                'reservation:5': { id: '5', studentId: '42', canteenId: '1', date: '2030-12-17', time: '08:30', duration: '30', status: 'Active' },
+                'reservation:6': { id: '6', studentId: '42', canteenId: '1', date: '2030-12-20', time: '08:30', duration: '30', status: 'Completed' }
+            });
+
+            await expectViolation(createReservation(reservationData), 'WEEKLY_LIMIT_REACHED');
+        });
+
+        it('should apply limits to every group member', async () => {
+            withPolicy({ maxReservationsPerDay: 1 });
+            storeReservations({
+                'reservation:5': { id: '5', studentId: '43', canteenId: '1', date: '2030-12-16', time: '08:30', duration: '30', status: 'Active' }
+            });
+
+            await expect(createReservation({ ...reservationData, memberIds: [43] }))
+                .rejects.toThrow('Student 43 has reached the limit of 1 reservations per day');
+        });
+
+        it('should reject bookings from banned students', async () => {
+            withPolicy({ ban: { maxStrikes: 2, windowDays: 30, durationDays: 7 } });
+            const now = Date.now();
+            mockRedisClient.zRangeByScoreWithScores.mockResolvedValue([
+                { value: 'noShow:1', score: now - 3 * 24 * 60 * 60 * 1000 },
+                { value: 'lateCancellation:2', score: now - 24 * 60 * 60 * 1000 }
+            ]);
+
+            await expectViolation(createReservation(reservationData), 'BOOKING_BANNED');
+            expect(mockRedisClient.zRangeByScoreWithScores).toHaveBeenCalledWith('studentStrikes:42', expect.any(Number), now);
+        });
+
+        it('should reject cancellation after the cutoff', async () => {
+            withPolicy({ cancellationCutoffMinutes: 240 });
+            mockRedisClient.hGetAll.mockResolvedValue({ ...reservationData, id: '1', status: 'Active' });
+
+            await expectViolation(deleteReservation('1', '42'), 'CANCELLATION_CUTOFF_PASSED');
+            expect(mockMulti).not.toHaveBeenCalled();
+        });
+
+        it('should record a strike for late cancellations', async () => {
+            withPolicy({ lateCancellationMinutes: 240 });
+            mockRedisClient.hGetAll.mockResolvedValue({ ...reservationData, id: '1', status: 'Active' });
+
+            await deleteReservation('1', '42');
+
+            expect(mockRedisClient.zAdd).toHaveBeenCalledWith('studentStrikes:42', {
+                score: Date.now(),
+                value: 'lateCancellation:1'
+            });
+        });
+
+        it('should not record a strike for timely cancellations', async () => {
+            withPolicy({ lateCancellationMinutes: 60 });
+            mockRedisClient.hGetAll.mockResolvedValue({ ...reservationData, id: '1', status: 'Active' });
+
+            await deleteReservation('1', '42');
+
+            expect(mockRedisClient.zAdd).not.toHaveBeenCalled();
+        });
+
+        it('should reject moving a reservation after the cutoff', async () => {
+            withPolicy({ cancellationCutoffMinutes: 240 });
+            mockRedisClient.hGetAll.mockResolvedValue({ ...reservationData, id: '1', status: 'Active' });
+
+            await expectViolation(updateReservation('1', '42', { date: '2030-12-17' }), 'CANCELLATION_CUTOFF_PASSED');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should not count the moved reservation against the daily limit', async () => {
+            withPolicy({ maxReservationsPerDay: 1 });
+            storeReservations({
+                'reservation:1': { ...reservationData, id: '1', status: 'Active' }
+            });
+
+            await expect(updateReservation('1', '42', { time: '11:30' })).resolves.toMatchObject({ time: '11:30' });
+        });
+    });
+
+    describe('admin reservation management', () => {
+        const stored = {
+            'reservation:1': { id: '1', studentId: '42', canteenId: '1', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active' },
+            'reservation:2': { id: '2', studentId: '43', canteenId: '1', date: '2030-12-16', time: '11:30', duration: '30', status: 'Active', memberIds: '[44]' },
+            'reservation:3': { id: '3', studentId: '42', canteenId: '1', date: '2030-12-17', time: '08:30', duration: '30', status: 'Cancelled', cancelledBy: '1', cancellationReason: 'Kitchen closed' },
+            'reservation:4': { id: '4', studentId: '45', canteenId: '2', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active' },
+            'reservation:5': { id: '5', studentId: '45', canteenId: '1', date: '2030-12-16', time: '08:00', duration: '30', status: 'CheckedIn' }
+        };
+        const names = { 42: 'Ana', 43: 'Marko', 44: 'Jovana', 45: 'Nikola' };
+
+        beforeEach(() => {
+            // The canteen's listing, in start order
+            mockRedisClient.zRangeByScore.mockResolvedValue(['reservation:1', 'reservation:5', 'reservation:2', 'reservation:3']);
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+            mockGetStudent.mockImplementation(async (id) => ({ id, name: names[id] }));
+        });
+
+        it('should list canteen reservations in slot order with student names', async () => {
+            const result = await getCanteenReservations('1', '1');
+
+            expect(mockCheckPermission).toHaveBeenCalledWith('1', 'reservations:read', '1');
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith('canteenReservations:1', '-inf', '+inf');
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ canteenId: 1, page: 1, pageSize: 20, total: 4 });
+            expect(result.reservations.map(r => r.id)).toEqual([1, 5, 2, 3]);
+            expect(result.reservations[2]).toEqual({
+                id: 2,
+                studentId: 43,
+                studentName: 'Marko',
+                date: '2030-12-16',
+                time: '11:30',
+                duration: 30,
+                meal: 'lunch',
+                status: 'Active',
+                members: [{ id: 44, name: 'Jovana' }],
+                dishes: []
+            });
+            expect(result.reservations[3]).toMatchObject({ cancelledBy: 1, cancellationReason: 'Kitchen closed' });
+        });
+
+        it('should filter by date, meal and status', async () => {
+            const result = await getCanteenReservations('1', '1', { date: '2030-12-16', meal: 'breakfast', status: 'Active' });
+
+            // Only the listing around that date is read
+            const hours = 60 * 60 * 1000;
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith(
+                'canteenReservations:1',
+                Date.parse('2030-12-16T00:00:00Z') - 14 * hours,
+                Date.parse('2030-12-17T00:00:00Z') + 14 * hours
+            );
+            expect(result.total).toBe(1);
+            expect(result.reservations[0].id).toBe(1);
+        });
+
+        it('should filter by meal using the hours of each date', async () => {
+            mockGetCanteen.mockResolvedValue({
+                ...mockCanteen,
+                scheduleExceptions: { '2030-12-16': { workingHours: [{ meal: 'lunch', from: '08:00', to: '12:00' }] } }
+            });
+
+            const result = await getCanteenReservations('1', '1', { meal: 'lunch' });
+
+            // 2030-12-16 serves lunch from 08:00, 2030-12-17 08:30 is still breakfast
+            expect(result.reservations.map(r => r.id)).toEqual([1, 5, 2]);
+        });
+
+        it('should filter by time', async () => {
+            const result = await getCanteenReservations('1', '1', { time: '08:00' });
+
+            expect(result.reservations.map(r => r.id)).toEqual([1, 5]);
+        });
+
+        it('should paginate and only look up students on the page', async () => {
+            const result = await getCanteenReservations('1', '1', { page: '2', pageSize: '3' });
+
+            expect(result).toMatchObject({ page: 2, pageSize: 3, total: 4 });
+            expect(result.reservations.map(r => r.id)).toEqual([3]);
+            expect(mockGetStudent).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject unknown meals and statuses', async () => {
+            await expect(getCanteenReservations('1', '1', { meal: 'dinner' }))
+                .rejects.toThrow('Invalid meal: dinner');
+            await expect(getCanteenReservations('1', '1', { status: 'Done' }))
+                .rejects.toThrow('Invalid status');
+            await expect(getCanteenReservations('1', '1', { pageSize: '500' }))
+                .rejects.toThrow('pageSize cannot exceed 100');
+        });
+
+        it('should reject students without the reservations:read permission for the canteen', async () => {
+            mockCheckPermission.mockRejectedValueOnce(new Error('Permission denied: reservations:read on canteen 1'));
+
+            await expect(getCanteenReservations('1', '42')).rejects.toThrow('Permission denied');
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+        });
+
+        it('should return null when canteen not found', async () => {
+            mockGetCanteen.mockResolvedValue(null);
+
+            expect(await getCanteenReservations('9', '1')).toBeNull();
+        });
+
+        it('should cancel a reservation with a reason, ignoring the cancellation policy', async () => {
+            mockGetCanteen.mockResolvedValue({ ...mockCanteen, policy: { cancellationCutoffMinutes: 7 * 24 * 60 } });
+
+            const result = await adminCancelReservation('1', '2', '1', '  Allergy incident ');
+
+            expect(mockCheckPermission).toHaveBeenCalledWith('1', 'reservations:cancel', '1');
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys[0]).toBe('slot:1:2030-12-16:11:30');
+            expect(keys).toContain('studentSlot:2030-12-16:11:30');
+            expect(args.slice(4, 7)).toEqual(['2', '43', '44']);
+            expect(args.join(',')).toContain('status,Cancelled,cancelledBy,1,cancellationReason,Allergy incident');
+            expect(mockRedisClient.zAdd).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ id: 2, cancelledBy: 1, cancellationReason: 'Allergy incident' });
+        });
+
+        it('should require a reason', async () => {
+            await expect(adminCancelReservation('1', '2', '1', ' '))
+                .rejects.toThrow('reason is required');
+        });
+
+        it('should reject cancelling a reservation that is not active', async () => {
+            await expect(adminCancelReservation('1', '5', '1', 'Mistake'))
+                .rejects.toThrow('Only active reservations can be cancelled');
+        });
+
+        it('should return null for a reservation of another canteen', async () => {
+            expect(await adminCancelReservation('1', '4', '1', 'Mistake')).toBeNull();
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('canteen deletion cascade', () => {
+        const now = new Date('2030-12-16T09:00:00');
+        const stored = {
+            'reservation:1': { id: '1', studentId: '42', canteenId: '1', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active' },
+            'reservation:2': { id: '2', studentId: '43', canteenId: '1', date: '2030-12-16', time: '08:30', duration: '60', status: 'Active' },
+            'reservation:3': { id: '3', studentId: '44', canteenId: '1', date: '2030-12-17', time: '11:00', duration: '30', status: 'Active', memberIds: '[45]' },
+            'reservation:4': { id: '4', studentId: '46', canteenId: '1', date: '2030-12-17', time: '11:00', duration: '30', status: 'Cancelled' },
+            'reservation:5': { id: '5', studentId: '47', canteenId: '2', date: '2030-12-17', time: '11:00', duration: '30', status: 'Active' }
+        };
+
+        beforeEach(() => {
+            mockRedisClient.keys.mockImplementation(async (pattern) => {
+                if (pattern === 'reservation:*') return ['reservation:id:counter', ...Object.keys(stored)];
+                if (pattern === 'slot:1:*') return ['slot:1:2030-12-16:08:30', 'slot:1:2030-12-16:09:00', 'slot:1:2030-12-17:11:00'];
+                if (pattern === 'waitlistIndex:1:*') return ['waitlistIndex:1:2030-12-17'];
+                return [];
+            });
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+            mockRedisClient.sMembers.mockResolvedValue(['waitlist:1:2030-12-17:11:00:30']);
+            mockRedisClient.zRange.mockResolvedValue(['48', '49']);
+        });
+
+        it('should count active reservations that have not ended', async () => {
+            // Reservation 1 ended at 08:30, reservation 2 is still running
+            expect(await countUpcomingCanteenReservations('1', now)).toBe(2);
+        });
+
+        it('should cancel upcoming reservations through the seat script, then clean up slots and waitlists', async () => {
+            const multi = { hSet: jest.fn(), sRem: jest.fn(), zRem: jest.fn(), del: jest.fn(), exec: mockMultiExec };
+            mockMulti.mockReturnValueOnce(multi);
+
+            const summary = await cancelCanteenReservations({ ...mockCanteen, id: 1 }, '7', 'Canteen deleted', now);
+
+            expect(summary).toEqual({
+                cancelledReservations: 2,
+                affectedStudents: 3,
+                removedSlotCounters: 3,
+                removedWaitlists: 1
+            });
+            // Each cancel gives back its own seats, guarded on what was read
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(2);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[1];
+            expect(keys).toEqual([
+                'slot:1:2030-12-17:11:00',
+                'studentSlot:2030-12-17:11:00',
+                'studentSlot:2030-12-17:11:15',
+                'reservations:byEnd',
+                'studentReservations:44',
+                'studentReservations:45',
+                'studentListing:7',
+                'reservation:3'
+            ]);
+            expect(args.join(',')).toContain('status,Active');
+            expect(args.join(',')).toContain(`status,Cancelled,cancelledBy,7,cancellationReason,Canteen deleted,cancelledAt,${now.toISOString()}`);
+            // The counters and waitlists go afterwards, in one transaction
+            expect(multi.hSet).not.toHaveBeenCalled();
+            expect(multi.sRem).toHaveBeenCalledWith('studentWaitlist:48', 'waitlist:1:2030-12-17:11:00:30');
+            expect(multi.sRem).toHaveBeenCalledWith('studentWaitlist:49', 'waitlist:1:2030-12-17:11:00:30');
+            expect(multi.del).toHaveBeenCalledWith(['slot:1:2030-12-16:08:30', 'slot:1:2030-12-16:09:00', 'slot:1:2030-12-17:11:00']);
+            expect(multi.del).toHaveBeenCalledWith('waitlist:1:2030-12-17:11:00:30');
+            expect(multi.del).toHaveBeenCalledWith('waitlistIndex:1:2030-12-17');
+            expect(mockRedisClient.eval.mock.invocationCallOrder[1]).toBeLessThan(mockMulti.mock.invocationCallOrder[0]);
+            expect(mockMultiExec).toHaveBeenCalledTimes(1);
+            // The canteen is gone, so nobody is promoted from its waitlist
+            expect(mockGetCanteen).not.toHaveBeenCalled();
+        });
+
+        it('should leave a reservation that moved to another canteen meanwhile', async () => {
+            const multi = { hSet: jest.fn(), sRem: jest.fn(), zRem: jest.fn(), del: jest.fn(), exec: mockMultiExec };
+            mockMulti.mockReturnValueOnce(multi);
+            mockRedisClient.eval.mockResolvedValueOnce(['CHANGED']);
+            mockRedisClient.hGetAll.mockImplementation(async (key) => (mockRedisClient.eval.mock.calls.length > 0 && key === 'reservation:2'
+                ? { ...stored[key], canteenId: '2', time: '11:00' }
+                : stored[key] || {}));
+
+            const summary = await cancelCanteenReservations({ ...mockCanteen, id: 1 }, '7', 'Canteen deleted', now);
+
+            expect(summary).toMatchObject({ cancelledReservations: 1, affectedStudents: 2 });
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(2);
+            expect(mockRedisClient.eval.mock.calls[1][1].keys).toContain('reservation:3');
+        });
+
+        it('should retry a reservation that changed but is still booked here', async () => {
+            mockMulti.mockReturnValueOnce({ hSet: jest.fn(), sRem: jest.fn(), zRem: jest.fn(), del: jest.fn(), exec: mockMultiExec });
+            mockRedisClient.eval.mockResolvedValueOnce(['CHANGED']);
+
+            const summary = await cancelCanteenReservations({ ...mockCanteen, id: 1 }, '7', 'Canteen deleted', now);
+
+            expect(summary.cancelledReservations).toBe(2);
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(3);
+            expect(mockRedisClient.eval.mock.calls[1][1].keys).toContain('reservation:2');
+        });
+    });
+
+    describe('student deletion cascade', () => {
+        const now = new Date('2030-12-16T09:00:00');
+        const stored = {
+            'reservation:1': { id: '1', studentId: '42', canteenId: '1', date: '2030-12-17', time: '11:00', duration: '30', status: 'Active', memberIds: '[43]' },
+            'reservation:2': { id: '2', studentId: '44', canteenId: '1', date: '2030-12-17', time: '11:00', duration: '30', status: 'Active', memberIds: '[42,45]' },
+            'reservation:3': { id: '3', studentId: '42', canteenId: '1', date: '2030-12-15', time: '08:00', duration: '30', status: 'Completed', checkedInBy: '5' },
+            'reservation:4': { id: '4', studentId: '46', canteenId: '1', date: '2030-12-17', time: '08:00', duration: '30', status: 'Cancelled', cancelledBy: '42' },
+            'reservation:5': { id: '5', studentId: '47', canteenId: '1', date: '2030-12-17', time: '08:00', duration: '30', status: 'Active' }
+        };
+        const waitlistKey = 'waitlist:1:2030-12-18:11:00:30';
+
+        beforeEach(() => {
+            // Reservation 5 does not name the student, so it is not in their listing
+            mockRedisClient.zRange.mockImplementation(async (key) =>
+                (key === 'studentListing:42' ? ['reservation:3', 'reservation:1', 'reservation:2', 'reservation:4'] : []));
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+            mockRedisClient.sMembers.mockImplementation(async (key) => (key === 'studentWaitlist:42' ? [waitlistKey] : []));
+            mockRedisClient.zRem.mockResolvedValue(1);
+            mockRedisClient.zCard.mockResolvedValue(0);
+        });
+
+        it('should cancel, leave or anonymise every reservation naming the student', async () => {
+            const summary = await removeStudentReservations('42', now);
+
+            expect(summary).toEqual({ cancelledReservations: 1, leftGroups: 1, anonymisedReservations: 3, leftWaitlists: 1 });
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('studentListing:42', 0, -1);
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+            // Cancelling the reservation the student organizes frees every member's seat
+            const [, { keys: cancelKeys, arguments: cancelArgs }] = mockRedisClient.eval.mock.calls[0];
+            expect(cancelKeys).toContain('studentSlot:2030-12-17:11:00');
+            expect(cancelArgs.slice(4, 7)).toEqual(['2', '42', '43']);
+            expect(cancelArgs.join(',')).toContain('status,Cancelled,cancelledBy,42,cancellationReason,Student account deleted');
+            const writes = mockMulti.mock.results.map(({ value }) => value);
+            const hSets = writes.flatMap(multi => multi.hSet.mock.calls);
+            expect(hSets).toContainEqual(['reservation:1', { studentId: '0', memberIds: '[43]' }]);
+            expect(hSets).toContainEqual(['reservation:3', { studentId: '0', memberIds: '[]' }]);
+            expect(hSets).toContainEqual(['reservation:4', { studentId: '46', memberIds: '[]', cancelledBy: '0' }]);
+            expect(hSets.map(([key]) => key)).not.toContain('reservation:5');
+            // The past seat no longer blocks the id, and the cancelled record held none
+            const sRems = writes.flatMap(multi => multi.sRem.mock.calls);
+            expect(sRems).toContainEqual(['studentSlot:2030-12-15:08:00', '42']);
+            expect(sRems).not.toContainEqual(['studentSlot:2030-12-17:08:00', '42']);
+            // Leaving the group goes through the seat script and keeps the others booked
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(2);
+            const [, { arguments: args }] = mockRedisClient.eval.mock.calls[1];
+            expect(args).toEqual(expect.arrayContaining([JSON.stringify([45])]));
+        });
+
+        it('should leave the waitlists before freeing seats', async () => {
+            await removeStudentReservations('42', now);
+
+            expect(mockRedisClient.zRem).toHaveBeenCalledWith(waitlistKey, '42');
+            expect(mockRedisClient.del).toHaveBeenCalledWith('studentWaitlist:42');
+            expect(mockRedisClient.del).toHaveBeenCalledWith(['studentReservations:42', 'studentListing:42']);
+            expect(mockRedisClient.zRem.mock.invocationCallOrder[0])
+                .toBeLessThan(mockRedisClient.zRange.mock.invocationCallOrder[0]);
+        });
+
+        it('should not count no-shows for deleted students', async () => {
+            mockRedisClient.zRangeByScore.mockResolvedValue(['reservation:1']);
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '1', studentId: '0', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active', memberIds: '[43]' });
+            mockRedisClient.eval.mockResolvedValue(1);
+
+            await sweepReservationStatuses(now);
+
+            const [, { keys }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys).toEqual(['reservation:1', 'reservations:byEnd', 'studentReservations:43', 'student:43']);
+            expect(mockRedisClient.zAdd).not.toHaveBeenCalledWith('studentStrikes:0', expect.anything());
+        });
+    });
+
+    describe('upcoming reservation counters', () => {
+        const now = new Date('2030-12-16T09:00:00');
+
+        it('should read the upcoming Active seats of each student in one round trip', async () => {
+            mockMultiExec.mockResolvedValueOnce([2, 1, 0]);
+
+            const counts = await countUpcomingReservations([42, '43', 99], now);
+
+            expect(counts).toEqual(new Map([[42, 2], [43, 1], [99, 0]]));
+            expect(mockMulti).toHaveBeenCalledTimes(1);
+            const [{ value: multi }] = mockMulti.mock.results;
+            expect(multi.zCount.mock.calls).toEqual([
+                ['studentReservations:42', `(${now.getTime()}`, '+inf'],
+                ['studentReservations:43', `(${now.getTime()}`, '+inf'],
+                ['studentReservations:99', `(${now.getTime()}`, '+inf']
+            ]);
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+        });
+
+        it('should not read anything for no students', async () => {
+            expect(await countUpcomingReservations([], now)).toEqual(new Map());
+            expect(mockMulti).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('temporary closures', () => {
+        const now = new Date('2030-12-16T09:00:00');
+        const closure = { id: 5, startDate: '2030-12-16', startTime: '11:00', endDate: '2030-12-16', endTime: '12:30', reason: 'Inspection' };
+        const closedCanteen = { ...mockCanteen, closures: [closure] };
+        const stored = {
+            'reservation:1': { id: '1', studentId: '42', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '30', status: 'Active' },
+            'reservation:2': { id: '2', studentId: '43', canteenId: '1', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active' },
+            'reservation:3': { id: '3', studentId: '44', canteenId: '1', date: '2030-12-16', time: '12:00', duration: '60', status: 'Active', memberIds: '[45]' },
+            'reservation:4': { id: '4', studentId: '46', canteenId: '2', date: '2030-12-16', time: '11:00', duration: '30', status: 'Active' }
+        };
+        const slotAt = (time, remainingCapacity) => ({
+            date: '2030-12-16',
+            meal: 'lunch',
+            startTime: time,
+            startsAt: new Date(`2030-12-16T${time}:00`).toISOString(),
+            remainingCapacity
+        });
+
+        beforeEach(() => {
+            mockGetCanteen.mockResolvedValue(closedCanteen);
+            mockRedisClient.keys.mockResolvedValue(['reservation:id:counter', ...Object.keys(stored)]);
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+            // Student 42 already holds 11:30 elsewhere
+            mockRedisClient.sIsMember.mockImplementation(async (key, member) =>
+                key === 'studentSlot:2030-12-16:11:30' && member === '42');
+            mockGetAllCanteensStatus.mockImplementation(async (startDate, startTime, endDate, endTime, duration) => (
+                duration === '30'
+                    ? [
+                        { canteenId: 1, name: 'Main Canteen', slots: [slotAt('11:00', 30)] },
+                        { canteenId: 2, name: 'North Canteen', slots: [slotAt('10:30', 5), slotAt('11:00', 1), slotAt('11:30', 3), slotAt('14:30', 9)] },
+                        { canteenId: 3, name: 'South Canteen', slots: [slotAt('11:00', 2)] }
+                    ]
+                    : [{ canteenId: 2, name: 'North Canteen', slots: [slotAt('12:00', 1), slotAt('13:00', 4)] }]
+            ));
+        });
+
+        it('should refuse bookings during a closure', async () => {
+            await expect(createReservation({ studentId: '42', canteenId: '1', date: '2030-12-16', time: '12:00', duration: '60' }))
+                .rejects.toThrow('Canteen is closed at this time: Inspection');
+            expect(mockRedisClient.eval).not.toHaveBeenCalled();
+        });
+
+        it('should cancel covered reservations with suggestions at other canteens', async () => {
+            const result = await cancelClosedReservations(closedCanteen, closure, '7', now);
+
+            expect(result.map(entry => entry.reservationId)).toEqual([1, 3]);
+            expect(result[0].alternatives.map(slot => `${slot.canteenId} ${slot.time}`))
+                .toEqual(['2 11:00', '3 11:00', '2 10:30']);
+            expect(result[0].alternatives[0]).toEqual({
+                canteenId: 2,
+                canteenName: 'North Canteen',
+                date: '2030-12-16',
+                time: '11:00',
+                startsAt: slotAt('11:00').startsAt,
+                meal: 'lunch',
+                remainingCapacity: 1
+            });
+            // Two seats are needed, so only 13:00 fits
+            expect(result[1]).toMatchObject({ studentId: 44, memberIds: [45], duration: 60 });
+            expect(result[1].alternatives.map(slot => slot.time)).toEqual(['13:00']);
+
+            expect(mockGetAllCanteensStatus).toHaveBeenCalledTimes(2);
+            expect(mockGetAllCanteensStatus).toHaveBeenCalledWith('2030-12-16', '00:00', '2030-12-16', '23:59', '30');
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys[keys.length - 1]).toBe('reservation:1');
+            expect(args.slice(-8)).toEqual([
+                'status', 'Cancelled',
+                'cancelledBy', '7',
+                'cancellationReason', 'Canteen closed: Inspection',
+                'cancelledAt', now.toISOString()
+            ]);
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('reservation:1', 'rebookingSuggestions', JSON.stringify(result[0].alternatives));
+        });
+
+        it('should suggest nothing when no canteen offers the duration', async () => {
+            mockGetAllCanteensStatus.mockRejectedValue(new Error('Duration must be 30 or 60 minutes'));
+
+            const result = await cancelClosedReservations(closedCanteen, closure, '7', now);
+
+            expect(result.map(entry => entry.alternatives)).toEqual([[], []]);
+        });
+
+        it('should not hide other errors while looking for alternatives', async () => {
+            mockGetAllCanteensStatus.mockRejectedValue(new Error('Connection lost'));
+
+            await expect(cancelClosedReservations(closedCanteen, closure, '7', now)).rejects.toThrow('Connection lost');
+        });
+
+        it('should show students why and where to rebook', async () => {
+            const cancelled = {
+                ...stored['reservation:1'],
+                status: 'Cancelled',
+                cancellationReason: 'Canteen closed: Inspection',
+                rebookingSuggestions: JSON.stringify([{ canteenId: 2, time: '11:00' }])
+            };
+            mockRedisClient.zRangeByScore.mockResolvedValue(['reservation:1']);
+            mockRedisClient.hGetAll.mockResolvedValue(cancelled);
+
+            const [reservation] = await getReservationsByStudent('42', '2030-12-16', '2030-12-16');
+
+            expect(reservation).toMatchObject({
+                status: 'Cancelled',
+                cancellationReason: 'Canteen closed: Inspection',
+                rebookingSuggestions: [{ canteenId: 2, time: '11:00' }]
+            });
+        });
+    });
+
+    describe('canteen update conflicts', () => {
+        const now = new Date('2030-12-16T07:00:00');
+        const lunchOnly = [{ meal: 'lunch', from: '11:00', to: '13:00' }];
+        const stored = {
+            'reservation:1': { id: '1', studentId: '41', canteenId: '1', date: '2030-12-16', time: '08:00', duration: '30', status: 'Active', createdAt: '2030-12-01T10:00:00.000Z' },
+            'reservation:2': { id: '2', studentId: '42', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '60', status: 'Active', createdAt: '2030-12-01T10:00:00.000Z' },
+            'reservation:3': { id: '3', studentId: '43', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '30', status: 'Active', createdAt: '2030-12-03T10:00:00.000Z', memberIds: '[44]' },
+            'reservation:4': { id: '4', studentId: '45', canteenId: '1', date: '2030-12-16', time: '11:30', duration: '30', status: 'Active', createdAt: '2030-12-02T10:00:00.000Z' },
+            'reservation:5': { id: '5', studentId: '46', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '30', status: 'CheckedIn', createdAt: '2030-12-05T10:00:00.000Z' },
+            'reservation:6': { id: '6', studentId: '47', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '30', status: 'Cancelled', createdAt: '2030-12-06T10:00:00.000Z' }
+        };
+
+        beforeEach(() => {
+            mockRedisClient.keys.mockResolvedValue(['reservation:id:counter', ...Object.keys(stored)]);
+            mockRedisClient.hGetAll.mockImplementation(async (key) => stored[key] || {});
+        });
+
+        it('should report nothing when everything still fits', async () => {
+            expect(await findCanteenUpdateConflicts('1', { capacity: 30, workingHours: mockCanteen.workingHours }, now)).toEqual([]);
+        });
+
+        it('should report reservations whose duration is no longer offered', async () => {
+            const conflicts = await findCanteenUpdateConflicts('1', {
+                ...mockCanteen,
+                slotConfig: { granularity: 30, durations: [30, 90], startAlignment: 30 }
+            }, now);
+
+            expect(conflicts).toEqual([expect.objectContaining({ reservationId: 2, reason: 'SLOT_NOT_OFFERED' })]);
+        });
+
+        it('should report overbooked slots against a date override', async () => {
+            const conflicts = await findCanteenUpdateConflicts('1', {
+                ...mockCanteen,
+                capacityOverrides: { '2030-12-16': { slots: { '11:00': 2 } } }
+            }, now);
+
+            // 11:00 holds 1 + 2 seats plus the checked-in one; the latest-booked group goes first
+            expect(conflicts.map(c => [c.reservationId, c.reason])).toEqual([[3, 'OVER_CAPACITY']]);
+        });
+
+        it('should report reservations on a newly closed date', async () => {
+            const conflicts = await findCanteenUpdateConflicts('1', {
+                ...mockCanteen,
+                scheduleExceptions: { '2030-12-16': { workingHours: [] } }
+            }, now);
+
+            // The checked-in reservation keeps its seat
+            expect(conflicts.map(c => c.reservationId)).toEqual([1, 2, 3, 4]);
+        });
+
+        it('should report reservations outside the new working hours', async () => {
+            const conflicts = await findCanteenUpdateConflicts('1', { capacity: 30, workingHours: lunchOnly }, now);
+
+            expect(conflicts).toEqual([{
+                reservationId: 1,
+                studentId: 41,
+                memberIds: [],
+                date: '2030-12-16',
+                time: '08:00',
+                duration: 30,
+                reason: 'OUTSIDE_WORKING_HOURS'
+            }]);
+        });
+
+        it('should pick latest-booked reservations until every slot fits the capacity', async () => {
+            // 11:00 holds 2 (group) + 1 (60-min) + 1 (checked in) = 4 seats, 11:30 holds 1 (60-min) + 1 = 2
+            const conflicts = await findCanteenUpdateConflicts('1', { capacity: 2, workingHours: lunchOnly }, now);
+
+            expect(conflicts.map(c => [c.reservationId, c.reason])).toEqual([
+                [1, 'OUTSIDE_WORKING_HOURS'],
+                [3, 'OVER_CAPACITY']
+            ]);
+        });
+
+        it('should never pick checked-in reservations', async () => {
+            const conflicts = await findCanteenUpdateConflicts('1', { capacity: 1, workingHours: mockCanteen.workingHours }, now);
+
+            expect(conflicts.map(c => c.reservationId)).toEqual([3, 2]);
+        });
+
+        it('should cancel reported reservations with the conflict reason', async () => {
+            const cancelled = await cancelConflictingReservations([
+                { reservationId: 3, reason: 'OVER_CAPACITY' },
+                { reservationId: 5, reason: 'OVER_CAPACITY' } // Checked in meanwhile
+            ], '1');
+
+            expect(cancelled).toEqual([3]);
+            expect(mockRedisClient.eval).toHaveBeenCalledTimes(1);
+            const [, { keys, arguments: args }] = mockRedisClient.eval.mock.calls[0];
+            expect(keys[keys.length - 1]).toBe('reservation:3');
+            expect(args.join(',')).toContain('status,Cancelled,cancelledBy,1,cancellationReason,Canteen capacity reduced');
+        });
+    });
+
+    describe('getReservationsByStudent', () => {
+        const mockReservations = {
+            'reservation:1': {
+                id: '1',
+                studentId: '42',
+                canteenId: '1',
+                date: '2025-12-10',
+                time: '08:00',
+                duration: '30',
+                status: 'Active'
             },
             'reservation:2': {
                 id: '2',
@@ -356,17 +2161,38 @@ describe('reservactionService', () => {
                 time: '08:30',
                 duration: '30',
                 status: 'Active'
+            },
+            'reservation:5': {
+                id: '5',
+                studentId: '99', // Group organized by another student
+                canteenId: '1',
+                date: '2025-12-20',
+                time: '11:00',
+                duration: '30',
+                status: 'Active',
+                memberIds: JSON.stringify([77])
+            },
+            'reservation:6': {
+                id: '6',
+                studentId: '99', // Listed for student 42 only because they cancelled it
+                canteenId: '1',
+                date: '2025-12-12',
+                time: '08:00',
+                duration: '30',
+                status: 'Cancelled',
+                cancelledBy: '42'
             }
         };
 
         beforeEach(() => {
-            mockRedisClient.keys.mockResolvedValue([
-                'reservation:id:counter',
-                'reservation:1',
-                'reservation:2',
-                'reservation:3',
-                'reservation:4'
-            ]);
+            // Each student's listing, scored by when the reservations start
+            mockRedisClient.zRangeByScore.mockImplementation(async (listingKey, min, max) =>
+                Object.keys(mockReservations).filter(key => {
+                    const reservation = mockReservations[key];
+                    const listed = [reservation.studentId, reservation.cancelledBy, ...JSON.parse(reservation.memberIds || '[]').map(String)];
+                    const startsAt = Date.parse(`${reservation.date}T${reservation.time}:00Z`);
+                    return listed.some(id => listingKey === `studentListing:${id}`) && startsAt >= min && startsAt <= max;
+                }));
             mockRedisClient.hGetAll.mockImplementation((key) => {
                 return Promise.resolve(mockReservations[key] || {});
             });
@@ -409,14 +2235,23 @@ describe('reservactionService', () => {
             expect(result[2].time).toBe('09:00');
         });
 
-        it('should skip the counter key (no WRONGTYPE error)', async () => {
-            // The keys include 'reservation:id:counter' which should be skipped
-            const result = await getReservationsByStudent('42', '2025-12-01', '2025-12-31');
+        it('should read the student listing a zone offset around the dates', async () => {
+            await getReservationsByStudent('42', '2025-12-01', '2025-12-31');
+
+            const zoneOffset = 14 * 60 * 60 * 1000;
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith(
+                'studentListing:42',
+                Date.parse('2025-12-01T00:00:00Z') - zoneOffset,
+                Date.parse('2026-01-01T00:00:00Z') + zoneOffset
+            );
+            expect(mockRedisClient.keys).not.toHaveBeenCalled();
+        });
+
+        it('should include group reservations the student is a member of', async () => {
+            const result = await getReservationsByStudent('77', '2025-12-01', '2025-12-31');
 
-            // Should not throw and should return valid results
-            expect(result).toHaveLength(3);
-            // hGetAll should not be called with the counter key
-            expect(mockRedisClient.hGetAll).not.toHaveBeenCalledWith('reservation:id:counter');
+            expect(result).toHaveLength(1);
+            expect(result[0]).toMatchObject({ id: 5, studentId: 99, memberIds: [77] });
         });
 
         it('should throw error when startDate is missing', async () => {
@@ -0,0 +1,460 @@
+export const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Meal types a fresh catalogue starts with, see mealTypeService
+ */
+export const DEFAULT_MEAL_TYPES = [
+    { key: 'breakfast', name: 'Breakfast', sortOrder: 10 },
+    { key: 'lunch', name: 'Lunch', sortOrder: 20 },
+    { key: 'dinner', name: 'Dinner', sortOrder: 30 }
+];
+const DEFAULT_MEAL_KEYS = DEFAULT_MEAL_TYPES.map(mealType => mealType.key);
+const MAX_CAPACITY = 10000;
+
+function validateSeatCount(name, value, min) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < min || String(parsed) !== String(value).trim()) {
+        throw new Error(`${name} must be ${min === 0 ? 'a non-negative' : 'a positive'} integer`);
+    }
+    if (parsed > MAX_CAPACITY) {
+        throw new Error(`${name} cannot exceed ${MAX_CAPACITY}`);
+    }
+    return parsed;
+}
+
+/**
+ * Validate a list of meal periods: a meal type key from the catalogue, HH:mm times,
+ * at least 30 minutes, no overlaps. A period may set its own seat capacity,
+ * otherwise the canteen's capacity applies.
+ */
+export function validateMealPeriods(periods, mealTypeKeys = DEFAULT_MEAL_KEYS) {
+    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/; // HH:mm format
+
+    for (const period of periods) {
+        // Validate meal name
+        if (!period || !period.meal || typeof period.meal !== 'string') {
+            throw new Error('Each working hours period must have a meal name');
+        }
+        if (!mealTypeKeys.includes(period.meal.toLowerCase())) {
+            throw new Error(`Invalid meal type: ${period.meal}. Must be one of ${mealTypeKeys.join(', ')}`);
+        }
+
+        // Validate from time
+        if (!period.from || typeof period.from !== 'string') {
+            throw new Error('Each working hours period must have a from time');
+        }
+        if (!timeRegex.test(period.from)) {
+            throw new Error(`Invalid from time format: ${period.from}. Must be HH:mm`);
+        }
+
+        // Validate to time
+        if (!period.to || typeof period.to !== 'string') {
+            throw new Error('Each working hours period must have a to time');
+        }
+        if (!timeRegex.test(period.to)) {
+            throw new Error(`Invalid to time format: ${period.to}. Must be HH:mm`);
+        }
+
+        // Validate from < to
+        if (period.from >= period.to) {
+            throw new Error(`Working hours 'from' (${period.from}) must be before 'to' (${period.to})`);
+        }
+
+        // Validate minimum 30-min duration
+        const [fromHour, fromMin] = period.from.split(':').map(Number);
+        const [toHour, toMin] = period.to.split(':').map(Number);
+        const durationMinutes = (toHour * 60 + toMin) - (fromHour * 60 + fromMin);
+        if (durationMinutes < 30) {
+            throw new Error('Each working hours period must be at least 30 minutes');
+        }
+
+        if (period.capacity !== undefined && period.capacity !== null) {
+            validateSeatCount('Meal period capacity', period.capacity, 1);
+        }
+    }
+
+    // Check for overlapping periods
+    const sortedPeriods = [...periods].sort((a, b) => a.from.localeCompare(b.from));
+    for (let i = 0; i < sortedPeriods.length - 1; i++) {
+        if (sortedPeriods[i].to > sortedPeriods[i + 1].from) {
+            throw new Error('Working hours periods cannot overlap');
+        }
+    }
+
+    return periods.map(({ meal, from, to, capacity }) => (capacity === undefined || capacity === null
+        ? { meal: meal.toLowerCase(), from, to }
+        : { meal: meal.toLowerCase(), from, to, capacity: parseInt(capacity, 10) }));
+}
+
+/**
+ * Validate per-weekday meal periods. Weekdays left out use the canteen's workingHours,
+ * an empty list closes the canteen on that weekday.
+ */
+export function validateWeeklySchedule(schedule, mealTypeKeys) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        throw new Error('weeklySchedule must be an object keyed by weekday');
+    }
+    const validated = {};
+    for (const [day, periods] of Object.entries(schedule)) {
+        const weekday = day.toLowerCase();
+        if (!WEEKDAY_NAMES.includes(weekday)) {
+            throw new Error(`Invalid weekday: ${day}`);
+        }
+        if (!Array.isArray(periods)) {
+            throw new Error(`weeklySchedule.${weekday} must be an array of meal periods`);
+        }
+        validated[weekday] = validateMealPeriods(periods, mealTypeKeys);
+    }
+    return validated;
+}
+
+/**
+ * Validate the meal periods replacing a canteen's schedule on one date.
+ * An empty workingHours list closes the canteen for the day.
+ */
+export function validateScheduleException(date, exception, mealTypeKeys) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        throw new Error('Invalid date format. Must be YYYY-MM-DD');
+    }
+    if (!exception || !Array.isArray(exception.workingHours)) {
+        throw new Error('workingHours is required and must be an array, empty to close for the day');
+    }
+    const validated = { workingHours: validateMealPeriods(exception.workingHours, mealTypeKeys) };
+    if (exception.reason !== undefined) {
+        if (typeof exception.reason !== 'string' || exception.reason.trim().length > 200) {
+            throw new Error('reason must be a string of at most 200 characters');
+        }
+        validated.reason = exception.reason.trim();
+    }
+    return validated;
+}
+
+/**
+ * Validate the seats an admin sets aside or adds on one date: a capacity for the whole
+ * date and/or capacities for single slots keyed by their HH:mm start. Zero closes a slot.
+ */
+export function validateCapacityOverride(date, override) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+        throw new Error('Invalid date format. Must be YYYY-MM-DD');
+    }
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+        throw new Error('Capacity override must be an object with capacity or slots');
+    }
+    if ((override.capacity === undefined || override.capacity === null) && override.slots === undefined) {
+        throw new Error('capacity or slots is required');
+    }
+
+    const validated = {};
+    if (override.capacity !== undefined && override.capacity !== null) {
+        validated.capacity = validateSeatCount('capacity', override.capacity, 0);
+    }
+    if (override.slots !== undefined) {
+        if (!override.slots || typeof override.slots !== 'object' || Array.isArray(override.slots)) {
+            throw new Error('slots must be an object keyed by HH:mm start time');
+        }
+        validated.slots = {};
+        for (const [time, capacity] of Object.entries(override.slots)) {
+            if (!/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
+                throw new Error(`Invalid slot time: ${time}. Must be HH:mm`);
+            }
+            validated.slots[time] = validateSeatCount(`slots.${time}`, capacity, 0);
+        }
+    }
+    if (override.reason !== undefined) {
+        if (typeof override.reason !== 'string' || override.reason.trim().length > 200) {
+            throw new Error('reason must be a string of at most 200 characters');
+        }
+        validated.reason = override.reason.trim();
+    }
+    return validated;
+}
+
+/**
+ * Validate a temporary closure: a wall-clock range in the canteen's zone from
+ * startDate/startTime up to endDate/endTime, and the reason given to cancelled reservations
+ */
+export function validateClosure(closure) {
+    if (!closure || typeof closure !== 'object' || Array.isArray(closure)) {
+        throw new Error('Closure must be an object with startDate, startTime, endDate, endTime and reason');
+    }
+    const { startDate, startTime, endDate, endTime, reason } = closure;
+    for (const date of [startDate, endDate]) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+            throw new Error('Invalid date format. Must be YYYY-MM-DD');
+        }
+    }
+    for (const time of [startTime, endTime]) {
+        if (typeof time !== 'string' || !/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
+            throw new Error('Invalid time format. Must be HH:mm');
+        }
+    }
+    if (`${endDate}T${endTime}` <= `${startDate}T${startTime}`) {
+        throw new Error('Closure must end after it starts');
+    }
+    if (!reason || typeof reason !== 'string' || reason.trim().length < 1) {
+        throw new Error('reason is required');
+    }
+    if (reason.trim().length > 200) {
+        throw new Error('reason must be a string of at most 200 characters');
+    }
+    return { startDate, startTime, endDate, endTime, reason: reason.trim() };
+}
+
+/**
+ * The first closure of a canteen overlapping `duration` minutes from `time` on a date, if any
+ */
+export function findClosure(canteen, date, time, duration) {
+    const start = `${date}T${time}`;
+    const end = `${date}T${minutesToTime(timeToMinutes(time) + parseInt(duration, 10))}`;
+    return (canteen.closures || []).find(closure =>
+        start < `${closure.endDate}T${closure.endTime}` && `${closure.startDate}T${closure.startTime}` < end);
+}
+
+/**
+ * Get the meal name for a given time based on workingHours
+ */
+export function getMealForTime(workingHours, time) {
+    for (const period of workingHours) {
+        if (time >= period.from && time < period.to) {
+            return period.meal;
+        }
+    }
+    return null;
+}
+
+/**
+ * Meal periods a canteen is open for on a YYYY-MM-DD date:
+ * a dated exception first, then the weekday's schedule, then the everyday workingHours
+ */
+export function getWorkingHoursForDate(canteen, date) {
+    const exception = canteen.scheduleExceptions?.[date];
+    if (exception) {
+        return exception.workingHours;
+    }
+    const weekday = WEEKDAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    return canteen.weeklySchedule?.[weekday] ?? canteen.workingHours;
+}
+
+/**
+ * Meal type keys a canteen serves on any day: everyday hours, weekday schedule and dated exceptions
+ */
+export function getCanteenMeals(canteen) {
+    const schedules = [
+        canteen.workingHours,
+        ...Object.values(canteen.weeklySchedule || {}),
+        ...Object.values(canteen.scheduleExceptions || {}).map(exception => exception.workingHours)
+    ];
+    return new Set(schedules.flatMap(periods => periods.map(period => period.meal)));
+}
+
+/**
+ * Seats of the bucket starting at `time` on a date, most specific layer first:
+ * a slot override, a whole-date override, the meal period's capacity, the canteen's capacity
+ */
+export function getSlotCapacity(canteen, date, time) {
+    const override = canteen.capacityOverrides?.[date];
+    if (override?.slots?.[time] !== undefined) {
+        return override.slots[time];
+    }
+    if (override?.capacity !== undefined) {
+        return override.capacity;
+    }
+    const period = getWorkingHoursForDate(canteen, date).find(p => time >= p.from && time < p.to);
+    return period?.capacity ?? canteen.capacity;
+}
+
+/**
+ * Slot rules of canteens that never configured their own: 30-minute buckets,
+ * 30 or 60-minute reservations, and anything an hour or longer starting on the hour
+ */
+export const DEFAULT_SLOT_CONFIG = { granularity: 30, durations: [30, 60], startAlignment: 60 };
+
+/**
+ * Resolution of the global per-student slot sets, fine enough for every allowed granularity
+ * so overlapping bookings at canteens with different granularities are still caught
+ */
+export const STUDENT_SLOT_MINUTES = 15;
+
+const MAX_SLOT_MINUTES = 240;
+
+export function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+export function minutesToTime(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Start times of the buckets a span of `duration` minutes starting at `time` covers
+ */
+export function getBucketTimes(time, duration, bucketMinutes) {
+    const start = timeToMinutes(time);
+    const times = [];
+    for (let offset = 0; offset < parseInt(duration, 10); offset += bucketMinutes) {
+        times.push(minutesToTime(start + offset));
+    }
+    return times;
+}
+
+function validateSlotMinutes(name, value, granularity) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || String(parsed) !== String(value).trim() || parsed < granularity ||
+        parsed > MAX_SLOT_MINUTES || parsed % granularity !== 0) {
+        throw new Error(`${name} must be a multiple of ${granularity} minutes up to ${MAX_SLOT_MINUTES}`);
+    }
+    return parsed;
+}
+
+/**
+ * Validate a canteen's slot rules: bucket granularity, the reservation durations it offers
+ * and the alignment reservations at least that long must start on (granularity when left out)
+ */
+export function validateSlotConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('slotConfig must be an object with granularity and durations');
+    }
+    const granularity = validateSlotMinutes('slotConfig.granularity', config.granularity, STUDENT_SLOT_MINUTES);
+
+    if (!Array.isArray(config.durations) || config.durations.length === 0) {
+        throw new Error('slotConfig.durations must be a non-empty array');
+    }
+    const durations = [...new Set(config.durations.map(
+        duration => validateSlotMinutes('slotConfig.durations', duration, granularity)
+    ))].sort((a, b) => a - b);
+
+    const startAlignment = config.startAlignment === undefined || config.startAlignment === null
+        ? granularity
+        : validateSlotMinutes('slotConfig.startAlignment', config.startAlignment, granularity);
+
+    return { granularity, durations, startAlignment };
+}
+
+export function getSlotConfig(canteen) {
+    return canteen?.slotConfig ?? DEFAULT_SLOT_CONFIG;
+}
+
+/**
+ * "30 or 60", "15, 45 or 90"
+ */
+export function formatDurations(durations) {
+    return durations.length === 1
+        ? String(durations[0])
+        : `${durations.slice(0, -1).join(', ')} or ${durations[durations.length - 1]}`;
+}
+
+/**
+ * Minutes past midnight a reservation of this duration must start on a multiple of
+ */
+export function getStartAlignment(slotConfig, duration) {
+    return duration >= slotConfig.startAlignment ? slotConfig.startAlignment : slotConfig.granularity;
+}
+
+/**
+ * Check a duration is offered by the canteen and the start time is aligned for it
+ */
+export function validateSlotChoice(canteen, time, duration) {
+    const slotConfig = getSlotConfig(canteen);
+    if (!slotConfig.durations.includes(duration)) {
+        throw new Error(`duration must be ${formatDurations(slotConfig.durations)}`);
+    }
+    const alignment = getStartAlignment(slotConfig, duration);
+    if (timeToMinutes(time) % alignment !== 0) {
+        const rule = alignment === 60 ? 'even hours' : `multiples of ${alignment} minutes`;
+        throw new Error(`${duration}-minute reservations must start at ${rule} (e.g., 08:00, ${minutesToTime(8 * 60 + alignment)})`);
+    }
+}
+
+/**
+ * Zone of canteens created without one: the server's own, which is what they always ran in
+ */
+export const DEFAULT_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return zoneFormatters.get(timeZone);
+}
+
+export function validateTimezone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+        throw new Error('timezone must be an IANA zone name, e.g. Europe/Belgrade');
+    }
+    try {
+        getZoneFormatter(timeZone.trim());
+    } catch {
+        throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+    return timeZone.trim();
+}
+
+export function getTimezone(canteen) {
+    return canteen?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock date (YYYY-MM-DD) and time (HH:mm) of an instant in a zone
+ */
+export function toZonedDateTime(instant, timeZone) {
+    const parts = Object.fromEntries(
+        getZoneFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value])
+    );
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        second: parseInt(parts.second, 10)
+    };
+}
+
+function getZoneOffsetMs(instantMs, timeZone) {
+    const { date, time, second } = toZonedDateTime(new Date(instantMs), timeZone);
+    const wallClockMs = Date.parse(`${date}T${time}:00Z`) + second * 1000;
+    return wallClockMs - Math.floor(instantMs / 1000) * 1000;
+}
+
+/**
+ * Instant at which the wall clock of a zone shows `time` on `date`.
+ * Times skipped by a DST jump resolve past the jump, repeated times to their first occurrence.
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+    const wallClockMs = Date.parse(`${date}T${time}:00Z`);
+    const halfDayMs = 12 * 60 * 60 * 1000;
+    // A zone changes offset at most once around a given wall-clock time
+    const offsetBefore = getZoneOffsetMs(wallClockMs - halfDayMs, timeZone);
+    const offsetAfter = getZoneOffsetMs(wallClockMs + halfDayMs, timeZone);
+    const matches = [wallClockMs - offsetBefore, wallClockMs - offsetAfter].filter(instantMs => {
+        const wallClock = toZonedDateTime(new Date(instantMs), timeZone);
+        return wallClock.date === date && wallClock.time === time;
+    });
+    return new Date(matches.length > 0 ? Math.min(...matches) : wallClockMs - offsetBefore);
+}
+
+/**
+ * Whether the wall clock of a zone ever shows `time` on `date`, false inside a DST gap
+ */
+export function isExistingZonedTime(date, time, timeZone) {
+    const wallClock = toZonedDateTime(zonedTimeToUtc(date, time, timeZone), timeZone);
+    return wallClock.date === date && wallClock.time === time;
+}
+
+/**
+ * YYYY-MM-DD date `days` calendar days after `date`
+ */
+export function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
@@ -0,0 +1,233 @@
+import {
+    validateMealPeriods,
+    validateWeeklySchedule,
+    validateScheduleException,
+    getWorkingHoursForDate,
+    getSlotCapacity,
+    validateCapacityOverride,
+    validateClosure,
+    findClosure,
+    validateTimezone,
+    zonedTimeToUtc,
+    isExistingZonedTime,
+    toZonedDateTime,
+    validateSlotConfig,
+    validateSlotChoice,
+    getBucketTimes
+} from './scheduleService.js';
+
+describe('scheduleService', () => {
+    const breakfast = { meal: 'breakfast', from: '08:00', to: '10:00' };
+    const lunch = { meal: 'lunch', from: '11:00', to: '13:00' };
+
+    describe('validateMealPeriods', () => {
+        it('should accept valid periods', () => {
+            expect(validateMealPeriods([lunch, breakfast])).toEqual([lunch, breakfast]);
+        });
+
+        it('should keep a per-meal capacity', () => {
+            expect(validateMealPeriods([{ ...lunch, capacity: '60' }])).toEqual([{ ...lunch, capacity: 60 }]);
+            expect(() => validateMealPeriods([{ ...lunch, capacity: 0 }]))
+                .toThrow('Meal period capacity must be a positive integer');
+        });
+
+        it('should reject overlapping periods', () => {
+            expect(() => validateMealPeriods([breakfast, { meal: 'lunch', from: '09:30', to: '12:00' }]))
+                .toThrow('Working hours periods cannot overlap');
+        });
+
+        it('should reject periods shorter than 30 minutes', () => {
+            expect(() => validateMealPeriods([{ meal: 'lunch', from: '11:00', to: '11:15' }]))
+                .toThrow('Each working hours period must be at least 30 minutes');
+        });
+    });
+
+    describe('validateWeeklySchedule', () => {
+        it('should normalise weekday names and allow closed days', () => {
+            expect(validateWeeklySchedule({ Monday: [lunch], sunday: [] }))
+                .toEqual({ monday: [lunch], sunday: [] });
+        });
+
+        it('should reject unknown weekdays and non-array days', () => {
+            expect(() => validateWeeklySchedule({ funday: [] })).toThrow('Invalid weekday: funday');
+            expect(() => validateWeeklySchedule({ monday: lunch }))
+                .toThrow('weeklySchedule.monday must be an array of meal periods');
+            expect(() => validateWeeklySchedule([])).toThrow('weeklySchedule must be an object keyed by weekday');
+        });
+    });
+
+    describe('validateScheduleException', () => {
+        it('should accept a closure with a reason', () => {
+            expect(validateScheduleException('2030-12-25', { workingHours: [], reason: ' Christmas ' }))
+                .toEqual({ workingHours: [], reason: 'Christmas' });
+        });
+
+        it('should reject invalid dates and missing hours', () => {
+            expect(() => validateScheduleException('25.12.2030', { workingHours: [] }))
+                .toThrow('Invalid date format. Must be YYYY-MM-DD');
+            expect(() => validateScheduleException('2030-12-25', { reason: 'Closed' }))
+                .toThrow('workingHours is required');
+        });
+    });
+
+    describe('validateCapacityOverride', () => {
+        it('should accept a date capacity with closed slots', () => {
+            expect(validateCapacityOverride('2030-12-16', { capacity: 20, slots: { '12:00': 0 }, reason: 'Career fair' }))
+                .toEqual({ capacity: 20, slots: { '12:00': 0 }, reason: 'Career fair' });
+        });
+
+        it('should require a capacity or slots', () => {
+            expect(() => validateCapacityOverride('2030-12-16', { reason: 'Event' }))
+                .toThrow('capacity or slots is required');
+            expect(() => validateCapacityOverride('2030-12-16', { slots: { '12': 5 } }))
+                .toThrow('Invalid slot time: 12. Must be HH:mm');
+            expect(() => validateCapacityOverride('2030-12-16', { capacity: -1 }))
+                .toThrow('capacity must be a non-negative integer');
+        });
+    });
+
+    describe('closures', () => {
+        const inspection = { startDate: '2030-12-16', startTime: '11:30', endDate: '2030-12-16', endTime: '12:30', reason: ' Inspection ' };
+
+        it('should validate a closure', () => {
+            expect(validateClosure(inspection)).toEqual({ ...inspection, reason: 'Inspection' });
+            expect(() => validateClosure({ ...inspection, endTime: '11:30' }))
+                .toThrow('Closure must end after it starts');
+            expect(() => validateClosure({ ...inspection, startTime: '1130' }))
+                .toThrow('Invalid time format. Must be HH:mm');
+            expect(() => validateClosure({ ...inspection, reason: ' ' }))
+                .toThrow('reason is required');
+        });
+
+        it('should find closures overlapping a slot', () => {
+            const canteen = { closures: [{ id: 1, ...inspection }] };
+
+            expect(findClosure(canteen, '2030-12-16', '11:00', 60)).toMatchObject({ id: 1 });
+            expect(findClosure(canteen, '2030-12-16', '12:00', 30)).toMatchObject({ id: 1 });
+            expect(findClosure(canteen, '2030-12-16', '11:00', 30)).toBeUndefined();
+            expect(findClosure(canteen, '2030-12-16', '12:30', 30)).toBeUndefined();
+            expect(findClosure(canteen, '2030-12-17', '12:00', 30)).toBeUndefined();
+            expect(findClosure({}, '2030-12-16', '12:00', 30)).toBeUndefined();
+        });
+
+        it('should span several days', () => {
+            const canteen = { closures: [{ startDate: '2030-12-16', startTime: '18:00', endDate: '2030-12-18', endTime: '09:00' }] };
+
+            expect(findClosure(canteen, '2030-12-17', '12:00', 60)).toBeDefined();
+            expect(findClosure(canteen, '2030-12-18', '08:30', 60)).toBeDefined();
+            expect(findClosure(canteen, '2030-12-18', '09:00', 60)).toBeUndefined();
+        });
+    });
+
+    describe('getSlotCapacity', () => {
+        const canteen = {
+            capacity: 30,
+            workingHours: [breakfast, { ...lunch, capacity: 60 }],
+            capacityOverrides: { '2030-12-16': { capacity: 40, slots: { '12:00': 10 } } }
+        };
+
+        it('should use the meal capacity, then the canteen capacity', () => {
+            expect(getSlotCapacity(canteen, '2030-12-17', '11:30')).toBe(60);
+            expect(getSlotCapacity(canteen, '2030-12-17', '08:00')).toBe(30);
+        });
+
+        it('should prefer slot overrides over date overrides', () => {
+            expect(getSlotCapacity(canteen, '2030-12-16', '12:00')).toBe(10);
+            expect(getSlotCapacity(canteen, '2030-12-16', '11:30')).toBe(40);
+        });
+    });
+
+    describe('timezones', () => {
+        it('should validate IANA zone names', () => {
+            expect(validateTimezone(' Europe/Belgrade ')).toBe('Europe/Belgrade');
+            expect(() => validateTimezone('Mars/Olympus')).toThrow('Invalid timezone: Mars/Olympus');
+        });
+
+        it('should convert wall-clock times on both sides of a DST change', () => {
+            expect(zonedTimeToUtc('2030-03-30', '08:00', 'Europe/Belgrade').toISOString()).toBe('2030-03-30T07:00:00.000Z');
+            expect(zonedTimeToUtc('2030-03-31', '08:00', 'Europe/Belgrade').toISOString()).toBe('2030-03-31T06:00:00.000Z');
+        });
+
+        it('should handle skipped and repeated times', () => {
+            expect(isExistingZonedTime('2030-03-31', '02:30', 'Europe/Belgrade')).toBe(false);
+            expect(zonedTimeToUtc('2030-03-31', '02:30', 'Europe/Belgrade').toISOString()).toBe('2030-03-31T01:30:00.000Z');
+            // 02:30 happens twice when clocks go back, the first one counts
+            expect(zonedTimeToUtc('2030-10-27', '02:30', 'Europe/Belgrade').toISOString()).toBe('2030-10-27T00:30:00.000Z');
+        });
+
+        it('should read the wall clock of an instant', () => {
+            expect(toZonedDateTime(new Date('2030-12-16T23:30:00Z'), 'Asia/Tokyo'))
+                .toMatchObject({ date: '2030-12-17', time: '08:30' });
+        });
+    });
+
+    describe('getWorkingHoursForDate', () => {
+        const canteen = {
+            workingHours: [breakfast, lunch],
+            weeklySchedule: { saturday: [lunch], sunday: [] },
+            scheduleExceptions: { '2030-12-25': { workingHours: [] }, '2030-12-28': { workingHours: [breakfast] } }
+        };
+
+        it('should use the everyday hours for weekdays without a schedule', () => {
+            expect(getWorkingHoursForDate(canteen, '2030-12-16')).toEqual([breakfast, lunch]); // Monday
+        });
+
+        it('should use the weekday schedule', () => {
+            expect(getWorkingHoursForDate(canteen, '2030-12-21')).toEqual([lunch]); // Saturday
+            expect(getWorkingHoursForDate(canteen, '2030-12-22')).toEqual([]); // Sunday
+        });
+
+        it('should prefer dated exceptions', () => {
+            expect(getWorkingHoursForDate(canteen, '2030-12-25')).toEqual([]); // Wednesday holiday
+            expect(getWorkingHoursForDate(canteen, '2030-12-28')).toEqual([breakfast]); // Saturday override
+        });
+
+        it('should work for canteens without a schedule', () => {
+            expect(getWorkingHoursForDate({ workingHours: [lunch] }, '2030-12-22')).toEqual([lunch]);
+        });
+    });
+
+    describe('validateSlotConfig', () => {
+        it('should sort durations and default the alignment to the granularity', () => {
+            expect(validateSlotConfig({ granularity: 15, durations: [90, '15', 45, 45] }))
+                .toEqual({ granularity: 15, durations: [15, 45, 90], startAlignment: 15 });
+        });
+
+        it('should reject granularities that are not quarter hours', () => {
+            expect(() => validateSlotConfig({ granularity: 20, durations: [20] }))
+                .toThrow('slotConfig.granularity must be a multiple of 15 minutes up to 240');
+        });
+
+        it('should reject durations that do not fill whole buckets', () => {
+            expect(() => validateSlotConfig({ granularity: 30, durations: [30, 45] }))
+                .toThrow('slotConfig.durations must be a multiple of 30 minutes up to 240');
+            expect(() => validateSlotConfig({ granularity: 30, durations: [] }))
+                .toThrow('slotConfig.durations must be a non-empty array');
+        });
+    });
+
+    describe('validateSlotChoice', () => {
+        it('should keep the 30/60-minute rules for canteens without slot rules', () => {
+            expect(() => validateSlotChoice({}, '08:30', 30)).not.toThrow();
+            expect(() => validateSlotChoice({}, '08:00', 45)).toThrow('duration must be 30 or 60');
+            expect(() => validateSlotChoice({}, '08:30', 60))
+                .toThrow('60-minute reservations must start at even hours (e.g., 08:00, 09:00)');
+        });
+
+        it('should allow any aligned start with custom slot rules', () => {
+            const canteen = { slotConfig: { granularity: 15, durations: [15, 45, 90], startAlignment: 15 } };
+
+            expect(() => validateSlotChoice(canteen, '08:45', 90)).not.toThrow();
+            expect(() => validateSlotChoice(canteen, '08:00', 60)).toThrow('duration must be 15, 45 or 90');
+            expect(() => validateSlotChoice(canteen, '08:10', 45))
+                .toThrow('45-minute reservations must start at multiples of 15 minutes (e.g., 08:00, 08:15)');
+        });
+    });
+
+    describe('getBucketTimes', () => {
+        it('should list the bucket starts a span covers', () => {
+            expect(getBucketTimes('08:45', 90, 15)).toEqual(['08:45', '09:00', '09:15', '09:30', '09:45', '10:00']);
+            expect(getBucketTimes('08:00', '60', 30)).toEqual(['08:00', '08:30']);
+        });
+    });
+});
@@ -0,0 +1,251 @@
+import redisClient from "../config/redis.js";
+import { getCanteen } from "./canteenService.js";
+import { createReservation, deleteReservation } from "./reservactionService.js";
+import { WEEKDAY_NAMES, addDays, getTimezone, zonedTimeToUtc } from "./scheduleService.js";
+
+const SERIES_COUNTER_KEY = 'series:id:counter';
+const MAX_OCCURRENCES = 100;
+
+function isValidDateString(date) {
+    return typeof date === 'string' &&
+        /^\d{4}-\d{2}-\d{2}$/.test(date) &&
+        !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function validateRecurrence(recurrence) {
+    if (!recurrence || typeof recurrence !== 'object') {
+        throw new Error('recurrence is required');
+    }
+    const { type, days, everyDays, until, count } = recurrence;
+    const validated = { type };
+
+    if (type === 'weekdays') {
+        validated.days = [1, 2, 3, 4, 5];
+    } else if (type === 'weekly') {
+        if (!Array.isArray(days) || days.length === 0) {
+            throw new Error('recurrence.days must be a non-empty array of weekday names');
+        }
+        validated.days = days.map(day => {
+            const index = WEEKDAY_NAMES.indexOf(String(day).toLowerCase());
+            if (index === -1) {
+                throw new Error(`Invalid weekday: ${day}`);
+            }
+            return index;
+        });
+    } else if (type === 'interval') {
+        const parsedEveryDays = parseInt(everyDays, 10);
+        if (isNaN(parsedEveryDays) || parsedEveryDays < 1) {
+            throw new Error('recurrence.everyDays must be a positive integer');
+        }
+        validated.everyDays = parsedEveryDays;
+    } else {
+        throw new Error('recurrence.type must be weekdays, weekly or interval');
+    }
+
+    if ((until === undefined) === (count === undefined)) {
+        throw new Error('recurrence must have either until or count');
+    }
+    if (until !== undefined) {
+        if (!isValidDateString(until)) {
+            throw new Error('Invalid recurrence.until date. Must be YYYY-MM-DD');
+        }
+        validated.until = until;
+    } else {
+        const parsedCount = parseInt(count, 10);
+        if (isNaN(parsedCount) || parsedCount < 1) {
+            throw new Error('recurrence.count must be a positive integer');
+        }
+        if (parsedCount > MAX_OCCURRENCES) {
+            throw new Error(`recurrence.count cannot exceed ${MAX_OCCURRENCES}`);
+        }
+        validated.count = parsedCount;
+    }
+
+    return validated;
+}
+
+/**
+ * Expand a recurrence rule into occurrence dates starting at startDate
+ */
+function generateOccurrenceDates(startDate, recurrence) {
+    const dates = [];
+    const step = recurrence.type === 'interval' ? recurrence.everyDays : 1;
+
+    for (let date = startDate; ; date = addDays(date, step)) {
+        if (recurrence.until && date > recurrence.until) break;
+        if (recurrence.count && dates.length >= recurrence.count) break;
+        if (recurrence.days && !recurrence.days.includes(getWeekday(date))) continue;
+
+        dates.push(date);
+        if (dates.length > MAX_OCCURRENCES) {
+            throw new Error(`Series cannot exceed ${MAX_OCCURRENCES} occurrences`);
+        }
+    }
+
+    return dates;
+}
+
+function formatSeries(series) {
+    return {
+        id: parseInt(series.id, 10),
+        studentId: parseInt(series.studentId, 10),
+        canteenId: parseInt(series.canteenId, 10),
+        time: series.time,
+        duration: parseInt(series.duration, 10),
+        startDate: series.startDate,
+        recurrence: JSON.parse(series.recurrence),
+        status: series.status,
+        occurrences: JSON.parse(series.occurrences)
+    };
+}
+
+export async function createSeries(seriesData) {
+    const { studentId, canteenId, time, duration, startDate } = seriesData;
+
+    if (studentId === undefined || studentId === null) {
+        throw new Error('studentId is required');
+    }
+    if (canteenId === undefined || canteenId === null) {
+        throw new Error('canteenId is required');
+    }
+    if (!isValidDateString(startDate)) {
+        throw new Error('Invalid startDate. Must be YYYY-MM-DD');
+    }
+    const recurrence = validateRecurrence(seriesData.recurrence);
+    if (recurrence.until && recurrence.until < startDate) {
+        throw new Error('recurrence.until must not be before startDate');
+    }
+    const dates = generateOccurrenceDates(startDate, recurrence);
+
+    const canteen = await getCanteen(canteenId);
+    if (!canteen) {
+        throw new Error('Canteen not found');
+    }
+    const studentExists = await redisClient.exists(`student:${studentId}`);
+    if (!studentExists) {
+        throw new Error('Student not found');
+    }
+
+    const id = await redisClient.incr(SERIES_COUNTER_KEY);
+
+    // Each occurrence goes through the regular booking rules and may fail on its own
+    const occurrences = [];
+    for (const date of dates) {
+        try {
+            const reservation = await createReservation({ studentId, canteenId, date, time, duration });
+            await redisClient.hSet(`reservation:${reservation.id}`, 'seriesId', id);
+            occurrences.push({ date, status: 'Booked', reservationId: reservation.id });
+        } catch (err) {
+            occurrences.push({ date, status: 'Failed', error: err.message, code: err.code });
+        }
+    }
+
+    const series = {
+        id: String(id),
+        studentId: String(parseInt(studentId, 10)),
+        canteenId: String(parseInt(canteenId, 10)),
+        time,
+        duration: String(parseInt(duration, 10)),
+        startDate,
+        recurrence: JSON.stringify(recurrence),
+        status: 'Active',
+        occurrences: JSON.stringify(occurrences),
+        createdAt: new Date().toISOString()
+    };
+    await redisClient.hSet(`series:${id}`, series);
+    await redisClient.sAdd(`studentSeries:${series.studentId}`, String(id));
+
+    return formatSeries(series);
+}
+
+export async function getSeries(seriesId, studentId) {
+    const series = await redisClient.hGetAll(`series:${seriesId}`);
+    if (Object.keys(series).length === 0 || series.studentId !== String(studentId)) {
+        return null;
+    }
+    return formatSeries(series);
+}
+
+export async function getSeriesByStudent(studentId) {
+    const seriesIds = await redisClient.sMembers(`studentSeries:${studentId}`);
+    const result = [];
+    for (const seriesId of seriesIds) {
+        const series = await redisClient.hGetAll(`series:${seriesId}`);
+        if (Object.keys(series).length === 0) continue;
+        result.push(formatSeries(series));
+    }
+    result.sort((a, b) => a.id - b.id);
+    return result;
+}
+
+/**
+ * Cancel booked occurrences of a series.
+ * scope 'occurrence' cancels the one on `date`, 'future' everything on or after `date`,
+ * and 'all' every occurrence plus the series itself once none are left booked.
+ * Occurrences that have already started are left alone.
+ */
+export async function cancelSeries(seriesId, studentId, scope, date, now = new Date()) {
+    const seriesKey = `series:${seriesId}`;
+    const series = await redisClient.hGetAll(seriesKey);
+    if (Object.keys(series).length === 0 || series.studentId !== String(studentId)) {
+        return null;
+    }
+    if (!['occurrence', 'future', 'all'].includes(scope)) {
+        throw new Error('scope must be occurrence, future or all');
+    }
+    if (scope !== 'all' && !isValidDateString(date)) {
+        throw new Error('Invalid date. Must be YYYY-MM-DD');
+    }
+
+    const occurrences = JSON.parse(series.occurrences);
+    const selected = occurrences.filter(occurrence => {
+        if (scope === 'occurrence') return occurrence.date === date;
+        if (scope === 'future') return occurrence.date >= date;
+        return true;
+    });
+    if (scope === 'occurrence' && selected.length === 0) {
+        throw new Error(`Occurrence on ${date} not found`);
+    }
+
+    // Occurrences blocked by the canteen's cancellation policy stay booked, and so do
+    // reservations that were already cancelled, checked in or finished on their own
+    const timeZone = getTimezone(await getCanteen(series.canteenId));
+    const cancelled = [];
+    const failed = [];
+    for (const occurrence of selected) {
+        if (occurrence.status !== 'Booked') continue;
+        if (zonedTimeToUtc(occurrence.date, series.time, timeZone) <= now) continue;
+        try {
+            const reservation = await deleteReservation(String(occurrence.reservationId), String(studentId));
+            if (!reservation) continue;
+            occurrence.status = 'Cancelled';
+            cancelled.push(occurrence.date);
+        } catch (err) {
+            failed.push({ date: occurrence.date, error: err.message, code: err.code });
+        }
+    }
+
+    const update = { occurrences: JSON.stringify(occurrences) };
+    if (scope === 'all' && failed.length === 0) {
+        update.status = 'Cancelled';
+    }
+    await redisClient.hSet(seriesKey, update);
+
+    return { ...formatSeries({ ...series, ...update }), cancelled, failed };
+}
+
+/**
+ * Drop every series of a deleted student. Their reservations are handled on their own.
+ */
+export async function deleteStudentSeries(studentId) {
+    const seriesIds = await redisClient.sMembers(`studentSeries:${studentId}`);
+    if (seriesIds.length > 0) {
+        await redisClient.del(seriesIds.map(seriesId => `series:${seriesId}`));
+    }
+    await redisClient.del(`studentSeries:${studentId}`);
+    return seriesIds.length;
+}
@@ -0,0 +1,263 @@
+import { jest } from '@jest/globals';
+
+// Mock Redis client
+const mockRedisClient = {
+    incr: jest.fn(),
+    exists: jest.fn(),
+    hSet: jest.fn(),
+    hGetAll: jest.fn(),
+    sAdd: jest.fn(),
+    sMembers: jest.fn(),
+    del: jest.fn()
+};
+
+// Mock canteen and reservation services
+const mockGetCanteen = jest.fn();
+const mockCreateReservation = jest.fn();
+const mockDeleteReservation = jest.fn();
+
+// Mock the modules before importing
+jest.unstable_mockModule('../config/redis.js', () => ({
+    default: mockRedisClient
+}));
+
+jest.unstable_mockModule('./canteenService.js', () => ({
+    getCanteen: mockGetCanteen
+}));
+
+jest.unstable_mockModule('./reservactionService.js', () => ({
+    createReservation: mockCreateReservation,
+    deleteReservation: mockDeleteReservation
+}));
+
+// Import after mocking
+const { createSeries, getSeries, getSeriesByStudent, cancelSeries, deleteStudentSeries } = await import('./seriesService.js');
+
+describe('seriesService', () => {
+    const seriesData = {
+        studentId: '42',
+        canteenId: '1',
+        time: '11:00',
+        duration: '30',
+        startDate: '2030-12-13', // Friday
+        recurrence: { type: 'weekdays', count: 3 }
+    };
+
+    let nextReservationId;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        nextReservationId = 100;
+        mockGetCanteen.mockResolvedValue({ id: 1, capacity: 30 });
+        mockRedisClient.exists.mockResolvedValue(1);
+        mockRedisClient.incr.mockResolvedValue(5);
+        mockCreateReservation.mockImplementation(async (data) => ({ id: nextReservationId++, ...data }));
+        mockDeleteReservation.mockResolvedValue({ status: 'Cancelled' });
+    });
+
+    describe('createSeries', () => {
+        it('should book every weekday occurrence', async () => {
+            const result = await createSeries(seriesData);
+
+            expect(result.id).toBe(5);
+            // Friday, then skips the weekend
+            expect(result.occurrences).toEqual([
+                { date: '2030-12-13', status: 'Booked', reservationId: 100 },
+                { date: '2030-12-16', status: 'Booked', reservationId: 101 },
+                { date: '2030-12-17', status: 'Booked', reservationId: 102 }
+            ]);
+            expect(mockCreateReservation).toHaveBeenCalledWith({
+                studentId: '42', canteenId: '1', date: '2030-12-16', time: '11:00', duration: '30'
+            });
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('reservation:100', 'seriesId', 5);
+            expect(mockRedisClient.sAdd).toHaveBeenCalledWith('studentSeries:42', '5');
+        });
+
+        it('should book specific weekdays until an end date', async () => {
+            const result = await createSeries({
+                ...seriesData,
+                recurrence: { type: 'weekly', days: ['Monday', 'thursday'], until: '2030-12-26' }
+            });
+
+            expect(result.occurrences.map(o => o.date)).toEqual([
+                '2030-12-16', '2030-12-19', '2030-12-23', '2030-12-26'
+            ]);
+        });
+
+        it('should book every N days', async () => {
+            const result = await createSeries({
+                ...seriesData,
+                recurrence: { type: 'interval', everyDays: 3, count: 3 }
+            });
+
+            expect(result.occurrences.map(o => o.date)).toEqual([
+                '2030-12-13', '2030-12-16', '2030-12-19'
+            ]);
+        });
+
+        it('should report failed occurrences with the reason', async () => {
+            mockCreateReservation
+                .mockResolvedValueOnce({ id: 100 })
+                .mockRejectedValueOnce(new Error('Slot slot:1:2030-12-16:11:00 is fully booked'))
+                .mockResolvedValueOnce({ id: 101 });
+
+            const result = await createSeries(seriesData);
+
+            expect(result.occurrences[1]).toEqual({
+                date: '2030-12-16',
+                status: 'Failed',
+                error: 'Slot slot:1:2030-12-16:11:00 is fully booked'
+            });
+            expect(result.occurrences.filter(o => o.status === 'Booked')).toHaveLength(2);
+        });
+
+        it('should require exactly one of until or count', async () => {
+            await expect(createSeries({ ...seriesData, recurrence: { type: 'weekdays' } }))
+                .rejects.toThrow('recurrence must have either until or count');
+            await expect(createSeries({ ...seriesData, recurrence: { type: 'weekdays', count: 2, until: '2030-12-31' } }))
+                .rejects.toThrow('recurrence must have either until or count');
+        });
+
+        it('should reject unknown weekday names', async () => {
+            await expect(createSeries({ ...seriesData, recurrence: { type: 'weekly', days: ['funday'], count: 2 } }))
+                .rejects.toThrow('Invalid weekday: funday');
+        });
+
+        it('should reject series with too many occurrences', async () => {
+            await expect(createSeries({ ...seriesData, recurrence: { type: 'interval', everyDays: 1, until: '2031-12-31' } }))
+                .rejects.toThrow('Series cannot exceed 100 occurrences');
+            expect(mockCreateReservation).not.toHaveBeenCalled();
+        });
+
+        it('should reject when canteen not found', async () => {
+            mockGetCanteen.mockResolvedValue(null);
+
+            await expect(createSeries(seriesData)).rejects.toThrow('Canteen not found');
+        });
+    });
+
+    describe('getSeries', () => {
+        const storedSeries = {
+            id: '5',
+            studentId: '42',
+            canteenId: '1',
+            time: '11:00',
+            duration: '30',
+            startDate: '2030-12-13',
+            recurrence: JSON.stringify({ type: 'weekdays', days: [1, 2, 3, 4, 5], count: 3 }),
+            status: 'Active',
+            occurrences: JSON.stringify([
+                { date: '2030-12-13', status: 'Booked', reservationId: 100 },
+                { date: '2030-12-16', status: 'Failed', error: 'fully booked' },
+                { date: '2030-12-17', status: 'Booked', reservationId: 102 }
+            ])
+        };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockResolvedValue(storedSeries);
+        });
+
+        it('should return series for its owner', async () => {
+            const result = await getSeries('5', '42');
+
+            expect(result).toMatchObject({ id: 5, studentId: 42, canteenId: 1, duration: 30 });
+            expect(result.occurrences).toHaveLength(3);
+        });
+
+        it('should return null for another student', async () => {
+            expect(await getSeries('5', '99')).toBeNull();
+        });
+
+        it('should list series of a student', async () => {
+            mockRedisClient.sMembers.mockResolvedValue(['5']);
+
+            const result = await getSeriesByStudent('42');
+
+            expect(result).toHaveLength(1);
+            expect(result[0].id).toBe(5);
+        });
+
+        it('should cancel a single occurrence', async () => {
+            const result = await cancelSeries('5', '42', 'occurrence', '2030-12-17');
+
+            expect(mockDeleteReservation).toHaveBeenCalledTimes(1);
+            expect(mockDeleteReservation).toHaveBeenCalledWith('102', '42');
+            expect(result.cancelled).toEqual(['2030-12-17']);
+            expect(result.status).toBe('Active');
+        });
+
+        it('should cancel future occurrences only', async () => {
+            const result = await cancelSeries('5', '42', 'future', '2030-12-14');
+
+            expect(mockDeleteReservation).toHaveBeenCalledTimes(1); // Failed occurrence is skipped
+            expect(result.cancelled).toEqual(['2030-12-17']);
+            expect(result.occurrences[0].status).toBe('Booked');
+        });
+
+        it('should cancel the whole series', async () => {
+            const result = await cancelSeries('5', '42', 'all');
+
+            expect(mockDeleteReservation).toHaveBeenCalledTimes(2);
+            expect(result.status).toBe('Cancelled');
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('series:5', expect.objectContaining({ status: 'Cancelled' }));
+        });
+
+        it('should keep occurrences the cancellation policy refuses', async () => {
+            const cutoffError = Object.assign(new Error('Reservations can no longer be changed or cancelled'), {
+                code: 'CANCELLATION_CUTOFF_PASSED'
+            });
+            mockDeleteReservation.mockRejectedValueOnce(cutoffError);
+
+            const result = await cancelSeries('5', '42', 'all');
+
+            expect(result.cancelled).toEqual(['2030-12-17']);
+            expect(result.failed).toEqual([{
+                date: '2030-12-13',
+                error: 'Reservations can no longer be changed or cancelled',
+                code: 'CANCELLATION_CUTOFF_PASSED'
+            }]);
+            expect(result.occurrences[0].status).toBe('Booked');
+            expect(result.status).toBe('Active');
+        });
+
+        it('should leave occurrences that have already started', async () => {
+            const result = await cancelSeries('5', '42', 'all', undefined, new Date('2030-12-15T12:00:00Z'));
+
+            expect(mockDeleteReservation).toHaveBeenCalledTimes(1);
+            expect(mockDeleteReservation).toHaveBeenCalledWith('102', '42');
+            expect(result.cancelled).toEqual(['2030-12-17']);
+            expect(result.occurrences[0].status).toBe('Booked');
+        });
+
+        it('should not mark occurrences cancelled when their reservation was no longer active', async () => {
+            mockDeleteReservation.mockResolvedValueOnce(null);
+
+            const result = await cancelSeries('5', '42', 'future', '2030-12-13');
+
+            expect(mockDeleteReservation).toHaveBeenCalledTimes(2);
+            expect(result.cancelled).toEqual(['2030-12-17']);
+            expect(result.occurrences[0].status).toBe('Booked');
+            expect(result.failed).toEqual([]);
+        });
+
+        it('should reject cancelling a date with no occurrence', async () => {
+            await expect(cancelSeries('5', '42', 'occurrence', '2030-12-14'))
+                .rejects.toThrow('Occurrence on 2030-12-14 not found');
+        });
+
+        it('should return null when cancelling another student\'s series', async () => {
+            expect(await cancelSeries('5', '99', 'all')).toBeNull();
+            expect(mockDeleteReservation).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleteStudentSeries', () => {
+        it('should drop every series of the student', async () => {
+            mockRedisClient.sMembers.mockResolvedValue(['5', '6']);
+
+            expect(await deleteStudentSeries(42)).toBe(2);
+            expect(mockRedisClient.del).toHaveBeenCalledWith(['series:5', 'series:6']);
+            expect(mockRedisClient.del).toHaveBeenCalledWith('studentSeries:42');
+        });
+    });
+});
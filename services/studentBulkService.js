@@ -0,0 +1,238 @@
+import { validateNewStudent, createStudentBatch, getStudentsAfter } from "./studentService.js";
+import { checkPermission, hasPermission } from "./permissionService.js";
+import { toCsvValue } from "./csvService.js";
+
+const IMPORT_FORMATS = ['csv', 'jsonl'];
+const IMPORT_FIELDS = ['name', 'email', 'password', 'role', 'canteenIds'];
+const REQUIRED_IMPORT_FIELDS = ['name', 'email', 'password'];
+const MAX_IMPORT_ROWS = 5000;
+const BATCH_SIZE = 100;
+const EXPORT_COLUMNS = ['id', 'name', 'email', 'role', 'canteenIds', 'noShowCount'];
+
+/**
+ * Split CSV text into records of fields, each with the line it starts on.
+ * Quoted fields may hold commas, doubled quotes and line breaks.
+ */
+function parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        // Blank lines are skipped
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Invalid CSV: unterminated quote on line ${recordLine}`);
+    }
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Import rows from CSV with a header row naming the columns. Empty role and canteenIds
+ * cells are left out and canteenIds are separated by semicolons.
+ */
+function parseCsvRows(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+    const columns = header.fields.map(column => {
+        const field = IMPORT_FIELDS.find(name => name.toLowerCase() === column.trim().toLowerCase());
+        if (!field) {
+            throw new Error(`Unknown column: ${column}`);
+        }
+        return field;
+    });
+    for (const [index, field] of columns.entries()) {
+        if (columns.indexOf(field) !== index) {
+            throw new Error(`Duplicate column: ${field}`);
+        }
+    }
+    for (const field of REQUIRED_IMPORT_FIELDS) {
+        if (!columns.includes(field)) {
+            throw new Error(`Missing column: ${field}`);
+        }
+    }
+
+    return records.map(({ line, fields }) => {
+        if (fields.length !== columns.length) {
+            return { line, error: `Expected ${columns.length} fields, found ${fields.length}` };
+        }
+        const data = {};
+        for (const [index, field] of columns.entries()) {
+            const value = fields[index];
+            if (field === 'canteenIds') {
+                if (value.trim() !== '') data.canteenIds = value.split(';').map(id => id.trim());
+            } else if (field !== 'role' || value !== '') {
+                data[field] = value;
+            }
+        }
+        return { line, data };
+    });
+}
+
+/**
+ * Import rows from JSON lines, one object per line
+ */
+function parseJsonRows(text) {
+    const rows = [];
+    for (const [index, content] of text.split(/\r?\n/).entries()) {
+        if (content.trim() === '') continue;
+        const line = index + 1;
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch {
+            rows.push({ line, error: 'Invalid JSON' });
+            continue;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            rows.push({ line, error: 'Row must be a JSON object' });
+            continue;
+        }
+        const data = {};
+        for (const field of IMPORT_FIELDS) {
+            if (parsed[field] !== undefined) data[field] = parsed[field];
+        }
+        rows.push({ line, data });
+    }
+    return rows;
+}
+
+/**
+ * Import students from CSV or JSON lines with students:manage. Every row is checked like a
+ * registration, an email may appear only once in the file, and a role other than student
+ * needs students:assignRoles. Valid rows are created in batches unless dryRun is set; the
+ * report gives each row's line, email, status (created, valid or invalid) and id or error.
+ */
+export async function importStudents(content, format, { dryRun = false } = {}, importedBy) {
+    const importer = await checkPermission(importedBy, 'students:manage');
+    if (!IMPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format. Must be ${IMPORT_FORMATS.join(' or ')}`);
+    }
+    // Spreadsheet programs often start their exports with a byte order mark
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = format === 'csv' ? parseCsvRows(text) : parseJsonRows(text);
+    if (rows.length === 0) {
+        throw new Error('Import has no rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Import cannot exceed ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const report = [];
+    const valid = [];
+    const emailLines = new Map();
+    for (const row of rows) {
+        const entry = { line: row.line, email: typeof row.data?.email === 'string' ? row.data.email : null };
+        report.push(entry);
+        try {
+            if (row.error) {
+                throw new Error(row.error);
+            }
+            const student = await validateNewStudent(row.data);
+            if (emailLines.has(student.email)) {
+                throw new Error(`Email already in use on line ${emailLines.get(student.email)}`);
+            }
+            if (student.role !== 'student' && !hasPermission(importer, 'students:assignRoles')) {
+                throw new Error('Permission denied: students:assignRoles');
+            }
+            emailLines.set(student.email, row.line);
+            entry.status = 'valid';
+            valid.push({ entry, student });
+        } catch (err) {
+            entry.status = 'invalid';
+            entry.error = err.message;
+        }
+    }
+
+    if (!dryRun) {
+        for (let start = 0; start < valid.length; start += BATCH_SIZE) {
+            const batch = valid.slice(start, start + BATCH_SIZE);
+            const results = await createStudentBatch(batch.map(({ student }) => student));
+            for (const [index, { entry }] of batch.entries()) {
+                if (results[index].error) {
+                    entry.status = 'invalid';
+                    entry.error = results[index].error;
+                } else {
+                    entry.status = 'created';
+                    entry.id = results[index].id;
+                }
+            }
+        }
+    }
+
+    const count = status => report.filter(entry => entry.status === status).length;
+    return {
+        dryRun,
+        total: report.length,
+        created: count('created'),
+        valid: count('valid') + count('created'),
+        invalid: count('invalid'),
+        rows: report
+    };
+}
+
+async function* generateStudentsCsv() {
+    yield EXPORT_COLUMNS.join(',') + '\r\n';
+    let afterId = 0;
+    for (;;) {
+        const { students, lastId } = await getStudentsAfter(afterId, BATCH_SIZE);
+        if (lastId === null) return;
+        // A batch of students deleted meanwhile writes nothing but the export goes on
+        if (students.length > 0) {
+            yield students.map(student => EXPORT_COLUMNS.map(column => toCsvValue(
+                column === 'canteenIds' ? student.canteenIds.join(';') : student[column]
+            )).join(',') + '\r\n').join('');
+        }
+        afterId = lastId;
+    }
+}
+
+/**
+ * Export every student as CSV with students:manage, without passwords. Returns an async
+ * iterator of chunks to stream, read from the directory index a batch at a time.
+ */
+export async function exportStudentsCsv(requestedBy) {
+    await checkPermission(requestedBy, 'students:manage');
+    return generateStudentsCsv();
+}
@@ -0,0 +1,223 @@
+import { jest } from '@jest/globals';
+
+// Mock the student service, which holds the registration rules and storage
+const mockValidateNewStudent = jest.fn();
+const mockCreateStudentBatch = jest.fn();
+const mockGetStudentsAfter = jest.fn();
+const mockGetStudent = jest.fn();
+
+const registered = new Set(['taken@example.com']);
+const accounts = {
+    1: { id: 1, role: 'super-admin', canteenIds: [] },
+    3: { id: 3, role: 'student', canteenIds: [] }
+};
+
+jest.unstable_mockModule('./studentService.js', () => ({
+    validateNewStudent: mockValidateNewStudent,
+    createStudentBatch: mockCreateStudentBatch,
+    getStudentsAfter: mockGetStudentsAfter,
+    getStudent: mockGetStudent
+}));
+
+// Import after mocking
+const { importStudents, exportStudentsCsv } = await import('./studentBulkService.js');
+
+// A cut-down version of the registration rules
+async function validateStudent(data) {
+    if (!data.name) throw new Error('Name is required');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email || '')) throw new Error('Invalid email format');
+    if (registered.has(data.email)) throw new Error('Email already in use');
+    if (!data.password || data.password.length < 8) throw new Error('Password must be between 8 and 128 characters');
+    const role = data.role ?? 'student';
+    return { name: data.name.trim(), email: data.email, password: data.password, role, canteenIds: (data.canteenIds || []).map(Number) };
+}
+
+describe('studentBulkService', () => {
+    let nextId;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        nextId = 10;
+        mockGetStudent.mockImplementation(async id => accounts[id] || null);
+        mockValidateNewStudent.mockImplementation(validateStudent);
+        mockCreateStudentBatch.mockImplementation(async students => students.map(() => ({ id: nextId++ })));
+    });
+
+    describe('importStudents', () => {
+        it('should create the valid rows of a CSV file and report every row', async () => {
+            const csv = 'name,email,password\r\n'
+                + 'Ana,ana@example.com,correct horse\r\n'
+                + '"Petrović, Marko",marko@example.com,"say ""hi"" now"\r\n'
+                + '\r\n'
+                + 'Eve,not-an-email,correct horse\r\n';
+
+            const result = await importStudents(csv, 'csv', {}, 1);
+
+            expect(result).toMatchObject({ dryRun: false, total: 3, created: 2, valid: 2, invalid: 1 });
+            expect(result.rows).toEqual([
+                { line: 2, email: 'ana@example.com', status: 'created', id: 10 },
+                { line: 3, email: 'marko@example.com', status: 'created', id: 11 },
+                { line: 5, email: 'not-an-email', status: 'invalid', error: 'Invalid email format' }
+            ]);
+            expect(mockValidateNewStudent).toHaveBeenCalledWith({ name: 'Petrović, Marko', email: 'marko@example.com', password: 'say "hi" now' });
+            expect(mockCreateStudentBatch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should read JSON lines', async () => {
+            const jsonl = '{"name":"Ana","email":"ana@example.com","password":"correct horse","id":7}\n'
+                + 'not json\n'
+                + '[1,2]\n';
+
+            const result = await importStudents(jsonl, 'jsonl', {}, 1);
+
+            expect(result.rows).toEqual([
+                { line: 1, email: 'ana@example.com', status: 'created', id: 10 },
+                { line: 2, email: null, status: 'invalid', error: 'Invalid JSON' },
+                { line: 3, email: null, status: 'invalid', error: 'Row must be a JSON object' }
+            ]);
+            expect(mockValidateNewStudent).toHaveBeenCalledWith({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' });
+        });
+
+        it('should reject emails that are registered or repeated in the file', async () => {
+            const csv = 'name,email,password\n'
+                + 'Ana,ana@example.com,correct horse\n'
+                + 'Taken,taken@example.com,correct horse\n'
+                + 'Ana Again,ana@example.com,correct horse\n';
+
+            const result = await importStudents(csv, 'csv', {}, 1);
+
+            expect(result.rows.map(row => row.error)).toEqual([
+                undefined,
+                'Email already in use',
+                'Email already in use on line 2'
+            ]);
+        });
+
+        it('should only check the rows on a dry run', async () => {
+            const result = await importStudents('name,email,password\nAna,ana@example.com,correct horse\nBo,bo@example.com,short\n', 'csv', { dryRun: true }, 1);
+
+            expect(result).toMatchObject({ dryRun: true, total: 2, created: 0, valid: 1, invalid: 1 });
+            expect(result.rows[0]).toEqual({ line: 2, email: 'ana@example.com', status: 'valid' });
+            expect(mockCreateStudentBatch).not.toHaveBeenCalled();
+        });
+
+        it('should create the rows in batches of 100', async () => {
+            const lines = Array.from({ length: 250 }, (_, i) => `Student ${i},s${i}@example.com,correct horse`);
+
+            const result = await importStudents(['name,email,password', ...lines].join('\n'), 'csv', {}, 1);
+
+            expect(result.created).toBe(250);
+            expect(mockCreateStudentBatch.mock.calls.map(([students]) => students.length)).toEqual([100, 100, 50]);
+        });
+
+        it('should report rows whose email was registered while importing', async () => {
+            mockCreateStudentBatch.mockResolvedValueOnce([{ id: 10 }, { error: 'Email already in use' }]);
+
+            const result = await importStudents('name,email,password\nAna,ana@example.com,correct horse\nBo,bo@example.com,correct horse\n', 'csv', {}, 1);
+
+            expect(result).toMatchObject({ created: 1, valid: 1, invalid: 1 });
+            expect(result.rows[1]).toEqual({ line: 3, email: 'bo@example.com', status: 'invalid', error: 'Email already in use' });
+        });
+
+        it('should read roles and canteens', async () => {
+            const csv = 'Name,Email,Password,Role,CanteenIds\n'
+                + 'Ana,ana@example.com,correct horse,,\n'
+                + 'Mia,mia@example.com,correct horse,manager,1; 3\n';
+
+            const result = await importStudents(csv, 'csv', { dryRun: true }, 1);
+
+            expect(result.valid).toBe(2);
+            expect(mockValidateNewStudent).toHaveBeenCalledWith({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' });
+            expect(mockValidateNewStudent).toHaveBeenCalledWith(expect.objectContaining({ role: 'manager', canteenIds: ['1', '3'] }));
+        });
+
+        it('should report rows with the wrong number of fields', async () => {
+            const result = await importStudents('name,email,password\nAna,ana@example.com\n', 'csv', {}, 1);
+
+            expect(result.rows[0]).toMatchObject({ line: 2, status: 'invalid', error: 'Expected 3 fields, found 2' });
+        });
+
+        it('should reject files it cannot read', async () => {
+            await expect(importStudents('name,email\nAna,ana@example.com\n', 'csv', {}, 1)).rejects.toThrow('Missing column: password');
+            await expect(importStudents('name,email,password,age\n', 'csv', {}, 1)).rejects.toThrow('Unknown column: age');
+            await expect(importStudents('name,email,name,password\n', 'csv', {}, 1)).rejects.toThrow('Duplicate column: name');
+            await expect(importStudents('name,email,password\n"Ana,ana@example.com,x\n', 'csv', {}, 1))
+                .rejects.toThrow('Invalid CSV: unterminated quote on line 2');
+            await expect(importStudents('name,email,password\n', 'csv', {}, 1)).rejects.toThrow('Import has no rows');
+            await expect(importStudents('', 'jsonl', {}, 1)).rejects.toThrow('Import has no rows');
+            await expect(importStudents('{}', 'xml', {}, 1)).rejects.toThrow('Invalid format');
+            const tooMany = Array.from({ length: 5001 }, () => '{}').join('\n');
+            await expect(importStudents(tooMany, 'jsonl', {}, 1)).rejects.toThrow('Import cannot exceed 5000 rows');
+        });
+
+        it('should skip a byte order mark', async () => {
+            const result = await importStudents('\uFEFFname,email,password\nAna,ana@example.com,correct horse\n', 'csv', {}, 1);
+
+            expect(result.created).toBe(1);
+        });
+
+        it('should need students:manage', async () => {
+            await expect(importStudents('name,email,password\n', 'csv', {}, 3)).rejects.toThrow('Permission denied: students:manage');
+            expect(mockValidateNewStudent).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('exportStudentsCsv', () => {
+        const students = [
+            { id: 1, name: 'Root', email: 'root@example.com', role: 'super-admin', canteenIds: [], noShowCount: 0 },
+            { id: 4, name: 'Petrović, Marko', email: 'marko@example.com', role: 'manager', canteenIds: [1, 3], noShowCount: 2 }
+        ];
+
+        it('should stream the students a batch at a time', async () => {
+            mockGetStudentsAfter.mockImplementation(async afterId => {
+                const batch = students.filter(student => student.id > afterId).slice(0, 1);
+                return { students: batch, lastId: batch.length > 0 ? batch[0].id : null };
+            });
+
+            const chunks = [];
+            for await (const chunk of await exportStudentsCsv(1)) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks.join('')).toBe('id,name,email,role,canteenIds,noShowCount\r\n'
+                + '1,Root,root@example.com,super-admin,,0\r\n'
+                + '4,"Petrović, Marko",marko@example.com,manager,1;3,2\r\n');
+            expect(mockGetStudentsAfter.mock.calls).toEqual([[0, 100], [1, 100], [4, 100]]);
+        });
+
+        it('should keep names and emails from being read as formulas', async () => {
+            mockGetStudentsAfter.mockResolvedValueOnce({
+                students: [{ id: 5, name: '=HYPERLINK("http://evil.example")', email: '@evil@example.com', role: 'student', canteenIds: [], noShowCount: 0 }],
+                lastId: 5
+            }).mockResolvedValueOnce({ students: [], lastId: null });
+
+            const chunks = [];
+            for await (const chunk of await exportStudentsCsv(1)) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks[1]).toBe('5,"\'=HYPERLINK(""http://evil.example"")",\'@evil@example.com,student,,0\r\n');
+        });
+
+        it('should go on past a batch of students deleted during the export', async () => {
+            mockGetStudentsAfter
+                .mockResolvedValueOnce({ students: [], lastId: 100 })
+                .mockResolvedValueOnce({ students: [students[1]], lastId: 104 })
+                .mockResolvedValueOnce({ students: [], lastId: null });
+
+            const chunks = [];
+            for await (const chunk of await exportStudentsCsv(1)) {
+                chunks.push(chunk);
+            }
+
+            expect(chunks).toHaveLength(2);
+            expect(chunks[1]).toBe('4,"Petrović, Marko",marko@example.com,manager,1;3,2\r\n');
+            expect(mockGetStudentsAfter.mock.calls).toEqual([[0, 100], [100, 100], [104, 100]]);
+        });
+
+        it('should need students:manage before anything is read', async () => {
+            await expect(exportStudentsCsv(3)).rejects.toThrow('Permission denied: students:manage');
+            expect(mockGetStudentsAfter).not.toHaveBeenCalled();
+        });
+    });
+});
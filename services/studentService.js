@@ -1,49 +1,255 @@
 import redisClient from "../config/redis.js";
+import { validatePassword, hashPassword, revokeAllSessions } from "./authService.js";
+import { ROLES, checkPermission } from "./permissionService.js";
+import { removeStudentReservations, countUpcomingReservations } from "./reservactionService.js";
+import { deleteStudentSeries } from "./seriesService.js";
+import { clearStrikes } from "./policyService.js";
 
 const STUDENT_COUNTER_KEY = 'student:id:counter';
 const STUDENT_EMAIL_INDEX = 'student:email:index';
 
-export async function createStudent(studentData) {
-    // Validate required fields exist
-    if (!studentData.name || typeof studentData.name !== 'string') {
-        throw new Error('Name is required');
+// Directory indexes, kept in step with the student hashes
+const STUDENT_IDS_KEY = 'students:byId';
+const STUDENT_NAMES_KEY = 'students:byName';
+const STUDENT_EMAILS_KEY = 'students:byEmail';
+const LIST_SORTS = ['id', '-id', 'name', '-name', 'email', '-email'];
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+function getRoleIndexKey(role) {
+    return `students:byRole:${role}`;
+}
+
+/**
+ * Name and email index member: the lowercased value followed by the id, so the
+ * index can be searched by prefix and sorted without reading students
+ */
+function getIndexMember(value, id) {
+    return `${value.toLowerCase()}:${id}`;
+}
+
+function parseIndexMember(member) {
+    const separator = member.lastIndexOf(':');
+    return { id: parseInt(member.slice(separator + 1), 10), value: member.slice(0, separator) };
+}
+
+/**
+ * Queue the index updates for a new or changed student on a transaction.
+ * `previous` is the student before the change, null for a new one.
+ */
+function queueStudentIndexes(multi, previous, student) {
+    const id = String(student.id);
+    multi.zAdd(STUDENT_IDS_KEY, { score: student.id, value: id });
+    if (previous && previous.name !== student.name) {
+        multi.zRem(STUDENT_NAMES_KEY, getIndexMember(previous.name, id));
     }
-    if (!studentData.email || typeof studentData.email !== 'string') {
-        throw new Error('Email is required');
+    multi.zAdd(STUDENT_NAMES_KEY, { score: 0, value: getIndexMember(student.name, id) });
+    if (previous && previous.email !== student.email) {
+        multi.zRem(STUDENT_EMAILS_KEY, getIndexMember(previous.email, id));
+    }
+    multi.zAdd(STUDENT_EMAILS_KEY, { score: 0, value: getIndexMember(student.email, id) });
+    if (previous && previous.role !== student.role) {
+        multi.sRem(getRoleIndexKey(previous.role), id);
+    }
+    multi.sAdd(getRoleIndexKey(student.role), id);
+}
+
+function queueStudentIndexRemoval(multi, student) {
+    const id = String(student.id);
+    multi.zRem(STUDENT_IDS_KEY, id);
+    multi.zRem(STUDENT_NAMES_KEY, getIndexMember(student.name, id));
+    multi.zRem(STUDENT_EMAILS_KEY, getIndexMember(student.email, id));
+    multi.sRem(getRoleIndexKey(student.role), id);
+}
+
+function validateName(name) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Name is required');
     }
-    // Validate name length
-    const trimmedName = studentData.name.trim();
+    const trimmedName = name.trim();
     if (trimmedName.length < 1) {
         throw new Error('Name cannot be empty');
     }
     if (trimmedName.length > 100) {
         throw new Error('Name cannot exceed 100 characters');
     }
+    return trimmedName;
+}
+
+function validateEmail(email) {
+    if (!email || typeof email !== 'string') {
+        throw new Error('Email is required');
+    }
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+        throw new Error('Invalid email format');
+    }
+    // Should continue with ZeroBounce or similar email validation service in production
+    return email;
+}
+
+/**
+ * Role and managed canteens of a student. The older isAdmin/isStaff flags stand for
+ * the super-admin and staff roles.
+ */
+async function validateRole(roleData) {
+    let role = roleData.role;
+    if (role === undefined) {
+        role = roleData.isAdmin ? 'super-admin' : roleData.isStaff ? 'staff' : 'student';
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+    }
+    if (role !== 'manager') {
+        if (roleData.canteenIds !== undefined && roleData.canteenIds.length > 0) {
+            throw new Error('canteenIds can only be given to managers');
+        }
+        return { role, canteenIds: [] };
+    }
+    if (!Array.isArray(roleData.canteenIds) || roleData.canteenIds.length === 0) {
+        throw new Error('canteenIds is required for managers');
+    }
+    const canteenIds = [];
+    for (const canteenId of roleData.canteenIds) {
+        const parsed = parseInt(canteenId, 10);
+        if (isNaN(parsed) || parsed < 1 || String(parsed) !== String(canteenId)) {
+            throw new Error(`Invalid canteen id: ${canteenId}`);
+        }
+        if (!await redisClient.exists(`canteen:${parsed}`)) {
+            throw new Error(`Canteen ${parsed} not found`);
+        }
+        if (!canteenIds.includes(parsed)) {
+            canteenIds.push(parsed);
+        }
+    }
+    return { role, canteenIds: canteenIds.sort((a, b) => a - b) };
+}
+
+function roleFields({ role, canteenIds }) {
+    return {
+        role,
+        canteenIds: JSON.stringify(canteenIds),
+        isAdmin: role === 'super-admin' ? 'true' : 'false',
+        isStaff: role === 'staff' ? 'true' : 'false'
+    };
+}
+
+/**
+ * Check a new student against every rule of registration, returning the trimmed name,
+ * the email, the password and the role
+ */
+export async function validateNewStudent(studentData) {
+    const name = validateName(studentData.name);
+    validateEmail(studentData.email);
     // check if email aleady exists
     const existingId = await redisClient.hGet(STUDENT_EMAIL_INDEX, studentData.email);
     if (existingId) {
         throw new Error('Email already in use');
     }
-    // validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(studentData.email)) {
-        throw new Error('Invalid email format');
+    validatePassword(studentData.password);
+    const roleData = await validateRole(studentData);
+    return { name, email: studentData.email, password: studentData.password, ...roleData };
+}
+
+/**
+ * Register a student with a password. Only a super-admin, given as createdBy, can grant a role.
+ * The email is claimed in the index before the student is written, so only one of several
+ * sign-ups with the same email succeeds.
+ */
+export async function createStudent(studentData, createdBy = null) {
+    const student = await validateNewStudent(studentData);
+    if (student.role !== 'student') {
+        await checkPermission(createdBy, 'students:assignRoles');
     }
-    // Should continue with ZeroBounce or similar email validation service in production
+    const passwordHash = await hashPassword(student.password);
 
     const id = await redisClient.incr(STUDENT_COUNTER_KEY);
-    const studentKey = `student:${id}`;
-    
-    await redisClient.hSet(studentKey, {
-        id: id,
-        name: studentData.name,
-        email: studentData.email,
-        isAdmin: studentData.isAdmin ? 'true' : 'false'
+    if (!await redisClient.hSetNX(STUDENT_EMAIL_INDEX, student.email, String(id))) {
+        throw new Error('Email already in use');
+    }
+
+    const multi = redisClient.multi();
+    multi.hSet(`student:${id}`, {
+        id,
+        name: student.name,
+        email: student.email,
+        ...roleFields(student),
+        noShowCount: 0,
+        passwordHash
     });
+    queueStudentIndexes(multi, null, { id, name: student.name, email: student.email, role: student.role });
+    await multi.exec();
+
+    return {
+        id,
+        name: student.name,
+        email: student.email,
+        role: student.role,
+        canteenIds: student.canteenIds,
+        isAdmin: student.role === 'super-admin',
+        isStaff: student.role === 'staff',
+        noShowCount: 0
+    };
+}
+
+/**
+ * Store students checked with validateNewStudent together. Their ids are taken at once and
+ * each email is claimed in the index before the student is written, so a student whose email
+ * was registered in the meantime gets an error instead of an id.
+ */
+export async function createStudentBatch(students) {
+    if (students.length === 0) {
+        return [];
+    }
+    const firstId = await redisClient.incrBy(STUDENT_COUNTER_KEY, students.length) - students.length + 1;
+    const passwordHashes = await Promise.all(students.map(student => hashPassword(student.password)));
 
-    await redisClient.hSet(STUDENT_EMAIL_INDEX, studentData.email, id);
+    const results = [];
+    const multi = redisClient.multi();
+    for (const [index, student] of students.entries()) {
+        const id = firstId + index;
+        if (!await redisClient.hSetNX(STUDENT_EMAIL_INDEX, student.email, String(id))) {
+            results.push({ error: 'Email already in use' });
+            continue;
+        }
+        multi.hSet(`student:${id}`, {
+            id,
+            name: student.name,
+            email: student.email,
+            ...roleFields(student),
+            noShowCount: 0,
+            passwordHash: passwordHashes[index]
+        });
+        queueStudentIndexes(multi, null, { id, name: student.name, email: student.email, role: student.role });
+        results.push({ id });
+    }
+    await multi.exec();
+    return results;
+}
 
-    return { id, ...studentData };
+/**
+ * Create the first admin from the server's configuration unless the email is already registered
+ */
+export async function ensureAdminStudent({ name, email, password }) {
+    const existingId = await redisClient.hGet(STUDENT_EMAIL_INDEX, email);
+    if (existingId) {
+        return getStudent(existingId);
+    }
+    validatePassword(password);
+    const id = await redisClient.incr(STUDENT_COUNTER_KEY);
+    await redisClient.hSet(`student:${id}`, {
+        id,
+        name,
+        email,
+        ...roleFields({ role: 'super-admin', canteenIds: [] }),
+        noShowCount: 0,
+        passwordHash: await hashPassword(password)
+    });
+    await redisClient.hSet(STUDENT_EMAIL_INDEX, email, id);
+    const multi = redisClient.multi();
+    queueStudentIndexes(multi, null, { id, name, email, role: 'super-admin' });
+    await multi.exec();
+    return getStudent(id);
 }
 
 export async function getStudent(id) {
@@ -51,10 +257,294 @@ export async function getStudent(id) {
     if (Object.keys(student).length === 0) {
         return null;
     }
+    // Students stored before roles existed only carry the flags
+    const role = student.role
+        || (student.isAdmin === 'true' ? 'super-admin' : student.isStaff === 'true' ? 'staff' : 'student');
     return {
         id: parseInt(student.id, 10),
         name: student.name,
         email: student.email,
-        isAdmin: student.isAdmin === 'true',
+        role,
+        canteenIds: JSON.parse(student.canteenIds || '[]'),
+        isAdmin: role === 'super-admin',
+        isStaff: role === 'staff',
+        noShowCount: parseInt(student.noShowCount || '0', 10)
+    };
+}
+
+/**
+ * The students behind the next count ids above afterId in the id index, in id order.
+ * Ids whose student was deleted meanwhile are skipped, so `lastId` is the last id
+ * read to continue after, null once the index has no more.
+ */
+export async function getStudentsAfter(afterId, count) {
+    const ids = await redisClient.zRangeByScore(STUDENT_IDS_KEY, `(${afterId}`, '+inf', {
+        LIMIT: { offset: 0, count }
+    });
+    const students = [];
+    for (const id of ids) {
+        const student = await getStudent(id);
+        if (student) {
+            students.push(student);
+        }
+    }
+    return { students, lastId: ids.length > 0 ? parseInt(ids[ids.length - 1], 10) : null };
+}
+
+/**
+ * Change the role of a student, and for managers the canteens they manage.
+ * Super-admins cannot change their own role so at least one is always left.
+ */
+export async function updateStudentRole(id, roleData, updatedBy) {
+    await checkPermission(updatedBy, 'students:assignRoles');
+    const student = await getStudent(id);
+    if (!student) {
+        return null;
+    }
+    if (student.id === parseInt(updatedBy, 10)) {
+        throw new Error('Super-admins cannot change their own role');
+    }
+    if (roleData?.role === undefined) {
+        throw new Error('role is required');
+    }
+    const validated = await validateRole(roleData);
+    await redisClient.hSet(`student:${student.id}`, roleFields(validated));
+    const multi = redisClient.multi();
+    queueStudentIndexes(multi, student, { ...student, role: validated.role });
+    await multi.exec();
+    return getStudent(student.id);
+}
+
+/**
+ * Change the name or email of a student, as the student themselves or with students:manage
+ */
+export async function updateStudent(id, updateData, updatedBy) {
+    if (parseInt(id, 10) !== parseInt(updatedBy, 10)) {
+        await checkPermission(updatedBy, 'students:manage');
+    }
+    const student = await getStudent(id);
+    if (!student) {
+        return null;
+    }
+
+    const changes = {};
+    if (updateData?.name !== undefined) {
+        changes.name = validateName(updateData.name);
+    }
+    if (updateData?.email !== undefined) {
+        changes.email = validateEmail(updateData.email);
+    }
+    if (Object.keys(changes).length === 0) {
+        throw new Error('At least one of name or email is required');
+    }
+
+    const emailChanged = changes.email !== undefined && changes.email !== student.email;
+    if (emailChanged) {
+        // Claiming the new email in the index first keeps two students from taking it at once
+        const claimed = await redisClient.hSetNX(STUDENT_EMAIL_INDEX, changes.email, String(student.id));
+        if (!claimed) {
+            throw new Error('Email already in use');
+        }
+    }
+    await redisClient.hSet(`student:${student.id}`, changes);
+    if (emailChanged) {
+        await redisClient.hDel(STUDENT_EMAIL_INDEX, student.email);
+    }
+    const multi = redisClient.multi();
+    queueStudentIndexes(multi, student, { ...student, ...changes });
+    await multi.exec();
+    return getStudent(student.id);
+}
+
+/**
+ * Delete a student account, as the student themselves or with students:manage.
+ * Upcoming reservations are cancelled or left, past ones are anonymised, and the
+ * student's waitlist places, series, strikes and sessions are removed.
+ */
+export async function deleteStudent(id, deletedBy) {
+    const isSelf = parseInt(id, 10) === parseInt(deletedBy, 10);
+    if (!isSelf) {
+        await checkPermission(deletedBy, 'students:manage');
+    }
+    const student = await getStudent(id);
+    if (!student) {
+        return null;
+    }
+    if (isSelf && student.role === 'super-admin') {
+        throw new Error('Super-admins cannot delete their own account');
+    }
+
+    // The account goes last, so a deletion that fails halfway can be run again
+    const reservations = await removeStudentReservations(student.id);
+    const removedSeries = await deleteStudentSeries(student.id);
+    await clearStrikes(student.id);
+
+    const multi = redisClient.multi();
+    multi.del(`student:${student.id}`);
+    multi.hDel(STUDENT_EMAIL_INDEX, student.email);
+    queueStudentIndexRemoval(multi, student);
+    await multi.exec();
+    // Sessions started while the rest was removed end here too
+    const { revokedSessions } = await revokeAllSessions(student.id);
+    return { id: student.id, ...reservations, removedSeries, revokedSessions };
+}
+
+function encodeListCursor(sort, entry) {
+    return Buffer.from(JSON.stringify({ sort, value: entry.value, id: entry.id })).toString('base64url');
+}
+
+function decodeListCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+        throw new Error('Invalid cursor');
+    }
+    const valueType = /id$/.test(sort) ? 'number' : 'string';
+    if (!decoded || decoded.sort !== sort || typeof decoded.value !== valueType || !Number.isInteger(decoded.id)) {
+        throw new Error('Invalid cursor');
+    }
+    return decoded;
+}
+
+/**
+ * Validate the query of the student directory
+ */
+function validateListQuery(query) {
+    const filters = {};
+    if (query.search !== undefined) {
+        if (typeof query.search !== 'string' || query.search.trim() === '' || query.search.length > 100) {
+            throw new Error('search must be a non-empty string of at most 100 characters');
+        }
+        filters.search = query.search.trim().toLowerCase();
+    }
+    if (query.role !== undefined) {
+        if (!ROLES.includes(query.role)) {
+            throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+        }
+        filters.role = query.role;
+    }
+
+    const sort = query.sort ?? 'id';
+    if (!LIST_SORTS.includes(sort)) {
+        throw new Error(`Invalid sort. Must be ${LIST_SORTS.join(', ')}`);
+    }
+    let limit = DEFAULT_LIST_LIMIT;
+    if (query.limit !== undefined) {
+        if (!/^[1-9]\d*$/.test(query.limit)) {
+            throw new Error('limit must be a positive integer');
+        }
+        limit = parseInt(query.limit, 10);
+        if (limit > MAX_LIST_LIMIT) {
+            throw new Error(`limit cannot exceed ${MAX_LIST_LIMIT}`);
+        }
+    }
+    const cursor = query.cursor === undefined ? null : decodeListCursor(String(query.cursor), sort);
+    return { filters, sort, limit, cursor };
+}
+
+/**
+ * Read up to `count` student ids in the requested order from the sort's index, together
+ * with the sort value, starting past the cursor and skipping the first `offset` of them
+ */
+async function readListEntries(sort, cursor, offset, count) {
+    const field = sort.replace(/^-/, '');
+    const descending = sort.startsWith('-');
+    const LIMIT = { offset, count };
+    if (field === 'name' || field === 'email') {
+        const key = field === 'name' ? STUDENT_NAMES_KEY : STUDENT_EMAILS_KEY;
+        const after = cursor ? `(${cursor.value}:${cursor.id}` : null;
+        const members = descending
+            ? await redisClient.zRange(key, after ?? '+', '-', { BY: 'LEX', REV: true, LIMIT })
+            : await redisClient.zRange(key, after ?? '-', '+', { BY: 'LEX', LIMIT });
+        return members.map(parseIndexMember);
+    }
+    const after = cursor ? `(${cursor.id}` : null;
+    const members = descending
+        ? await redisClient.zRange(STUDENT_IDS_KEY, after ?? Infinity, -Infinity, { BY: 'SCORE', REV: true, LIMIT })
+        : await redisClient.zRange(STUDENT_IDS_KEY, after ?? -Infinity, Infinity, { BY: 'SCORE', LIMIT });
+    return members.map(value => ({ id: parseInt(value, 10), value: parseInt(value, 10) }));
+}
+
+/**
+ * Ids of the students whose name or email starts with a lowercased prefix
+ */
+async function searchStudentIds(prefix) {
+    // 0xff never occurs in UTF-8, so it closes the range after every value with the prefix
+    const max = Buffer.concat([Buffer.from(`[${prefix}`), Buffer.from([0xff])]);
+    const ids = new Set();
+    for (const key of [STUDENT_NAMES_KEY, STUDENT_EMAILS_KEY]) {
+        for (const member of await redisClient.zRangeByLex(key, `[${prefix}`, max)) {
+            ids.add(parseIndexMember(member).id);
+        }
+    }
+    return ids;
+}
+
+/**
+ * The index entries that pass the filters: the ids found by the search, and the role
+ * checked against its index
+ */
+async function filterListEntries(entries, filters, searchIds) {
+    let kept = searchIds ? entries.filter(entry => searchIds.has(entry.id)) : entries;
+    if (filters.role !== undefined && kept.length > 0) {
+        const inRole = await redisClient.smIsMember(getRoleIndexKey(filters.role), kept.map(entry => String(entry.id)));
+        kept = kept.filter((entry, i) => inRole[i]);
+    }
+    return kept;
+}
+
+/**
+ * Number of students that pass the filters, counted on the indexes and the search result
+ */
+async function countListMatches(filters, searchIds) {
+    if (filters.role === undefined) {
+        return searchIds ? searchIds.size : redisClient.zCard(STUDENT_IDS_KEY);
+    }
+    if (!searchIds) {
+        return redisClient.sCard(getRoleIndexKey(filters.role));
+    }
+    if (searchIds.size === 0) {
+        return 0;
+    }
+    const inRole = await redisClient.smIsMember(getRoleIndexKey(filters.role), [...searchIds].map(String));
+    return inRole.filter(Boolean).length;
+}
+
+/**
+ * List students with students:manage, searched by name or email prefix, filtered by role,
+ * sorted and paginated with a cursor. The sort's index is read from the cursor in batches
+ * of a page, filtering as it goes, until one student past the page turns up or the index
+ * runs out. Each student comes with their upcoming reservations and no-shows.
+ */
+export async function listStudents(query = {}, requestedBy) {
+    await checkPermission(requestedBy, 'students:manage');
+    const { filters, sort, limit, cursor } = validateListQuery(query);
+
+    const searchIds = filters.search !== undefined ? await searchStudentIds(filters.search) : null;
+    const matches = [];
+    const batchSize = limit + 1;
+    for (let offset = 0; matches.length <= limit; offset += batchSize) {
+        const entries = await readListEntries(sort, cursor, offset, batchSize);
+        matches.push(...await filterListEntries(entries, filters, searchIds));
+        if (entries.length < batchSize) {
+            break;
+        }
+    }
+
+    const page = matches.slice(0, limit);
+    const upcoming = await countUpcomingReservations(page.map(entry => entry.id));
+    const students = [];
+    for (const entry of page) {
+        const student = await getStudent(entry.id);
+        if (student) {
+            students.push({ ...student, upcomingReservations: upcoming.get(student.id) });
+        }
+    }
+
+    return {
+        students,
+        total: await countListMatches(filters, searchIds),
+        nextCursor: matches.length > limit ? encodeListCursor(sort, page[page.length - 1]) : null
     };
-}
\ No newline at end of file
+}
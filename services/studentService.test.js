@@ -5,16 +5,71 @@ const mockRedisClient = {
     hGet: jest.fn(),
     hSet: jest.fn(),
     hGetAll: jest.fn(),
-    incr: jest.fn()
+    incr: jest.fn(),
+    incrBy: jest.fn(),
+    exists: jest.fn(),
+    hSetNX: jest.fn(),
+    hDel: jest.fn(),
+    del: jest.fn(),
+    sMembers: jest.fn(),
+    smIsMember: jest.fn(),
+    sCard: jest.fn(),
+    zRange: jest.fn(),
+    zRangeByLex: jest.fn(),
+    zRangeByScore: jest.fn(),
+    zCard: jest.fn()
 };
 
+// Directory index writes are queued on a transaction, as are the students of a batch
+const mockMulti = {
+    hSet: jest.fn(),
+    zAdd: jest.fn(),
+    zRem: jest.fn(),
+    sAdd: jest.fn(),
+    sRem: jest.fn(),
+    del: jest.fn(),
+    hDel: jest.fn(),
+    exec: jest.fn()
+};
+mockRedisClient.multi = jest.fn(() => mockMulti);
+
+// Mock the services a deleted student's data is removed from
+const mockRemoveStudentReservations = jest.fn();
+const mockCountUpcomingReservations = jest.fn();
+const mockDeleteStudentSeries = jest.fn();
+const mockClearStrikes = jest.fn();
+
 // Mock the modules before importing
 jest.unstable_mockModule('../config/redis.js', () => ({
     default: mockRedisClient
 }));
 
+jest.unstable_mockModule('./reservactionService.js', () => ({
+    removeStudentReservations: mockRemoveStudentReservations,
+    countUpcomingReservations: mockCountUpcomingReservations
+}));
+
+jest.unstable_mockModule('./seriesService.js', () => ({
+    deleteStudentSeries: mockDeleteStudentSeries
+}));
+
+jest.unstable_mockModule('./policyService.js', () => ({
+    clearStrikes: mockClearStrikes
+}));
+
 // Import after mocking
-const { createStudent, getStudent } = await import('./studentService.js');
+const {
+    createStudent,
+    getStudent,
+    ensureAdminStudent,
+    updateStudentRole,
+    updateStudent,
+    deleteStudent,
+    listStudents,
+    validateNewStudent,
+    createStudentBatch,
+    getStudentsAfter
+} = await import('./studentService.js');
 
 describe('studentService', () => {
     beforeEach(() => {
@@ -22,6 +77,7 @@ describe('studentService', () => {
         mockRedisClient.incr.mockResolvedValue(1);
         mockRedisClient.hSet.mockResolvedValue(1);
         mockRedisClient.hGet.mockResolvedValue(null); // No existing email by default
+        mockRedisClient.hSetNX.mockResolvedValue(true);
     });
 
     describe('createStudent', () => {
@@ -29,28 +85,124 @@ describe('studentService', () => {
             const studentData = {
                 name: 'John Doe',
                 email: 'john@example.com',
+                password: 'correct horse',
                 isAdmin: false
             };
 
             const result = await createStudent(studentData);
 
-            expect(result).toMatchObject({
+            expect(result).toEqual({
                 id: 1,
                 name: 'John Doe',
                 email: 'john@example.com',
-                isAdmin: false
+                role: 'student',
+                canteenIds: [],
+                isAdmin: false,
+                isStaff: false,
+                noShowCount: 0
             });
-            expect(mockRedisClient.hSet).toHaveBeenCalledTimes(2); // student + email index
+            expect(mockRedisClient.hSetNX).toHaveBeenCalledWith('student:email:index', 'john@example.com', '1');
+            expect(mockMulti.hSet).toHaveBeenCalledWith('student:1', expect.objectContaining({ name: 'John Doe' }));
+        });
+
+        it('should store and return the checked fields rather than the request', async () => {
+            const result = await createStudent({ name: '  John Doe  ', email: 'john@example.com', password: 'correct horse', extra: 'x' });
+
+            expect(result).toMatchObject({ name: 'John Doe', email: 'john@example.com' });
+            expect(result.extra).toBeUndefined();
+            expect(mockMulti.hSet).toHaveBeenCalledWith('student:1', expect.objectContaining({
+                name: 'John Doe',
+                email: 'john@example.com'
+            }));
+        });
+
+        it('should write nothing when another sign-up claimed the email first', async () => {
+            mockRedisClient.hSetNX.mockResolvedValue(false);
+
+            await expect(createStudent({ name: 'John Doe', email: 'john@example.com', password: 'correct horse' }))
+                .rejects.toThrow('Email already in use');
+            expect(mockMulti.hSet).not.toHaveBeenCalled();
+            expect(mockMulti.exec).not.toHaveBeenCalled();
+        });
+
+        it('should add the student to the directory indexes', async () => {
+            await createStudent({ name: 'John Doe', email: 'John@Example.com', password: 'correct horse' });
+
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('students:byId', { score: 1, value: '1' });
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('students:byName', { score: 0, value: 'john doe:1' });
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('students:byEmail', { score: 0, value: 'john@example.com:1' });
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('students:byRole:student', '1');
+            expect(mockMulti.exec).toHaveBeenCalled();
+        });
+
+        it('should store a salted hash instead of the password', async () => {
+            await createStudent({ name: 'John Doe', email: 'john@example.com', password: 'correct horse' });
+
+            const [, fields] = mockMulti.hSet.mock.calls[0];
+            expect(fields.password).toBeUndefined();
+            expect(fields.passwordHash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        });
+
+        it('should require a password of 8 to 128 characters', async () => {
+            await expect(createStudent({ name: 'John Doe', email: 'john@example.com' }))
+                .rejects.toThrow('Password is required');
+            await expect(createStudent({ name: 'John Doe', email: 'john@example.com', password: 'short' }))
+                .rejects.toThrow('Password must be between 8 and 128 characters');
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+        });
+
+        it('should only let super-admins grant a role', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '2', name: 'Regular', email: 'r@example.com', isAdmin: 'false' });
+
+            await expect(createStudent({ name: 'Eve', email: 'eve@example.com', password: 'correct horse', isAdmin: true }))
+                .rejects.toThrow('Permission denied: students:assignRoles');
+            await expect(createStudent({ name: 'Eve', email: 'eve@example.com', password: 'correct horse', isStaff: true }, '2'))
+                .rejects.toThrow('Permission denied: students:assignRoles');
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+            expect(mockMulti.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should create a manager of existing canteens', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '9', name: 'Root', email: 'root@example.com', role: 'super-admin' });
+            mockRedisClient.exists.mockResolvedValue(1);
+
+            await createStudent({ name: 'Mia', email: 'mia@example.com', password: 'correct horse', role: 'manager', canteenIds: [3, '1', 3] }, '9');
+
+            expect(mockMulti.hSet).toHaveBeenCalledWith('student:1', expect.objectContaining({
+                role: 'manager',
+                canteenIds: '[1,3]',
+                isAdmin: 'false',
+                isStaff: 'false'
+            }));
+        });
+
+        it('should validate roles and managed canteens', async () => {
+            const mia = { name: 'Mia', email: 'mia@example.com', password: 'correct horse' };
+            mockRedisClient.exists.mockResolvedValue(0);
+
+            await expect(createStudent({ ...mia, role: 'owner' }))
+                .rejects.toThrow('Invalid role. Must be one of: super-admin, manager, staff, student');
+            await expect(createStudent({ ...mia, role: 'manager' }))
+                .rejects.toThrow('canteenIds is required for managers');
+            await expect(createStudent({ ...mia, role: 'staff', canteenIds: [1] }))
+                .rejects.toThrow('canteenIds can only be given to managers');
+            await expect(createStudent({ ...mia, role: 'manager', canteenIds: ['x'] }))
+                .rejects.toThrow('Invalid canteen id: x');
+            await expect(createStudent({ ...mia, role: 'manager', canteenIds: [4] }))
+                .rejects.toThrow('Canteen 4 not found');
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
         });
 
         it('should create admin student', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '9', name: 'Root', email: 'root@example.com', isAdmin: 'true' });
             const studentData = {
                 name: 'Admin User',
                 email: 'admin@example.com',
+                password: 'correct horse',
                 isAdmin: true
             };
 
-            const result = await createStudent(studentData);
+            const result = await createStudent(studentData, '9');
 
             expect(result).toMatchObject({
                 id: 1,
@@ -58,7 +210,7 @@ describe('studentService', () => {
                 email: 'admin@example.com',
                 isAdmin: true
             });
-            expect(mockRedisClient.hSet).toHaveBeenCalledWith(
+            expect(mockMulti.hSet).toHaveBeenCalledWith(
                 'student:1',
                 expect.objectContaining({ isAdmin: 'true' })
             );
@@ -136,6 +288,7 @@ describe('studentService', () => {
                 const result = await createStudent({
                     name: 'Test',
                     email,
+                    password: 'correct horse',
                     isAdmin: false
                 });
 
@@ -144,6 +297,426 @@ describe('studentService', () => {
         });
     });
 
+    describe('validateNewStudent', () => {
+        it('should return the checked student with its role', async () => {
+            const result = await validateNewStudent({ name: ' Ana ', email: 'ana@example.com', password: 'correct horse' });
+
+            expect(result).toEqual({ name: 'Ana', email: 'ana@example.com', password: 'correct horse', role: 'student', canteenIds: [] });
+            expect(mockRedisClient.incr).not.toHaveBeenCalled();
+        });
+
+        it('should apply the registration rules', async () => {
+            await expect(validateNewStudent({ name: 'Ana', email: 'ana', password: 'correct horse' })).rejects.toThrow('Invalid email format');
+            await expect(validateNewStudent({ name: 'Ana', email: 'ana@example.com', password: 'short' })).rejects.toThrow('Password must be');
+            mockRedisClient.hGet.mockResolvedValue('5');
+            await expect(validateNewStudent({ name: 'Ana', email: 'ana@example.com', password: 'correct horse' })).rejects.toThrow('Email already in use');
+        });
+    });
+
+    describe('createStudentBatch', () => {
+        const checked = [
+            { name: 'Ana', email: 'ana@example.com', password: 'correct horse', role: 'student', canteenIds: [] },
+            { name: 'Bo', email: 'bo@example.com', password: 'correct horse', role: 'student', canteenIds: [] },
+            { name: 'Mia', email: 'mia@example.com', password: 'correct horse', role: 'manager', canteenIds: [2] }
+        ];
+
+        beforeEach(() => {
+            mockRedisClient.incrBy.mockResolvedValue(12);
+            mockRedisClient.hSetNX.mockImplementation(async (key, email) => email !== 'bo@example.com');
+        });
+
+        it('should take the ids at once and write the students in one transaction', async () => {
+            const results = await createStudentBatch(checked);
+
+            expect(results).toEqual([{ id: 10 }, { error: 'Email already in use' }, { id: 12 }]);
+            expect(mockRedisClient.incrBy).toHaveBeenCalledWith('student:id:counter', 3);
+            expect(mockRedisClient.hSetNX).toHaveBeenCalledWith('student:email:index', 'ana@example.com', '10');
+            expect(mockMulti.hSet).toHaveBeenCalledTimes(2);
+            expect(mockMulti.hSet).toHaveBeenCalledWith('student:12', expect.objectContaining({
+                id: 12,
+                name: 'Mia',
+                role: 'manager',
+                canteenIds: '[2]',
+                passwordHash: expect.stringMatching(/^scrypt\$/)
+            }));
+            expect(mockMulti.hSet).not.toHaveBeenCalledWith('student:11', expect.anything());
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('students:byRole:manager', '12');
+            expect(mockMulti.exec).toHaveBeenCalledTimes(1);
+        });
+
+        it('should do nothing for an empty batch', async () => {
+            expect(await createStudentBatch([])).toEqual([]);
+            expect(mockRedisClient.incrBy).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getStudentsAfter', () => {
+        it('should read the next students from the id index', async () => {
+            mockRedisClient.zRangeByScore.mockResolvedValue(['4', '7']);
+            mockRedisClient.hGetAll.mockImplementation(async key => ({ id: key.split(':')[1], name: 'S', email: 's@example.com', role: 'student' }));
+
+            const { students, lastId } = await getStudentsAfter(3, 2);
+
+            expect(students.map(student => student.id)).toEqual([4, 7]);
+            expect(lastId).toBe(7);
+            expect(mockRedisClient.zRangeByScore).toHaveBeenCalledWith('students:byId', '(3', '+inf', { LIMIT: { offset: 0, count: 2 } });
+        });
+
+        it('should report the last id read even when its students were deleted', async () => {
+            mockRedisClient.zRangeByScore.mockResolvedValue(['4', '7']);
+            mockRedisClient.hGetAll.mockResolvedValue({});
+
+            expect(await getStudentsAfter(3, 2)).toEqual({ students: [], lastId: 7 });
+        });
+
+        it('should report no last id once the index has no more', async () => {
+            mockRedisClient.zRangeByScore.mockResolvedValue([]);
+
+            expect(await getStudentsAfter(7, 2)).toEqual({ students: [], lastId: null });
+        });
+    });
+
+    describe('ensureAdminStudent', () => {
+        const admin = { name: 'Administrator', email: 'admin@example.com', password: 'change-me-now' };
+
+        it('should create the configured admin', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '1', name: 'Administrator', email: 'admin@example.com', isAdmin: 'true' });
+
+            const result = await ensureAdminStudent(admin);
+
+            expect(result).toMatchObject({ id: 1, isAdmin: true });
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:1', expect.objectContaining({
+                email: 'admin@example.com',
+                role: 'super-admin',
+                isAdmin: 'true',
+                passwordHash: expect.stringMatching(/^scrypt\$/)
+            }));
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:email:index', 'admin@example.com', 1);
+        });
+
+        it('should keep an already registered email', async () => {
+            mockRedisClient.hGet.mockResolvedValue('3');
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '3', name: 'Root', email: 'admin@example.com', isAdmin: 'true' });
+
+            expect(await ensureAdminStudent(admin)).toMatchObject({ id: 3 });
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateStudentRole', () => {
+        const students = {
+            'student:1': { id: '1', name: 'Root', email: 'root@example.com', role: 'super-admin' },
+            'student:2': { id: '2', name: 'Mia', email: 'mia@example.com', isAdmin: 'false' },
+            'student:3': { id: '3', name: 'Regular', email: 'r@example.com', role: 'student' }
+        };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockImplementation(async key => students[key] || {});
+            mockRedisClient.exists.mockResolvedValue(1);
+        });
+
+        it('should make a student the manager of canteens', async () => {
+            await updateStudentRole('2', { role: 'manager', canteenIds: [2] }, '1');
+
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:2', {
+                role: 'manager',
+                canteenIds: '[2]',
+                isAdmin: 'false',
+                isStaff: 'false'
+            });
+            expect(mockMulti.sRem).toHaveBeenCalledWith('students:byRole:student', '2');
+            expect(mockMulti.sAdd).toHaveBeenCalledWith('students:byRole:manager', '2');
+        });
+
+        it('should only let super-admins change roles of others', async () => {
+            await expect(updateStudentRole('2', { role: 'staff' }, '3'))
+                .rejects.toThrow('Permission denied: students:assignRoles');
+            await expect(updateStudentRole('1', { role: 'student' }, '1'))
+                .rejects.toThrow('Super-admins cannot change their own role');
+            await expect(updateStudentRole('2', {}, '1'))
+                .rejects.toThrow('role is required');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+        });
+
+        it('should return null when student not found', async () => {
+            expect(await updateStudentRole('99', { role: 'staff' }, '1')).toBeNull();
+        });
+    });
+
+    describe('updateStudent', () => {
+        const students = {
+            'student:1': { id: '1', name: 'Root', email: 'root@example.com', role: 'super-admin' },
+            'student:2': { id: '2', name: 'Mia', email: 'mia@example.com', role: 'student' },
+            'student:3': { id: '3', name: 'Regular', email: 'r@example.com', role: 'student' }
+        };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockImplementation(async key => students[key] || {});
+            mockRedisClient.hSetNX.mockResolvedValue(true);
+        });
+
+        it('should let students rename themselves', async () => {
+            await updateStudent('2', { name: '  Mia Novak ' }, 2);
+
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:2', { name: 'Mia Novak' });
+            expect(mockRedisClient.hSetNX).not.toHaveBeenCalled();
+            expect(mockMulti.zRem).toHaveBeenCalledWith('students:byName', 'mia:2');
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('students:byName', { score: 0, value: 'mia novak:2' });
+            expect(mockMulti.zRem).not.toHaveBeenCalledWith('students:byEmail', expect.anything());
+        });
+
+        it('should move the email index to the new email', async () => {
+            await updateStudent('2', { email: 'mia.novak@example.com' }, 2);
+
+            expect(mockRedisClient.hSetNX).toHaveBeenCalledWith('student:email:index', 'mia.novak@example.com', '2');
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:2', { email: 'mia.novak@example.com' });
+            expect(mockRedisClient.hDel).toHaveBeenCalledWith('student:email:index', 'mia@example.com');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('students:byEmail', 'mia@example.com:2');
+            expect(mockMulti.zAdd).toHaveBeenCalledWith('students:byEmail', { score: 0, value: 'mia.novak@example.com:2' });
+        });
+
+        it('should keep the index when the email stays the same', async () => {
+            await updateStudent('2', { email: 'mia@example.com' }, 2);
+
+            expect(mockRedisClient.hSetNX).not.toHaveBeenCalled();
+            expect(mockRedisClient.hDel).not.toHaveBeenCalled();
+        });
+
+        it('should reject an email another student uses', async () => {
+            mockRedisClient.hSetNX.mockResolvedValue(false);
+
+            await expect(updateStudent('2', { email: 'r@example.com' }, 2))
+                .rejects.toThrow('Email already in use');
+            expect(mockRedisClient.hSet).not.toHaveBeenCalled();
+            expect(mockRedisClient.hDel).not.toHaveBeenCalled();
+        });
+
+        it('should validate the changes', async () => {
+            await expect(updateStudent('2', { email: 'not-an-email' }, 2)).rejects.toThrow('Invalid email format');
+            await expect(updateStudent('2', { name: ' ' }, 2)).rejects.toThrow('Name cannot be empty');
+            await expect(updateStudent('2', {}, 2)).rejects.toThrow('At least one of name or email is required');
+        });
+
+        it('should need students:manage to change someone else', async () => {
+            await expect(updateStudent('2', { name: 'Eve' }, 3))
+                .rejects.toThrow('Permission denied: students:manage');
+
+            await updateStudent('2', { name: 'Mia Novak' }, 1);
+            expect(mockRedisClient.hSet).toHaveBeenCalledWith('student:2', { name: 'Mia Novak' });
+        });
+
+        it('should return null when student not found', async () => {
+            expect(await updateStudent('99', { name: 'Eve' }, 1)).toBeNull();
+        });
+    });
+
+    describe('deleteStudent', () => {
+        const students = {
+            'student:1': { id: '1', name: 'Root', email: 'root@example.com', role: 'super-admin' },
+            'student:2': { id: '2', name: 'Mia', email: 'mia@example.com', role: 'student' },
+            'student:3': { id: '3', name: 'Regular', email: 'r@example.com', role: 'student' }
+        };
+        const reservations = { cancelledReservations: 1, leftGroups: 1, anonymisedReservations: 3, leftWaitlists: 0 };
+
+        beforeEach(() => {
+            mockRedisClient.hGetAll.mockImplementation(async key => students[key] || {});
+            mockRedisClient.sMembers.mockResolvedValue(['s1', 's2']);
+            mockRemoveStudentReservations.mockResolvedValue(reservations);
+            mockDeleteStudentSeries.mockResolvedValue(2);
+        });
+
+        it('should remove the account and everything that names the student', async () => {
+            const result = await deleteStudent('2', 2);
+
+            expect(result).toEqual({ id: 2, ...reservations, removedSeries: 2, revokedSessions: 2 });
+            expect(mockMulti.del).toHaveBeenCalledWith('student:2');
+            expect(mockMulti.hDel).toHaveBeenCalledWith('student:email:index', 'mia@example.com');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('students:byId', '2');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('students:byName', 'mia:2');
+            expect(mockMulti.zRem).toHaveBeenCalledWith('students:byEmail', 'mia@example.com:2');
+            expect(mockMulti.sRem).toHaveBeenCalledWith('students:byRole:student', '2');
+            expect(mockRemoveStudentReservations).toHaveBeenCalledWith(2);
+            expect(mockDeleteStudentSeries).toHaveBeenCalledWith(2);
+            expect(mockClearStrikes).toHaveBeenCalledWith(2);
+            expect(mockRedisClient.del).toHaveBeenCalledWith(['session:s1', 'session:s2']);
+            // The account goes last so a failed deletion can be run again
+            expect(mockClearStrikes.mock.invocationCallOrder[0])
+                .toBeLessThan(mockMulti.del.mock.invocationCallOrder[0]);
+        });
+
+        it('should keep the account when removing the student from reservations fails', async () => {
+            mockRemoveStudentReservations.mockRejectedValueOnce(new Error('Connection lost'));
+
+            await expect(deleteStudent('2', 2)).rejects.toThrow('Connection lost');
+            expect(mockMulti.del).not.toHaveBeenCalled();
+            expect(mockMulti.hDel).not.toHaveBeenCalled();
+
+            expect(await deleteStudent('2', 2)).toMatchObject({ id: 2, ...reservations });
+        });
+
+        it('should need students:manage to delete someone else', async () => {
+            await expect(deleteStudent('2', 3)).rejects.toThrow('Permission denied: students:manage');
+            expect(mockRemoveStudentReservations).not.toHaveBeenCalled();
+            expect(mockMulti.del).not.toHaveBeenCalled();
+
+            expect(await deleteStudent('2', 1)).toMatchObject({ id: 2 });
+        });
+
+        it('should not let super-admins delete their own account', async () => {
+            await expect(deleteStudent('1', 1)).rejects.toThrow('Super-admins cannot delete their own account');
+            expect(mockRemoveStudentReservations).not.toHaveBeenCalled();
+        });
+
+        it('should return null when student not found', async () => {
+            expect(await deleteStudent('99', 1)).toBeNull();
+            expect(mockRemoveStudentReservations).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listStudents', () => {
+        const students = {
+            'student:1': { id: '1', name: 'Root', email: 'root@example.com', role: 'super-admin' },
+            'student:2': { id: '2', name: 'Mia Novak', email: 'mia@example.com', role: 'student', noShowCount: '2' },
+            'student:3': { id: '3', name: 'Marko', email: 'm.petrovic@example.com', role: 'staff' },
+            'student:4': { id: '4', name: 'Ana', email: 'ana@example.com', role: 'student' }
+        };
+        const indexes = {
+            'students:byId': [1, 2, 3, 4].map(id => ({ value: String(id), score: id })),
+            'students:byName': ['ana:4', 'marko:3', 'mia novak:2', 'root:1'].map(value => ({ value, score: 0 })),
+            'students:byEmail': ['ana@example.com:4', 'm.petrovic@example.com:3', 'mia@example.com:2', 'root@example.com:1']
+                .map(value => ({ value, score: 0 }))
+        };
+        let roles;
+
+        // A sorted set range read the way Redis runs ZRANGE with BYSCORE or BYLEX, REV and LIMIT
+        function readRange(members, start, stop, { BY, REV, LIMIT }) {
+            const [min, max] = REV ? [stop, start] : [start, stop];
+            const position = member => (BY === 'LEX' ? member.value : member.score);
+            const boundValue = text => (BY === 'LEX' ? text : Number(text));
+            const isAbove = (member, bound) => {
+                if (bound === '-' || bound === -Infinity) return true;
+                const text = String(bound);
+                return text.startsWith('(') ? position(member) > boundValue(text.slice(1)) : position(member) >= boundValue(text);
+            };
+            const isBelow = (member, bound) => {
+                if (bound === '+' || bound === Infinity) return true;
+                const text = String(bound);
+                return text.startsWith('(') ? position(member) < boundValue(text.slice(1)) : position(member) <= boundValue(text);
+            };
+            const inRange = members.filter(member => isAbove(member, min) && isBelow(member, max));
+            const ordered = REV ? inRange.reverse() : inRange;
+            return ordered.slice(LIMIT.offset, LIMIT.offset + LIMIT.count).map(({ value }) => value);
+        }
+
+        beforeEach(() => {
+            roles = { 'students:byRole:student': ['2', '4'] };
+            mockRedisClient.hGetAll.mockImplementation(async key => students[key] || {});
+            mockRedisClient.zRange.mockImplementation(async (key, start, stop, options) =>
+                readRange(indexes[key], start, stop, options));
+            mockRedisClient.zCard.mockImplementation(async key => indexes[key].length);
+            mockRedisClient.smIsMember.mockImplementation(async (key, ids) =>
+                ids.map(id => ((roles[key] || []).includes(id) ? 1 : 0)));
+            mockRedisClient.sCard.mockImplementation(async key => (roles[key] || []).length);
+            mockCountUpcomingReservations.mockImplementation(async ids => new Map(ids.map(id => [id, id === 2 ? 3 : 0])));
+        });
+
+        it('should list students by id with their counters', async () => {
+            const result = await listStudents({}, 1);
+
+            expect(result.total).toBe(4);
+            expect(result.nextCursor).toBeNull();
+            expect(result.students.map(s => s.id)).toEqual([1, 2, 3, 4]);
+            expect(result.students[1]).toMatchObject({ name: 'Mia Novak', role: 'student', noShowCount: 2, upcomingReservations: 3 });
+            expect(mockCountUpcomingReservations).toHaveBeenCalledTimes(1);
+            expect(mockCountUpcomingReservations).toHaveBeenCalledWith([1, 2, 3, 4]);
+        });
+
+        it('should search names and emails by prefix from the indexes', async () => {
+            mockRedisClient.zRangeByLex.mockImplementation(async key =>
+                key === 'students:byName' ? ['mia novak:2'] : ['m.petrovic@example.com:3', 'mia@example.com:2']);
+
+            const result = await listStudents({ search: ' M ' }, 1);
+
+            expect(result.students.map(s => s.id)).toEqual([2, 3]);
+            expect(result.total).toBe(2);
+            const [key, min, max] = mockRedisClient.zRangeByLex.mock.calls[0];
+            expect(key).toBe('students:byName');
+            expect(min).toBe('[m');
+            expect(max).toEqual(Buffer.from([0x5b, 0x6d, 0xff]));
+            expect(mockRedisClient.keys).toBeUndefined();
+        });
+
+        it('should filter by role', async () => {
+            const result = await listStudents({ role: 'student', sort: 'name' }, 1);
+
+            expect(mockRedisClient.smIsMember).toHaveBeenCalledWith('students:byRole:student', ['4', '3', '2', '1']);
+            expect(result.students.map(s => s.name)).toEqual(['Ana', 'Mia Novak']);
+            expect(result.total).toBe(2);
+        });
+
+        it('should count a search within a role', async () => {
+            mockRedisClient.zRangeByLex.mockImplementation(async key => (key === 'students:byName' ? ['mia novak:2', 'marko:3'] : []));
+
+            const result = await listStudents({ search: 'm', role: 'student' }, 1);
+
+            expect(result.students.map(s => s.id)).toEqual([2]);
+            expect(result.total).toBe(1);
+        });
+
+        it('should sort and page with a cursor', async () => {
+            const first = await listStudents({ sort: '-email', limit: '3' }, 1);
+
+            expect(first.students.map(s => s.id)).toEqual([1, 2, 3]);
+            expect(first.nextCursor).not.toBeNull();
+
+            const second = await listStudents({ sort: '-email', limit: '3', cursor: first.nextCursor }, 1);
+
+            expect(second.students.map(s => s.id)).toEqual([4]);
+            expect(second.nextCursor).toBeNull();
+            expect(second.total).toBe(4);
+        });
+
+        it('should read the index a page at a time from the cursor', async () => {
+            const first = await listStudents({ sort: '-id', limit: '1' }, 1);
+            const byEmail = await listStudents({ sort: 'email', limit: '1' }, 1);
+            mockRedisClient.zRange.mockClear();
+
+            await listStudents({ sort: '-id', limit: '1', cursor: first.nextCursor }, 1);
+            await listStudents({ sort: 'email', limit: '1', cursor: byEmail.nextCursor }, 1);
+
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('students:byId', '(4', -Infinity,
+                { BY: 'SCORE', REV: true, LIMIT: { offset: 0, count: 2 } });
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('students:byEmail', '(ana@example.com:4', '+',
+                { BY: 'LEX', LIMIT: { offset: 0, count: 2 } });
+            expect(mockRedisClient.zRange).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep reading the index until a page is filled', async () => {
+            const result = await listStudents({ role: 'student', limit: '1' }, 1);
+
+            expect(result.students.map(s => s.id)).toEqual([2]);
+            expect(result.nextCursor).not.toBeNull();
+            expect(mockRedisClient.zRange).toHaveBeenCalledWith('students:byId', -Infinity, Infinity,
+                { BY: 'SCORE', LIMIT: { offset: 2, count: 2 } });
+        });
+
+        it('should validate the query', async () => {
+            await expect(listStudents({ role: 'owner' }, 1)).rejects.toThrow('Invalid role');
+            await expect(listStudents({ sort: 'noShows' }, 1)).rejects.toThrow('Invalid sort');
+            await expect(listStudents({ limit: '0' }, 1)).rejects.toThrow('limit must be a positive integer');
+            await expect(listStudents({ limit: '101' }, 1)).rejects.toThrow('limit cannot exceed 100');
+            await expect(listStudents({ search: ' ' }, 1)).rejects.toThrow('search must be a non-empty string');
+            const cursor = (await listStudents({ limit: '1' }, 1)).nextCursor;
+            await expect(listStudents({ sort: 'name', cursor }, 1)).rejects.toThrow('Invalid cursor');
+            await expect(listStudents({ cursor: 'not-a-cursor' }, 1)).rejects.toThrow('Invalid cursor');
+        });
+
+        it('should need students:manage', async () => {
+            await expect(listStudents({}, 3)).rejects.toThrow('Permission denied: students:manage');
+            expect(mockRedisClient.zRange).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getStudent', () => {
         it('should return student when found', async () => {
             mockRedisClient.hGetAll.mockResolvedValue({
@@ -181,6 +754,46 @@ describe('studentService', () => {
             });
         });
 
+        it('should derive the role of students stored with only the flags', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '3', name: 'Canteen Staff', email: 'staff@example.com', isAdmin: 'false', isStaff: 'true' });
+
+            expect(await getStudent('3')).toMatchObject({ role: 'staff', canteenIds: [], isStaff: true });
+        });
+
+        it('should return the role and managed canteens', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({ id: '4', name: 'Mia', email: 'mia@example.com', role: 'manager', canteenIds: '[1,3]', isAdmin: 'false', isStaff: 'false' });
+
+            expect(await getStudent('4')).toMatchObject({ role: 'manager', canteenIds: [1, 3], isAdmin: false, isStaff: false });
+        });
+
+        it('should return staff flag and no-show counter', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                id: '3',
+                name: 'Canteen Staff',
+                email: 'staff@example.com',
+                isAdmin: 'false',
+                isStaff: 'true',
+                noShowCount: '2'
+            });
+
+            const result = await getStudent('3');
+
+            expect(result).toMatchObject({ isStaff: true, noShowCount: 2 });
+        });
+
+        it('should default no-show counter to zero', async () => {
+            mockRedisClient.hGetAll.mockResolvedValue({
+                id: '1',
+                name: 'John Doe',
+                email: 'john@example.com',
+                isAdmin: 'false'
+            });
+
+            const result = await getStudent('1');
+
+            expect(result).toMatchObject({ isStaff: false, noShowCount: 0 });
+        });
+
         it('should return null when student not found', async () => {
             mockRedisClient.hGetAll.mockResolvedValue({});
 